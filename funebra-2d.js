@@ -1,6 +1,8 @@
 // https://funebra.github.io/math-art-engine/funebra-2d.js
 // Lightweight vector layer + scene for Funebra math-art engine.
-// No external dependencies. Works in modern browsers.
+// No external dependencies (even spacing uses the local funebra-curve.module.js). Works in modern browsers.
+
+import { Curve } from "./funebra-curve.module.js";
 
 export class Funebra2DLayer {
   constructor({
@@ -189,18 +191,32 @@ export class Funebra2DScene {
    Path generator helpers
    Each returns an array of path commands (as accepted by layer.addPath)
    Coordinates are in a user-space rectangle (0..width, 0..height) — scale/translate as needed.
+   Curve generators also take `even: true` (the same point count spaced evenly along the
+   curve instead of evenly in t) or `spacing` (one point every `spacing` px), which keeps
+   plotter strokes and morph targets from bunching up where the curve slows down.
    --------------------------- */
 
+// Resample at(t), t ∈ [0, period], by arc length into path commands
+function evenPathCommands(at, period, { segments, spacing, closed }) {
+  const curve = new Curve((u) => at(u * period), { closed });
+  const pts = curve.resample(spacing > 0 ? { spacing } : { n: closed ? segments : segments + 1 });
+  const cmds = pts.map(([x, y], i) => ({ cmd: i === 0 ? "M" : "L", x, y }));
+  if (closed) cmds.push({ cmd: "Z" });
+  return cmds;
+}
+
 // Rose curve generator (r(θ) = a * cos(kθ))
 export function makeRose({
-  cx = 256, cy = 256, a = 120, k = 5, segments = 512, closed = true
+  cx = 256, cy = 256, a = 120, k = 5, segments = 512, closed = true, even = false, spacing = 0
 } = {}) {
+  const at = (t) => {
+    const r = a * Math.cos(k * t);
+    return [cx + r * Math.cos(t), cy + r * Math.sin(t)];
+  };
+  if (even || spacing > 0) return evenPathCommands(at, Math.PI * 2, { segments, spacing, closed });
   const cmds = [];
   for (let i = 0; i <= segments; i++) {
-    const t = (i / segments) * (Math.PI * 2);
-    const r = a * Math.cos(k * t);
-    const x = cx + r * Math.cos(t);
-    const y = cy + r * Math.sin(t);
+    const [x, y] = at((i / segments) * (Math.PI * 2));
     if (i === 0) cmds.push({ cmd: "M", x, y });
     else cmds.push({ cmd: "L", x, y });
   }
@@ -210,13 +226,13 @@ export function makeRose({
 
 // Lissajous curve (x = A sin(a t + delta), y = B sin(b t))
 export function makeLissajous({
-  cx = 256, cy = 256, A = 160, B = 120, a = 3, b = 2, delta = Math.PI / 2, segments = 600
+  cx = 256, cy = 256, A = 160, B = 120, a = 3, b = 2, delta = Math.PI / 2, segments = 600, even = false, spacing = 0
 } = {}) {
+  const at = (t) => [cx + A * Math.sin(a * t + delta), cy + B * Math.sin(b * t)];
+  if (even || spacing > 0) return evenPathCommands(at, Math.PI * 2, { segments, spacing, closed: true });
   const cmds = [];
   for (let i = 0; i <= segments; i++) {
-    const t = (i / segments) * (Math.PI * 2);
-    const x = cx + A * Math.sin(a * t + delta);
-    const y = cy + B * Math.sin(b * t);
+    const [x, y] = at((i / segments) * (Math.PI * 2));
     if (i === 0) cmds.push({ cmd: "M", x, y });
     else cmds.push({ cmd: "L", x, y });
   }
@@ -224,12 +240,12 @@ export function makeLissajous({
   return cmds;
 }
 
-export function makeEllipsePath({ cx=256, cy=256, rx=120, ry=80, segments=64 } = {}) {
+export function makeEllipsePath({ cx=256, cy=256, rx=120, ry=80, segments=64, even=false, spacing=0 } = {}) {
+  const at = (t) => [cx + rx * Math.cos(t), cy + ry * Math.sin(t)];
+  if (even || spacing > 0) return evenPathCommands(at, Math.PI * 2, { segments, spacing, closed: true });
   const cmds = [];
   for (let i = 0; i <= segments; i++) {
-    const t = (i / segments) * (Math.PI * 2);
-    const x = cx + rx * Math.cos(t);
-    const y = cy + ry * Math.sin(t);
+    const [x, y] = at((i / segments) * (Math.PI * 2));
     if (i === 0) cmds.push({ cmd: "M", x, y });
     else cmds.push({ cmd: "L", x, y });
   }
@@ -237,7 +253,8 @@ export function makeEllipsePath({ cx=256, cy=256, rx=120, ry=80, segments=64 } =
   return cmds;
 }
 
-export function makePolygon({ cx=256, cy=256, radius=120, sides=5, rotation=0 } = {}) {
+// Corners only by default; `segments` (with even: true) or `spacing` adds evenly spaced points along the edges
+export function makePolygon({ cx=256, cy=256, radius=120, sides=5, rotation=0, even=false, segments=0, spacing=0 } = {}) {
   const cmds = [];
   for (let i = 0; i < sides; i++) {
     const a = rotation + (i / sides) * (Math.PI * 2);
@@ -246,6 +263,10 @@ export function makePolygon({ cx=256, cy=256, radius=120, sides=5, rotation=0 }
     if (i === 0) cmds.push({ cmd: "M", x, y });
     else cmds.push({ cmd: "L", x, y });
   }
+  if (spacing > 0 || (even && segments > 0)) {
+    const pts = Curve.polygonal(cmds.map(c => [c.x, c.y])).resample(spacing > 0 ? { spacing } : { n: segments });
+    return [...pts.map(([x, y], i) => ({ cmd: i === 0 ? "M" : "L", x, y })), { cmd: "Z" }];
+  }
   cmds.push({ cmd: "Z" });
   return cmds;
 }
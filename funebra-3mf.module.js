@@ -0,0 +1,306 @@
+// funebra-3mf.module.js — Native 3MF writer (zip container + 3D model XML, ESM, no deps)
+// - One or more objects: {positions, indices} meshes, THREE.BufferGeometry,
+//   THREE.Mesh (world matrix, name and material colour are picked up),
+//   shapes-registry {vertices, faces}.
+// - Millimetre units by default (declared in the model, so slicers do not ask
+//   to rescale), per-object names, base colours, build-plate placement
+//   (explicit position/transform or automatic row layout dropped to z = 0).
+// - Deterministic output: stored zip entries, fixed timestamps.
+//
+// Usage:
+//   import * as MF from './funebra-3mf.module.js';
+//   const bytes = MF.build3MF([{ mesh, name: 'Rose', color: '#e2ae68' }, { mesh: other, position: [20, 0, 0] }]);
+//   await MF.save3MF(bytes, 'funebra.3mf');       // browser download or Node file
+//   // node: node -e "import('./funebra-3mf.module.js').then(m => m.save3MF([mesh], 'out.3mf'))"
+
+import { toIndexedMesh } from './funebra-mesh.module.js';
+import { parseCSSColor } from './funebra-render.module.js';
+import { saveBlob } from './funebra.exporters.module.js';
+
+export const UNITS = ['micron', 'millimeter', 'centimeter', 'inch', 'foot', 'meter'];
+export const MODEL_PATH = '3D/3dmodel.model';
+export const CONTENT_TYPE = 'application/vnd.ms-package.3dmanufacturing-3dmodel+xml';
+
+const NS_CORE = 'http://schemas.microsoft.com/3dmanufacturing/core/2015/02';
+const REL_MODEL = 'http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Build a .3mf package.
+ *
+ * @param {*} objects  one object or an array; each item is a mesh or
+ *   { mesh, name, color, position:[x,y,z], transform:[12 numbers] }
+ * @param {Object} [opts]
+ *  - unit: one of UNITS (default 'millimeter')
+ *  - title, designer, description: model metadata
+ *  - arrange: lay out objects without position/transform in a row (default true)
+ *  - plate: [width, depth] of the build plate to centre on (default [256, 256])
+ *  - spacing: gap between arranged objects (default 5)
+ *  - dropToPlate: move arranged objects so their lowest point sits on z = 0 (default true)
+ * @returns {Uint8Array} zip bytes
+ */
+export function build3MF(objects, {
+  unit = 'millimeter', title = 'Funebra model', designer, description,
+  arrange = true, plate = [256, 256], spacing = 5, dropToPlate = true,
+} = {}) {
+  if (!UNITS.includes(unit)) throw new Error(`build3MF: unit must be one of ${UNITS.join(', ')}`);
+  const list = (Array.isArray(objects) ? objects : [objects]).map(_normalizeObject);
+  if (!list.length) throw new Error('build3MF: no objects');
+
+  _place(list, { arrange, plate, spacing, dropToPlate });
+  const model = modelXML(list, { unit, title, designer, description });
+  return zipStore([
+    { name: '[Content_Types].xml', data: CONTENT_TYPES_XML },
+    { name: '_rels/.rels', data: RELS_XML },
+    { name: MODEL_PATH, data: model },
+  ]);
+}
+
+/**
+ * Save a package (or build one from objects first). Browser: download via
+ * saveBlob; Node: write the file.
+ * @returns {Promise<Uint8Array>}
+ */
+export async function save3MF(bytesOrObjects, filename = 'funebra.3mf', opts = {}) {
+  const bytes = bytesOrObjects instanceof Uint8Array ? bytesOrObjects : build3MF(bytesOrObjects, opts);
+  await saveBlob(new Blob([bytes], { type: 'model/3mf' }), filename);
+  return bytes;
+}
+
+/**
+ * The 3D model part as XML (objects already normalised/placed; exposed for tests and tooling).
+ */
+export function modelXML(list, { unit = 'millimeter', title, designer, description } = {}) {
+  const out = [];
+  out.push('<?xml version="1.0" encoding="UTF-8"?>');
+  out.push(`<model unit="${unit}" xml:lang="en-US" xmlns="${NS_CORE}">`);
+  if (title) out.push(` <metadata name="Title">${_esc(title)}</metadata>`);
+  if (designer) out.push(` <metadata name="Designer">${_esc(designer)}</metadata>`);
+  if (description) out.push(` <metadata name="Description">${_esc(description)}</metadata>`);
+  out.push(' <metadata name="Application">Funebra Math-Art Engine</metadata>');
+  out.push(' <resources>');
+  const colored = list.some(o => o.color);
+  if (colored) {
+    out.push('  <basematerials id="1">');
+    list.forEach((o, k) => out.push(`   <base name="${_esc(o.name || `object ${k + 1}`)}" displaycolor="${o.color || '#BFBFBFFF'}"/>`));
+    out.push('  </basematerials>');
+  }
+  list.forEach((o, k) => {
+    const id = k + 2;
+    const mat = colored ? ` pid="1" pindex="${k}"` : '';
+    out.push(`  <object id="${id}" type="model" name="${_esc(o.name || `object ${k + 1}`)}"${mat}>`);
+    out.push('   <mesh>');
+    out.push('    <vertices>');
+    const P = o.positions;
+    for (let i = 0; i < P.length; i += 3) out.push(`     <vertex x="${_num(P[i])}" y="${_num(P[i + 1])}" z="${_num(P[i + 2])}"/>`);
+    out.push('    </vertices>');
+    out.push('    <triangles>');
+    const I = o.indices;
+    for (let i = 0; i < I.length; i += 3) out.push(`     <triangle v1="${I[i]}" v2="${I[i + 1]}" v3="${I[i + 2]}"/>`);
+    out.push('    </triangles>');
+    out.push('   </mesh>');
+    out.push('  </object>');
+  });
+  out.push(' </resources>');
+  out.push(' <build>');
+  list.forEach((o, k) => out.push(`  <item objectid="${k + 2}" transform="${o.transform.map(_num).join(' ')}"/>`));
+  out.push(' </build>');
+  out.push('</model>');
+  return out.join('\n') + '\n';
+}
+
+/**
+ * Minimal zip writer (stored entries, CRC-32, fixed 1980-01-01 timestamps).
+ * @param {Array<{name:string, data:string|Uint8Array}>} files
+ * @returns {Uint8Array}
+ */
+export function zipStore(files) {
+  const enc = new TextEncoder();
+  const parts = [], central = [];
+  let offset = 0;
+  for (const f of files) {
+    const name = enc.encode(f.name);
+    const data = typeof f.data === 'string' ? enc.encode(f.data) : f.data;
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);              // version needed
+    local.setUint16(6, 0x0800, true);          // UTF-8 names
+    local.setUint16(8, 0, true);               // stored
+    local.setUint16(10, 0, true);              // time
+    local.setUint16(12, 0x0021, true);         // date 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(new Uint8Array(local.buffer), name, data);
+
+    const cd = new DataView(new ArrayBuffer(46));
+    cd.setUint32(0, 0x02014b50, true);
+    cd.setUint16(4, 20, true);
+    cd.setUint16(6, 20, true);
+    cd.setUint16(8, 0x0800, true);
+    cd.setUint16(10, 0, true);
+    cd.setUint16(12, 0, true);
+    cd.setUint16(14, 0x0021, true);
+    cd.setUint32(16, crc, true);
+    cd.setUint32(20, data.length, true);
+    cd.setUint32(24, data.length, true);
+    cd.setUint16(28, name.length, true);
+    cd.setUint32(42, offset, true);
+    central.push(new Uint8Array(cd.buffer), name);
+    offset += 30 + name.length + data.length;
+  }
+  const cdSize = central.reduce((s, p) => s + p.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, cdSize, true);
+  end.setUint32(16, offset, true);
+  const all = [...parts, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(all.reduce((s, p) => s + p.length, 0));
+  let k = 0;
+  for (const p of all) { out.set(p, k); k += p.length; }
+  return out;
+}
+
+let _crcTable = null;
+/** CRC-32 (zip polynomial). */
+export function crc32(bytes) {
+  if (!_crcTable) {
+    _crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      _crcTable[n] = c >>> 0;
+    }
+  }
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = _crcTable[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Internals
+// ─────────────────────────────────────────────────────────────────────────────
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+ <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+ <Default Extension="model" ContentType="${CONTENT_TYPE}"/>
+</Types>
+`;
+
+const RELS_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+ <Relationship Target="/${MODEL_PATH}" Id="rel0" Type="${REL_MODEL}"/>
+</Relationships>
+`;
+
+const _esc = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const _num = (v) => String(+(+v).toFixed(6));
+
+function _normalizeObject(item, k) {
+  const wrapped = item && item.mesh && !item.isMesh ? item : { mesh: item };
+  let src = wrapped.mesh;
+  let name = wrapped.name, color = wrapped.color, matrix = null;
+  if (src && src.isMesh) {                                   // THREE.Mesh
+    name ??= src.name || undefined;
+    color ??= src.material && !Array.isArray(src.material) && src.material.color ? '#' + src.material.color.getHexString() : undefined;
+    if (src.updateMatrixWorld) src.updateMatrixWorld(true);
+    matrix = src.matrixWorld ? src.matrixWorld.elements : null;
+    src = src.geometry;
+  }
+  if (src && src.userData && src.userData.funebra && !name) name = src.userData.funebra.shape || src.userData.funebra.fnName;
+  let m;
+  try { m = toIndexedMesh(src); } catch (e) { throw new Error(`build3MF: object ${k}: ${e.message.replace(/^toIndexedMesh: /, '')}`); }
+  let positions = Float32Array.from(m.positions);
+  if (matrix) {
+    const e = matrix;
+    for (let i = 0; i < positions.length; i += 3) {
+      const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+      positions[i] = e[0] * x + e[4] * y + e[8] * z + e[12];
+      positions[i + 1] = e[1] * x + e[5] * y + e[9] * z + e[13];
+      positions[i + 2] = e[2] * x + e[6] * y + e[10] * z + e[14];
+    }
+  }
+  return {
+    name, color: color == null ? null : _hexColor(color, k),
+    positions, indices: m.indices,
+    position: wrapped.position || null,
+    transform: wrapped.transform ? _checkTransform(wrapped.transform, k) : null,
+  };
+}
+
+function _hexColor(c, k) {
+  let rgba;
+  if (typeof c === 'number') rgba = [(c >> 16) & 255, (c >> 8) & 255, c & 255, 255];
+  else if (c && c.isColor) rgba = [c.r, c.g, c.b].map(v => Math.round(v * 255)).concat(255);
+  else if (Array.isArray(c) && c.length >= 3 && c.every(v => v <= 1)) rgba = [c[0], c[1], c[2]].map(v => Math.round(v * 255)).concat(Math.round((c[3] ?? 1) * 255));
+  else rgba = parseCSSColor(c);
+  if (!rgba) throw new Error(`build3MF: object ${k}: unreadable colour ${JSON.stringify(c)}`);
+  return '#' + rgba.map(v => Math.max(0, Math.min(255, v | 0)).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+function _checkTransform(t, k) {
+  if (!Array.isArray(t) || t.length !== 12 || !t.every(Number.isFinite)) {
+    throw new Error(`build3MF: object ${k}: transform must be 12 numbers (3×3 rotation/scale rows, then translation)`);
+  }
+  return t;
+}
+
+function _bounds(P) {
+  const lo = [Infinity, Infinity, Infinity], hi = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < P.length; i += 3) for (let d = 0; d < 3; d++) {
+    lo[d] = Math.min(lo[d], P[i + d]);
+    hi[d] = Math.max(hi[d], P[i + d]);
+  }
+  return { lo, hi };
+}
+
+// Explicit transform > position > automatic layout (rows centred on the plate)
+function _place(list, { arrange, plate, spacing, dropToPlate }) {
+  const auto = [];
+  for (const o of list) {
+    if (o.transform) continue;
+    if (o.position) { o.transform = [1, 0, 0, 0, 1, 0, 0, 0, 1, ...o.position]; continue; }
+    if (!arrange) { o.transform = [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0]; continue; }
+    auto.push(o);
+  }
+  if (!auto.length) return;
+  const rows = [[]];
+  let x = 0;
+  for (const o of auto) {
+    const b = o.bounds = _bounds(o.positions);
+    const w = b.hi[0] - b.lo[0];
+    if (x > 0 && x + w > plate[0]) { rows.push([]); x = 0; }
+    rows[rows.length - 1].push(o);
+    x += w + spacing;
+  }
+  const rowDepth = rows.map(r => Math.max(...r.map(o => o.bounds.hi[1] - o.bounds.lo[1])));
+  const total = rowDepth.reduce((s, d) => s + d, 0) + spacing * (rows.length - 1);
+  let y = plate[1] / 2 + total / 2;
+  rows.forEach((r, ri) => {
+    const width = r.reduce((s, o) => s + o.bounds.hi[0] - o.bounds.lo[0], 0) + spacing * (r.length - 1);
+    let cx = plate[0] / 2 - width / 2;
+    y -= rowDepth[ri];
+    for (const o of r) {
+      const { lo, hi } = o.bounds;
+      const tz = dropToPlate ? -lo[2] : 0;
+      o.transform = [1, 0, 0, 0, 1, 0, 0, 0, 1, cx - lo[0], y + (rowDepth[ri] - (hi[1] - lo[1])) / 2 - lo[1], tz];
+      cx += hi[0] - lo[0] + spacing;
+      delete o.bounds;
+    }
+    y -= spacing;
+  });
+}
+
+export default {
+  UNITS, MODEL_PATH, CONTENT_TYPE,
+  build3MF, save3MF, modelXML, zipStore, crc32,
+};
@@ -0,0 +1,428 @@
+// funebra-boolean.module.js — Polygon boolean ops for 2D Funebra shapes (ESM, no deps)
+// - union / intersect / difference / xor on closed outlines, with holes.
+// - Inputs: vertex arrays from the *Vertices helpers ([[x,y], …]), lists of
+//   contours ([[[x,y], …], …]), {x,y} points, Funebra2DLayer path commands
+//   (M/L/Z) and makeParametric() items (sampled at their steps).
+// - Output: array of closed contours (no repeated first point). Outer contours
+//   have positive signed area, holes negative, so nonzero and even-odd fills agree.
+// - Feed results back with contourX/contourY (_polyPathX-style samplers over
+//   every contour) or contoursToPathCommands() → Funebra2DLayer.addPath().
+//
+// Usage:
+//   import { rectangleVertices, crossVertices } from './script.shapes.module.js';
+//   import * as B from './funebra-boolean.module.js';
+//   const frame = B.difference(rectangleVertices(300, 300, 300, 300), crossVertices(300, 300, 240));
+//   layer.addPath(B.contoursToPathCommands(frame));
+//   // scode:  x = contourX(o, frame, 12)   y = contourY(o, frame, 12)
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const OPS = {
+  union:      (a, b) => a || b,
+  intersect:  (a, b) => a && b,
+  difference: (a, b) => a && !b,
+  xor:        (a, b) => a !== b,
+};
+
+// Winding number → inside? ('positive' is what offsetting needs: raw offset loops cancel out)
+export const FILL_RULES = {
+  evenodd:  (w) => (w & 1) === 1,
+  nonzero:  (w) => w !== 0,
+  positive: (w) => w > 0,
+  negative: (w) => w < 0,
+};
+
+/**
+ * Boolean combination of two shapes.
+ *
+ * @param {*} a  subject shape (see toContours for accepted forms)
+ * @param {*} b  clip shape (may be empty: [] → cleans up `a` alone)
+ * @param {'union'|'intersect'|'difference'|'xor'} op
+ * @param {Object} [opts]
+ *  - fillRule: 'evenodd' | 'nonzero' | 'positive' | 'negative' for reading the inputs (default 'evenodd')
+ *  - epsilon:  snapping tolerance, relative to the shapes' size (default 1e-9)
+ * @returns {Array<Array<[number,number]>>} contours
+ */
+export function polygonBoolean(a, b, op = 'union', { fillRule = 'evenodd', epsilon = 1e-9 } = {}) {
+  const keep = OPS[op];
+  if (!keep) throw new Error(`polygonBoolean: unknown op "${op}" (expected ${Object.keys(OPS).join(', ')})`);
+  const filled = FILL_RULES[fillRule];
+  if (!filled) throw new Error(`polygonBoolean: fillRule must be one of ${Object.keys(FILL_RULES).join(', ')}`);
+
+  const A = toContours(a), Bc = toContours(b);
+  const all = [...A, ...Bc];
+  if (!all.length) return [];
+
+  const bb = contoursBounds(all);
+  const scale = Math.max(bb.maxX - bb.minX, bb.maxY - bb.minY, 1e-12);
+  const grid = scale * epsilon;
+
+  // 1. segments of both shapes, split at every crossing / touch / overlap
+  const segs = [];
+  A.forEach(c => _pushRing(segs, c, 0));
+  Bc.forEach(c => _pushRing(segs, c, 1));
+  _splitSegments(segs, grid);
+
+  // 2. unique pieces (overlapping edges of A and B collapse into one); vertices
+  //    closer than the grid merge into the first one seen, keeping exact inputs exact
+  const verts = new Map();
+  const vertex = (x, y) => {
+    const k = Math.round(x / grid) + ',' + Math.round(y / grid);
+    let v = verts.get(k);
+    if (!v) { v = [x, y, k]; verts.set(k, v); }
+    return v;
+  };
+  const pieces = new Map();
+  for (const s of segs) {
+    const ts = [...new Set(s.ts)].sort((x, y) => x - y);
+    let P = vertex(s.x1, s.y1);
+    for (let k = 1; k < ts.length; k++) {
+      const t = ts[k];
+      const Q = t === 1 ? vertex(s.x2, s.y2) : vertex(s.x1 + (s.x2 - s.x1) * t, s.y1 + (s.y2 - s.y1) * t);
+      if (P !== Q) {
+        const key = P[2] < Q[2] ? P[2] + '|' + Q[2] : Q[2] + '|' + P[2];
+        if (!pieces.has(key)) pieces.set(key, [P[0], P[1], Q[0], Q[1]]);
+      }
+      P = Q;
+    }
+  }
+
+  // 3. keep pieces on the result boundary, oriented with the result on their left
+  const windA = _windingIndex(A), windB = _windingIndex(Bc);
+  const kept = [];
+  const off = grid * 1e3;
+  for (const [x1, y1, x2, y2] of pieces.values()) {
+    const dx = x2 - x1, dy = y2 - y1, len = Math.hypot(dx, dy);
+    const e = Math.min(off, len * 0.25);
+    const mx = (x1 + x2) / 2, my = (y1 + y2) / 2;
+    const nx = -dy / len * e, ny = dx / len * e;
+    const L = keep(filled(windA(mx + nx, my + ny)), filled(windB(mx + nx, my + ny)));
+    const R = keep(filled(windA(mx - nx, my - ny)), filled(windB(mx - nx, my - ny)));
+    if (L === R) continue;
+    kept.push(L ? [x1, y1, x2, y2] : [x2, y2, x1, y1]);
+  }
+
+  // 4. stitch into closed contours
+  return _stitch(kept).map(c => removeCollinear(c, grid)).filter(c => c.length >= 3 && Math.abs(signedArea(c)) > grid * grid);
+}
+
+export const union      = (a, b, opts) => polygonBoolean(a, b, 'union', opts);
+export const intersect  = (a, b, opts) => polygonBoolean(a, b, 'intersect', opts);
+export const difference = (a, b, opts) => polygonBoolean(a, b, 'difference', opts);
+export const xor        = (a, b, opts) => polygonBoolean(a, b, 'xor', opts);
+
+/** Union of many shapes, left to right. */
+export function unionAll(shapes, opts) {
+  return shapes.reduce((acc, s) => polygonBoolean(acc, s, 'union', opts), []);
+}
+
+/** Resolve self-intersections and overlaps of one shape (even-odd by default). */
+export function simplifyShape(shape, opts) {
+  return polygonBoolean(shape, [], 'union', opts);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Input / output adapters
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Normalise any supported shape to contours [[[x,y], …], …].
+ * Accepts: [[x,y], …] · [{x,y}, …] · [[[x,y], …], …] · path commands [{cmd:'M',x,y}, …]
+ * (or a list of those) · makeParametric() items {kind:'param2d', x(i), y(i), steps}.
+ * A repeated closing point is dropped.
+ */
+export function toContours(shape) {
+  if (shape == null) return [];
+  if (shape.kind === 'param2d') {
+    const ring = [];
+    for (let i = 0; i < shape.steps; i++) ring.push([+shape.x(i), +shape.y(i)]);
+    return _clean([ring]);
+  }
+  if (!Array.isArray(shape) || !shape.length) return [];
+  const first = shape[0];
+  if (_isPoint(first)) return _clean([shape.map(_pt)]);
+  if (first && typeof first.cmd === 'string') return _clean(_commandsToRings(shape));
+  return _clean(shape.flatMap(s => toContours(s)));
+}
+
+/** Contours → Funebra2DLayer path commands (one path, one M…Z per contour). */
+export function contoursToPathCommands(contours) {
+  const cmds = [];
+  for (const c of toContours(contours)) {
+    c.forEach(([x, y], i) => cmds.push({ cmd: i ? 'L' : 'M', x, y }));
+    cmds.push({ cmd: 'Z' });
+  }
+  return cmds;
+}
+
+/** Contours → SVG path data ("M … Z M … Z"). */
+export function contoursToSVGPath(contours, digits = 3) {
+  const f = (v) => +v.toFixed(digits);
+  return toContours(contours).map(c => 'M ' + c.map(([x, y]) => `${f(x)} ${f(y)}`).join(' L ') + ' Z').join(' ');
+}
+
+/**
+ * Contours → [{ outer, holes }] (each hole under the smallest outer that contains it).
+ * Expects boolean-op orientation (outers positive area, holes negative); run
+ * simplifyShape() first on hand-made contours.
+ */
+export function groupContours(contours) {
+  const rings = toContours(contours);
+  const outers = [], holes = [];
+  for (const r of rings) (signedArea(r) >= 0 ? outers : holes).push(r);
+  const groups = outers.map(o => ({ outer: o, holes: [], area: signedArea(o) }));
+  for (const h of holes) {
+    let best = null;
+    for (const g of groups) {
+      if (windingNumber(h[0][0], h[0][1], [g.outer]) !== 0 && (!best || g.area < best.area)) best = g;
+    }
+    if (best) best.holes.push(h);
+    else groups.push({ outer: h.slice().reverse(), holes: [], area: -signedArea(h) });   // stray hole → treat as outer
+  }
+  return groups.map(({ outer, holes }) => ({ outer, holes }));
+}
+
+// Multi-contour walkers (same edge stepping as _polyPathX/_polyPathY, contour after contour)
+function _contourAt(o, contours, stepsPerEdge) {
+  const rings = Array.isArray(contours?.[0]?.[0]) ? contours : [contours];
+  let total = 0;
+  for (const r of rings) total += r.length;
+  if (!total) return [0, 0];
+  let e = Math.floor(o / stepsPerEdge) % total;
+  if (e < 0) e += total;
+  const t = (o % stepsPerEdge) / stepsPerEdge;
+  for (const r of rings) {
+    if (e < r.length) {
+      const [x1, y1] = r[e], [x2, y2] = r[(e + 1) % r.length];
+      return [(1 - t) * x1 + t * x2, (1 - t) * y1 + t * y2];
+    }
+    e -= r.length;
+  }
+  return [0, 0];
+}
+export function contourX(o, contours, stepsPerEdge = 20) { return _contourAt(o, contours, stepsPerEdge)[0]; }
+export function contourY(o, contours, stepsPerEdge = 20) { return _contourAt(o, contours, stepsPerEdge)[1]; }
+
+/** Steps needed to walk every edge of every contour once with contourX/Y. */
+export function contourSteps(contours, stepsPerEdge = 20) {
+  return toContours(contours).reduce((n, c) => n + c.length, 0) * stepsPerEdge;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Geometry utilities
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Shoelace area (positive for counter-clockwise in y-up coordinates). */
+export function signedArea(ring) {
+  let a = 0;
+  for (let i = 0, n = ring.length; i < n; i++) {
+    const [x1, y1] = ring[i], [x2, y2] = ring[(i + 1) % n];
+    a += x1 * y2 - x2 * y1;
+  }
+  return a / 2;
+}
+
+/** Winding number of (x, y) against a set of rings. */
+export function windingNumber(x, y, rings) {
+  let w = 0;
+  for (const r of rings) {
+    for (let i = 0, n = r.length; i < n; i++) {
+      const [x1, y1] = r[i], [x2, y2] = r[(i + 1) % n];
+      if (y1 <= y) {
+        if (y2 > y && (x2 - x1) * (y - y1) - (x - x1) * (y2 - y1) > 0) w++;
+      } else if (y2 <= y && (x2 - x1) * (y - y1) - (x - x1) * (y2 - y1) < 0) w--;
+    }
+  }
+  return w;
+}
+
+/** Point-in-shape test with a fill rule. */
+export function containsPoint(shape, x, y, { fillRule = 'evenodd' } = {}) {
+  return FILL_RULES[fillRule](windingNumber(x, y, toContours(shape)));
+}
+
+export function contoursBounds(contours) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const c of contours) for (const [x, y] of c) {
+    if (x < minX) minX = x; if (x > maxX) maxX = x;
+    if (y < minY) minY = y; if (y > maxY) maxY = y;
+  }
+  return { minX, minY, maxX, maxY };
+}
+
+/** Drop repeated and collinear vertices from a closed ring. */
+export function removeCollinear(ring, eps = 1e-12) {
+  let pts = ring.slice();
+  let changed = true;
+  while (changed && pts.length >= 3) {
+    changed = false;
+    for (let i = 0; i < pts.length && pts.length >= 3; i++) {
+      const n = pts.length;
+      const [ax, ay] = pts[(i - 1 + n) % n], [bx, by] = pts[i], [cx, cy] = pts[(i + 1) % n];
+      const cross = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+      const span = Math.hypot(cx - ax, cy - ay);
+      if ((ax === bx && ay === by) || Math.abs(cross) <= eps * Math.max(span, eps)) {
+        pts.splice(i, 1); i--; changed = true;
+      }
+    }
+  }
+  return pts;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Internals
+// ─────────────────────────────────────────────────────────────────────────────
+
+function _isPoint(p) {
+  return (Array.isArray(p) && typeof p[0] === 'number') || (p && typeof p.x === 'number' && typeof p.cmd !== 'string');
+}
+function _pt(p) { return Array.isArray(p) ? [+p[0], +p[1]] : [+p.x, +p.y]; }
+
+function _clean(rings) {
+  const out = [];
+  for (const r of rings) {
+    const c = r.filter(([x, y], i) => Number.isFinite(x) && Number.isFinite(y) && (i === 0 || x !== r[i - 1][0] || y !== r[i - 1][1]));
+    while (c.length > 1 && c[0][0] === c[c.length - 1][0] && c[0][1] === c[c.length - 1][1]) c.pop();
+    if (c.length >= 3) out.push(c);
+  }
+  return out;
+}
+
+function _commandsToRings(cmds) {
+  const rings = [];
+  let cur = null;
+  for (const c of cmds) {
+    if (c.cmd === 'M') { if (cur) rings.push(cur); cur = [[c.x, c.y]]; }
+    else if (c.cmd === 'Z') { if (cur) rings.push(cur); cur = null; }
+    else if ('x' in c && 'y' in c) (cur ||= []).push([c.x, c.y]);   // L, and C/Q/A endpoints
+  }
+  if (cur) rings.push(cur);
+  return rings;
+}
+
+function _pushRing(segs, ring, owner) {
+  for (let i = 0, n = ring.length; i < n; i++) {
+    const [x1, y1] = ring[i], [x2, y2] = ring[(i + 1) % n];
+    if (x1 === x2 && y1 === y2) continue;
+    segs.push({
+      x1, y1, x2, y2, owner, ts: [0, 1],
+      minX: Math.min(x1, x2), maxX: Math.max(x1, x2), minY: Math.min(y1, y2), maxY: Math.max(y1, y2),
+    });
+  }
+}
+
+// All pairwise crossings, touches and collinear overlaps (sorted by minX to prune)
+function _splitSegments(segs, grid) {
+  const order = segs.slice().sort((a, b) => a.minX - b.minX);
+  const tol = grid;
+  for (let i = 0; i < order.length; i++) {
+    const p = order[i];
+    const rx = p.x2 - p.x1, ry = p.y2 - p.y1, rr = rx * rx + ry * ry;
+    for (let j = i + 1; j < order.length; j++) {
+      const q = order[j];
+      if (q.minX > p.maxX + tol) break;
+      if (q.minY > p.maxY + tol || q.maxY < p.minY - tol) continue;
+      const sx = q.x2 - q.x1, sy = q.y2 - q.y1, ss = sx * sx + sy * sy;
+      const qpx = q.x1 - p.x1, qpy = q.y1 - p.y1;
+      const den = rx * sy - ry * sx;
+      const lr = Math.sqrt(rr), ls = Math.sqrt(ss);
+      if (Math.abs(den) > 1e-10 * lr * ls) {
+        const t = (qpx * sy - qpy * sx) / den;
+        const u = (qpx * ry - qpy * rx) / den;
+        const et = tol / lr, eu = tol / ls;
+        if (t >= -et && t <= 1 + et && u >= -eu && u <= 1 + eu) {
+          _addT(p, t, et); _addT(q, u, eu);
+        }
+      } else if (Math.abs(rx * qpy - ry * qpx) <= tol * lr) {   // collinear overlap
+        _addT(p, (qpx * rx + qpy * ry) / rr, tol / lr);
+        _addT(p, ((q.x2 - p.x1) * rx + (q.y2 - p.y1) * ry) / rr, tol / lr);
+        _addT(q, ((p.x1 - q.x1) * sx + (p.y1 - q.y1) * sy) / ss, tol / ls);
+        _addT(q, ((p.x2 - q.x1) * sx + (p.y2 - q.y1) * sy) / ss, tol / ls);
+      }
+    }
+  }
+}
+
+// windingNumber() with edges bucketed into horizontal bands (only edges spanning y can count)
+function _windingIndex(rings) {
+  const edges = [];
+  for (const r of rings) for (let i = 0, n = r.length; i < n; i++) {
+    const [x1, y1] = r[i], [x2, y2] = r[(i + 1) % n];
+    if (y1 !== y2) edges.push([x1, y1, x2, y2]);
+  }
+  if (!edges.length) return () => 0;
+  let minY = Infinity, maxY = -Infinity;
+  for (const e of edges) { minY = Math.min(minY, e[1], e[3]); maxY = Math.max(maxY, e[1], e[3]); }
+  const nb = Math.max(1, Math.ceil(Math.sqrt(edges.length)));
+  const h = (maxY - minY) / nb || 1;
+  const band = (y) => Math.min(nb - 1, Math.max(0, Math.floor((y - minY) / h)));
+  const bands = Array.from({ length: nb }, () => []);
+  for (const e of edges) {
+    const b0 = band(Math.min(e[1], e[3])), b1 = band(Math.max(e[1], e[3]));
+    for (let b = b0; b <= b1; b++) bands[b].push(e);
+  }
+  return (x, y) => {
+    if (y < minY || y > maxY) return 0;
+    let w = 0;
+    for (const [x1, y1, x2, y2] of bands[band(y)]) {
+      if (y1 <= y) {
+        if (y2 > y && (x2 - x1) * (y - y1) - (x - x1) * (y2 - y1) > 0) w++;
+      } else if (y2 <= y && (x2 - x1) * (y - y1) - (x - x1) * (y2 - y1) < 0) w--;
+    }
+    return w;
+  };
+}
+
+function _addT(s, t, e) {
+  if (t > e && t < 1 - e) s.ts.push(t);
+}
+
+// Walk kept pieces into rings; at shared vertices take the tightest turn so
+// touching regions come out as separate simple contours.
+function _stitch(edges) {
+  const out = new Map();
+  const key = (x, y) => x + ',' + y;
+  edges.forEach((e, i) => {
+    const k = key(e[0], e[1]);
+    if (!out.has(k)) out.set(k, []);
+    out.get(k).push(i);
+  });
+  const used = new Uint8Array(edges.length);
+  const rings = [];
+  for (let s = 0; s < edges.length; s++) {
+    if (used[s]) continue;
+    const ring = [];
+    const startKey = key(edges[s][0], edges[s][1]);
+    let cur = s;
+    for (let guard = 0; guard <= edges.length; guard++) {
+      used[cur] = 1;
+      const [x1, y1, x2, y2] = edges[cur];
+      ring.push([x1, y1]);
+      const k = key(x2, y2);
+      if (k === startKey) break;
+      const cands = (out.get(k) || []).filter(i => !used[i]);
+      if (!cands.length) break;
+      const back = Math.atan2(y1 - y2, x1 - x2);
+      let best = cands[0], bestTurn = Infinity;
+      for (const i of cands) {
+        const a = Math.atan2(edges[i][3] - edges[i][1], edges[i][2] - edges[i][0]);
+        let cw = back - a;
+        while (cw <= 0) cw += 2 * Math.PI;
+        while (cw > 2 * Math.PI) cw -= 2 * Math.PI;
+        if (cw < bestTurn) { bestTurn = cw; best = i; }
+      }
+      cur = best;
+    }
+    if (ring.length >= 3) rings.push(ring);
+  }
+  return rings;
+}
+
+export default {
+  OPS, FILL_RULES, polygonBoolean, union, intersect, difference, xor, unionAll, simplifyShape,
+  toContours, contoursToPathCommands, contoursToSVGPath, groupContours,
+  contourX, contourY, contourSteps,
+  signedArea, windingNumber, containsPoint, contoursBounds, removeCollinear,
+};
@@ -0,0 +1,1093 @@
+// funebra-cli.module.js — One `funebra` command line for pixels, render, mesh, convert and export (ESM, Node 18+)
+// - run(argv): subcommands with typed options; every generator option is a
+//   flag, unknown or malformed options are reported together before any work.
+// - --config file.json|.yaml supplies the same options (flags win); `export`
+//   runs a list of jobs from one config file, paths relative to that file.
+// - Outputs by extension: PNG / SVG / JSON for pixels and render, OBJ / STL /
+//   3MF / JSON for meshes; pass --out (repeatable) or --png/--svg/... <file>.
+// - Exit codes: 0 ok, 1 a job failed (evaluation, I/O, --strict mesh check),
+//   2 usage or validation error.
+// - pngjs and three are loaded only by the commands that need them.
+//
+// Usage:
+//   node funebra.cli.js pixels rose --k 7 --width 96 --out rose.png --scale 4
+//   node funebra.cli.js pixels sdf --shape '["subtract",["circle",{"r":1}],["star",{"outer":0.6}]]' --out cut.svg
+//   node funebra.cli.js mesh iso --shape '["heart",{"size":20,"depth":6}]' --method dc --out heart.stl --repair
+//   node funebra.cli.js convert model.obj --out model.3mf --unit millimeter
+//   node funebra.cli.js convert sketch.png --out sketch.csv --trace canny --targetHeight 150
+//   node funebra.cli.js export jobs.yaml
+//   import { run } from './funebra-cli.module.js';  const code = await run(['help']);
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import * as FP from './funebra-pixels.module.js';
+import * as ISO from './funebra-isosurface.module.js';
+import * as MESH from './funebra-mesh.module.js';
+import * as MF from './funebra-3mf.module.js';
+import * as Scene from './funebra-scene.module.js';
+import * as TRACE from './funebra-trace.module.js';
+import { meshToSTL, meshToOBJ } from './funebra.exporters.module.js';
+
+export const EXIT = { OK: 0, FAILED: 1, USAGE: 2 };
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Arguments and config files
+// ─────────────────────────────────────────────────────────────────────────────
+
+const SHORT = { o: 'out', c: 'config', h: 'help' };
+
+/**
+ * argv → { _: positionals, ...options }. Accepts --key value, --key=value,
+ * bare --flag (true), --no-flag (false) and -o / -c / -h. Repeated keys
+ * collect into an array; values stay strings until the option tables type them.
+ */
+export function parseArgs(argv) {
+  const out = { _: [] };
+  const put = (k, v) => {
+    if (!(k in out)) out[k] = v;
+    else out[k] = [].concat(out[k], v);
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = String(argv[i]);
+    let m;
+    if (a === '--') { out._.push(...argv.slice(i + 1).map(String)); break; }
+    if ((m = /^--no-([^=]+)$/.exec(a))) { put(m[1], false); continue; }
+    if ((m = /^--([^=]+)=(.*)$/s.exec(a))) { put(m[1], m[2]); continue; }
+    if ((m = /^--(.+)$/.exec(a)) || (m = /^-([a-zA-Z])$/.exec(a))) {
+      const key = a.startsWith('--') ? m[1] : (SHORT[m[1]] || m[1]);
+      const next = argv[i + 1];
+      if (next !== undefined && !/^--?[a-zA-Z]/.test(String(next))) { put(key, String(next)); i++; }
+      else put(key, true);
+      continue;
+    }
+    out._.push(a);
+  }
+  return out;
+}
+
+/**
+ * The YAML subset config files use: block maps and lists (including
+ * `- key: value` items), flow [..] / {..} on one line, quoted and plain
+ * scalars, `|` / `>` block text and # comments. Anchors, tags and multi-line
+ * flow collections are not supported.
+ */
+export function parseYAML(text) {
+  const lines = [];
+  String(text).split(/\r?\n/).forEach((raw, n) => {
+    if (/^\s*(---|\.\.\.)\s*$/.test(raw)) return;
+    const body = _stripComment(raw);
+    if (!body.trim()) { lines.push({ n: n + 1, indent: -1, text: '', raw }); return; }
+    if (/^\s*\t/.test(raw)) throw new Error(`parseYAML: tab indentation on line ${n + 1}`);
+    lines.push({ n: n + 1, indent: body.length - body.trimStart().length, text: body.trim(), raw });
+  });
+  let i = 0;
+  const skipBlank = () => { while (i < lines.length && lines[i].indent < 0) i++; };
+
+  const block = (indent) => {
+    skipBlank();
+    if (i >= lines.length) return null;
+    return lines[i].text.startsWith('- ') || lines[i].text === '-' ? seq(lines[i].indent) : map(lines[i].indent);
+  };
+  const seq = (indent) => {
+    const list = [];
+    for (skipBlank(); i < lines.length && lines[i].indent === indent; skipBlank()) {
+      const L = lines[i];
+      if (!(L.text.startsWith('- ') || L.text === '-')) throw new Error(`parseYAML: expected "- " on line ${L.n}`);
+      const rest = L.text.slice(1).trim();
+      if (!rest) { i++; list.push(_deeper(indent) ? block() : null); continue; }
+      if (_isKeyLine(rest)) {
+        // "- key: value" opens a map whose further keys sit under the first one
+        const inner = indent + (L.text.length - rest.length);
+        lines[i] = { ...L, indent: inner, text: rest };
+        list.push(map(inner));
+        continue;
+      }
+      i++;
+      list.push(value(rest, indent, L));
+    }
+    return list;
+  };
+  const map = (indent) => {
+    const obj = {};
+    for (skipBlank(); i < lines.length && lines[i].indent === indent; skipBlank()) {
+      const L = lines[i];
+      const m = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^:]+?)\s*:(?:\s+(.*)|$)/.exec(L.text);
+      if (!m) throw new Error(`parseYAML: expected "key: value" on line ${L.n}`);
+      const key = /^["']/.test(m[1]) ? _scalar(m[1], L) : m[1];
+      i++;
+      const rest = (m[2] || '').trim();
+      if (!rest) {
+        skipBlank();
+        // a list may sit at the same indent as its key
+        const nested = i < lines.length && (lines[i].indent > indent || (lines[i].indent === indent && lines[i].text.startsWith('- ')));
+        obj[key] = nested ? block() : null;
+      } else obj[key] = value(rest, indent, L);
+    }
+    skipBlank();
+    if (i < lines.length && lines[i].indent > indent) throw new Error(`parseYAML: unexpected indentation on line ${lines[i].n}`);
+    return obj;
+  };
+  const value = (text, indent, L) => {
+    if (/^[|>][+-]?$/.test(text)) {
+      const body = [];
+      let base = -1;
+      while (i < lines.length && (lines[i].indent < 0 || lines[i].indent > indent)) {
+        const raw = lines[i].raw;
+        if (lines[i].indent >= 0 && base < 0) base = lines[i].indent;
+        body.push(lines[i].indent < 0 ? '' : raw.slice(base));
+        i++;
+      }
+      while (body.length && !body[body.length - 1]) body.pop();
+      const s = text[0] === '|' ? body.join('\n') : body.join(' ').replace(/ {2,}/g, ' ');
+      return text.endsWith('-') ? s : s + '\n';
+    }
+    if (text[0] === '[' || text[0] === '{') return _flow(text, L);
+    return _scalar(text, L);
+  };
+  const _deeper = (indent) => { skipBlank(); return i < lines.length && lines[i].indent > indent; };
+
+  const doc = block(0);
+  skipBlank();
+  if (i < lines.length) throw new Error(`parseYAML: unexpected indentation on line ${lines[i].n}`);
+  return doc;
+}
+
+function _stripComment(line) {
+  let q = null;
+  for (let k = 0; k < line.length; k++) {
+    const c = line[k];
+    if (q) { if (c === q && line[k - 1] !== '\\') q = null; continue; }
+    if (c === '"' || c === "'") q = c;
+    else if (c === '#' && (k === 0 || /\s/.test(line[k - 1]))) return line.slice(0, k);
+  }
+  return line;
+}
+
+function _isKeyLine(text) {
+  return /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s\[{"'][^:]*?)\s*:(\s|$)/.test(text);
+}
+
+function _scalar(text, L) {
+  const s = text.trim();
+  if (s.startsWith('"')) {
+    try { return JSON.parse(s); } catch { throw new Error(`parseYAML: bad double-quoted string on line ${L.n}`); }
+  }
+  if (s.startsWith("'")) {
+    if (!/^'(?:[^']|'')*'$/.test(s)) throw new Error(`parseYAML: bad single-quoted string on line ${L.n}`);
+    return s.slice(1, -1).replace(/''/g, "'");
+  }
+  if (/^(null|~)$/i.test(s)) return null;
+  if (/^true$/i.test(s)) return true;
+  if (/^false$/i.test(s)) return false;
+  if (/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(s)) return Number(s);
+  if (/^0x[0-9a-f]+$/i.test(s)) return parseInt(s, 16);
+  return s;
+}
+
+// one-line [..] / {..} with nested collections, quoted strings and plain scalars
+function _flow(text, L) {
+  let k = 0;
+  const ws = () => { while (/\s/.test(text[k] || '')) k++; };
+  const fail = () => { throw new Error(`parseYAML: malformed flow collection on line ${L.n}`); };
+  const item = (stop) => {
+    ws();
+    if (text[k] === '[' || text[k] === '{') return coll();
+    if (text[k] === '"' || text[k] === "'") {
+      const q = text[k], start = k++;
+      while (k < text.length && !(text[k] === q && (q === "'" ? text[k + 1] !== "'" : text[k - 1] !== '\\'))) k += q === "'" && text[k] === "'" ? 2 : 1;
+      if (k >= text.length) fail();
+      return _scalar(text.slice(start, ++k), L);
+    }
+    const start = k;
+    while (k < text.length && !stop.includes(text[k])) k++;
+    return _scalar(text.slice(start, k), L);
+  };
+  const coll = () => {
+    const open = text[k++], close = open === '[' ? ']' : '}';
+    const out = open === '[' ? [] : {};
+    ws();
+    if (text[k] === close) { k++; return out; }
+    for (;;) {
+      if (open === '[') out.push(item(',]'));
+      else {
+        const key = item(':,}');
+        ws();
+        if (text[k] !== ':') fail();
+        k++;
+        out[String(key)] = item(',}');
+      }
+      ws();
+      if (text[k] === ',') { k++; continue; }
+      if (text[k] === close) { k++; return out; }
+      fail();
+    }
+  };
+  const v = coll();
+  ws();
+  if (k !== text.length) fail();
+  return v;
+}
+
+/** Read a .json / .yaml / .yml config file. */
+export async function loadConfig(file) {
+  const text = await fs.readFile(file, 'utf8');
+  if (/\.ya?ml$/i.test(file)) return parseYAML(text);
+  try { return JSON.parse(text); }
+  catch (e) {
+    if (/\.json$/i.test(file)) throw new Error(`loadConfig: ${file}: ${e.message}`);
+    return parseYAML(text);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Option tables
+// ─────────────────────────────────────────────────────────────────────────────
+// type: int | number | bool | string | enum (values) | colors | domain |
+// numbers (len) | points | json | sdf2d | sdf3d | curve | file
+
+const O = {
+  int: (desc, min, max) => ({ type: 'int', desc, min, max }),
+  num: (desc, min, max) => ({ type: 'number', desc, min, max }),
+  bool: (desc) => ({ type: 'bool', desc }),
+  str: (desc) => ({ type: 'string', desc }),
+  oneOf: (values, desc) => ({ type: 'enum', values, desc }),
+};
+
+const PIXEL_COMMON = {
+  width: O.int('matrix width in pixels', 1, 4096),
+  height: O.int('matrix height in pixels', 1, 4096),
+  palette: { type: 'colors', desc: 'comma list of #rgb / #rrggbb / #rrggbbaa colours' },
+  domain: { type: 'domain', desc: 'xmin,xmax,ymin,ymax of the drawn region' },
+  lineColorIndex: O.int('palette index of the curve', -1),
+};
+
+export const PIXEL_GENERATORS = {
+  rose: {
+    desc: 'rose curve r = cos(kθ) with an optional radial glow',
+    make: FP.roseToPixels,
+    options: {
+      k: O.num('petal factor (odd k → k petals, even → 2k)'),
+      steps: O.int('samples along the curve', 3),
+      glow: O.bool('radial glow under the curve'),
+      smoothGlow: O.bool('continuous glow, median-cut back to --colors'),
+      colors: O.int('palette size for --smoothGlow', 2, 256),
+      dither: O.oneOf(['none', 'floyd-steinberg', 'ordered'], 'dithering for --smoothGlow'),
+    },
+  },
+  spiro: {
+    desc: 'spirograph (hypotrochoid)',
+    make: FP.spiroToPixels,
+    options: {
+      R: O.num('fixed circle radius', 0),
+      r: O.num('rolling circle radius', 0),
+      d: O.num('pen distance from the rolling centre'),
+      steps: O.int('samples along the curve', 3),
+    },
+  },
+  heart: {
+    desc: 'implicit heart (x² + y² − 1)³ = x²y³',
+    make: FP.heartToPixels,
+    options: { iso: O.num('contour level') },
+  },
+  star: {
+    desc: 'n-pointed star outline',
+    make: FP.starToPixels,
+    options: {
+      points: O.int('number of points', 2, 1000),
+      inner: O.num('inner radius', 0),
+      outer: O.num('outer radius', 0),
+      stepsPerEdge: O.int('samples per edge', 1),
+    },
+  },
+  sdf: {
+    desc: 'anti-aliased 2D signed-distance shapes (sdf2d)',
+    make: _sdfPixels,
+    omit: ['lineColorIndex'],
+    options: {
+      shape: { type: 'sdf2d', desc: 'shape spec, e.g. ["union",["circle",{"r":1}],["box",{"size":1.5}]]' },
+      layers: { type: 'json', desc: 'list of { shape, color, stroke, opacity, mode } drawn in order' },
+      color: O.str('fill colour for --shape'),
+      stroke: O.num('draw a band of this width around the outline instead of filling', 0),
+      background: O.str('colour under everything (default transparent)'),
+      levels: O.int('coverage steps (1 = hard edges)', 0, 255),
+    },
+    check: (o) => (o.shape == null && o.layers == null ? ['shape: required (or --layers)'] : []),
+  },
+};
+
+const MESH_COMMON = {
+  repair: O.bool('weld, drop degenerate faces, fix winding and fill small holes'),
+  maxHoleEdges: O.int('largest hole --repair fills', 3),
+  strict: O.bool('fail (exit 1) unless the final mesh is watertight'),
+  report: O.bool('print the mesh analysis'),
+  scale: O.num('multiply every coordinate (unit conversion)', 0),
+  unit: O.oneOf(MF.UNITS, '3MF unit (default millimeter)'),
+  name: O.str('object name in OBJ / STL / 3MF'),
+  color: O.str('3MF object colour'),
+  binary: O.bool('binary STL (default true; --no-binary for ASCII)'),
+};
+
+export const MESH_KINDS = {
+  iso: {
+    desc: 'implicit surface from an sdf spec (marching cubes / dual contouring)',
+    options: {
+      shape: { type: 'sdf3d', desc: 'shape spec, e.g. ["subtract",["heart",{"size":20,"depth":6}],["cylinder",{"r":2,"h":10,"axis":"z"}]]', required: true },
+      method: O.oneOf(['mc', 'dc'], 'marching cubes or dual contouring (default mc)'),
+      resolution: O.int('cells along the longest side', 4, 1024),
+      iso: O.num('surface level'),
+      adaptive: O.bool('octree narrow-band sampling'),
+      cap: O.bool('close surfaces cut by the bounds'),
+      bounds: { type: 'numbers', len: 6, desc: 'minx,miny,minz,maxx,maxy,maxz (default: the shape bounds)' },
+    },
+  },
+  lathe: {
+    desc: 'revolve a [[r, h], …] profile around an axis',
+    options: {
+      profile: { type: 'points', desc: 'profile points [[r, h], …] or a curve spec', required: true },
+      segments: O.int('steps around the axis', 3),
+      profileSegments: O.int('samples along a smooth profile', 2),
+      phiLength: O.num('swept angle in radians'),
+      axis: O.oneOf(['x', 'y', 'z'], 'axis of revolution'),
+      caps: O.bool('close open profile ends'),
+    },
+  },
+  tube: {
+    desc: 'round tube along a path',
+    options: {
+      path: { type: 'curve', desc: 'path points [[x, y, z], …] or a curve spec ["circle",{"r":50}]', required: true },
+      closed: O.bool('treat a point path as a loop'),
+      radius: O.num('tube radius', 0),
+      radialSegments: O.int('points around the tube', 3),
+      segments: O.int('steps along the path', 1),
+      caps: O.bool('close the ends of an open path'),
+    },
+  },
+  sweep: {
+    desc: 'sweep a 2D profile along a path',
+    options: {
+      path: { type: 'curve', desc: 'path points or curve spec', required: true },
+      profile: { type: 'curve', desc: 'closed 2D profile points or curve spec', required: true },
+      closed: O.bool('treat a point path as a loop'),
+      twist: O.num('total twist in radians'),
+      segments: O.int('steps along the path', 1),
+      profileSegments: O.int('samples around a smooth profile', 3),
+      caps: O.bool('close the ends of an open path'),
+    },
+  },
+};
+
+// build3D solids; every kind takes the sizes it understands (see script.shapes.module.js)
+const SOLID_SIZE = {
+  size: O.num('cube edge', 0), w: O.num('width', 0), h: O.num('height (cuboid)', 0), d: O.num('depth', 0),
+  r: O.num('radius', 0), radius: O.num('radius (prism, hemisphere)', 0), height: O.num('height', 0),
+  sides: O.int('prism sides', 3), segments: O.int('radial segments', 3),
+  widthSegments: O.int('sphere segments around', 3), heightSegments: O.int('sphere segments along', 2),
+};
+for (const kind of ['cube', 'cuboid', 'cylinder', 'sphere', 'hemisphere', 'cone', 'tetrahedron', 'octahedron', 'pyramid', 'prism']) {
+  MESH_KINDS[kind] = { desc: `build3D('${kind}')`, solid: true, options: SOLID_SIZE };
+}
+
+const RENDER_OPTIONS = {
+  steps: O.str('o step (expression)'),
+  stpStart: O.str('step start (expression)'),
+  stpEnd: O.str('step end (expression)'),
+  scodeX: O.str('x(o) formula'),
+  scodeY: O.str('y(o) formula'),
+  clor: O.str('colour formula ("rgb(...)" string)'),
+  itext: O.str('glyph formula ("&#9787;")'),
+  wL: O.str('wL field'),
+  hT: O.str('hT field'),
+  inputs: { type: 'file', desc: 'read the fields above from a JSON file' },
+  scene: { type: 'file', desc: 'render a .funebra.json scene (all visible layers + camera)' },
+  gta: O.num('page clock gta (default 360)'),
+  cz: O.num('page clock cz (default 3)'),
+  width: O.int('canvas width', 1, 16384),
+  height: O.int('canvas height', 1, 16384),
+  mode: O.oneOf(['glyph', 'dot', 'line'], 'glyph | dot | line (PNG draws glyphs as dots)'),
+  radius: O.num('dot radius / line width', 0),
+  bg: O.str('background colour (default transparent)'),
+};
+
+const CONVERT_OPTIONS = {
+  palette: PIXEL_COMMON.palette,
+  colors: O.int('PNG → pixels: palette size', 2, 256),
+  dither: O.oneOf(['none', 'floyd-steinberg', 'ordered'], 'PNG → pixels: dithering'),
+  alphaThreshold: O.int('PNG → pixels: alpha below this is transparent', 0, 256),
+  trace: O.oneOf(TRACE.TRACE_METHODS, 'PNG → CSV points: sampling method (default threshold)'),
+  level: O.num('PNG → CSV: threshold level 0–255 (default Otsu)', 0, 255),
+  invert: O.bool('PNG → CSV: light ink on a dark background'),
+  count: O.int('PNG → CSV: stipple points', 1),
+  targetHeight: O.int('PNG → CSV: resample to this height first', 1),
+  step: O.num('PNG → CSV: spacing between pixels in Funebra units', 0),
+  flipY: O.bool('PNG → CSV: +Y up'),
+  ...MESH_COMMON,
+};
+
+const OUTPUT_OPTIONS = {
+  out: { type: 'file', desc: 'output file; format from the extension (repeatable)' },
+  scale: O.int('pixel size in PNG / SVG output', 1, 256),
+  pretty: O.bool('indent JSON output'),
+  matrixOnly: O.bool('pixels JSON: just the matrix array, as the old pixel CLIs wrote it'),
+};
+
+const FORMAT_FLAGS = ['png', 'svg', 'json', 'obj', 'stl', '3mf'];
+const PATH_KEYS = ['out', 'in', 'inputs', 'scene', 'config', ...FORMAT_FLAGS];
+const CONTROL_KEYS = ['_', 'help', 'config', 'command', 'generator', 'kind', 'in', ...FORMAT_FLAGS];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Validation
+// ─────────────────────────────────────────────────────────────────────────────
+
+function _usage(message, problems = []) {
+  return Object.assign(new Error(message), { exitCode: EXIT.USAGE, problems });
+}
+
+// alias spellings the older CLIs used
+const ALIASES = { w: 'width', h: 'height' };
+
+/**
+ * Type every option against its table. Returns { opts, problems } where
+ * problems lists every unknown, malformed or missing option.
+ */
+function _typed(raw, table) {
+  const opts = {}, problems = [];
+  for (let [key, value] of Object.entries(raw)) {
+    if (CONTROL_KEYS.includes(key) || key === 'out') continue;
+    key = ALIASES[key] && table[ALIASES[key]] ? ALIASES[key] : key;
+    const spec = table[key];
+    if (!spec) { problems.push(`${key}: unknown option${_suggest(key, Object.keys(table))}`); continue; }
+    if (Array.isArray(value) && !['json', 'points', 'curve', 'sdf2d', 'sdf3d', 'numbers', 'colors'].includes(spec.type)) value = value[value.length - 1];
+    try { opts[key] = _coerce(spec, value); }
+    catch (e) { problems.push(`${key}: ${e.message}`); }
+  }
+  for (const [key, spec] of Object.entries(table)) if (spec.required && raw[key] == null) problems.push(`${key}: required`);
+  return { opts, problems };
+}
+
+function _coerce(spec, v) {
+  const text = typeof v === 'string' ? v.trim() : v;
+  const json = () => {
+    if (typeof text !== 'string') return text;
+    try { return JSON.parse(text); }
+    catch { throw new Error(`expected JSON, got "${text}"`); }
+  };
+  switch (spec.type) {
+    case 'int':
+    case 'number': {
+      const n = typeof text === 'number' ? text : text === '' || text === true ? NaN : Number(text);
+      if (!Number.isFinite(n)) throw new Error(`expected a number, got "${v}"`);
+      if (spec.type === 'int' && !Number.isInteger(n)) throw new Error(`expected an integer, got ${n}`);
+      if (spec.min != null && n < spec.min) throw new Error(`must be ≥ ${spec.min}, got ${n}`);
+      if (spec.max != null && n > spec.max) throw new Error(`must be ≤ ${spec.max}, got ${n}`);
+      return n;
+    }
+    case 'bool':
+      if (typeof text === 'boolean') return text;
+      if (/^(true|yes|on|1)$/i.test(text)) return true;
+      if (/^(false|no|off|0)$/i.test(text)) return false;
+      throw new Error(`expected true or false, got "${v}"`);
+    case 'string':
+    case 'file':
+      if (typeof text === 'boolean' || text == null) throw new Error('expects a value');
+      return String(text);
+    case 'enum':
+      if (!spec.values.includes(text)) throw new Error(`expected one of ${spec.values.join(', ')}, got "${v}"`);
+      return text;
+    case 'colors': {
+      const list = Array.isArray(text) ? text.flatMap((c) => String(c).split(',')) : String(text).split(',');
+      const colors = list.map((c) => c.trim()).filter(Boolean);
+      if (!colors.length) throw new Error('expected at least one colour');
+      for (const c of colors) FP.toRGBA(c);
+      return colors;
+    }
+    case 'numbers': {
+      const list = Array.isArray(text) ? text.map(Number) : typeof text === 'string' && text.startsWith('[') ? json().map(Number) : String(text).split(',').map(Number);
+      if (list.some((n) => !Number.isFinite(n))) throw new Error(`expected numbers, got "${v}"`);
+      if (spec.len && list.length !== spec.len) throw new Error(`expected ${spec.len} numbers, got ${list.length}`);
+      return list;
+    }
+    case 'domain': {
+      if (text && typeof text === 'object' && !Array.isArray(text)) {
+        const d = { xmin: +text.xmin, xmax: +text.xmax, ymin: +text.ymin, ymax: +text.ymax };
+        if (Object.values(d).some((n) => !Number.isFinite(n))) throw new Error('expected { xmin, xmax, ymin, ymax }');
+        return _checkDomain(d);
+      }
+      const [xmin, xmax, ymin, ymax] = _coerce({ type: 'numbers', len: 4 }, text);
+      return _checkDomain({ xmin, xmax, ymin, ymax });
+    }
+    case 'points': {
+      const p = json();
+      if (typeof p === 'string' || (Array.isArray(p) && typeof p[0] === 'string')) return _curveSpec(p);
+      if (!Array.isArray(p) || p.length < 2 || p.some((q) => !Array.isArray(q) || q.length < 2 || q.some((n) => !Number.isFinite(n))))
+        throw new Error('expected [[x, y], …] with at least 2 points');
+      return p;
+    }
+    case 'curve': {
+      const p = json();
+      if (typeof p === 'string' || (Array.isArray(p) && typeof p[0] === 'string')) return _curveSpec(p);
+      return _coerce({ type: 'points' }, p);
+    }
+    case 'json': return json();
+    case 'sdf2d': return _sdfSpec(json(), FP.sdf2d);
+    case 'sdf3d': return _sdfSpec(json(), ISO.sdf);
+    default: throw new Error(`internal: unknown option type ${spec.type}`);
+  }
+}
+
+function _checkDomain(d) {
+  if (!(d.xmax > d.xmin && d.ymax > d.ymin)) throw new Error('needs xmin < xmax and ymin < ymax');
+  return d;
+}
+
+function _suggest(key, names) {
+  const close = names.filter((n) => n.toLowerCase().startsWith(key.toLowerCase().slice(0, 2)));
+  return close.length ? ` (did you mean ${close.slice(0, 3).map((n) => '--' + n).join(', ')}?)` : '';
+}
+
+// ["name", arg, …]: primitives take an options object, operators take shapes
+// (nested ["name", …] arrays) plus numbers; extrude / revolve take a 2D shape.
+function _sdfSpec(spec, lib, where = 'shape') {
+  if (typeof spec === 'string') spec = [spec];
+  if (!Array.isArray(spec) || typeof spec[0] !== 'string') throw new Error(`${where}: expected ["name", …], got ${JSON.stringify(spec)}`);
+  const [name, ...args] = spec;
+  if (typeof lib[name] !== 'function' || name === 'implicit')
+    throw new Error(`unknown shape "${name}" (${Object.keys(lib).filter((k) => k !== 'implicit').join(', ')})`);
+  const inner = name === 'extrude' || name === 'revolve' ? FP.sdf2d : lib;
+  const built = args.map((a) => (Array.isArray(a) && typeof a[0] === 'string' ? _sdfSpec(a, inner, name) : a));
+  const field = lib[name](...built);
+  if (typeof field !== 'function') throw new Error(`${name}: did not produce a field`);
+  return field;
+}
+
+function _curveSpec(spec) {
+  if (typeof spec === 'string') spec = [spec];
+  const [name, opts = {}] = spec;
+  return { curve: name, opts };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Commands
+// ─────────────────────────────────────────────────────────────────────────────
+
+const PIXEL_FORMATS = ['png', 'svg', 'json'];
+const MESH_FORMATS = ['obj', 'stl', '3mf', 'json'];
+
+export const COMMANDS = {
+  pixels: {
+    summary: 'pixel-art generators → PNG / SVG / JSON',
+    usage: 'funebra pixels <generator> [options] --out file.png',
+    sub: 'generator',
+    table: (g) => _pixelTable(PIXEL_GENERATORS[g]),
+    choices: PIXEL_GENERATORS,
+    formats: PIXEL_FORMATS,
+    exec: _runPixels,
+  },
+  render: {
+    summary: 'headless scode / scene render → SVG / PNG / JSON points',
+    usage: 'funebra render [page inputs] --out file.svg',
+    table: () => RENDER_OPTIONS,
+    formats: ['svg', 'png', 'json'],
+    exec: _runRender,
+  },
+  mesh: {
+    summary: 'solids, isosurfaces, lathes and tubes → OBJ / STL / 3MF / JSON',
+    usage: 'funebra mesh <kind> [options] --out file.stl',
+    sub: 'kind',
+    table: (k) => ({ ...MESH_KINDS[k].options, ...MESH_COMMON }),
+    choices: MESH_KINDS,
+    formats: MESH_FORMATS,
+    exec: _runMesh,
+  },
+  convert: {
+    summary: 'OBJ / STL / mesh JSON ↔ OBJ / STL / 3MF / JSON; PNG ↔ pixel JSON / SVG, PNG → CSV points; scene migration',
+    usage: 'funebra convert <input> --out file',
+    sub: 'in',
+    table: () => CONVERT_OPTIONS,
+    formats: ['png', 'svg', 'json', 'csv', 'obj', 'stl', '3mf'],
+    exec: _runConvert,
+  },
+  export: {
+    summary: 'run every job in a JSON / YAML config',
+    usage: 'funebra export <jobs.yaml>   (jobs: [{ command: pixels, generator: rose, out: rose.png, … }])',
+    sub: 'config',
+    table: () => ({}),
+    formats: [],
+  },
+};
+
+function _pixelTable(gen) {
+  const common = { ...PIXEL_COMMON };
+  for (const k of gen.omit || []) delete common[k];
+  return { ...common, ...gen.options };
+}
+
+/**
+ * Run the CLI. Never throws and never exits the process: the exit code is
+ * returned (see EXIT) and messages go to io.stdout / io.stderr.
+ * @param {string[]} argv  arguments after `node funebra.cli.js`
+ * @param {Object} [io]
+ *  - stdout, stderr: line writers (default console.log / console.error)
+ *  - cwd: base for relative paths (default process.cwd())
+ * @returns {Promise<number>}
+ */
+export async function run(argv, io = {}) {
+  const ctx = {
+    stdout: io.stdout || ((s) => console.log(s)),
+    stderr: io.stderr || ((s) => console.error(s)),
+    cwd: io.cwd || process.cwd(),
+  };
+  let args;
+  try {
+    args = parseArgs(argv);
+    const [cmd, ...rest] = args._;
+    if (!cmd || cmd === 'help') { ctx.stdout(helpText(...rest)); return EXIT.OK; }
+    if (args.help === true) { ctx.stdout(helpText(cmd, ...rest)); return EXIT.OK; }
+    if (cmd === 'export') return await _runExport(rest[0] ?? args.config, ctx);
+    const job = await _prepare({ ...args, _: rest }, cmd, ctx.cwd);
+    return await _execute(job, ctx);
+  } catch (err) {
+    return _report(err, ctx, args?._?.[0]);
+  }
+}
+
+/**
+ * Flags of the old single-purpose CLIs (funebra-pixels*.cli.js,
+ * funebra-render.cli.js) → `funebra <command>` arguments: single-dash -w / -h
+ * style flags, `help` as the first word, their default output / scale, and
+ * their bare-matrix pixel JSON (`--matrixOnly`, `--pretty` with `prettyJSON`).
+ */
+export function legacyArgs(command, argv, { defaultOut, scale, prettyJSON } = {}) {
+  const args = argv.map((a) => (/^-[a-zA-Z]+$/.test(a) ? '-' + a : a));
+  if ((command === 'pixels' && !args.length) || args[0] === 'help' || args.includes('--help')) return ['help', command];
+  const out = [command, ...args];
+  if (scale && !args.includes('--scale')) out.push('--scale', String(scale));
+  if (command === 'pixels' && !args.some((a) => /^--(no-)?matrixOnly\b/.test(a))) out.push('--matrixOnly');
+  if (prettyJSON && !args.some((a) => /^--(no-)?pretty\b/.test(a))) out.push('--pretty');
+  if (defaultOut && !args.some((a) => a === '--out' || a === '--png')) out.push('--out', defaultOut);
+  return out;
+}
+
+function _report(err, ctx, cmd) {
+  ctx.stderr(`✖ ${err.message}`);
+  if (err.exitCode === EXIT.USAGE) {
+    for (const p of err.problems || []) ctx.stderr(`  - ${p}`);
+    if (cmd && COMMANDS[cmd]) ctx.stderr(`Run "funebra help ${cmd}" for the options.`);
+    return EXIT.USAGE;
+  }
+  if (err.frame) ctx.stderr(err.frame);
+  return EXIT.FAILED;
+}
+
+// args (+ --config) → validated { cmd, sub, opts, outs, base }; throws usage errors
+async function _prepare(args, cmd, base) {
+  const command = COMMANDS[cmd];
+  if (!command || cmd === 'export') throw _usage(`unknown command "${cmd}" (${Object.keys(COMMANDS).join(', ')})`);
+  let raw = { ...args };
+  if (raw.config != null) {
+    if (typeof raw.config !== 'string') throw _usage('--config expects a file');
+    const file = path.resolve(base, raw.config);
+    let conf;
+    try { conf = await loadConfig(file); }
+    catch (e) { throw _usage(`config ${raw.config}: ${e.code === 'ENOENT' ? 'file not found' : e.message}`); }
+    if (!conf || typeof conf !== 'object' || Array.isArray(conf)) throw _usage(`config ${raw.config}: expected a map of options`);
+    raw = { ..._rebase(conf, path.dirname(file)), ...raw };
+  }
+  const pos = raw._ || [];
+  const sub = command.sub ? (pos[0] ?? raw[command.sub]) : undefined;
+  if (pos.length > (command.sub ? 1 : 0)) throw _usage(`unexpected argument "${pos[command.sub ? 1 : 0]}"`);
+  if (command.sub && sub == null) throw _usage(`missing <${command.sub}>: ${command.usage}`);
+  if (command.choices && !command.choices[sub])
+    throw _usage(`unknown ${command.sub} "${sub}" (${Object.keys(command.choices).join(', ')})`);
+
+  // pixels / render --scale magnifies the image; mesh / convert --scale is part of the model
+  const outKeys = cmd === 'pixels' ? ['scale', 'pretty', 'matrixOnly'] : cmd === 'render' ? ['scale', 'pretty'] : ['pretty'];
+  const { opts, problems } = _typed(_omit(raw, outKeys), command.table(sub));
+  const outOpts = _typed(_pick(raw, outKeys), _pick(OUTPUT_OPTIONS, outKeys));
+  problems.push(...outOpts.problems);
+  if (cmd === 'pixels') problems.push(...(command.choices[sub].check?.(opts) || []));
+
+  const outs = [];
+  for (const f of FORMAT_FLAGS) for (const v of [].concat(raw[f] ?? [])) {
+    if (typeof v !== 'string') problems.push(`${f}: expects a file`);
+    else outs.push({ file: path.resolve(base, v), format: f });
+  }
+  for (const v of [].concat(raw.out ?? [])) {
+    if (typeof v !== 'string') { problems.push('out: expects a file'); continue; }
+    const ext = _ext(v);
+    if (!command.formats.includes(ext)) problems.push(`out: cannot write ".${ext}" from ${cmd} (${command.formats.join(', ')})`);
+    else outs.push({ file: path.resolve(base, v), format: ext });
+  }
+  for (const o of outs) if (!command.formats.includes(o.format)) problems.push(`${o.format}: not an output of ${cmd} (${command.formats.join(', ')})`);
+  if (raw.out == null && FORMAT_FLAGS.every((f) => raw[f] == null)) problems.push(`no output: pass --out <file> (${command.formats.join(', ')})`);
+  if (problems.length) throw _usage(`invalid options for ${cmd}${sub && cmd !== 'convert' ? ' ' + sub : ''}`, problems);
+
+  if (cmd === 'convert') opts.in = path.resolve(base, String(sub));
+  for (const k of ['inputs', 'scene']) if (opts[k]) opts[k] = path.resolve(base, opts[k]);
+  return { cmd, sub, opts, outs, scale: outOpts.opts.scale ?? 1, pretty: !!outOpts.opts.pretty, matrixOnly: !!outOpts.opts.matrixOnly };
+}
+
+function _omit(o, keys) { return Object.fromEntries(Object.entries(o).filter(([k]) => !keys.includes(k))); }
+function _pick(o, keys) { return Object.fromEntries(Object.entries(o).filter(([k]) => keys.includes(k))); }
+function _ext(file) {
+  const m = /\.([a-z0-9]+)$/i.exec(file);
+  return m ? m[1].toLowerCase() : '';
+}
+
+// config paths are relative to the config file
+function _rebase(conf, dir) {
+  const out = { ...conf };
+  for (const k of PATH_KEYS) {
+    if (typeof out[k] === 'string') out[k] = path.resolve(dir, out[k]);
+    else if (Array.isArray(out[k])) out[k] = out[k].map((v) => (typeof v === 'string' ? path.resolve(dir, v) : v));
+  }
+  return out;
+}
+
+async function _execute(job, ctx) {
+  try {
+    const result = await COMMANDS[job.cmd].exec(job, ctx);
+    for (const o of job.outs) await _write(o, result, job, ctx);
+    return result.exitCode ?? EXIT.OK;
+  } catch (err) {
+    return _report(err, ctx, job.cmd);
+  }
+}
+
+async function _runExport(file, ctx) {
+  if (typeof file !== 'string') throw _usage(`missing <config>: ${COMMANDS.export.usage}`);
+  const abs = path.resolve(ctx.cwd, file);
+  let conf;
+  try { conf = await loadConfig(abs); }
+  catch (e) { throw _usage(`config ${file}: ${e.code === 'ENOENT' ? 'file not found' : e.message}`); }
+  const list = Array.isArray(conf) ? conf : conf?.jobs;
+  if (!Array.isArray(list) || !list.length) throw _usage(`config ${file}: expected a non-empty "jobs" list`);
+  const dir = path.dirname(abs);
+
+  // validate every job before running any of them
+  const jobs = [], problems = [];
+  for (const [i, j] of list.entries()) {
+    const label = `jobs[${i}]${j?.name ? ` (${j.name})` : ''}`;
+    if (!j || typeof j !== 'object' || typeof j.command !== 'string') { problems.push(`${label}: needs a "command"`); continue; }
+    try {
+      const { command, name, ...rest } = j;
+      const sub = COMMANDS[command]?.sub;
+      const args = { ..._rebase(rest, dir), _: sub && rest[sub] != null ? [String(rest[sub])] : [] };
+      if (sub) delete args[sub];
+      jobs.push({ label, job: await _prepare(args, command, dir) });
+    } catch (e) {
+      if (e.exitCode !== EXIT.USAGE) throw e;
+      if (e.problems?.length) problems.push(...e.problems.map((p) => `${label} ${p}`));
+      else problems.push(`${label}: ${e.message}`);
+    }
+  }
+  if (problems.length) throw _usage(`invalid jobs in ${file}`, problems);
+
+  let failed = 0;
+  for (const { label, job } of jobs) {
+    ctx.stdout(`▸ ${label}: ${job.cmd}${job.sub && job.cmd !== 'convert' ? ' ' + job.sub : ''}`);
+    if (await _execute(job, { ...ctx, stderr: (s) => ctx.stderr(`${label}: ${s}`) }) !== EXIT.OK) failed++;
+  }
+  ctx.stdout(`${failed ? '✖' : '✔'} ${jobs.length - failed}/${jobs.length} jobs done`);
+  return failed ? EXIT.FAILED : EXIT.OK;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// pixels
+// ─────────────────────────────────────────────────────────────────────────────
+
+function _sdfPixels({ shape, layers, color, stroke, ...opts }) {
+  const list = layers
+    ? (Array.isArray(layers) ? layers : [layers]).map((l, i) => {
+      if (!l || typeof l !== 'object') throw _usage(`layers[${i}]: expected { shape, color, … }`);
+      const field = _wrapUsage(() => _sdfSpec(l.shape, FP.sdf2d, `layers[${i}].shape`));
+      return { field, color: l.color, stroke: l.stroke, opacity: l.opacity, mode: l.mode };
+    })
+    : [{ field: shape, stroke }];
+  if (layers && shape) list.unshift({ field: shape, stroke });
+  return FP.sdfToPixels(list, { ...opts, color });
+}
+
+function _wrapUsage(fn) {
+  try { return fn(); }
+  catch (e) { throw _usage(e.message); }
+}
+
+async function _runPixels({ sub, opts }, ctx) {
+  const gen = PIXEL_GENERATORS[sub];
+  const clean = Object.fromEntries(Object.entries(opts).filter(([, v]) => v !== undefined));
+  const { matrix, palette } = gen.make(clean);
+  ctx.stdout(`✔ ${sub}: ${matrix[0]?.length ?? 0}×${matrix.length} pixels, ${palette.length} colours`);
+  return { kind: 'pixels', matrix, palette };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// render
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function _runRender({ opts }, ctx) {
+  const [{ default: Funebra }, R] = await Promise.all([import('./script.shapes.module.js'), import('./funebra-render.module.js')]);
+  let fileInputs = {}, scene = null;
+  if (opts.inputs) fileInputs = JSON.parse(await _read(opts.inputs, 'utf8'));
+  if (opts.scene) scene = Scene.parseScene(await _read(opts.scene, 'utf8'));
+  const inputs = { ...R.DEFAULT_INPUTS, ...fileInputs };
+  for (const k of ['steps', 'stpStart', 'stpEnd', 'scodeX', 'scodeY', 'clor', 'itext', 'wL', 'hT']) if (opts[k] != null) inputs[k] = opts[k];
+  const width = opts.width ?? (scene ? scene.viewport.width : 1280);
+  const height = opts.height ?? (scene ? scene.viewport.height : 720);
+  const clock = {};
+  if (opts.gta != null) clock.gta = opts.gta;
+  if (opts.cz != null) clock.cz = opts.cz;
+  const points = scene
+    ? Scene.sceneToPoints({ ...scene, viewport: { ...scene.viewport, width, height } }, { helpers: Funebra, clock })
+    : R.evaluateScode(inputs, { helpers: Funebra, clock, width, height });
+  ctx.stdout(`✔ ${points.length} points evaluated`);
+  const look = { width, height, background: opts.bg ?? (scene ? scene.viewport.background : null), radius: opts.radius ?? 2 };
+  return {
+    kind: 'points',
+    points,
+    svg: () => R.pointsToSVG(points, { ...look, mode: opts.mode || 'glyph' }),
+    rgba: () => ({ width, height, data: R.pointsToRGBA(points, { ...look, mode: opts.mode === 'line' ? 'line' : 'dot' }).data }),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// mesh
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function _runMesh({ sub, opts }, ctx) {
+  const kind = MESH_KINDS[sub];
+  const own = _pick(opts, Object.keys(kind.options));
+  let mesh;
+  if (sub === 'iso') {
+    const { shape, bounds, ...rest } = own;
+    const o = { ...rest };
+    if (bounds) o.bounds = { min: bounds.slice(0, 3), max: bounds.slice(3) };
+    mesh = ISO.polygonize(shape, o);
+  } else {
+    const S = await import('./script.shapes.module.js');
+    const curveOf = (v) => (v && v.curve ? _wrapUsage(() => S.curve(v.curve, v.opts)) : v);
+    if (sub === 'lathe') mesh = S.makeLathe(curveOf(own.profile), own);
+    else if (sub === 'tube' || sub === 'sweep') {
+      const p = curveOf(own.path);
+      const pathCurve = Array.isArray(p) ? S.Curve.polygonal(p, { closed: !!own.closed, kind: 'path' }) : p;
+      const prof = sub === 'sweep' ? curveOf(own.profile) : null;
+      mesh = sub === 'tube' ? S.makeTube(pathCurve, own) : S.makeSweep(pathCurve, prof, own);
+    } else mesh = S.build3D(sub, own);
+  }
+  return _finishMesh(MESH.toIndexedMesh(mesh), opts, ctx, sub);
+}
+
+function _finishMesh(mesh, opts, ctx, label) {
+  if (opts.scale != null && opts.scale !== 1) {
+    const p = Float32Array.from(mesh.positions, (v) => v * opts.scale);
+    mesh = { positions: p, indices: mesh.indices };
+  }
+  let report;
+  if (opts.repair) {
+    const fixed = MESH.repairMesh(mesh, opts.maxHoleEdges != null ? { maxHoleEdges: opts.maxHoleEdges } : {});
+    mesh = fixed.mesh;
+    report = fixed.report;
+    for (const line of fixed.log || []) ctx.stdout(`  repair: ${line}`);
+  } else report = MESH.analyzeMesh(mesh);
+  ctx.stdout(`✔ ${label}: ${mesh.positions.length / 3} vertices, ${mesh.indices.length / 3} triangles${report.watertight ? ', watertight' : ''}`);
+  if (opts.report) ctx.stdout(MESH.summarizeReport(report));
+  const result = { kind: 'mesh', mesh, name: opts.name || label, color: opts.color, unit: opts.unit, binary: opts.binary };
+  if (opts.strict && !report.watertight) {
+    ctx.stderr(`✖ ${label}: mesh is not watertight (--strict)`);
+    if (!opts.report) ctx.stderr(MESH.summarizeReport(report));
+    result.exitCode = EXIT.FAILED;
+    result.skipWrite = true;
+  }
+  return result;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// convert
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function _runConvert({ opts }, ctx) {
+  const file = opts.in, ext = _ext(file);
+  const data = await _read(file);
+  if (ext === 'obj') return _finishMesh(_wrapUsage(() => MESH.parseOBJ(data.toString('utf8'))), opts, ctx, path.basename(file, '.obj'));
+  if (ext === 'stl') return _finishMesh(_wrapUsage(() => MESH.parseSTL(new Uint8Array(data))), opts, ctx, path.basename(file, '.stl'));
+  if (ext === 'png') {
+    const fb = await _decodePNG(data);
+    const q = FP.quantize(fb, _pick({ ...opts, palette: opts.palette }, ['palette', 'colors', 'dither', 'alphaThreshold']));
+    ctx.stdout(`✔ ${path.basename(file)}: ${fb.width}×${fb.height}, ${q.palette.length} colours`);
+    return { kind: 'pixels', matrix: q.matrix, palette: q.palette, image: fb };
+  }
+  if (ext !== 'json') throw _usage(`convert: cannot read ".${ext}" (obj, stl, png, json)`);
+  let doc;
+  try { doc = JSON.parse(data.toString('utf8')); }
+  catch (e) { throw _usage(`convert: ${path.basename(file)}: ${e.message}`); }
+  if (Array.isArray(doc) && Array.isArray(doc[0])) doc = { matrix: doc };
+  if (doc && Array.isArray(doc.matrix)) {
+    const palette = opts.palette || doc.palette || ['#ffffff', '#222831', '#ff7a18', '#2bd4cf'];
+    return { kind: 'pixels', matrix: doc.matrix, palette };
+  }
+  if (doc && (doc.positions || doc.vertices || doc.V)) return _finishMesh(MESH.toIndexedMesh(doc), opts, ctx, doc.name || path.basename(file, '.json'));
+  if (doc && (doc.format === Scene.SCENE_FORMAT || Array.isArray(doc.layers))) {
+    const scene = Scene.parseScene(doc);
+    ctx.stdout(`✔ scene: ${scene.layers.length} layers (version ${Scene.SCENE_VERSION})`);
+    return { kind: 'scene', scene };
+  }
+  throw _usage(`convert: ${path.basename(file)} is not a pixel matrix, mesh or scene`);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Output
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function _write({ file, format }, result, job, ctx) {
+  if (result.skipWrite) return;
+  let data;
+  if (result.kind === 'scene') {
+    // scene → image goes through render with the scene's own viewport
+    if (format !== 'json') return _write({ file, format }, await _runRender({ opts: { scene: job.opts.in } }, ctx), job, ctx);
+    data = Scene.serializeScene(result.scene);
+  } else if (result.kind === 'pixels') {
+    const { matrix, palette } = result;
+    if (format === 'json') data = JSON.stringify(job.matrixOnly ? matrix : { width: matrix[0]?.length ?? 0, height: matrix.length, palette, matrix }, null, job.pretty ? 2 : 0);
+    else if (format === 'svg') data = matrixToSVG(matrix, palette, { scale: job.scale });
+    else if (format === 'png') data = await _encodePNG(_upscale(FP.matrixToFramebuffer(matrix, palette), job.scale));
+    else if (format === 'csv' && result.image) {
+      const { trace: method, ...o } = _pick(job.opts, ['trace', 'level', 'invert', 'count', 'targetHeight', 'step', 'flipY']);
+      data = TRACE.traceImage(result.image, { ...o, method, output: 'csv' });
+    } else throw _usage(`cannot write pixels as .${format}`);
+  } else if (result.kind === 'points') {
+    if (format === 'json') data = JSON.stringify(result.points, null, job.pretty ? 2 : 0);
+    else if (format === 'svg') data = result.svg();
+    else if (format === 'png') data = await _encodePNG(_upscale(result.rgba(), job.scale));
+    else throw _usage(`cannot write points as .${format}`);
+  } else if (result.kind === 'mesh') {
+    const { mesh, name } = result;
+    if (format === 'stl') data = new Uint8Array(_bytes(meshToSTL(mesh, { binary: result.binary ?? true, name })));
+    else if (format === 'obj') data = meshToOBJ(mesh, { name });
+    else if (format === '3mf') data = MF.build3MF([{ mesh, name, color: result.color }], { unit: result.unit || 'millimeter', title: name });
+    else if (format === 'json') data = JSON.stringify({ name, positions: Array.from(mesh.positions), indices: Array.from(mesh.indices) }, null, job.pretty ? 2 : 0);
+    else throw _usage(`cannot write a mesh as .${format}`);
+  }
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, data);
+  ctx.stdout(`✔ ${format.toUpperCase()} saved: ${file}`);
+}
+
+function _bytes(v) {
+  if (typeof v === 'string') return new TextEncoder().encode(v);
+  return v instanceof ArrayBuffer ? v : v.buffer.slice(v.byteOffset, v.byteOffset + v.byteLength);
+}
+
+/** Indexed matrix → SVG, one <rect> per horizontal run of equal colour. */
+export function matrixToSVG(matrix, palette, { scale = 1 } = {}) {
+  const h = matrix.length, w = h ? matrix[0].length : 0;
+  const colors = palette.map((c) => (c == null ? null : FP.toRGBA(c)));
+  const rects = [];
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w;) {
+      const idx = matrix[y][x];
+      let run = 1;
+      while (x + run < w && matrix[y][x + run] === idx) run++;
+      const c = colors[idx];
+      if (c && c[3] > 0) {
+        const fill = FP.rgbaToHex([c[0], c[1], c[2]]);
+        const op = c[3] < 255 ? ` fill-opacity="${+(c[3] / 255).toFixed(3)}"` : '';
+        rects.push(`<rect x="${x * scale}" y="${y * scale}" width="${run * scale}" height="${scale}" fill="${fill}"${op}/>`);
+      }
+      x += run;
+    }
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${w * scale}" height="${h * scale}" viewBox="0 0 ${w * scale} ${h * scale}" shape-rendering="crispEdges">\n${rects.join('\n')}\n</svg>\n`;
+}
+
+function _upscale(fb, k) {
+  if (!k || k === 1) return fb;
+  const out = FP.makeFramebuffer(fb.width * k, fb.height * k);
+  for (let y = 0; y < out.height; y++) {
+    const src = ((y / k) | 0) * fb.width;
+    for (let x = 0; x < out.width; x++) {
+      const s = (src + ((x / k) | 0)) * 4, d = (y * out.width + x) * 4;
+      out.data[d] = fb.data[s]; out.data[d + 1] = fb.data[s + 1]; out.data[d + 2] = fb.data[s + 2]; out.data[d + 3] = fb.data[s + 3];
+    }
+  }
+  return out;
+}
+
+async function _pngjs() {
+  try { return (await import('pngjs')).PNG; }
+  catch { throw new Error('PNG support needs pngjs (npm i pngjs)'); }
+}
+
+async function _encodePNG(fb) {
+  const PNG = await _pngjs();
+  const png = new PNG({ width: fb.width, height: fb.height });
+  png.data.set(fb.data);
+  return PNG.sync.write(png);
+}
+
+async function _decodePNG(buf) {
+  const PNG = await _pngjs();
+  let png;
+  try { png = PNG.sync.read(buf); }
+  catch (e) { throw _usage(`convert: not a readable PNG (${e.message})`); }
+  return { width: png.width, height: png.height, data: new Uint8ClampedArray(png.data) };
+}
+
+async function _read(file, enc) {
+  try { return await fs.readFile(file, enc); }
+  catch (e) { throw e.code === 'ENOENT' ? _usage(`${file}: file not found`) : e; }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Help
+// ─────────────────────────────────────────────────────────────────────────────
+
+const TYPE_HINT = {
+  int: '<n>', number: '<x>', bool: '', string: '<text>', enum: '<v>', colors: '<#hex,…>', domain: '<x0,x1,y0,y1>',
+  numbers: '<a,b,…>', points: '<json>', json: '<json>', sdf2d: '<spec>', sdf3d: '<spec>', curve: '<spec>', file: '<file>',
+};
+
+function _optionLines(table) {
+  return Object.entries(table).map(([k, s]) => {
+    const flag = `  --${k}${TYPE_HINT[s.type] ? ' ' + TYPE_HINT[s.type] : ''}`;
+    const vals = s.type === 'enum' ? ` [${s.values.join(' | ')}]` : '';
+    return `${flag.padEnd(30)} ${s.desc}${vals}${s.required ? ' (required)' : ''}`;
+  });
+}
+
+/** Help text for the whole CLI, a command, or one generator / mesh kind. */
+export function helpText(cmd, sub) {
+  const lines = [];
+  if (!cmd || !COMMANDS[cmd]) {
+    lines.push('Funebra CLI', '───────────', 'Usage:', '  funebra <command> [options]', '', 'Commands:');
+    for (const [k, c] of Object.entries(COMMANDS)) lines.push(`  ${k.padEnd(9)} ${c.summary}`);
+    lines.push('', 'Every command:',
+      '  --out, -o <file>               output file, format from the extension (repeatable)',
+      '  --png / --svg / --json / --obj / --stl / --3mf <file>   same, format named explicitly',
+      '  --config, -c <file>            options from JSON / YAML (flags win)',
+      '  --help, -h                     this text; "funebra help <command> [<generator|kind>]" for details',
+      '', 'Exit codes: 0 ok · 1 a job failed · 2 usage / validation error');
+    return lines.join('\n');
+  }
+  const c = COMMANDS[cmd];
+  lines.push(`funebra ${cmd} — ${c.summary}`, '', 'Usage:', `  ${c.usage}`);
+  if (c.choices && !c.choices[sub]) {
+    lines.push('', `${c.sub[0].toUpperCase() + c.sub.slice(1)}s:`);
+    for (const [k, g] of Object.entries(c.choices)) lines.push(`  ${k.padEnd(12)} ${g.desc}`);
+    lines.push('', `Options: funebra help ${cmd} <${c.sub}>`);
+  } else {
+    lines.push('', 'Options:', ..._optionLines(c.table(sub)));
+  }
+  if (cmd === 'pixels' || cmd === 'render') lines.push(..._optionLines({ scale: OUTPUT_OPTIONS.scale }));
+  if (cmd === 'pixels') lines.push(..._optionLines({ matrixOnly: OUTPUT_OPTIONS.matrixOnly }));
+  lines.push(..._optionLines({ pretty: OUTPUT_OPTIONS.pretty }));
+  if (c.formats.length) lines.push('', `Outputs: ${c.formats.join(', ')}`);
+  if (cmd === 'export') {
+    lines.push('', 'Config:', '  jobs:', '    - command: pixels', '      generator: rose', '      k: 7', '      out: [rose.png, rose.svg]',
+      '    - command: mesh', '      kind: iso', '      shape: [heart, {size: 20, depth: 6}]', '      out: heart.stl');
+  }
+  return lines.join('\n');
+}
+
+export default {
+  run, legacyArgs, parseArgs, parseYAML, loadConfig, helpText, matrixToSVG,
+  COMMANDS, PIXEL_GENERATORS, MESH_KINDS, EXIT,
+};
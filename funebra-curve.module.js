@@ -0,0 +1,582 @@
+// funebra-curve.module.js — Curve abstraction behind the X/Y helper pairs (ESM, no deps)
+// - A Curve is built once (usually from an options object) and answers
+//   at(t) / sample(n) / length() / bounds() / toPath() for t ∈ [0, 1].
+// - Generic builders: fromFunction, polygonal (corner lists walked edge by edge,
+//   like the old _polyPathX/_polyPathY), circle/ellipse arcs, quadratic/cubic
+//   Bézier, poly-Bézier and compound curves (one sub-path per part).
+// - 2D curves return [x, y]; 3D curves (dim: 3) return [x, y, z].
+// - Arc-length tables: atLength(s) / resample({ n } | { spacing }) place points
+//   evenly along the curve instead of evenly in t.
+// - Differential geometry: derivative / tangent / normal / curvature / frame(t)
+//   and rotation-minimising frames(n) for sweeps and text along a path.
+// - The named shape factories live in script.shapes.module.js (`curves`), whose
+//   legacy fooX/fooY exports are thin adapters over these objects.
+//
+// Usage:
+//   import { Curve } from './funebra-curve.module.js';
+//   const c = Curve.circle({ r: 80, cx: 320, cy: 240 });
+//   c.at(0.25);            // → [320, 320]
+//   c.sample(64);          // → 64 points, closed curves do not repeat the first one
+//   c.length(); c.bounds(); c.toPath();   // SVG "d"
+//   c.resample({ n: 200 });                 // 200 points, equal spacing along the curve
+//   c.resample({ spacing: 4 });             // one point every 4 px
+//   c.frame(0.1);           // → { point, tangent, normal, curvature }
+//   render([c.toParam2D(360, { stroke: '#fff' })]);
+
+const TAU = Math.PI * 2;
+
+export class Curve {
+  /**
+   * @param {(t:number)=>number[]} fn  position at t ∈ [0, 1]
+   * @param {Object} [opts]
+   *  - closed: the curve returns to its start at t = 1 (default false)
+   *  - dim: 2 or 3 (default 2)
+   *  - kind: descriptive tag ('circle', 'polygon', …)
+   *  - vertices: corner list for polygonal curves (edges are walked in order)
+   *  - parts: sub-curves of a compound curve
+   *  - path: (digits) => exact SVG path data, when the shape has one
+   *  - length: exact length, when known
+   *  - derivative / derivative2: analytic dP/dt and d²P/dt², when known
+   *  - params: the options the curve was built from
+   */
+  constructor(fn, { closed = false, dim = 2, kind = 'curve', vertices = null, parts = null, path = null, length = null, derivative = null, derivative2 = null, params = null } = {}) {
+    if (typeof fn !== 'function') throw new Error('Curve: fn must be a function of t');
+    this.fn = fn;
+    this.closed = closed;
+    this.dim = dim;
+    this.kind = kind;
+    this.vertices = vertices;
+    this.parts = parts;
+    this.params = params;
+    this._path = path;
+    this._length = length;
+    this._d1 = derivative;
+    this._d2 = derivative2;
+    this._bounds = null;
+    this._arc = null;
+  }
+
+  /** Position at t ∈ [0, 1] → [x, y] (or [x, y, z]). */
+  at(t) { return this.fn(t); }
+
+  /** Position at t as an object { x, y [, z] }. */
+  point(t) {
+    const p = this.fn(t);
+    return this.dim === 3 ? { x: p[0], y: p[1], z: p[2] } : { x: p[0], y: p[1] };
+  }
+
+  /**
+   * Point on edge e at local u ∈ [0, 1) — polygonal curves only. Edge indices
+   * wrap over all corners (last → first) and use the same arithmetic as the
+   * legacy edge walkers, so the X/Y adapters stay bit-identical.
+   */
+  edgeAt(e, u) {
+    const V = this.vertices, n = V.length;
+    const i = ((e % n) + n) % n, a = V[i], b = V[(i + 1) % n];
+    const out = new Array(a.length);
+    for (let d = 0; d < a.length; d++) out[d] = (1 - u) * a[d] + u * b[d];
+    return out;
+  }
+
+  /**
+   * n points spread evenly in t. Closed curves stop one step short of t = 1
+   * (no duplicated start point); open curves include both ends.
+   */
+  sample(n = 128) {
+    n = Math.max(1, n | 0);
+    const out = new Array(n);
+    const div = this.closed ? n : Math.max(1, n - 1);
+    for (let i = 0; i < n; i++) out[i] = this.fn(i / div);
+    return out;
+  }
+
+  /** Curve length (exact when known, otherwise from the arc-length table). */
+  length() {
+    if (this._length == null) this._length = this.arcTable().total;
+    return this._length;
+  }
+
+  /**
+   * Cumulative arc-length table { t, s, total } (Float64Arrays), built once.
+   * Polygonal curves use their corners (exact); compound curves join their
+   * parts' tables and do not count the jump between parts; other curves are
+   * sampled evenly in t (`samples`, default 2048).
+   */
+  arcTable({ samples = 2048 } = {}) {
+    if (this._arc && this._arc.samples === samples) return this._arc;
+    let T, S;
+    if (this.vertices) {
+      const V = this.vertices, edges = this.closed ? V.length : V.length - 1;
+      T = new Float64Array(edges + 1); S = new Float64Array(edges + 1);
+      for (let i = 1; i <= edges; i++) {
+        T[i] = i / edges;
+        S[i] = S[i - 1] + _dist(V[i - 1], V[i % V.length]);
+      }
+    } else if (this.segments) {
+      const tables = this.segments.map(p => p.arcTable({ samples: Math.max(64, Math.ceil(samples / this.segments.length)) }));
+      const total = this.weights.reduce((a, w) => a + w, 0);
+      T = new Float64Array(tables.reduce((a, tb) => a + tb.t.length, 0)); S = new Float64Array(T.length);
+      let j = 0, t0 = 0, s0 = 0;
+      tables.forEach((tb, k) => {
+        const span = this.weights[k] / total;
+        for (let i = 0; i < tb.t.length; i++, j++) { T[j] = t0 + span * tb.t[i]; S[j] = s0 + tb.s[i]; }
+        t0 += span; s0 += tb.total;
+      });
+    } else {
+      const n = Math.max(1, samples | 0);
+      T = new Float64Array(n + 1); S = new Float64Array(n + 1);
+      let prev = this.fn(0);
+      for (let i = 1; i <= n; i++) {
+        const p = this.fn(i / n);
+        T[i] = i / n;
+        S[i] = S[i - 1] + _dist(prev, p);
+        prev = p;
+      }
+    }
+    this._arc = { t: T, s: S, total: S[S.length - 1], samples };
+    return this._arc;
+  }
+
+  /** Curve parameter t at arc length s (closed curves wrap, open ones clamp). */
+  tAtLength(s) {
+    const { t: T, s: S, total } = this.arcTable();
+    if (!(total > 0)) return 0;
+    s *= total / this.length();     // exact lengths (circles, …) mapped onto the sampled table
+    s = this.closed ? ((s % total) + total) % total : Math.min(Math.max(s, 0), total);
+    let lo = 1, hi = S.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (S[mid] < s) lo = mid + 1; else hi = mid;
+    }
+    const ds = S[lo] - S[lo - 1];
+    return ds > 0 ? T[lo - 1] + (T[lo] - T[lo - 1]) * ((s - S[lo - 1]) / ds) : T[lo];
+  }
+
+  /** Position at arc length s from the start. */
+  atLength(s) { return this.fn(this.tAtLength(s)); }
+
+  /**
+   * Points spread evenly along the curve (not in t):
+   *  - n: point count; closed curves do not repeat the start, open ones keep both ends
+   *  - spacing: fixed distance between points (px); open curves keep their end point,
+   *    so the last gap may be shorter
+   * A bare number is read as { n }.
+   */
+  resample(opts = {}) {
+    const { n = 128, spacing = 0 } = typeof opts === 'number' ? { n: opts } : opts;
+    const L = this.length();
+    const out = [];
+    if (spacing > 0) {
+      for (let s = 0; this.closed ? s < L - spacing * 1e-6 : s <= L; s += spacing) out.push(this.atLength(s));
+      if (!this.closed && L - (out.length - 1) * spacing > spacing * 1e-6) out.push(this.fn(1));
+      return out;
+    }
+    const count = Math.max(1, n | 0);
+    const div = this.closed ? count : Math.max(1, count - 1);
+    for (let i = 0; i < count; i++) out.push(this.atLength((i / div) * L));
+    return out;
+  }
+
+  /** Axis-aligned bounds { minX, minY, maxX, maxY, width, height [, minZ, maxZ, depth] }. */
+  bounds() {
+    if (!this._bounds) {
+      const P = this.vertices || this.sample(1024);
+      const lo = [Infinity, Infinity, Infinity], hi = [-Infinity, -Infinity, -Infinity];
+      for (const p of P) for (let d = 0; d < this.dim; d++) {
+        if (p[d] < lo[d]) lo[d] = p[d];
+        if (p[d] > hi[d]) hi[d] = p[d];
+      }
+      const b = { minX: lo[0], minY: lo[1], maxX: hi[0], maxY: hi[1], width: hi[0] - lo[0], height: hi[1] - lo[1] };
+      if (this.dim === 3) Object.assign(b, { minZ: lo[2], maxZ: hi[2], depth: hi[2] - lo[2] });
+      this._bounds = b;
+    }
+    return { ...this._bounds };
+  }
+
+  /**
+   * SVG path data ("d"). Exact for polygons, arcs and Béziers; other curves
+   * are sampled (`samples`, default 128). 3D curves drop z.
+   */
+  toPath({ digits = 3, samples = 128 } = {}) {
+    if (this._path) return this._path(digits);
+    if (this.parts) return this.parts.map(p => p.toPath({ digits, samples })).join(' ');
+    const f = _fmt(digits), P = this.vertices || this.sample(samples);
+    return 'M ' + P.map(p => `${f(p[0])} ${f(p[1])}`).join(' L ') + (this.closed ? ' Z' : '');
+  }
+
+  /**
+   * A render()-ready param2d item walking the curve in `steps` steps;
+   * even: true spaces the steps by arc length instead of t. The item also
+   * carries frame(i), which render() uses for `text` / `glyph` along the curve.
+   */
+  toParam2D(steps = 360, { close = this.closed, even = false, color, stroke, lineWidth, ...extra } = {}) {
+    const n = Math.max(1, steps | 0);
+    const div = close ? n : Math.max(1, n - 1);
+    const tOf = even ? (u) => this.tAtLength(u * this.length()) : (u) => u;
+    let lastI = NaN, lastP = null;
+    const pt = (i) => { if (i !== lastI) { lastI = i; lastP = this.fn(tOf(i / div)); } return lastP; };
+    return {
+      ...extra, kind: 'param2d', x: i => pt(i)[0], y: i => pt(i)[1], frame: i => this.frame(tOf(i / div)),
+      steps: n, close, color, stroke, lineWidth,
+    };
+  }
+
+  /** New curve with every point passed through fn([x, y(, z)]) → point. */
+  map(fn, { kind = this.kind } = {}) {
+    const src = this.fn;
+    return new Curve(t => fn(src(t)), {
+      closed: this.closed, dim: this.dim, kind,
+      vertices: this.vertices ? this.vertices.map(fn) : null,
+      parts: this.parts ? this.parts.map(p => p.map(fn)) : null,
+      params: this.params,
+    });
+  }
+
+  /** Rotate (2D, radians) about (cx, cy). */
+  rotate(theta = 0, cx = 0, cy = 0) {
+    const c = Math.cos(theta), s = Math.sin(theta);
+    return this.map(([x, y, ...z]) => [cx + (x - cx) * c - (y - cy) * s, cy + (x - cx) * s + (y - cy) * c, ...z]);
+  }
+
+  /** Translate by (dx, dy[, dz]). */
+  translate(dx = 0, dy = 0, dz = 0) {
+    return this.map(p => (p.length > 2 ? [p[0] + dx, p[1] + dy, p[2] + dz] : [p[0] + dx, p[1] + dy]));
+  }
+
+  /** Reverse the direction of travel. */
+  reverse() {
+    const src = this.fn;
+    return new Curve(t => src(1 - t), {
+      closed: this.closed, dim: this.dim, kind: this.kind,
+      parts: this.parts ? this.parts.slice().reverse().map(p => p.reverse()) : null,
+      length: this._length, params: this.params,
+      derivative: t => this.derivative(1 - t).map(v => -v),
+      derivative2: t => this.derivative2(1 - t),
+    });
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // Differential geometry (tangent / normal / curvature / frames)
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /** First derivative dP/dt (analytic when the builder supplies one, else central differences). */
+  derivative(t) {
+    if (this._d1) return this._d1(t);
+    const [a, b] = this._stencil(t, 1e-5);
+    const p = this.fn(a), q = this.fn(b);
+    return p.map((v, d) => (q[d] - v) / (b - a));
+  }
+
+  /** Second derivative d²P/dt² (analytic, else differences of the first derivative). */
+  derivative2(t) {
+    if (this._d2) return this._d2(t);
+    const [a, b] = this._stencil(t, 1e-4);
+    if (this._d1) {
+      const p = this._d1(a), q = this._d1(b);
+      return p.map((v, d) => (q[d] - v) / (b - a));
+    }
+    const h = (b - a) / 2, p = this.fn(a), m = this.fn(a + h), q = this.fn(b);
+    return m.map((v, d) => (p[d] - 2 * v + q[d]) / (h * h));
+  }
+
+  /** Unit tangent at t. */
+  tangent(t) { return _unit(this.derivative(t)); }
+
+  /**
+   * Unit normal at t. 2D: the tangent turned +90° (towards the centre of a
+   * counter-clockwise turn in y-up coordinates); 3D: the principal normal.
+   */
+  normal(t) {
+    if (this.dim === 3) return this.frame(t).normal;
+    const [x, y] = this.tangent(t);
+    return [-y, x];
+  }
+
+  /** Curvature at t: signed in 2D (positive bends towards normal()), unsigned in 3D. */
+  curvature(t) {
+    return _curvature(this.derivative(t), this.derivative2(t), this.dim);
+  }
+
+  /**
+   * Frenet frame at t → { t, point, tangent, normal, binormal, curvature }.
+   * 2D frames have no binormal. Straight 3D stretches (no principal normal)
+   * get an arbitrary normal perpendicular to the tangent.
+   */
+  frame(t) {
+    const point = this.fn(t), d1 = this.derivative(t), d2 = this.derivative2(t);
+    const tangent = _unit(d1), curvature = _curvature(d1, d2, this.dim);
+    if (this.dim !== 3) return { t, point, tangent, normal: [-tangent[1], tangent[0]], curvature };
+    const b = _unit(_cross(d1, d2));
+    const normal = _len(b) > 0 ? _cross(b, tangent) : _perp(tangent);
+    return { t, point, tangent, normal, binormal: _cross(tangent, normal), curvature };
+  }
+
+  /**
+   * n rotation-minimising frames (double reflection), always as 3D vectors —
+   * 2D curves lie in z = 0 with the binormal on +z. These are what sweeps and
+   * tubes should use: unlike Frenet frames they do not flip at inflections or
+   * spin on straight stretches.
+   *  - even: space the frames by arc length instead of t (default false)
+   *  - closeTwist: closed curves spread the left-over twist along the loop so
+   *    the last frame meets the first (default true)
+   * Each frame: { t, point, tangent, normal, binormal, curvature }.
+   */
+  frames(n = 64, { even = false, closeTwist = true } = {}) {
+    const count = Math.max(2, n | 0), div = this.closed ? count : count - 1;
+    const ts = [];
+    for (let i = 0; i < count; i++) ts.push(even ? this.tAtLength((i / div) * this.length()) : i / div);
+    const walk = this.closed ? [...ts, 1] : ts;
+    const P = walk.map(t => _v3(this.fn(t)));
+    const T = walk.map(t => _unit(_v3(this.derivative(t))));
+    for (let i = 0; i < T.length; i++) {          // cusps (zero derivative): use the chord instead
+      if (_len(T[i]) > 0) continue;
+      const chord = _unit(_sub(P[Math.min(i + 1, P.length - 1)], P[Math.max(i - 1, 0)]));
+      T[i] = _len(chord) > 0 ? chord : (T[i - 1] || [1, 0, 0]);
+    }
+    const R = [this.dim === 3 ? this.frame(walk[0]).normal : [-T[0][1], T[0][0], 0]];
+    for (let i = 0; i < walk.length - 1; i++) R.push(_transport(P[i], T[i], R[i], P[i + 1], T[i + 1]));
+    if (this.closed) {
+      const end = R.pop();
+      if (closeTwist && this.dim === 3) {
+        const phi = Math.atan2(_dot(T[0], _cross(end, R[0])), _dot(end, R[0]));
+        const S = [0];
+        for (let i = 1; i <= ts.length; i++) S.push(S[i - 1] + _len(_sub(P[i], P[i - 1])));
+        const total = S[S.length - 1] || 1;
+        for (let i = 1; i < R.length; i++) R[i] = _rotateAbout(R[i], T[i], phi * (S[i] / total));
+      }
+    }
+    return ts.map((t, i) => ({
+      t, point: P[i], tangent: T[i], normal: R[i], binormal: _cross(T[i], R[i]), curvature: this.curvature(t),
+    }));
+  }
+
+  /** Lift a 2D curve into 3D; z is a number or a function of t. */
+  withZ(z = 0, { closed = this.closed } = {}) {
+    const src = this.fn, zAt = typeof z === 'function' ? z : () => z;
+    return new Curve((t) => { const p = src(t); return [p[0], p[1], zAt(t)]; }, { closed, dim: 3, kind: this.kind, params: this.params });
+  }
+
+  // t ± h, kept inside [0, 1] on open curves
+  _stencil(t, h) {
+    if (this.closed) return [t - h, t + h];
+    const a = Math.max(0, t - h), b = Math.min(1, t + h);
+    return b > a ? [a, b] : [t - h, t + h];
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // Generic builders
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /** Wrap any t → point function (or a {x(t), y(t)[, z(t)]} object). */
+  static fromFunction(fn, { closed = false, dim, kind = 'function', params } = {}) {
+    if (fn && typeof fn === 'object' && typeof fn.x === 'function') {
+      const o = fn;
+      fn = (t) => (o.z ? [o.x(t), o.y(t), o.z(t)] : [o.x(t), o.y(t)]);
+    }
+    if (typeof fn !== 'function') throw new Error('Curve.fromFunction: expected a function of t');
+    const probe = fn(0);
+    return new Curve(fn, { closed, dim: dim ?? (Array.isArray(probe) && probe.length > 2 ? 3 : 2), kind, params });
+  }
+
+  /**
+   * Corner list walked edge by edge. closed=true walks n edges (last → first),
+   * otherwise n-1 edges.
+   */
+  static polygonal(points, { closed = true, kind = 'polygon', params } = {}) {
+    const V = (points || []).map(p => (Array.isArray(p) ? p.slice() : (p.z != null ? [p.x, p.y, p.z] : [p.x, p.y])));
+    if (V.length < 2) throw new Error('Curve.polygonal: need at least 2 points');
+    const edges = closed ? V.length : V.length - 1;
+    let L = 0;
+    for (let i = 0; i < edges; i++) L += _dist(V[i], V[(i + 1) % V.length]);
+    const edgeOf = (t) => Math.min(Math.floor(t * edges), closed ? Infinity : edges - 1);
+    const c = new Curve((t) => {
+      const e = edgeOf(t);
+      return c.edgeAt(e, t * edges - e);
+    }, {
+      closed, dim: V[0].length > 2 ? 3 : 2, kind, vertices: V, length: L, params,
+      derivative: (t) => {
+        const a = c.edgeAt(edgeOf(t), 0), b = c.edgeAt(edgeOf(t), 1);
+        return a.map((v, d) => (b[d] - v) * edges);
+      },
+      derivative2: () => new Array(V[0].length).fill(0),
+      path: (d) => { const f = _fmt(d); return 'M ' + V.map(p => `${f(p[0])} ${f(p[1])}`).join(' L ') + (closed ? ' Z' : ''); },
+    });
+    return c;
+  }
+
+  /** Circle, t = 0 at angle `offset`, counter-clockwise in y-up (clockwise on screen). */
+  static circle({ r = 50, cx = 0, cy = 0, offset = 0 } = {}) {
+    return new Curve((t) => {
+      const th = t * TAU + offset;
+      return [cx + Math.cos(th) * r, cy + Math.sin(th) * r];
+    }, {
+      closed: true, kind: 'circle', length: TAU * Math.abs(r), params: { r, cx, cy, offset },
+      derivative: (t) => { const th = t * TAU + offset, k = r * TAU; return [-Math.sin(th) * k, Math.cos(th) * k]; },
+      derivative2: (t) => { const th = t * TAU + offset, k = r * TAU * TAU; return [-Math.cos(th) * k, -Math.sin(th) * k]; },
+      path: (d) => { const f = _fmt(d); return `M ${f(cx - r)} ${f(cy)} a ${f(r)} ${f(r)} 0 1 0 ${f(2 * r)} 0 a ${f(r)} ${f(r)} 0 1 0 ${f(-2 * r)} 0`; },
+    });
+  }
+
+  /** Ellipse with optional rotation (radians) and start offset. */
+  static ellipse({ rx = 60, ry = 40, cx = 0, cy = 0, rotation = 0, offset = 0 } = {}) {
+    const cr = Math.cos(rotation), sr = Math.sin(rotation);
+    return new Curve((t) => {
+      const th = t * TAU + offset;
+      const xr = rx * Math.cos(th), yr = ry * Math.sin(th);
+      return [cx + xr * cr - yr * sr, cy + xr * sr + yr * cr];
+    }, {
+      closed: true, kind: 'ellipse', params: { rx, ry, cx, cy, rotation, offset },
+      derivative: (t) => {
+        const th = t * TAU + offset, xr = -rx * Math.sin(th) * TAU, yr = ry * Math.cos(th) * TAU;
+        return [xr * cr - yr * sr, xr * sr + yr * cr];
+      },
+      derivative2: (t) => {
+        const th = t * TAU + offset, xr = -rx * Math.cos(th) * TAU * TAU, yr = -ry * Math.sin(th) * TAU * TAU;
+        return [xr * cr - yr * sr, xr * sr + yr * cr];
+      },
+      path: rotation ? null : (d) => { const f = _fmt(d); return `M ${f(cx - rx)} ${f(cy)} a ${f(rx)} ${f(ry)} 0 1 0 ${f(2 * rx)} 0 a ${f(rx)} ${f(ry)} 0 1 0 ${f(-2 * rx)} 0`; },
+    });
+  }
+
+  /** Quadratic Bézier A → C with control B ([x, y] each). */
+  static bezierQuad({ A, B, C }) {
+    return new Curve((t) => {
+      const u = 1 - t;
+      return [u * u * A[0] + 2 * u * t * B[0] + t * t * C[0], u * u * A[1] + 2 * u * t * B[1] + t * t * C[1]];
+    }, {
+      kind: 'bezierQuad', params: { A, B, C },
+      derivative: (t) => [0, 1].map(d => 2 * (1 - t) * (B[d] - A[d]) + 2 * t * (C[d] - B[d])),
+      derivative2: () => [0, 1].map(d => 2 * (C[d] - 2 * B[d] + A[d])),
+      path: (d) => { const f = _fmt(d); return `M ${f(A[0])} ${f(A[1])} Q ${f(B[0])} ${f(B[1])} ${f(C[0])} ${f(C[1])}`; },
+    });
+  }
+
+  /** Cubic Bézier A → D with controls B, C. */
+  static bezierCubic({ A, B, C, D }) {
+    return new Curve((t) => {
+      const u = 1 - t;
+      return [
+        u * u * u * A[0] + 3 * u * u * t * B[0] + 3 * u * t * t * C[0] + t * t * t * D[0],
+        u * u * u * A[1] + 3 * u * u * t * B[1] + 3 * u * t * t * C[1] + t * t * t * D[1],
+      ];
+    }, {
+      kind: 'bezierCubic', params: { A, B, C, D },
+      derivative: (t) => {
+        const u = 1 - t;
+        return [0, 1].map(d => 3 * u * u * (B[d] - A[d]) + 6 * u * t * (C[d] - B[d]) + 3 * t * t * (D[d] - C[d]));
+      },
+      derivative2: (t) => [0, 1].map(d => 6 * (1 - t) * (C[d] - 2 * B[d] + A[d]) + 6 * t * (D[d] - 2 * C[d] + B[d])),
+      path: (d) => { const f = _fmt(d); return `M ${f(A[0])} ${f(A[1])} C ${f(B[0])} ${f(B[1])} ${f(C[0])} ${f(C[1])} ${f(D[0])} ${f(D[1])}`; },
+    });
+  }
+
+  /**
+   * Chain of {type:'quad'|'cubic', A, B, C[, D], steps} segments (polyBezierX format).
+   * t is shared out by `steps` (equal shares when missing).
+   */
+  static polyBezier({ segments }) {
+    if (!segments || !segments.length) throw new Error('Curve.polyBezier: segments required');
+    const parts = segments.map(s => (s.type === 'quad' ? Curve.bezierQuad(s) : Curve.bezierCubic(s)));
+    const w = segments.map(s => ((s.steps | 0) > 0 ? s.steps | 0 : 1));
+    const c = Curve._chain(parts, w, { kind: 'polyBezier', params: { segments }, subpaths: false });
+    c._path = (d) => {
+      const f = _fmt(d), s0 = segments[0];
+      let out = `M ${f(s0.A[0])} ${f(s0.A[1])}`;
+      for (const s of segments) {
+        out += s.type === 'quad'
+          ? ` Q ${f(s.B[0])} ${f(s.B[1])} ${f(s.C[0])} ${f(s.C[1])}`
+          : ` C ${f(s.B[0])} ${f(s.B[1])} ${f(s.C[0])} ${f(s.C[1])} ${f(s.D[0])} ${f(s.D[1])}`;
+      }
+      return out;
+    };
+    return c;
+  }
+
+  /**
+   * Several curves walked one after another; each stays its own sub-path in
+   * toPath(). `weights` share out t (default: equal).
+   */
+  static compound(parts, { weights, kind = 'compound', params } = {}) {
+    if (!parts || !parts.length) throw new Error('Curve.compound: parts required');
+    return Curve._chain(parts, weights || parts.map(() => 1), { kind, params, subpaths: true });
+  }
+
+  // parts walked in turn; `subpaths` keeps them as separate pieces (compound) instead of one run (poly-Bézier)
+  static _chain(parts, weights, { kind, params, subpaths }) {
+    const total = weights.reduce((s, w) => s + w, 0);
+    const edges = [];
+    let acc = 0;
+    for (const w of weights) { edges.push(acc / total); acc += w; }
+    const locate = (t) => {
+      let k = parts.length - 1;
+      while (k > 0 && t < edges[k]) k--;
+      const span = weights[k] / total;
+      return [parts[k], (t - edges[k]) / span, span];
+    };
+    const fn = (t) => { const [p, u] = locate(t); return p.fn(u); };
+    const c = new Curve(fn, {
+      closed: false, dim: parts[0].dim, kind, parts: subpaths ? parts : null, params,
+      derivative: (t) => { const [p, u, span] = locate(t); return p.derivative(u).map(v => v / span); },
+      derivative2: (t) => { const [p, u, span] = locate(t); return p.derivative2(u).map(v => v / (span * span)); },
+      length: parts.every(p => p._length != null) ? parts.reduce((s, p) => s + p._length, 0) : null,
+    });
+    c.segments = parts;
+    c.weights = weights;
+    return c;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Internals
+// ─────────────────────────────────────────────────────────────────────────────
+
+function _dist(a, b) {
+  const dx = b[0] - a[0], dy = b[1] - a[1], dz = (b[2] ?? 0) - (a[2] ?? 0);
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+function _v3(p) { return p.length > 2 ? p : [p[0], p[1], 0]; }
+function _sub(a, b) { return a.map((v, d) => v - b[d]); }
+function _dot(a, b) { let s = 0; for (let d = 0; d < a.length; d++) s += a[d] * b[d]; return s; }
+function _len(a) { return Math.sqrt(_dot(a, a)); }
+function _unit(a) { const l = _len(a); return l > 0 ? a.map(v => v / l) : a.map(() => 0); }
+function _cross(a, b) {
+  const az = a[2] ?? 0, bz = b[2] ?? 0;
+  return [a[1] * bz - az * b[1], az * b[0] - a[0] * bz, a[0] * b[1] - a[1] * b[0]];
+}
+
+// any unit vector perpendicular to t (cross with the axis t is least aligned with)
+function _perp(t) {
+  const ax = Math.abs(t[0]) <= Math.abs(t[1]) && Math.abs(t[0]) <= Math.abs(t[2]) ? [1, 0, 0]
+    : Math.abs(t[1]) <= Math.abs(t[2]) ? [0, 1, 0] : [0, 0, 1];
+  return _unit(_cross(_cross(t, ax), t));
+}
+
+function _curvature(d1, d2, dim) {
+  const sp = _len(d1);
+  if (!(sp > 0)) return 0;
+  const k = dim === 3 ? _len(_cross(d1, d2)) : d1[0] * d2[1] - d1[1] * d2[0];
+  return k / (sp * sp * sp);
+}
+
+// Double-reflection step (Wang, Jüttler, Zheng & Liu 2008): carry normal r from (p0, t0) to (p1, t1)
+function _transport(p0, t0, r0, p1, t1) {
+  const v1 = _sub(p1, p0), c1 = _dot(v1, v1);
+  if (!(c1 > 0)) return r0;
+  const rL = r0.map((v, d) => v - (2 / c1) * _dot(v1, r0) * v1[d]);
+  const tL = t0.map((v, d) => v - (2 / c1) * _dot(v1, t0) * v1[d]);
+  const v2 = _sub(t1, tL), c2 = _dot(v2, v2);
+  return _unit(c2 > 0 ? rL.map((v, d) => v - (2 / c2) * _dot(v2, rL) * v2[d]) : rL);
+}
+
+// Rodrigues rotation of v about unit axis k by angle a
+function _rotateAbout(v, k, a) {
+  const c = Math.cos(a), s = Math.sin(a), kv = _cross(k, v), kd = _dot(k, v) * (1 - c);
+  return v.map((x, d) => x * c + kv[d] * s + k[d] * kd);
+}
+
+function _fmt(digits) {
+  return (v) => String(+(+v).toFixed(digits));
+}
+
+export default { Curve };
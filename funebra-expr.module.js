@@ -0,0 +1,583 @@
+// funebra-expr.module.js — Funebra formula language (sandboxed scode compiler, ESM)
+// - Parses the grammar people already type into scodeX / scodeY / clor / itext:
+//   o, u, PI, cos, floor, ternaries, Funebra.* helpers, string concatenation,
+//   `edge = floor(o/20); t = (o % 20)/20; (1-t)*x1 + t*x2` statement lists and
+//   `u => Funebra.circleX(u, 120, 320, 360)` arrows.
+// - Compiles ONCE into a tree of closures: no eval(), no new Function(), no `with`.
+// - Every identifier is checked against a whitelist at compile time; unsafe
+//   properties (constructor, __proto__, prototype…) are rejected.
+// - Errors carry `line` / `column` (1-based) and a caret `frame` for the UI.
+//
+// Usage:
+//   import { compileExpression, safeHelpers } from './funebra-expr.module.js';
+//   const fx = compileExpression('cos(o*PI/30)*120 + (o > 60 ? 600 : 300)');
+//   fx({ o: 12 });                              // → number
+//
+//   const fy = compileExpression('Funebra.starY(u, 5, 150, 70, 260, 36)', {
+//     globals: { Funebra: safeHelpers(Funebra) },
+//   });
+//
+// Variables assigned by one formula can be read by the next one if it is compiled
+// with them listed: compileExpression(srcY, { vars: [...DEFAULT_VARS, ...fx.assigns] }).
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Whitelists
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Step-loop variables that `mvx()` exposes to formulas (read from the scope). */
+export const DEFAULT_VARS = ['o', 'u', 'iu', 'zx', 'gta', 'cz', 'ca', 'cb', 'x', 'y', 'i', 'ob', 'rad'];
+
+const _MATH_NAMES = [
+  'abs','acos','acosh','asin','asinh','atan','atan2','atanh','cbrt','ceil','cos','cosh',
+  'exp','expm1','floor','fround','hypot','log','log10','log1p','log2','max','min','pow',
+  'random','round','sign','sin','sinh','sqrt','tan','tanh','trunc',
+  'PI','E','LN2','LN10','LOG2E','LOG10E','SQRT1_2','SQRT2',
+];
+
+/** Bare identifiers every formula may use (legacy pages ran scode inside `with(Math)`). */
+export const MATH_BUILTINS = Object.freeze(Object.assign(
+  Object.fromEntries(_MATH_NAMES.map(k => [k, Math[k]])),
+  {
+    Math,
+    TAU: Math.PI * 2,
+    Number, parseInt, parseFloat, isFinite, isNaN,
+  }
+));
+
+// Properties that lead out of the sandbox (Function constructor, prototype chains…).
+const BLOCKED_PROPS = new Set([
+  'constructor', '__proto__', 'prototype', 'caller', 'callee', 'arguments',
+  '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__',
+]);
+
+// Words with no meaning in a formula; reported explicitly instead of "unknown identifier".
+const RESERVED = new Set([
+  'new', 'function', 'this', 'class', 'import', 'export', 'return', 'delete', 'void',
+  'typeof', 'instanceof', 'in', 'of', 'with', 'yield', 'await', 'async', 'super',
+  'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'try', 'catch', 'throw',
+]);
+
+const LITERALS = { true: true, false: false, null: null, undefined: undefined, NaN: NaN, Infinity: Infinity };
+
+// Helpers on the Funebra namespace that touch the DOM, load code or build GPU objects.
+const UNSAFE_HELPERS = new Set([
+  'render', 'registerShape', 'registerShapeFromModules', 'makeShape', 'makeParametric3D',
+  'build3D', 'toThreeGeometry', 'makeMesh', 'DebugOverlay', 'THREE', 'shapes',
+]);
+
+/**
+ * Copy the numeric helpers of a namespace (e.g. the default export of
+ * script.shapes.module.js) into a frozen object that is safe to expose to formulas.
+ * Only functions and numbers are kept; DOM/loader helpers are dropped.
+ * @param {Object} ns
+ * @param {{ exclude?: string[] }} [opts]
+ * @returns {Readonly<Object>}
+ */
+export function safeHelpers(ns, { exclude = [] } = {}) {
+  const out = {};
+  if (!ns) return Object.freeze(out);
+  const skip = new Set([...UNSAFE_HELPERS, ...exclude]);
+  for (const key of Object.keys(ns)) {
+    if (skip.has(key) || BLOCKED_PROPS.has(key)) continue;
+    const v = ns[key];
+    if (typeof v === 'function' || typeof v === 'number') out[key] = v;
+  }
+  return Object.freeze(out);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Errors
+// ─────────────────────────────────────────────────────────────────────────────
+function _frame(src, line, column) {
+  const text = String(src).split(/\r?\n/)[line - 1] ?? '';
+  return `${text}\n${' '.repeat(Math.max(0, column - 1))}^`;
+}
+
+function _fail(msg, at, src) {
+  const line = at?.line ?? 1, column = at?.column ?? 1;
+  const err = new Error(`funebra-expr: ${msg} at ${line}:${column}`);
+  err.line = line;
+  err.column = column;
+  err.frame = _frame(src, line, column);
+  throw err;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 1) Tokenizer
+// ─────────────────────────────────────────────────────────────────────────────
+const PUNCT = [
+  '===', '!==', '>>>', '**',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '<<', '>>', '+=', '-=', '*=', '/=', '%=',
+  '+', '-', '*', '/', '%', '(', ')', '[', ']', ',', '.', '?', ':', ';', '<', '>', '=', '!', '~', '&', '|', '^',
+];
+const RE_NUM  = /^(?:0[xX][0-9a-fA-F]+|0[bB][01]+|(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/;
+const RE_NAME = /^[A-Za-z_$][A-Za-z0-9_$]*/;
+const ESC = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+/**
+ * Split formula text into tokens `{ type, value, line, column }`.
+ * type: 'num' | 'str' | 'name' | 'punct' | 'eof'
+ */
+export function tokenize(src) {
+  src = String(src ?? '');
+  const out = [];
+  let i = 0, line = 1, col = 1;
+  const advance = (n) => {
+    for (let k = 0; k < n; k++, i++) {
+      if (src[i] === '\n') { line++; col = 1; } else col++;
+    }
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { advance(1); continue; }
+    if (ch === '/' && src[i + 1] === '/') {
+      while (i < src.length && src[i] !== '\n') advance(1);
+      continue;
+    }
+    if (ch === '/' && src[i + 1] === '*') {
+      const end = src.indexOf('*/', i + 2);
+      if (end < 0) _fail('unterminated comment', { line, column: col }, src);
+      advance(end + 2 - i);
+      continue;
+    }
+
+    const at = { line, column: col };
+    const rest = src.slice(i);
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(src[i + 1]))) {
+      const m = RE_NUM.exec(rest);
+      out.push({ type: 'num', value: Number(m[0]), ...at });
+      advance(m[0].length);
+      if (RE_NAME.test(src.slice(i))) _fail(`unexpected '${src[i]}' after number`, { line, column: col }, src);
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let j = i + 1, s = '';
+      while (j < src.length && src[j] !== ch) {
+        if (src[j] === '\n') _fail('unterminated string', at, src);
+        if (src[j] === '\\') {
+          const e = src[j + 1];
+          if (e === 'u' && /^[0-9a-fA-F]{4}$/.test(src.slice(j + 2, j + 6))) {
+            s += String.fromCharCode(parseInt(src.slice(j + 2, j + 6), 16));
+            j += 6;
+            continue;
+          }
+          s += ESC[e] ?? e ?? '';
+          j += 2;
+          continue;
+        }
+        s += src[j++];
+      }
+      if (j >= src.length) _fail('unterminated string', at, src);
+      out.push({ type: 'str', value: s, ...at });
+      advance(j + 1 - i);
+      continue;
+    }
+
+    const nm = RE_NAME.exec(rest);
+    if (nm) {
+      out.push({ type: 'name', value: nm[0], ...at });
+      advance(nm[0].length);
+      continue;
+    }
+
+    const p = PUNCT.find(op => rest.startsWith(op));
+    if (p) {
+      out.push({ type: 'punct', value: p, ...at });
+      advance(p.length);
+      continue;
+    }
+
+    _fail(`unexpected character '${ch}'`, at, src);
+  }
+  out.push({ type: 'eof', value: null, line, column: col });
+  return out;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 2) Parser (precedence climbing) → AST
+// ─────────────────────────────────────────────────────────────────────────────
+const BINARY_PREC = {
+  '??': 1, '||': 2, '&&': 3, '|': 4, '^': 5, '&': 6,
+  '==': 7, '!=': 7, '===': 7, '!==': 7,
+  '<': 8, '>': 8, '<=': 8, '>=': 8,
+  '<<': 9, '>>': 9, '>>>': 9,
+  '+': 10, '-': 10,
+  '*': 11, '/': 11, '%': 11,
+  '**': 12,
+};
+const ASSIGN_OPS = new Set(['=', '+=', '-=', '*=', '/=', '%=']);
+
+/**
+ * Parse formula text into an AST `{ type:'Program', body:[…] }`.
+ * Throws an Error with `line` / `column` on bad input.
+ */
+export function parseExpression(src) {
+  const toks = tokenize(src);
+  let k = 0;
+
+  const peek = (n = 0) => toks[Math.min(k + n, toks.length - 1)];
+  const next = () => toks[k++];
+  const isP = (v, n = 0) => peek(n).type === 'punct' && peek(n).value === v;
+  const eat = (v) => (isP(v) ? next() : null);
+  const expect = (v) => {
+    if (isP(v)) return next();
+    const t = peek();
+    return _fail(t.type === 'eof' ? `expected '${v}' but the formula ended` : `expected '${v}' but found '${t.value}'`, t, src);
+  };
+  const at = (t) => ({ line: t.line, column: t.column });
+
+  function parseProgram() {
+    const body = [];
+    while (peek().type !== 'eof') {
+      if (eat(';')) continue;
+      body.push(parseStatement());
+      if (peek().type !== 'eof' && !isP(';')) {
+        const t = peek();
+        _fail(`unexpected '${t.value}' (missing ';' or operator?)`, t, src);
+      }
+    }
+    if (!body.length) _fail('empty formula', peek(), src);
+    return { type: 'Program', body };
+  }
+
+  function parseStatement() {
+    const t = peek();
+    if (t.type === 'name' && (t.value === 'var' || t.value === 'let' || t.value === 'const')) {
+      next();
+      const id = peek();
+      if (id.type !== 'name' || !isP('=', 1)) _fail(`'${t.value}' must be followed by 'name = value'`, id, src);
+    }
+    return parseAssign();
+  }
+
+  // Lookahead: `x =>` or `(a, b) =>`
+  function arrowParams() {
+    if (peek().type === 'name' && isP('=>', 1)) return [next()];
+    if (!isP('(')) return null;
+    let j = 1;
+    const names = [];
+    if (!isP(')', j)) {
+      for (;;) {
+        if (peek(j).type !== 'name') return null;
+        names.push(j);
+        j++;
+        if (isP(')', j)) break;
+        if (!isP(',', j)) return null;
+        j++;
+      }
+    }
+    if (!isP('=>', j + 1)) return null;
+    const params = names.map(n => peek(n));
+    k += j + 1;
+    return params;
+  }
+
+  function parseAssign() {
+    const start = peek();
+    const params = arrowParams();
+    if (params) {
+      expect('=>');
+      return { type: 'Arrow', params: params.map(p => p.value), paramTokens: params, body: parseAssign(), ...at(start) };
+    }
+
+    const left = parseConditional();
+    const op = peek();
+    if (op.type === 'punct' && ASSIGN_OPS.has(op.value)) {
+      if (left.type !== 'Identifier') _fail('only plain names can be assigned', op, src);
+      next();
+      return { type: 'Assign', op: op.value, name: left.name, value: parseAssign(), ...at(op) };
+    }
+    return left;
+  }
+
+  function parseConditional() {
+    const test = parseBinary(0);
+    const q = eat('?');
+    if (!q) return test;
+    const consequent = parseAssign();
+    expect(':');
+    const alternate = parseAssign();
+    return { type: 'Conditional', test, consequent, alternate, ...at(q) };
+  }
+
+  function parseBinary(minPrec) {
+    let left = parseUnary();
+    for (;;) {
+      const t = peek();
+      const prec = t.type === 'punct' ? BINARY_PREC[t.value] : undefined;
+      if (prec === undefined || prec <= minPrec) break;
+      next();
+      // ** is right-associative
+      const right = t.value === '**' ? parseBinary(prec - 1) : parseBinary(prec);
+      left = { type: 'Binary', op: t.value, left, right, ...at(t) };
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    const t = peek();
+    if (t.type === 'punct' && (t.value === '-' || t.value === '+' || t.value === '!' || t.value === '~')) {
+      next();
+      return { type: 'Unary', op: t.value, arg: parseUnary(), ...at(t) };
+    }
+    return parsePostfix(parsePrimary());
+  }
+
+  function parsePostfix(node) {
+    for (;;) {
+      const t = peek();
+      if (eat('.')) {
+        const p = next();
+        if (p.type !== 'name') _fail(`expected a property name after '.'`, p, src);
+        node = { type: 'Member', object: node, property: p.value, computed: false, ...at(p) };
+      } else if (eat('[')) {
+        const prop = parseAssign();
+        expect(']');
+        node = { type: 'Member', object: node, property: prop, computed: true, ...at(t) };
+      } else if (eat('(')) {
+        const args = [];
+        if (!isP(')')) {
+          do { args.push(parseAssign()); } while (eat(','));
+        }
+        expect(')');
+        node = { type: 'Call', callee: node, args, ...at(t) };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function parsePrimary() {
+    const t = next();
+    if (t.type === 'num' || t.type === 'str') return { type: 'Literal', value: t.value, ...at(t) };
+    if (t.type === 'name') {
+      if (Object.prototype.hasOwnProperty.call(LITERALS, t.value)) return { type: 'Literal', value: LITERALS[t.value], ...at(t) };
+      if (RESERVED.has(t.value)) _fail(`'${t.value}' is not allowed in a formula`, t, src);
+      return { type: 'Identifier', name: t.value, ...at(t) };
+    }
+    if (t.type === 'punct' && t.value === '(') {
+      const e = parseAssign();
+      expect(')');
+      return e;
+    }
+    if (t.type === 'punct' && t.value === '[') {
+      const elements = [];
+      if (!isP(']')) {
+        do { elements.push(parseAssign()); } while (eat(','));
+      }
+      expect(']');
+      return { type: 'Array', elements, ...at(t) };
+    }
+    if (t.type === 'eof') _fail('formula ended unexpectedly', t, src);
+    return _fail(`unexpected '${t.value}'`, t, src);
+  }
+
+  return parseProgram();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 3) Compiler: AST → closures `(scope, frame) => value`
+// ─────────────────────────────────────────────────────────────────────────────
+const BINARY_FN = {
+  '|': (a, b) => a | b, '^': (a, b) => a ^ b, '&': (a, b) => a & b,
+  '==': (a, b) => a == b, '!=': (a, b) => a != b, '===': (a, b) => a === b, '!==': (a, b) => a !== b,
+  '<': (a, b) => a < b, '>': (a, b) => a > b, '<=': (a, b) => a <= b, '>=': (a, b) => a >= b,
+  '<<': (a, b) => a << b, '>>': (a, b) => a >> b, '>>>': (a, b) => a >>> b,
+  '+': (a, b) => a + b, '-': (a, b) => a - b,
+  '*': (a, b) => a * b, '/': (a, b) => a / b, '%': (a, b) => a % b,
+  '**': (a, b) => a ** b,
+};
+const UNARY_FN = { '-': a => -a, '+': a => +a, '!': a => !a, '~': a => ~a };
+
+// Callables that must never be reached, even if a caller exposes them by mistake.
+const FORBIDDEN_CALLEES = new Set([Function, globalThis.eval, globalThis.setTimeout, globalThis.setInterval].filter(Boolean));
+
+/**
+ * Compile formula text once into a reusable function.
+ *
+ * @param {string} src  formula text
+ * @param {Object} [opts]
+ * @param {string[]} [opts.vars=DEFAULT_VARS]  names read from / written to the scope at call time
+ * @param {Object}   [opts.globals={}]  extra read-only names (looked up live), e.g. { Funebra, rings }
+ * @param {boolean}  [opts.math=true]   expose Math functions/constants as bare names
+ * @returns {((scope?: Object) => any) & { source: string, assigns: string[] }}
+ */
+export function compileExpression(src, { vars = DEFAULT_VARS, globals = {}, math = true } = {}) {
+  const source = String(src ?? '');
+  const ast = parseExpression(source);
+  const varSet = new Set(vars);
+  const assigns = [];
+  const fail = (msg, node) => _fail(msg, node, source);
+
+  const has = (o, k) => o != null && Object.prototype.hasOwnProperty.call(o, k);
+  const isBuiltin = (name) => math && has(MATH_BUILTINS, name);
+
+  // params: stack of arrays of param names (innermost last)
+  function resolve(name, params) {
+    for (let d = params.length - 1, depth = 0; d >= 0; d--, depth++) {
+      const idx = params[d].indexOf(name);
+      if (idx >= 0) return { kind: 'param', depth, idx };
+    }
+    if (varSet.has(name)) return { kind: 'var' };
+    if (has(globals, name)) return { kind: 'global' };
+    if (isBuiltin(name)) return { kind: 'builtin' };
+    return null;
+  }
+
+  function checkProp(key, node) {
+    if (BLOCKED_PROPS.has(String(key))) fail(`access to '${key}' is not allowed`, node);
+    return key;
+  }
+
+  function c(node, params) {
+    switch (node.type) {
+      case 'Literal': {
+        const v = node.value;
+        return () => v;
+      }
+
+      case 'Identifier': {
+        const name = node.name;
+        const r = resolve(name, params);
+        if (!r) fail(`unknown identifier '${name}'`, node);
+        if (r.kind === 'param') {
+          const { depth, idx } = r;
+          return (s, f) => { for (let d = 0; d < depth; d++) f = f.up; return f.args[idx]; };
+        }
+        if (r.kind === 'var') return (s) => s[name];
+        if (r.kind === 'global') return () => globals[name];
+        const v = MATH_BUILTINS[name];
+        return () => v;
+      }
+
+      case 'Array': {
+        const els = node.elements.map(e => c(e, params));
+        return (s, f) => els.map(e => e(s, f));
+      }
+
+      case 'Unary': {
+        const a = c(node.arg, params), fn = UNARY_FN[node.op];
+        return (s, f) => fn(a(s, f));
+      }
+
+      case 'Binary': {
+        const l = c(node.left, params), r = c(node.right, params);
+        if (node.op === '&&') return (s, f) => l(s, f) && r(s, f);
+        if (node.op === '||') return (s, f) => l(s, f) || r(s, f);
+        if (node.op === '??') return (s, f) => l(s, f) ?? r(s, f);
+        const fn = BINARY_FN[node.op];
+        return (s, f) => fn(l(s, f), r(s, f));
+      }
+
+      case 'Conditional': {
+        const t = c(node.test, params), a = c(node.consequent, params), b = c(node.alternate, params);
+        return (s, f) => (t(s, f) ? a(s, f) : b(s, f));
+      }
+
+      case 'Member': {
+        const obj = c(node.object, params);
+        if (!node.computed) {
+          const key = checkProp(node.property, node);
+          return (s, f) => {
+            const o = obj(s, f);
+            if (o == null) fail(`cannot read '${key}' of ${o}`, node);
+            return o[key];
+          };
+        }
+        const prop = c(node.property, params);
+        return (s, f) => {
+          const o = obj(s, f);
+          const key = prop(s, f);
+          if (BLOCKED_PROPS.has(String(key))) fail(`access to '${key}' is not allowed`, node);
+          if (o == null) fail(`cannot read '${key}' of ${o}`, node);
+          return o[key];
+        };
+      }
+
+      case 'Call': {
+        const args = node.args.map(a => c(a, params));
+        const callee = node.callee;
+        let target;
+        if (callee.type === 'Member') {
+          const obj = c(callee.object, params);
+          const key = callee.computed ? c(callee.property, params) : (checkProp(callee.property, callee), () => callee.property);
+          target = (s, f) => {
+            const o = obj(s, f);
+            const kk = key(s, f);
+            if (BLOCKED_PROPS.has(String(kk))) fail(`access to '${kk}' is not allowed`, callee);
+            if (o == null) fail(`cannot read '${kk}' of ${o}`, callee);
+            return [o, o[kk]];
+          };
+        } else {
+          const fnc = c(callee, params);
+          target = (s, f) => [undefined, fnc(s, f)];
+        }
+        const label = callee.type === 'Identifier' ? callee.name
+          : callee.type === 'Member' && !callee.computed ? callee.property : 'expression';
+        return (s, f) => {
+          const [self, fn] = target(s, f);
+          if (typeof fn !== 'function') fail(`'${label}' is not a function`, node);
+          if (FORBIDDEN_CALLEES.has(fn)) fail(`'${label}' cannot be called from a formula`, node);
+          return fn.apply(self, args.map(a => a(s, f)));
+        };
+      }
+
+      case 'Assign': {
+        const name = node.name;
+        const r = resolve(name, params);
+        if (r && r.kind === 'param') fail(`cannot assign to parameter '${name}'`, node);
+        if (r && (r.kind === 'global' || r.kind === 'builtin')) fail(`cannot assign to '${name}'`, node);
+        if (node.op !== '=' && !r) fail(`unknown identifier '${name}'`, node);
+        const val = c(node.value, params);
+        // New names become formula variables from here on (legacy scode had no declarations)
+        if (!varSet.has(name)) { varSet.add(name); assigns.push(name); }
+        if (node.op === '=') return (s, f) => (s[name] = val(s, f));
+        const fn = BINARY_FN[node.op.slice(0, -1)];
+        return (s, f) => (s[name] = fn(s[name], val(s, f)));
+      }
+
+      case 'Arrow': {
+        const names = node.params;
+        names.forEach((n, j) => {
+          if (RESERVED.has(n) || has(LITERALS, n)) fail(`'${n}' cannot be a parameter name`, node.paramTokens[j]);
+        });
+        const body = c(node.body, [...params, names]);
+        return (s, f) => (...args) => body(s, { up: f, args });
+      }
+
+      default:
+        return fail(`unsupported syntax '${node.type}'`, node);
+    }
+  }
+
+  const stmts = ast.body.map(st => c(st, []));
+  const run = (scope = {}) => {
+    let v;
+    for (let i = 0; i < stmts.length; i++) v = stmts[i](scope, null);
+    return v;
+  };
+  run.source = source;
+  run.assigns = assigns;
+  return run;
+}
+
+/**
+ * Check a formula without running it.
+ * @returns {{ ok: true } | { ok: false, message: string, line: number, column: number, frame: string }}
+ */
+export function validateExpression(src, opts) {
+  try {
+    compileExpression(src, opts);
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, message: err.message, line: err.line ?? 1, column: err.column ?? 1, frame: err.frame ?? '' };
+  }
+}
+
+export default {
+  DEFAULT_VARS, MATH_BUILTINS,
+  tokenize, parseExpression, compileExpression, validateExpression, safeHelpers,
+};
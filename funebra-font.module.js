@@ -0,0 +1,483 @@
+// funebra-font.module.js — Bitmap fonts: BDF / PSF / JSON loading, Unicode layout, points and pixel matrices (ESM, no deps)
+// - BitmapFont: glyphs of any cell size keyed by Unicode code point, each with
+//   its own bounding box, baseline offset and advance; pair kerning.
+// - Loaders: BitmapFont.fromBDF (X11 text), fromPSF (Linux console PSF1/PSF2,
+//   with their Unicode tables), fromJSON (rows of '0'/'1'), fromAsChars (the
+//   12×12 funebra-ascii-bitmap.js table); loadFont() picks by content.
+// - layout(): multi-line text with \n, tabs, word wrap at maxWidth,
+//   left / center / right alignment, letter and line spacing. Missing code
+//   points fall back to the default glyph and are reported, not dropped.
+// - toPoints() → [[x, y, z], …] for PointMorphEngine; toMatrix() / drawText()
+//   → funebra-pixels index matrices.
+// - FONT_5X7: a complete built-in ASCII font (defaultFont()).
+//
+// Usage:
+//   import { loadFont, defaultFont } from './funebra-font.module.js';
+//   const font = loadFont(fs.readFileSync('spleen-6x12.bdf', 'utf8'));
+//   const pts = font.toPoints('Hello\nWörld', { size: 120, align: 'center' });
+//   engine.setFont(font); engine.setText('Hello');               // PointMorphEngine
+//   const { matrix, palette } = defaultFont().toMatrix('FUNEBRA', { padding: 1 });
+
+const INK = /[1#xX@*]/;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// BitmapFont
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class BitmapFont {
+  /**
+   * @param {Object} o
+   *  - name: font name
+   *  - ascent, descent: pixels above / below the baseline
+   *  - lineHeight: baseline-to-baseline distance (default ascent + descent)
+   *  - glyphs: Map or object code point → { width, height, bits (Uint8Array, rows
+   *    top to bottom), xOffset, yOffset (bitmap bottom relative to the baseline,
+   *    up positive), advance }
+   *  - kerning: Map or object 'a,b' (code points) → pixels added between a and b
+   *  - defaultChar: code point (or one-character string) for missing glyphs
+   */
+  constructor({ name = 'font', ascent, descent = 0, lineHeight, glyphs, kerning, defaultChar } = {}) {
+    this.name = name;
+    this.glyphs = glyphs instanceof Map ? glyphs : new Map(Object.entries(glyphs || {}).map(([k, g]) => [+k, g]));
+    for (const [cp, g] of this.glyphs) this.glyphs.set(cp, _glyph(g, cp));
+    const tallest = Math.max(0, ...[...this.glyphs.values()].map((g) => g.height + g.yOffset));
+    this.ascent = ascent ?? tallest;
+    this.descent = descent;
+    this.lineHeight = lineHeight ?? this.ascent + this.descent;
+    this.kerning = kerning instanceof Map ? kerning : new Map(Object.entries(kerning || {}));
+    const dc = typeof defaultChar === 'string' ? defaultChar.codePointAt(0) : defaultChar;
+    this.defaultChar = dc != null && this.glyphs.has(dc) ? dc : this.glyphs.has(63) ? 63 : null;
+    this._tofu = null;
+  }
+
+  get size() { return this.glyphs.size; }
+
+  has(cp) { return this.glyphs.has(typeof cp === 'string' ? cp.codePointAt(0) : cp); }
+
+  /** Glyph for a code point, or the default glyph (an empty box if the font has none). */
+  glyph(cp) {
+    if (typeof cp === 'string') cp = cp.codePointAt(0);
+    const g = this.glyphs.get(cp);
+    if (g) return g;
+    if (this.defaultChar != null) return this.glyphs.get(this.defaultChar);
+    return this._tofu || (this._tofu = _boxGlyph(this));
+  }
+
+  /** Extra advance between two code points (0 without a kerning pair). */
+  kern(a, b) {
+    return this.kerning.size ? this.kerning.get(`${a},${b}`) || 0 : 0;
+  }
+
+  /**
+   * Place text. Coordinates are font pixels, y down, (0, 0) the top-left of
+   * the block; each placed glyph's x, y is the top-left of its bitmap.
+   * @param {string} text
+   * @param {Object} [opts]
+   *  - align: 'left' (default) | 'center' | 'right'
+   *  - letterSpacing: extra pixels after every glyph (default 0)
+   *  - lineSpacing: extra pixels between lines (default 0)
+   *  - tabSize: tab stops every n space advances (default 4)
+   *  - maxWidth: wrap at spaces (or mid-word when a word alone is too wide)
+   *  - kerning: apply kerning pairs (default true)
+   * @returns {{ width, height, lines: Array<{ width, y, glyphs }>, glyphs, missing: number[] }}
+   */
+  layout(text, { align = 'left', letterSpacing = 0, lineSpacing = 0, tabSize = 4, maxWidth = Infinity, kerning = true } = {}) {
+    if (!['left', 'center', 'right'].includes(align)) throw new Error(`BitmapFont.layout: align must be left, center or right, got "${align}"`);
+    const missing = new Set();
+    const spaceAdv = (this.glyphs.get(32) || this.glyph(32)).advance + letterSpacing;
+    const lines = [];
+    for (const para of String(text).replace(/\r\n?/g, '\n').split('\n')) {
+      let line = [], x = 0, prev = null, lastBreak = -1;
+      const flush = (upto = line.length) => {
+        const kept = line.slice(0, upto);
+        // trailing spaces do not count towards the width
+        while (kept.length && kept[kept.length - 1].cp === 32) kept.pop();
+        const width = kept.length ? Math.max(...kept.map((p) => p.x + p.advance - letterSpacing)) : 0;
+        lines.push({ glyphs: kept, width: Math.max(0, width) });
+      };
+      for (const ch of para) {
+        const cp = ch.codePointAt(0);
+        if (cp === 9) {
+          x = (Math.floor(x / (spaceAdv * tabSize)) + 1) * spaceAdv * tabSize;
+          prev = null; lastBreak = line.length;
+          continue;
+        }
+        if (cp !== 32 && !this.glyphs.has(cp)) missing.add(cp);
+        const g = cp === 32 && !this.glyphs.has(32) ? _spaceGlyph(spaceAdv - letterSpacing) : this.glyph(cp);
+        if (kerning && prev != null) x += this.kern(prev, cp);
+        if (x + g.advance > maxWidth && line.length && cp !== 32) {
+          // wrap at the last space, or before this glyph inside a long word
+          const cut = lastBreak > 0 ? lastBreak : line.length;
+          const rest = line.slice(cut).filter((p, i) => i > 0 || p.cp !== 32);
+          flush(cut);
+          const shift = rest.length ? rest[0].x : 0;
+          line = rest.map((p) => ({ ...p, x: p.x - shift }));
+          x = line.length ? line[line.length - 1].x + line[line.length - 1].advance : 0;
+          lastBreak = -1;
+        }
+        line.push({ cp, glyph: g, x, advance: g.advance + letterSpacing });
+        x += g.advance + letterSpacing;
+        if (cp === 32) lastBreak = line.length;
+        prev = cp;
+      }
+      flush();
+    }
+    const width = Math.max(0, ...lines.map((l) => l.width));
+    const placed = [];
+    lines.forEach((l, i) => {
+      l.y = i * (this.lineHeight + lineSpacing);
+      const dx = align === 'center' ? Math.floor((width - l.width) / 2) : align === 'right' ? width - l.width : 0;
+      l.glyphs = l.glyphs.filter((p) => p.glyph.width && p.glyph.height).map((p) => {
+        const g = p.glyph;
+        const q = { cp: p.cp, glyph: g, x: p.x + dx + g.xOffset, y: l.y + this.ascent - g.yOffset - g.height };
+        placed.push(q);
+        return q;
+      });
+    });
+    const height = lines.length ? (lines.length - 1) * (this.lineHeight + lineSpacing) + this.ascent + this.descent : 0;
+    return { width, height, lines, glyphs: placed, missing: [...missing] };
+  }
+
+  /** { width, height } of the laid-out block in font pixels. */
+  measure(text, opts) {
+    const { width, height } = this.layout(text, opts);
+    return { width, height };
+  }
+
+  /**
+   * Ink pixels as points, one per font pixel (density² with density > 1).
+   * @param {string} text
+   * @param {Object} [opts] layout() options plus
+   *  - size: pixel height of one line (ascent + descent); default 140, like PointMorphEngine.fontSize
+   *  - density: points per font pixel edge (default 1)
+   *  - center: centre the block on the origin (default true)
+   *  - z: z of every point (default 0)
+   *  - yUp: flip so +y is up (default false, canvas orientation)
+   * @returns {Array<[number, number, number]>}
+   */
+  toPoints(text, opts = {}) {
+    const { size = 140, density = 1, center = true, z = 0, yUp = false } = opts;
+    const L = this.layout(text, opts);
+    const s = size / Math.max(1, this.ascent + this.descent);
+    const ox = center ? -L.width / 2 : 0, oy = center ? -L.height / 2 : 0;
+    const d = Math.max(1, density | 0), pts = [];
+    for (const { glyph: g, x, y } of L.glyphs) {
+      for (let r = 0; r < g.height; r++) {
+        for (let c = 0; c < g.width; c++) {
+          if (!g.bits[r * g.width + c]) continue;
+          for (let j = 0; j < d; j++) for (let i = 0; i < d; i++) {
+            const px = (ox + x + c + i / d) * s, py = (oy + y + r + j / d) * s;
+            pts.push([px, yUp ? -py : py, z]);
+          }
+        }
+      }
+    }
+    return pts;
+  }
+
+  /**
+   * Text → funebra-pixels { matrix, palette }.
+   * @param {string} text
+   * @param {Object} [opts] layout() options plus
+   *  - colorIndex: palette index of the ink (default 2)
+   *  - background: index of empty cells (default -1, transparent)
+   *  - padding: empty cells around the block (default 0)
+   *  - width, height: fixed matrix size (text placed by align / valign)
+   *  - valign: 'top' | 'middle' (default) | 'bottom' with a fixed height
+   *  - palette: returned as given (default the funebra-pixels four colours)
+   */
+  toMatrix(text, opts = {}) {
+    const { colorIndex = 2, background = -1, padding = 0, valign = 'middle', palette = ['#ffffff', '#222831', '#ff7a18', '#2bd4cf'] } = opts;
+    const L = this.layout(text, opts);
+    const W = opts.width ?? L.width + 2 * padding, H = opts.height ?? L.height + 2 * padding;
+    const matrix = Array.from({ length: H }, () => new Array(W).fill(background));
+    const align = opts.align || 'left';
+    const x = opts.width == null ? padding : align === 'center' ? Math.floor((W - L.width) / 2) : align === 'right' ? W - L.width - padding : padding;
+    const y = opts.height == null ? padding : valign === 'top' ? padding : valign === 'bottom' ? H - L.height - padding : Math.floor((H - L.height) / 2);
+    _stamp(matrix, L, x, y, colorIndex);
+    return { matrix, palette, missing: L.missing };
+  }
+
+  /** JSON font (see fromJSON); rows as '0'/'1' strings. */
+  toJSON() {
+    const glyphs = {};
+    for (const [cp, g] of this.glyphs) {
+      const rows = [];
+      for (let r = 0; r < g.height; r++) rows.push(Array.from(g.bits.subarray(r * g.width, (r + 1) * g.width), (b) => (b ? '1' : '0')).join(''));
+      glyphs[_cpKey(cp)] = { rows, advance: g.advance, xOffset: g.xOffset, yOffset: g.yOffset };
+    }
+    const kerning = {};
+    for (const [k, v] of this.kerning) kerning[k.split(',').map((c) => _cpKey(+c)).join(',')] = v;
+    return {
+      name: this.name, ascent: this.ascent, descent: this.descent, lineHeight: this.lineHeight,
+      defaultChar: this.defaultChar != null ? _cpKey(this.defaultChar) : undefined, glyphs, kerning,
+    };
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // Loaders
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /** X11 BDF text (STARTFONT 2.1). ENCODING is the Unicode code point. */
+  static fromBDF(text) {
+    const lines = String(text).split(/\r?\n/);
+    if (!/^STARTFONT\b/.test(lines[0] || '')) throw new Error('BitmapFont.fromBDF: missing STARTFONT');
+    const glyphs = new Map();
+    let name = 'bdf', ascent, descent, defaultChar, fbb = [0, 0, 0, 0];
+    for (let i = 1; i < lines.length; i++) {
+      const [kw, ...a] = lines[i].trim().split(/\s+/);
+      if (kw === 'FONT') name = a.join(' ');
+      else if (kw === 'FONTBOUNDINGBOX') fbb = a.map(Number);
+      else if (kw === 'FONT_ASCENT') ascent = +a[0];
+      else if (kw === 'FONT_DESCENT') descent = +a[0];
+      else if (kw === 'DEFAULT_CHAR') defaultChar = +a[0];
+      else if (kw === 'STARTCHAR') {
+        let cp = -1, adv = fbb[0], bbx = fbb, bits = null;
+        for (i++; i < lines.length; i++) {
+          const [k, ...b] = lines[i].trim().split(/\s+/);
+          if (k === 'ENCODING') cp = +b[0];
+          else if (k === 'DWIDTH') adv = +b[0];
+          else if (k === 'BBX') bbx = b.map(Number);
+          else if (k === 'BITMAP') {
+            const [w, h] = bbx;
+            bits = new Uint8Array(w * h);
+            for (let r = 0; r < h; r++) {
+              const hex = (lines[++i] || '').trim();
+              for (let c = 0; c < w; c++) bits[r * w + c] = (parseInt(hex[c >> 2] || '0', 16) >> (3 - (c & 3))) & 1;
+            }
+          } else if (k === 'ENDCHAR') break;
+        }
+        if (cp < 0) continue; // unencoded glyph
+        if (!bits) throw new Error(`BitmapFont.fromBDF: glyph ${cp} has no BITMAP`);
+        glyphs.set(cp, { width: bbx[0], height: bbx[1], xOffset: bbx[2], yOffset: bbx[3], advance: adv, bits });
+      }
+    }
+    if (!glyphs.size) throw new Error('BitmapFont.fromBDF: no encoded glyphs');
+    return new BitmapFont({
+      name, glyphs, defaultChar,
+      ascent: ascent ?? fbb[1] + fbb[3], descent: descent ?? -fbb[3],
+    });
+  }
+
+  /**
+   * Linux console PSF1 / PSF2 bytes. Glyphs map through the font's Unicode
+   * table when it has one, otherwise glyph i is code point i.
+   */
+  static fromPSF(data, { name = 'psf' } = {}) {
+    const b = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    const u32 = (o) => (b[o] | (b[o + 1] << 8) | (b[o + 2] << 16) | (b[o + 3] << 24)) >>> 0;
+    let count, h, w, charSize, offset, hasTable, table = [];
+    if (b[0] === 0x36 && b[1] === 0x04) {
+      const mode = b[2];
+      count = mode & 1 ? 512 : 256; h = charSize = b[3]; w = 8; offset = 4; hasTable = !!(mode & 6);
+      if (hasTable) {
+        let p = offset + count * charSize;
+        for (let i = 0; i < count; i++) {
+          const cps = [];
+          for (let seq = false; p + 1 < b.length;) {
+            const v = b[p] | (b[p + 1] << 8);
+            p += 2;
+            if (v === 0xffff) break;
+            if (v === 0xfffe) seq = true;
+            else if (!seq) cps.push(v);
+          }
+          table.push(cps);
+        }
+      }
+    } else if (u32(0) === 0x864ab572) {
+      offset = u32(8); hasTable = !!(u32(12) & 1); count = u32(16); charSize = u32(20); h = u32(24); w = u32(28);
+      if (hasTable) {
+        const dec = new TextDecoder();
+        let p = offset + count * charSize;
+        for (let i = 0; i < count; i++) {
+          const end = b.indexOf(0xff, p);
+          const entry = b.subarray(p, end < 0 ? b.length : end);
+          p = end < 0 ? b.length : end + 1;
+          // single code points come first; 0xFE starts the combining sequences
+          const cut = entry.indexOf(0xfe);
+          table.push([...dec.decode(cut < 0 ? entry : entry.subarray(0, cut))].map((c) => c.codePointAt(0)));
+        }
+      }
+    } else throw new Error('BitmapFont.fromPSF: not a PSF1 / PSF2 font');
+    if (offset + count * charSize > b.length) throw new Error('BitmapFont.fromPSF: truncated glyph data');
+
+    const rowBytes = Math.ceil(w / 8), glyphs = new Map();
+    for (let i = 0; i < count; i++) {
+      const bits = new Uint8Array(w * h), base = offset + i * charSize;
+      for (let r = 0; r < h; r++) for (let c = 0; c < w; c++) bits[r * w + c] = (b[base + r * rowBytes + (c >> 3)] >> (7 - (c & 7))) & 1;
+      const g = { width: w, height: h, xOffset: 0, yOffset: 0, advance: w, bits };
+      for (const cp of hasTable ? table[i] || [] : [i]) if (!glyphs.has(cp)) glyphs.set(cp, g);
+    }
+    return new BitmapFont({ name, glyphs, ascent: h, descent: 0 });
+  }
+
+  /**
+   * JSON font:
+   *   { name, ascent, descent, lineHeight, spacing, defaultChar,
+   *     glyphs: { "A": ["0110", "1001", …] | { rows, advance, xOffset, yOffset } },
+   *     kerning: { "AV": -1, "U+0054,o": -1 } }
+   * Glyph keys are the character itself or U+XXXX. Rows are top to bottom; any
+   * of 1 # x @ * is ink. Without offsets a glyph's bottom row sits `descent`
+   * below the baseline; advance defaults to width + spacing (default 1).
+   */
+  static fromJSON(json) {
+    const o = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!o || typeof o.glyphs !== 'object') throw new Error('BitmapFont.fromJSON: expected { glyphs: { … } }');
+    const descent = o.descent ?? 0, spacing = o.spacing ?? 1, glyphs = new Map();
+    for (const [key, v] of Object.entries(o.glyphs)) {
+      const cp = _parseKey(key);
+      const rows = Array.isArray(v) ? v : v.rows;
+      if (!Array.isArray(rows)) throw new Error(`BitmapFont.fromJSON: glyph ${key} needs rows`);
+      const w = Math.max(0, ...rows.map((r) => [...r].length)), h = rows.length;
+      const bits = new Uint8Array(w * h);
+      rows.forEach((r, y) => [...r].forEach((ch, x) => { bits[y * w + x] = +INK.test(ch); }));
+      glyphs.set(cp, {
+        width: w, height: h, bits,
+        xOffset: v.xOffset ?? 0, yOffset: v.yOffset ?? -descent, advance: v.advance ?? w + spacing,
+      });
+    }
+    const kerning = new Map();
+    for (const [pair, dx] of Object.entries(o.kerning || {})) {
+      const cps = pair.includes(',') ? pair.split(',').map(_parseKey) : [...pair].map((c) => c.codePointAt(0));
+      if (cps.length !== 2) throw new Error(`BitmapFont.fromJSON: kerning key "${pair}" is not a pair`);
+      kerning.set(`${cps[0]},${cps[1]}`, +dx);
+    }
+    return new BitmapFont({
+      name: o.name, ascent: o.ascent, descent, lineHeight: o.lineHeight, glyphs, kerning,
+      defaultChar: o.defaultChar != null ? _parseKey(String(o.defaultChar)) : undefined,
+    });
+  }
+
+  /**
+   * The asChars table of funebra-ascii-bitmap.js (ASCII 33..127, rows of
+   * '0'/'1' joined by ';'), advance cols + 2 as targetFromText spaced them.
+   */
+  static fromAsChars(asChars, { rows = 12, cols = 12, descent = 2 } = {}) {
+    const glyphs = new Map();
+    asChars.forEach((grid, i) => {
+      if (!grid) return;
+      const bits = new Uint8Array(rows * cols);
+      grid.split(';').slice(0, rows).forEach((row, r) => { for (let c = 0; c < cols; c++) bits[r * cols + c] = +(row[c] === '1'); });
+      glyphs.set(33 + i, { width: cols, height: rows, xOffset: 0, yOffset: -descent, advance: cols + 2, bits });
+    });
+    glyphs.set(32, { width: 0, height: 0, xOffset: 0, yOffset: 0, advance: cols + 2, bits: new Uint8Array(0) });
+    return new BitmapFont({ name: 'funebra-ascii-12x12', ascent: rows - descent, descent, glyphs });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** BDF text, PSF bytes, JSON text / object or an asChars array → BitmapFont. */
+export function loadFont(source, opts) {
+  if (source instanceof BitmapFont) return source;
+  if (Array.isArray(source)) return BitmapFont.fromAsChars(source, opts);
+  if (typeof source === 'string') {
+    const s = source.trimStart();
+    if (s.startsWith('STARTFONT')) return BitmapFont.fromBDF(source);
+    if (s.startsWith('{')) return BitmapFont.fromJSON(source);
+    throw new Error('loadFont: text is neither BDF nor JSON');
+  }
+  if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+    const b = source instanceof ArrayBuffer ? new Uint8Array(source) : new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+    if ((b[0] === 0x36 && b[1] === 0x04) || (b[0] === 0x72 && b[1] === 0xb5)) return BitmapFont.fromPSF(b, opts);
+    return loadFont(new TextDecoder().decode(b), opts);
+  }
+  if (source && typeof source === 'object') return BitmapFont.fromJSON(source);
+  throw new Error('loadFont: unsupported source');
+}
+
+/**
+ * Stamp text into an existing funebra-pixels matrix at (x, y) (top-left of the block).
+ * @returns the matrix
+ */
+export function drawText(matrix, font, text, { x = 0, y = 0, colorIndex = 2, ...layout } = {}) {
+  _stamp(matrix, font.layout(text, layout), x, y, colorIndex);
+  return matrix;
+}
+
+function _stamp(matrix, L, ox, oy, colorIndex) {
+  const H = matrix.length, W = H ? matrix[0].length : 0;
+  for (const { glyph: g, x, y } of L.glyphs) {
+    for (let r = 0; r < g.height; r++) {
+      const my = oy + y + r;
+      if (my < 0 || my >= H) continue;
+      for (let c = 0; c < g.width; c++) {
+        const mx = ox + x + c;
+        if (mx >= 0 && mx < W && g.bits[r * g.width + c]) matrix[my][mx] = colorIndex;
+      }
+    }
+  }
+}
+
+function _glyph(g, cp) {
+  const { width, height } = g;
+  if (!(width >= 0 && height >= 0) || !g.bits || g.bits.length < width * height) throw new Error(`BitmapFont: glyph ${cp} needs width, height and bits`);
+  return { width, height, bits: g.bits, xOffset: g.xOffset ?? 0, yOffset: g.yOffset ?? 0, advance: g.advance ?? width };
+}
+
+// hollow cell for code points the font cannot show and has no default for
+function _boxGlyph(font) {
+  const adv = Math.max(3, Math.round((font.ascent + font.descent) * 0.6));
+  const w = adv - 1, h = Math.max(3, font.ascent);
+  const bits = new Uint8Array(w * h);
+  for (let r = 0; r < h; r++) for (let c = 0; c < w; c++) bits[r * w + c] = +(r === 0 || c === 0 || r === h - 1 || c === w - 1);
+  return { width: w, height: h, bits, xOffset: 0, yOffset: 0, advance: adv };
+}
+
+function _spaceGlyph(advance) {
+  return { width: 0, height: 0, bits: new Uint8Array(0), xOffset: 0, yOffset: 0, advance: Math.max(1, advance) };
+}
+
+function _parseKey(key) {
+  const m = /^U\+([0-9a-f]{1,6})$/i.exec(key);
+  if (m) return parseInt(m[1], 16);
+  const cps = [...key];
+  if (cps.length !== 1) throw new Error(`BitmapFont: glyph key "${key}" must be one character or U+XXXX`);
+  return cps[0].codePointAt(0);
+}
+
+function _cpKey(cp) {
+  return cp > 32 && cp < 127 && cp !== 44 ? String.fromCodePoint(cp) : 'U+' + cp.toString(16).toUpperCase().padStart(4, '0');
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Built-in 5×7 ASCII font (32..126)
+// ─────────────────────────────────────────────────────────────────────────────
+// Five column bytes per glyph, bit 0 at the top — the classic HD44780-style set.
+
+const _5X7 = [
+  '0000000000', '00005f0000', '0007000700', '147f147f14', '242a7f2a12', '2313086462', '3649552250', '0005030000',
+  '001c224100', '0041221c00', '082a1c2a08', '08083e0808', '0050300000', '0808080808', '0060600000', '2010080402',
+  '3e5149453e', '00427f4000', '4261514946', '2141454b31', '1814127f10', '2745454539', '3c4a494930', '0171090503',
+  '3649494936', '064949291e', '0036360000', '0056360000', '0008142241', '1414141414', '4122140800', '0201510906',
+  '324979413e', '7e1111117e', '7f49494936', '3e41414122', '7f4141221c', '7f49494941', '7f09090101', '3e41415132',
+  '7f0808087f', '00417f4100', '2040413f01', '7f08142241', '7f40404040', '7f0204027f', '7f0408107f', '3e4141413e',
+  '7f09090906', '3e4151215e', '7f09192946', '4649494931', '01017f0101', '3f4040403f', '1f2040201f', '7f2018207f',
+  '6314081463', '0304780403', '6151494543', '00007f4141', '0204081020', '41417f0000', '0402010204', '4040404040',
+  '0001020400', '2054545478', '7f48444438', '3844444420', '384444487f', '3854545418', '087e090102', '081454543c',
+  '7f08040478', '00447d4000', '2040443d00', '007f102844', '00417f4000', '7c04180478', '7c08040478', '3844444438',
+  '7c14141408', '081414187c', '7c08040408', '4854545420', '043f444020', '3c4040207c', '1c2040201c', '3c4030403c',
+  '4428102844', '0c5050503c', '4464544c44', '0008364100', '00007f0000', '0041360800', '0804081008',
+];
+
+/** The built-in font as a JSON-ready object (fromJSON input). */
+export const FONT_5X7 = (() => {
+  const glyphs = {};
+  _5X7.forEach((hex, i) => {
+    const cols = [0, 2, 4, 6, 8].map((k) => parseInt(hex.slice(k, k + 2), 16));
+    const rows = [];
+    for (let r = 0; r < 7; r++) rows.push(cols.map((c) => ((c >> r) & 1 ? '1' : '0')).join(''));
+    glyphs[_cpKey(32 + i)] = { rows, advance: 6, yOffset: 0 };
+  });
+  return { name: 'funebra-5x7', ascent: 7, descent: 1, lineHeight: 9, defaultChar: '?', glyphs };
+})();
+
+let _default = null;
+/** Shared BitmapFont built from FONT_5X7. */
+export function defaultFont() {
+  return _default || (_default = BitmapFont.fromJSON(FONT_5X7));
+}
+
+export default { BitmapFont, loadFont, drawText, defaultFont, FONT_5X7 };
@@ -0,0 +1,714 @@
+// funebra-isosurface.module.js — Implicit surfaces → indexed, printable meshes (ESM, no deps)
+// - marchingCubes(): complete 256-case tables, generated at load from a single
+//   face rule (inside corners on an ambiguous face stay separated), so two
+//   cells always agree on their shared face and the surface never cracks.
+//   Edge vertices are shared between cells (indexed output).
+// - dualContour(): one vertex per surface cell, placed by a QEF over the edge
+//   hermite data (crossing point + field gradient). Keeps the sharp edges and
+//   corners of boxes and CSG cuts that marching cubes rounds off.
+// - Adaptive octree sampling: boxes the field provably cannot cross
+//   (|f - iso| > lipschitz × half-diagonal) are skipped, so only the narrow band
+//   around the surface is sampled. On by default for sdf.* fields.
+// - sdf: primitives (sphere, box, torus, cylinder, capsule, plane, heart) and
+//   combinators (union, intersect, subtract, smooth*, translate, rotate, scale,
+//   round, shell, extrude, revolve). Fields carry .bounds and .lipschitz, so
+//   polygonize() needs no box for them.
+// - Output { positions, indices, normals } feeds funebra-mesh, 3MF and STL.
+//
+// Usage:
+//   import * as ISO from './funebra-isosurface.module.js';
+//   const { sdf } = ISO;
+//   const charm = sdf.subtract(
+//     sdf.heart({ size: 20, depth: 6 }),
+//     sdf.cylinder({ r: 2, h: 10, axis: 'z', center: [0, 14, 0] }));
+//   const mesh = ISO.polygonize(charm, { resolution: 96, method: 'dc' });
+//   // MF.build3MF([{ mesh, name: 'Heart charm' }])  ·  meshToSTL(mesh)
+//   // plain density fields: ISO.marchingCubes((x, y, z) => …, { bounds: { min: [-1, -1, -1], max: [1, 1, 1] } })
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Marching-cubes tables
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Corner and edge numbering follow the usual Bourke layout.
+export const MC_CORNERS = [
+  [0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0],
+  [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1],
+];
+export const MC_EDGES = [
+  [0, 1], [1, 2], [2, 3], [3, 0],
+  [4, 5], [5, 6], [6, 7], [7, 4],
+  [0, 4], [1, 5], [2, 6], [3, 7],
+];
+// Cube faces, corners counter-clockwise seen from outside the cube.
+const MC_FACES = [
+  [0, 3, 2, 1], [4, 5, 6, 7], [0, 1, 5, 4],
+  [1, 2, 6, 5], [2, 3, 7, 6], [3, 0, 4, 7],
+];
+
+/**
+ * Build edgeTable / triTable. Bit c of the case index is set when corner c is
+ * inside (value < iso); triTable rows are edge triples terminated by -1, wound
+ * counter-clockwise seen from outside.
+ */
+function _buildTables() {
+  const edgeOf = (a, b) => MC_EDGES.findIndex(([p, q]) => (p === a && q === b) || (p === b && q === a));
+  const edgeTable = new Uint16Array(256);
+  const triTable = [];
+  for (let cube = 0; cube < 256; cube++) {
+    const inside = (c) => ((cube >> c) & 1) === 1;
+    // Each face contributes directed segments exit → entry (walking the face
+    // CCW, leave the inside run, come back at its start). A crossing edge is an
+    // exit on one of its faces and an entry on the other, so segments chain into loops.
+    const next = new Map();
+    for (const f of MC_FACES) {
+      for (let k = 0; k < 4; k++) {
+        if (!inside(f[k]) || inside(f[(k + 1) % 4])) continue;
+        let j = k;
+        while (inside(f[(j + 3) % 4])) j = (j + 3) % 4;
+        next.set(edgeOf(f[k], f[(k + 1) % 4]), edgeOf(f[(j + 3) % 4], f[j]));
+      }
+    }
+    let mask = 0;
+    for (const e of next.keys()) mask |= 1 << e;
+    edgeTable[cube] = mask;
+    const tris = [];
+    const seen = new Set();
+    for (const start of next.keys()) {
+      if (seen.has(start)) continue;
+      const loop = [];
+      for (let e = start; !seen.has(e); e = next.get(e)) { seen.add(e); loop.push(e); }
+      for (let i = 1; i + 1 < loop.length; i++) tris.push(loop[0], loop[i + 1], loop[i]);
+    }
+    tris.push(-1);
+    triTable.push(tris);
+  }
+  return { edgeTable, triTable };
+}
+
+export const { edgeTable: MC_EDGE_TABLE, triTable: MC_TRI_TABLE } = _buildTables();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Polygonisers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Turn a scalar field into an indexed triangle mesh of its iso-surface.
+ * Inside is value < iso (negative for signed distances); triangles wind
+ * counter-clockwise seen from outside.
+ *
+ * @param {(x:number,y:number,z:number)=>number} field  density / SDF (sdf.* fields carry bounds)
+ * @param {object} [opts]
+ *  - method: 'mc' (marching cubes, default) | 'dc' (dual contouring, sharp features)
+ *  - iso: surface level (default 0)
+ *  - bounds: { min, max } as [x,y,z] or {x,y,z} (default field.bounds plus a cell of margin)
+ *  - resolution: cells along the longest side (default 64), or [nx, ny, nz]
+ *  - adaptive: octree narrow-band sampling (default: on when the field has .lipschitz)
+ *  - lipschitz: bound on |∇f| used by the octree (default field.lipschitz ?? 1)
+ *  - cap: intersect with the sampling box so clipped surfaces stay closed (default true)
+ *  - gradient: (x,y,z) => [gx,gy,gz] (default field.gradient, else central differences)
+ *  - normals: also return per-vertex normals from the gradient (default true)
+ *  - bias: dc only — pull towards the mass point for flat / under-determined cells (default 0.01)
+ * @returns {{positions: Float32Array, indices: Uint32Array, normals?: Float32Array, info: object}}
+ */
+export function polygonize(field, opts = {}) {
+  if (typeof field !== 'function') throw new Error('polygonize: field must be a function (x, y, z) => number');
+  const {
+    method = 'mc', iso = 0, resolution = 64, cap = true, normals = true, bias = 0.01,
+    adaptive = field.lipschitz != null, lipschitz = field.lipschitz ?? 1,
+  } = opts;
+  if (method !== 'mc' && method !== 'dc') throw new Error(`polygonize: unknown method "${method}" (use 'mc' or 'dc')`);
+  const grid = _grid(field, opts.bounds, resolution);
+  const f = cap ? _capped(field, grid, iso) : field;
+  const grad = _gradient(cap ? null : (opts.gradient || field.gradient), f, Math.min(...grid.h) * 1e-3);
+  const values = _sampler(f, grid, adaptive);
+  const cells = adaptive ? _octreeCells(f, grid, iso, cap ? Math.max(lipschitz, 1) : lipschitz) : _allCells(grid);
+
+  const out = _weld(method === 'dc'
+    ? _dualContour(grid, values, cells, iso, grad, bias)
+    : _marchingCubes(grid, values, cells, iso), Math.hypot(...grid.max.map((v, a) => v - grid.min[a])) * 1e-6);
+  const mesh = {
+    positions: new Float32Array(out.positions),
+    indices: new Uint32Array(out.indices),
+    info: { method, cells: [grid.nx, grid.ny, grid.nz], cellSize: grid.h.slice(), samples: values.count(), adaptive },
+  };
+  if (normals) {
+    const P = mesh.positions, N = new Float32Array(P.length);
+    for (let i = 0; i < P.length; i += 3) {
+      const [gx, gy, gz] = grad(P[i], P[i + 1], P[i + 2]);
+      const l = Math.hypot(gx, gy, gz) || 1;
+      N[i] = gx / l; N[i + 1] = gy / l; N[i + 2] = gz / l;
+    }
+    mesh.normals = N;
+  }
+  return mesh;
+}
+
+export const marchingCubes = (field, opts = {}) => polygonize(field, { ...opts, method: 'mc' });
+export const dualContour = (field, opts = {}) => polygonize(field, { ...opts, method: 'dc' });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SDF primitives + combinators
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const sdf = {
+  /** Sphere of radius r. */
+  sphere({ r = 1, center } = {}) {
+    return _at(_field((x, y, z) => Math.hypot(x, y, z) - r, _box([-r, -r, -r], [r, r, r]), 1), center);
+  },
+
+  /** Axis-aligned box; size = full extents (number or [sx,sy,sz]); radius rounds the edges. */
+  box({ size = 1, radius = 0, center } = {}) {
+    const [bx, by, bz] = _vec3(size).map((s) => s / 2);
+    const ix = bx - radius, iy = by - radius, iz = bz - radius;
+    return _at(_field((x, y, z) => {
+      const qx = Math.abs(x) - ix, qy = Math.abs(y) - iy, qz = Math.abs(z) - iz;
+      return Math.hypot(Math.max(qx, 0), Math.max(qy, 0), Math.max(qz, 0))
+        + Math.min(Math.max(qx, qy, qz), 0) - radius;
+    }, _box([-bx, -by, -bz], [bx, by, bz]), 1), center);
+  },
+
+  /** Torus around `axis` ('x' | 'y' | 'z'): ring radius R, tube radius r. */
+  torus({ R = 1, r = 0.25, axis = 'y', center } = {}) {
+    const ax = _axisIndex(axis);
+    const ext = [R + r, R + r, R + r]; ext[ax] = r;
+    return _at(_field((x, y, z) => {
+      const p = [x, y, z], a = p[ax];
+      return Math.hypot(Math.hypot(p[(ax + 1) % 3], p[(ax + 2) % 3]) - R, a) - r;
+    }, _box(ext.map((e) => -e), ext), 1), center);
+  },
+
+  /** Capped cylinder along `axis`: radius r, height h. */
+  cylinder({ r = 0.5, h = 1, axis = 'y', center } = {}) {
+    const ax = _axisIndex(axis);
+    const ext = [r, r, r]; ext[ax] = h / 2;
+    return _at(_field((x, y, z) => {
+      const p = [x, y, z];
+      const dr = Math.hypot(p[(ax + 1) % 3], p[(ax + 2) % 3]) - r, da = Math.abs(p[ax]) - h / 2;
+      return Math.min(Math.max(dr, da), 0) + Math.hypot(Math.max(dr, 0), Math.max(da, 0));
+    }, _box(ext.map((e) => -e), ext), 1), center);
+  },
+
+  /** Capsule (swept sphere) from a to b with radius r. */
+  capsule({ a = [0, -0.5, 0], b = [0, 0.5, 0], r = 0.25 } = {}) {
+    const A = _vec3(a), B = _vec3(b);
+    const bax = B[0] - A[0], bay = B[1] - A[1], baz = B[2] - A[2];
+    const bb = bax * bax + bay * bay + baz * baz || 1;
+    return _field((x, y, z) => {
+      const px = x - A[0], py = y - A[1], pz = z - A[2];
+      const t = Math.max(0, Math.min(1, (px * bax + py * bay + pz * baz) / bb));
+      return Math.hypot(px - bax * t, py - bay * t, pz - baz * t) - r;
+    }, _box(A.map((v, i) => Math.min(v, B[i]) - r), A.map((v, i) => Math.max(v, B[i]) + r)), 1);
+  },
+
+  /** Half-space below the plane n·p = offset (unbounded — intersect it with something). */
+  plane({ normal = [0, 1, 0], offset = 0 } = {}) {
+    const [nx, ny, nz] = _unit(_vec3(normal));
+    return _field((x, y, z) => nx * x + ny * y + nz * z - offset, null, 1);
+  },
+
+  /**
+   * Heart, lobes up (+y). Without depth: Taubin's heart surface
+   * (x² + y² + 9/4 z² − 1)³ − x² y³ − 9/80 z² y³, whose z = 0 slice is the
+   * heartToPixels curve. With depth: that 2D curve extruded along z (charms,
+   * cookie cutters). Size is the overall width; the field is a first-order
+   * distance estimate, so no Lipschitz bound is claimed.
+   */
+  heart({ size = 1, depth, center } = {}) {
+    const s = size / 2.28;
+    let f;
+    if (depth != null) {
+      const h2 = _normalized2D(
+        (x, y) => { const g = x * x + y * y - 1; return g * g * g - x * x * y * y * y; },
+        (x, y) => { const g = x * x + y * y - 1; return [6 * x * g * g - 2 * x * y * y * y, 6 * y * g * g - 3 * x * x * y * y]; });
+      h2.bounds = { min: [-1.15, -1.01], max: [1.15, 1.26] };
+      f = sdf.extrude(h2, depth / s);
+    } else {
+      f = _field(_normalized3D(
+        (x, y, z) => { const g = x * x + y * y + 2.25 * z * z - 1; return g * g * g - x * x * y * y * y - 0.1125 * z * z * y * y * y; },
+        (x, y, z) => {
+          const g = x * x + y * y + 2.25 * z * z - 1, y3 = y * y * y;
+          return [6 * x * g * g - 2 * x * y3, 6 * y * g * g - 3 * x * x * y * y - 0.3375 * z * z * y * y, 13.5 * z * g * g - 0.225 * z * y3];
+        }), _box([-1.15, -1.01, -0.67], [1.15, 1.26, 0.67]));
+    }
+    return _at(sdf.scale(f, s), center);
+  },
+
+  /** Wrap any (x,y,z) => number as a field; normalize divides by |∇f| (first-order distance). */
+  implicit(fn, { bounds, lipschitz, normalize = false, gradient } = {}) {
+    const f = normalize ? _normalized3D(fn, gradient) : (x, y, z) => fn(x, y, z);
+    if (gradient && !normalize) f.gradient = gradient;
+    return _field(f, bounds ? _box(_vec3(bounds.min), _vec3(bounds.max)) : null, lipschitz);
+  },
+
+  /** Extrude a 2D field (x, y) => d along z, total thickness depth. */
+  extrude(field2D, depth = 1) {
+    const hz = depth / 2, b = field2D.bounds;
+    return _field((x, y, z) => {
+      const d = field2D(x, y), w = Math.abs(z) - hz;
+      return Math.min(Math.max(d, w), 0) + Math.hypot(Math.max(d, 0), Math.max(w, 0));
+    }, b ? _box([b.min[0], b.min[1], -hz], [b.max[0], b.max[1], hz]) : null,
+    field2D.lipschitz == null ? undefined : Math.max(field2D.lipschitz, 1));
+  },
+
+  /** Revolve a 2D field (r, y) => d around the y axis, its r axis shifted out by offset. */
+  revolve(field2D, offset = 0) {
+    const b = field2D.bounds;
+    const R = b ? Math.max(Math.abs(b.min[0] + offset), Math.abs(b.max[0] + offset)) : 0;
+    return _field((x, y, z) => field2D(Math.hypot(x, z) - offset, y),
+      b ? _box([-R, b.min[1], -R], [R, b.max[1], R]) : null, field2D.lipschitz);
+  },
+
+  union(...fields) {
+    return _field((x, y, z) => { let d = Infinity; for (const f of fields) d = Math.min(d, f(x, y, z)); return d; },
+      _mergeBounds(fields.map((f) => f.bounds)), _maxLipschitz(fields));
+  },
+
+  intersect(...fields) {
+    return _field((x, y, z) => { let d = -Infinity; for (const f of fields) d = Math.max(d, f(x, y, z)); return d; },
+      _overlapBounds(fields.map((f) => f.bounds)), _maxLipschitz(fields));
+  },
+
+  /** a minus every following field. */
+  subtract(a, ...cutters) {
+    return _field((x, y, z) => { let d = a(x, y, z); for (const f of cutters) d = Math.max(d, -f(x, y, z)); return d; },
+      a.bounds, _maxLipschitz([a, ...cutters]));
+  },
+
+  /** Polynomial smooth minimum; k is the blend width in world units. */
+  smoothUnion(a, b, k = 0.1) {
+    const bounds = _mergeBounds([a.bounds, b.bounds]);
+    return _field((x, y, z) => _smin(a(x, y, z), b(x, y, z), k), bounds && _padBounds(bounds, k / 4), _maxLipschitz([a, b]));
+  },
+
+  smoothIntersect(a, b, k = 0.1) {
+    return _field((x, y, z) => -_smin(-a(x, y, z), -b(x, y, z), k),
+      _overlapBounds([a.bounds, b.bounds]), _maxLipschitz([a, b]));
+  },
+
+  smoothSubtract(a, b, k = 0.1) {
+    return _field((x, y, z) => -_smin(-a(x, y, z), b(x, y, z), k), a.bounds, _maxLipschitz([a, b]));
+  },
+
+  translate(f, offset) {
+    const [ox, oy, oz] = _vec3(offset);
+    const b = f.bounds;
+    return _field((x, y, z) => f(x - ox, y - oy, z - oz),
+      b && _box([b.min[0] + ox, b.min[1] + oy, b.min[2] + oz], [b.max[0] + ox, b.max[1] + oy, b.max[2] + oz]), f.lipschitz);
+  },
+
+  /** Rotate by angle (radians) about axis ('x' | 'y' | 'z' | [x,y,z]) through the origin. */
+  rotate(f, angle, axis = 'y') {
+    const k = typeof axis === 'string' ? [0, 0, 0].map((_, i) => (i === _axisIndex(axis) ? 1 : 0)) : _unit(_vec3(axis));
+    const inv = (p) => _rotateAbout(p, k, -angle);
+    const b = f.bounds;
+    let bounds = null;
+    if (b) {
+      const corners = [];
+      for (let i = 0; i < 8; i++) corners.push(_rotateAbout([0, 1, 2].map((a) => ((i >> a) & 1 ? b.max[a] : b.min[a])), k, angle));
+      bounds = _box([0, 1, 2].map((a) => Math.min(...corners.map((c) => c[a]))), [0, 1, 2].map((a) => Math.max(...corners.map((c) => c[a]))));
+    }
+    return _field((x, y, z) => { const [px, py, pz] = inv([x, y, z]); return f(px, py, pz); }, bounds, f.lipschitz);
+  },
+
+  /** Scale about the origin; a per-axis [sx,sy,sz] keeps a conservative (min-scale) distance. */
+  scale(f, s) {
+    const [sx, sy, sz] = _vec3(s);
+    if (!(sx > 0 && sy > 0 && sz > 0)) throw new Error('sdf.scale: scale factors must be positive');
+    const m = Math.min(sx, sy, sz), b = f.bounds;
+    return _field((x, y, z) => f(x / sx, y / sy, z / sz) * m,
+      b && _box([b.min[0] * sx, b.min[1] * sy, b.min[2] * sz], [b.max[0] * sx, b.max[1] * sy, b.max[2] * sz]),
+      f.lipschitz == null ? undefined : f.lipschitz * Math.max(sx, sy, sz) / m);
+  },
+
+  /** Grow the surface outwards by r (rounds convex edges). */
+  round(f, r) {
+    return _field((x, y, z) => f(x, y, z) - r, f.bounds && _padBounds(f.bounds, r), f.lipschitz);
+  },
+
+  /** Hollow shell of the given wall thickness, centred on the surface. */
+  shell(f, thickness) {
+    const t = thickness / 2;
+    return _field((x, y, z) => Math.abs(f(x, y, z)) - t, f.bounds && _padBounds(f.bounds, t), f.lipschitz);
+  },
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Internals — sampling
+// ─────────────────────────────────────────────────────────────────────────────
+
+function _grid(field, bounds, resolution) {
+  let min, max, margin = !bounds;
+  if (bounds) { min = _vec3(bounds.min); max = _vec3(bounds.max); }
+  else if (field.bounds) { min = field.bounds.min.slice(); max = field.bounds.max.slice(); }
+  else throw new Error('polygonize: bounds are required for fields without .bounds');
+  if (![...min, ...max].every(Number.isFinite)) throw new Error('polygonize: bounds must be finite (intersect unbounded fields first)');
+  const ext = [0, 1, 2].map((a) => Math.max(max[a] - min[a], 1e-9));
+  let n;
+  if (Array.isArray(resolution)) {
+    n = resolution.map((v) => Math.max(1, Math.round(v)));
+  } else {
+    const h = Math.max(...ext) / Math.max(1, resolution);
+    n = ext.map((e) => Math.max(1, Math.round(e / h)));
+    if (margin) {
+      // pad by a cell per side so the surface never touches the sampling box
+      n = ext.map((e) => Math.ceil(e / h) + 2);
+      for (let a = 0; a < 3; a++) {
+        const c = (min[a] + max[a]) / 2;
+        min[a] = c - (n[a] * h) / 2; max[a] = c + (n[a] * h) / 2;
+      }
+    }
+  }
+  const h = [0, 1, 2].map((a) => (max[a] - min[a]) / n[a]);
+  return { min, max, h, nx: n[0], ny: n[1], nz: n[2] };
+}
+
+// Intersect with a box half a cell inside the grid, so no grid point on the
+// border counts as inside and every surface closes.
+function _capped(field, grid, iso) {
+  const c = grid.min.map((v, a) => (v + grid.max[a]) / 2);
+  const b = grid.h.map((h, a) => (grid.max[a] - grid.min[a]) / 2 - h / 2);
+  return (x, y, z) => {
+    const qx = Math.abs(x - c[0]) - b[0], qy = Math.abs(y - c[1]) - b[1], qz = Math.abs(z - c[2]) - b[2];
+    const box = Math.hypot(Math.max(qx, 0), Math.max(qy, 0), Math.max(qz, 0)) + Math.min(Math.max(qx, qy, qz), 0);
+    return Math.max(field(x, y, z) - iso, box) + iso;
+  };
+}
+
+function _gradient(analytic, f, eps) {
+  if (analytic) return analytic;
+  return (x, y, z) => [
+    (f(x + eps, y, z) - f(x - eps, y, z)) / (2 * eps),
+    (f(x, y + eps, z) - f(x, y - eps, z)) / (2 * eps),
+    (f(x, y, z + eps) - f(x, y, z - eps)) / (2 * eps),
+  ];
+}
+
+// Grid-point values: a dense array, or a lazily filled map for the octree.
+function _sampler(f, grid, sparse) {
+  const { min, h, nx, ny, nz } = grid;
+  const sx = nx + 1, sy = ny + 1;
+  const at = (i, j, k) => f(min[0] + i * h[0], min[1] + j * h[1], min[2] + k * h[2]);
+  if (!sparse) {
+    const data = new Float64Array(sx * sy * (nz + 1));
+    let p = 0;
+    for (let k = 0; k <= nz; k++) for (let j = 0; j <= ny; j++) for (let i = 0; i <= nx; i++) data[p++] = at(i, j, k);
+    return { get: (i, j, k) => data[(k * sy + j) * sx + i], count: () => data.length };
+  }
+  const cache = new Map();
+  return {
+    get(i, j, k) {
+      const key = (k * sy + j) * sx + i;
+      let v = cache.get(key);
+      if (v === undefined) { v = at(i, j, k); cache.set(key, v); }
+      return v;
+    },
+    count: () => cache.size,
+  };
+}
+
+function _allCells(grid) {
+  const cells = [];
+  for (let k = 0; k < grid.nz; k++) for (let j = 0; j < grid.ny; j++) for (let i = 0; i < grid.nx; i++) cells.push(i, j, k);
+  return cells;
+}
+
+// Descend from one power-of-two node over the grid; keep leaves the surface may cross.
+function _octreeCells(f, grid, iso, lipschitz) {
+  const { min, h, nx, ny, nz } = grid;
+  let size = 1;
+  while (size < Math.max(nx, ny, nz)) size *= 2;
+  const cells = [];
+  const visit = (i0, j0, k0, s) => {
+    if (i0 >= nx || j0 >= ny || k0 >= nz) return;
+    const i1 = Math.min(i0 + s, nx), j1 = Math.min(j0 + s, ny), k1 = Math.min(k0 + s, nz);
+    if (s === 1) { cells.push(i0, j0, k0); return; }
+    const hx = ((i1 - i0) * h[0]) / 2, hy = ((j1 - j0) * h[1]) / 2, hz = ((k1 - k0) * h[2]) / 2;
+    const d = f(min[0] + i0 * h[0] + hx, min[1] + j0 * h[1] + hy, min[2] + k0 * h[2] + hz) - iso;
+    if (Math.abs(d) > lipschitz * Math.hypot(hx, hy, hz) * 1.0001) return;
+    const c = s / 2;
+    for (let q = 0; q < 8; q++) visit(i0 + (q & 1) * c, j0 + ((q >> 1) & 1) * c, k0 + ((q >> 2) & 1) * c, c);
+  };
+  visit(0, 0, 0, size);
+  return cells;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Internals — meshing
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Per cube edge: corner offset of its lower end and its axis.
+const EDGE_BASE = MC_EDGES.map(([a, b]) => {
+  const pa = MC_CORNERS[a], pb = MC_CORNERS[b];
+  const axis = pa.findIndex((v, i) => v !== pb[i]);
+  return [...(pa[axis] < pb[axis] ? pa : pb), axis];
+});
+const EDGE_LOW = MC_EDGES.map(([a, b], e) => (MC_CORNERS[a][EDGE_BASE[e][3]] === 0 ? a : b));
+
+function _cornerValues(values, i, j, k, out) {
+  for (let c = 0; c < 8; c++) {
+    const o = MC_CORNERS[c];
+    out[c] = values.get(i + o[0], j + o[1], k + o[2]);
+  }
+  return out;
+}
+
+function _cubeIndex(val, iso) {
+  let cube = 0;
+  for (let c = 0; c < 8; c++) if (val[c] < iso) cube |= 1 << c;
+  return cube;
+}
+
+// Crossing point of cube edge e (relative t along a → b) in world space.
+function _edgePoint(grid, i, j, k, e, val, iso, out) {
+  const [a, b] = MC_EDGES[e];
+  const pa = MC_CORNERS[a], pb = MC_CORNERS[b];
+  const t = (iso - val[a]) / (val[b] - val[a]);
+  for (let ax = 0; ax < 3; ax++) {
+    const g = [i, j, k][ax];
+    out[ax] = grid.min[ax] + (g + pa[ax] + t * (pb[ax] - pa[ax])) * grid.h[ax];
+  }
+  return out;
+}
+
+function _edgeKey(grid, i, j, k, e) {
+  const [ox, oy, oz, axis] = EDGE_BASE[e];
+  return (((k + oz) * (grid.ny + 1) + (j + oy)) * (grid.nx + 1) + (i + ox)) * 3 + axis;
+}
+
+function _marchingCubes(grid, values, cells, iso) {
+  const positions = [], indices = [];
+  const shared = new Map();
+  const val = new Float64Array(8), p = [0, 0, 0], vid = new Int32Array(12);
+  for (let n = 0; n < cells.length; n += 3) {
+    const i = cells[n], j = cells[n + 1], k = cells[n + 2];
+    const cube = _cubeIndex(_cornerValues(values, i, j, k, val), iso);
+    const mask = MC_EDGE_TABLE[cube];
+    if (!mask) continue;
+    for (let e = 0; e < 12; e++) {
+      if (!(mask & (1 << e))) continue;
+      const key = _edgeKey(grid, i, j, k, e);
+      let id = shared.get(key);
+      if (id === undefined) {
+        _edgePoint(grid, i, j, k, e, val, iso, p);
+        id = positions.length / 3;
+        positions.push(p[0], p[1], p[2]);
+        shared.set(key, id);
+      }
+      vid[e] = id;
+    }
+    const T = MC_TRI_TABLE[cube];
+    for (let t = 0; T[t] !== -1; t += 3) indices.push(vid[T[t]], vid[T[t + 1]], vid[T[t + 2]]);
+  }
+  return { positions, indices };
+}
+
+function _dualContour(grid, values, cells, iso, grad, bias) {
+  const { nx, ny } = grid;
+  const positions = [], indices = [];
+  const cellVertex = new Map(), edgeNormal = new Map(), crossing = new Map();
+  const val = new Float64Array(8), p = [0, 0, 0];
+  for (let n = 0; n < cells.length; n += 3) {
+    const i = cells[n], j = cells[n + 1], k = cells[n + 2];
+    const cube = _cubeIndex(_cornerValues(values, i, j, k, val), iso);
+    const mask = MC_EDGE_TABLE[cube];
+    if (!mask) continue;
+    // QEF in coordinates relative to the mass point: (AᵀA + bias·I) y = Aᵀb
+    const pts = [], nrm = [];
+    const c = [0, 0, 0];
+    for (let e = 0; e < 12; e++) {
+      if (!(mask & (1 << e))) continue;
+      const key = _edgeKey(grid, i, j, k, e);
+      _edgePoint(grid, i, j, k, e, val, iso, p);
+      let nn = edgeNormal.get(key);
+      if (!nn) {
+        nn = _unit(grad(p[0], p[1], p[2]));
+        edgeNormal.set(key, nn);
+        crossing.set(key, val[EDGE_LOW[e]] < iso);
+      }
+      pts.push(p.slice()); nrm.push(nn);
+      c[0] += p[0]; c[1] += p[1]; c[2] += p[2];
+    }
+    c[0] /= pts.length; c[1] /= pts.length; c[2] /= pts.length;
+    const hs = Math.max(...grid.h);
+    const A = [bias, 0, 0, 0, bias, 0, 0, 0, bias], B = [0, 0, 0];
+    for (let q = 0; q < pts.length; q++) {
+      const nv = nrm[q];
+      const d = (nv[0] * (pts[q][0] - c[0]) + nv[1] * (pts[q][1] - c[1]) + nv[2] * (pts[q][2] - c[2])) / hs;
+      for (let r = 0; r < 3; r++) {
+        B[r] += nv[r] * d;
+        for (let s = 0; s < 3; s++) A[r * 3 + s] += nv[r] * nv[s];
+      }
+    }
+    const y = _solve3(A, B);
+    const x0 = [i, j, k].map((g, a) => grid.min[a] + g * grid.h[a]);
+    const v = [0, 1, 2].map((a) => Math.min(x0[a] + grid.h[a], Math.max(x0[a], c[a] + y[a] * hs)));
+    cellVertex.set((k * ny + j) * nx + i, positions.length / 3);
+    positions.push(v[0], v[1], v[2]);
+  }
+  // One quad per crossing edge, from the four cells around it.
+  const sx = nx + 1, sy = ny + 1;
+  for (const [key, baseInside] of crossing) {
+    const axis = key % 3, pt = (key - axis) / 3;
+    const g = [pt % sx, Math.floor(pt / sx) % sy, Math.floor(pt / (sx * sy))];
+    const u = (axis + 1) % 3, w = (axis + 2) % 3;
+    const quad = [];
+    for (const [du, dw] of [[-1, -1], [0, -1], [0, 0], [-1, 0]]) {
+      const cg = g.slice(); cg[u] += du; cg[w] += dw;
+      if (cg.some((v) => v < 0) || cg[0] >= nx || cg[1] >= ny || cg[2] >= grid.nz) break;
+      const id = cellVertex.get((cg[2] * ny + cg[1]) * nx + cg[0]);
+      if (id === undefined) break;
+      quad.push(id);
+    }
+    if (quad.length < 4) continue;
+    if (!baseInside) quad.reverse();
+    // split along the shorter diagonal
+    const d02 = _dist2(positions, quad[0], quad[2]), d13 = _dist2(positions, quad[1], quad[3]);
+    if (d02 <= d13) indices.push(quad[0], quad[1], quad[2], quad[0], quad[2], quad[3]);
+    else indices.push(quad[1], quad[2], quad[3], quad[1], quad[3], quad[0]);
+  }
+  return { positions, indices };
+}
+
+// Grid points sitting exactly on the iso level (MC) or cells clamped onto a
+// shared corner (DC) give coincident vertices; merge them (within eps, the
+// funebra-mesh default of 1e-6 × diagonal) and drop the triangles that collapse.
+function _weld({ positions, indices }, eps) {
+  const q = (v) => Math.floor(v / eps);
+  const buckets = new Map(), remap = new Int32Array(positions.length / 3), P = [];
+  for (let v = 0; v < remap.length; v++) {
+    const x = positions[v * 3], y = positions[v * 3 + 1], z = positions[v * 3 + 2];
+    const cx = q(x), cy = q(y), cz = q(z);
+    let id = -1;
+    for (let n = 0; n < 27 && id < 0; n++) {
+      const list = buckets.get(`${cx + (n % 3) - 1},${cy + ((n / 3 | 0) % 3) - 1},${cz + (n / 9 | 0) - 1}`);
+      if (list) id = list.find((u) => Math.abs(P[u * 3] - x) <= eps && Math.abs(P[u * 3 + 1] - y) <= eps && Math.abs(P[u * 3 + 2] - z) <= eps) ?? -1;
+    }
+    if (id < 0) {
+      id = P.length / 3;
+      P.push(x, y, z);
+      const key = `${cx},${cy},${cz}`;
+      (buckets.get(key) || buckets.set(key, []).get(key)).push(id);
+    }
+    remap[v] = id;
+  }
+  const I = [];
+  for (let t = 0; t < indices.length; t += 3) {
+    const a = remap[indices[t]], b = remap[indices[t + 1]], c = remap[indices[t + 2]];
+    if (a !== b && b !== c && c !== a) I.push(a, b, c);
+  }
+  return { positions: P, indices: I };
+}
+
+function _dist2(P, a, b) {
+  const dx = P[a * 3] - P[b * 3], dy = P[a * 3 + 1] - P[b * 3 + 1], dz = P[a * 3 + 2] - P[b * 3 + 2];
+  return dx * dx + dy * dy + dz * dz;
+}
+
+// Symmetric 3×3 solve by Cramer's rule (A is kept positive-definite by the bias).
+function _solve3(A, b) {
+  const [a, b1, c, d, e, f, g, h, i] = A;
+  const det = a * (e * i - f * h) - b1 * (d * i - f * g) + c * (d * h - e * g);
+  if (!det) return [0, 0, 0];
+  return [
+    (b[0] * (e * i - f * h) - b1 * (b[1] * i - f * b[2]) + c * (b[1] * h - e * b[2])) / det,
+    (a * (b[1] * i - f * b[2]) - b[0] * (d * i - f * g) + c * (d * b[2] - b[1] * g)) / det,
+    (a * (e * b[2] - b[1] * h) - b1 * (d * b[2] - b[1] * g) + b[0] * (d * h - e * g)) / det,
+  ];
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Internals — field helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+function _field(fn, bounds, lipschitz) {
+  fn.bounds = bounds || null;
+  if (lipschitz != null) fn.lipschitz = lipschitz;
+  return fn;
+}
+
+function _at(f, center) {
+  return center ? sdf.translate(f, center) : f;
+}
+
+function _box(min, max) {
+  return { min: min.slice(), max: max.slice() };
+}
+
+function _padBounds(b, r) {
+  return _box(b.min.map((v) => v - r), b.max.map((v) => v + r));
+}
+
+function _mergeBounds(list) {
+  if (list.some((b) => !b)) return null;
+  return _box([0, 1, 2].map((a) => Math.min(...list.map((b) => b.min[a]))), [0, 1, 2].map((a) => Math.max(...list.map((b) => b.max[a]))));
+}
+
+function _overlapBounds(list) {
+  const known = list.filter(Boolean);
+  if (!known.length) return null;
+  return _box([0, 1, 2].map((a) => Math.max(...known.map((b) => b.min[a]))), [0, 1, 2].map((a) => Math.min(...known.map((b) => b.max[a]))));
+}
+
+function _maxLipschitz(fields) {
+  return fields.every((f) => f.lipschitz != null) ? Math.max(...fields.map((f) => f.lipschitz)) : undefined;
+}
+
+function _smin(a, b, k) {
+  if (k <= 0) return Math.min(a, b);
+  const h = Math.max(k - Math.abs(a - b), 0) / k;
+  return Math.min(a, b) - h * h * k * 0.25;
+}
+
+function _normalized3D(fn, gradient) {
+  const eps = 1e-5;
+  const grad = gradient || ((x, y, z) => [
+    (fn(x + eps, y, z) - fn(x - eps, y, z)) / (2 * eps),
+    (fn(x, y + eps, z) - fn(x, y - eps, z)) / (2 * eps),
+    (fn(x, y, z + eps) - fn(x, y, z - eps)) / (2 * eps),
+  ]);
+  return (x, y, z) => {
+    const v = fn(x, y, z), [gx, gy, gz] = grad(x, y, z);
+    return v / Math.max(Math.hypot(gx, gy, gz), 1e-9);
+  };
+}
+
+function _normalized2D(fn, gradient) {
+  return (x, y) => {
+    const v = fn(x, y), [gx, gy] = gradient(x, y);
+    return v / Math.max(Math.hypot(gx, gy), 1e-9);
+  };
+}
+
+function _vec3(v) {
+  if (typeof v === 'number') return [v, v, v];
+  if (Array.isArray(v) || ArrayBuffer.isView(v)) return [v[0] ?? 0, v[1] ?? 0, v[2] ?? 0];
+  if (v && typeof v === 'object') return [v.x ?? 0, v.y ?? 0, v.z ?? 0];
+  throw new Error('isosurface: expected a number, [x,y,z] or {x,y,z}');
+}
+
+function _unit(v) {
+  const l = Math.hypot(v[0], v[1], v[2]) || 1;
+  return [v[0] / l, v[1] / l, v[2] / l];
+}
+
+function _axisIndex(axis) {
+  const a = { x: 0, y: 1, z: 2 }[axis];
+  if (a === undefined) throw new Error(`isosurface: axis must be 'x', 'y' or 'z' (got ${axis})`);
+  return a;
+}
+
+// Rodrigues rotation of p about the unit axis k.
+function _rotateAbout(p, k, angle) {
+  const c = Math.cos(angle), s = Math.sin(angle);
+  const d = (k[0] * p[0] + k[1] * p[1] + k[2] * p[2]) * (1 - c);
+  return [
+    p[0] * c + (k[1] * p[2] - k[2] * p[1]) * s + k[0] * d,
+    p[1] * c + (k[2] * p[0] - k[0] * p[2]) * s + k[1] * d,
+    p[2] * c + (k[0] * p[1] - k[1] * p[0]) * s + k[2] * d,
+  ];
+}
+
+export default {
+  MC_CORNERS, MC_EDGES, MC_EDGE_TABLE, MC_TRI_TABLE,
+  polygonize, marchingCubes, dualContour, sdf,
+};
@@ -0,0 +1,547 @@
+// funebra-mesh.module.js — Watertight-mesh analysis + repair before OBJ/glTF/3MF export (ESM, no deps)
+// - Reads {positions, indices} (converters, makeParametric3D without THREE),
+//   THREE.BufferGeometry (indexed or not), shapes-registry {vertices, faces}
+//   and {V, F} arrays from funebraOBJConverter.htm; parseOBJ() / parseSTL()
+//   read files into the same {positions, indices} form.
+// - analyzeMesh(): duplicate vertices, zero-area / duplicate faces, open
+//   boundaries, non-manifold edges, flipped winding (inconsistent neighbours
+//   or inside-out shells), self-intersections, volume.
+// - repairMesh(): weld, drop degenerate faces, make winding consistent and
+//   outward, fill small holes; returns the new mesh plus the report after repair.
+//
+// Usage:
+//   import * as M from './funebra-mesh.module.js';
+//   const report = M.analyzeMesh(mesh);            // report.watertight, report.issues
+//   const { mesh: fixed, report: after, log } = M.repairMesh(mesh, { maxHoleEdges: 64 });
+//   M.assertWatertight(fixed);                     // throws with the issue list otherwise
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Input
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Normalise any supported mesh to { positions: Float32Array, indices: Uint32Array }.
+ * Non-indexed triangle soups get sequential indices.
+ */
+export function toIndexedMesh(mesh) {
+  if (!mesh) throw new Error('toIndexedMesh: mesh is required');
+  let pos, idx;
+  if (mesh.isBufferGeometry || (mesh.attributes && mesh.attributes.position)) {
+    pos = mesh.attributes.position.array;
+    idx = mesh.index ? mesh.index.array : null;
+  } else if (mesh.positions) {
+    pos = mesh.positions; idx = mesh.indices || null;
+  } else if (mesh.vertices && mesh.faces) {
+    pos = mesh.vertices; idx = mesh.faces;
+  } else if (Array.isArray(mesh.V) && Array.isArray(mesh.F)) {
+    pos = mesh.V.flat(); idx = mesh.F.flat();
+  } else {
+    throw new Error('toIndexedMesh: expected {positions, indices}, a BufferGeometry, {vertices, faces} or {V, F}');
+  }
+  if (pos.length % 3) throw new Error('toIndexedMesh: positions length must be a multiple of 3');
+  const positions = pos instanceof Float32Array ? pos : Float32Array.from(pos);
+  const indices = idx
+    ? (idx instanceof Uint32Array ? idx : Uint32Array.from(idx))
+    : Uint32Array.from({ length: positions.length / 3 - (positions.length / 3) % 3 }, (_, i) => i);
+  if (indices.length % 3) throw new Error('toIndexedMesh: indices length must be a multiple of 3');
+  for (const i of indices) if (i * 3 >= positions.length) throw new Error(`toIndexedMesh: index ${i} out of range`);
+  return { positions, indices };
+}
+
+/**
+ * Wavefront OBJ text → { positions, indices }. Polygons are fan-triangulated;
+ * v/vt/vn and negative (relative) indices are accepted, other records ignored.
+ */
+export function parseOBJ(text) {
+  const pos = [], idx = [];
+  const lines = String(text).split(/\r?\n/);
+  lines.forEach((raw, n) => {
+    const line = raw.trim();
+    if (line.startsWith('v ')) {
+      const v = line.split(/\s+/).slice(1, 4).map(Number);
+      if (v.length < 3 || v.some((x) => !Number.isFinite(x))) throw new Error(`parseOBJ: bad vertex on line ${n + 1}`);
+      pos.push(v[0], v[1], v[2]);
+    } else if (line.startsWith('f ')) {
+      const count = pos.length / 3;
+      const face = line.split(/\s+/).slice(1).map((tok) => {
+        const i = parseInt(tok, 10);
+        const k = i < 0 ? count + i : i - 1;
+        if (!Number.isInteger(i) || i === 0 || k < 0 || k >= count) throw new Error(`parseOBJ: bad face index "${tok}" on line ${n + 1}`);
+        return k;
+      });
+      for (let k = 1; k + 1 < face.length; k++) idx.push(face[0], face[k], face[k + 1]);
+    }
+  });
+  return { positions: Float32Array.from(pos), indices: Uint32Array.from(idx) };
+}
+
+/**
+ * STL (binary ArrayBuffer / Uint8Array, or ASCII text) → { positions, indices }.
+ * Corners are shared where their coordinates match exactly.
+ */
+export function parseSTL(data) {
+  const bytes = typeof data === 'string' ? null : data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  const tri = [];
+  const binary = bytes && bytes.length >= 84
+    && 84 + new DataView(bytes.buffer, bytes.byteOffset).getUint32(80, true) * 50 === bytes.length;
+  if (binary) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const n = view.getUint32(80, true);
+    for (let f = 0; f < n; f++) {
+      const off = 84 + f * 50 + 12;
+      for (let k = 0; k < 9; k++) tri.push(view.getFloat32(off + k * 4, true));
+    }
+  } else {
+    const text = typeof data === 'string' ? data : new TextDecoder().decode(bytes);
+    if (!/^\s*solid/.test(text)) throw new Error('parseSTL: neither binary STL nor ASCII "solid" text');
+    const re = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+    let m;
+    while ((m = re.exec(text))) tri.push(+m[1], +m[2], +m[3]);
+    if (tri.length % 9 || tri.some((v) => !Number.isFinite(v))) throw new Error('parseSTL: malformed facet data');
+  }
+  const seen = new Map(), pos = [], idx = [];
+  for (let i = 0; i < tri.length; i += 3) {
+    const key = `${tri[i]},${tri[i + 1]},${tri[i + 2]}`;
+    let v = seen.get(key);
+    if (v === undefined) { v = pos.length / 3; seen.set(key, v); pos.push(tri[i], tri[i + 1], tri[i + 2]); }
+    idx.push(v);
+  }
+  return { positions: Float32Array.from(pos), indices: Uint32Array.from(idx) };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Analysis
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Inspect a triangle mesh.
+ *
+ * @param {*} mesh  see toIndexedMesh
+ * @param {Object} [opts]
+ *  - epsilon: weld distance for duplicate detection (default 1e-6 × bounding-box diagonal)
+ *  - selfIntersections: test triangle pairs (default true)
+ *  - maxIntersections: stop after this many hits (default 32)
+ * @returns {Object} report: { vertexCount, triangleCount, duplicateVertices, degenerateFaces,
+ *   duplicateFaces, boundaryEdges, boundaryLoops, nonManifoldEdges, inconsistentEdges,
+ *   invertedShells, shells, selfIntersections, volume, area, watertight, issues }
+ */
+export function analyzeMesh(mesh, { epsilon, selfIntersections = true, maxIntersections = 32 } = {}) {
+  const m = toIndexedMesh(mesh);
+  const eps = epsilon ?? _defaultEpsilon(m.positions);
+  const { remap, unique } = _weldMap(m.positions, eps);
+  const P = m.positions, I = m.indices;
+  const faces = [];
+  const degenerateFaces = [];
+  for (let f = 0; f < I.length / 3; f++) {
+    const a = remap[I[3 * f]], b = remap[I[3 * f + 1]], c = remap[I[3 * f + 2]];
+    if (a === b || b === c || c === a || _areaSq(P, I[3 * f], I[3 * f + 1], I[3 * f + 2]) <= eps ** 4) degenerateFaces.push(f);
+    else faces.push([a, b, c, f]);
+  }
+  const seen = new Map(), duplicateFaces = [];
+  for (const [a, b, c, f] of faces) {
+    const k = [a, b, c].sort((x, y) => x - y).join(',');
+    if (seen.has(k)) duplicateFaces.push(f); else seen.set(k, f);
+  }
+
+  const E = _edgeMap(faces);
+  let boundaryEdges = 0;
+  const nonManifoldEdges = [], inconsistentEdges = [];
+  for (const [k, list] of E) {
+    const [a, b] = k.split(',').map(Number);
+    if (list.length === 1) boundaryEdges++;
+    else if (list.length > 2) nonManifoldEdges.push([a, b, list.length]);
+    else if (list[0].dir === list[1].dir) inconsistentEdges.push([a, b]);
+  }
+  const boundaryLoops = _boundaryLoops(faces, E);
+
+  // shells (connected through shared edges) and their signed volume
+  const shellOf = _components(faces, E);
+  const shells = [];
+  faces.forEach(([a, b, c], i) => {
+    const s = shells[shellOf[i]] ||= { faces: 0, volume: 0, closed: true };
+    s.faces++;
+    s.volume += _signedVolume(P, _rep(unique, a), _rep(unique, b), _rep(unique, c));
+  });
+  for (const [k, list] of E) if (list.length !== 2) shells[shellOf[list[0].face]].closed = false;
+  const invertedShells = shells.filter(s => s.closed && s.volume < 0).length;
+
+  let area = 0, volume = 0;
+  for (const [a, b, c] of faces) area += Math.sqrt(_areaSq(P, _rep(unique, a), _rep(unique, b), _rep(unique, c)));
+  for (const s of shells) volume += s.volume;
+
+  const hits = selfIntersections ? findSelfIntersections(m, { max: maxIntersections, epsilon: eps }) : [];
+  const report = {
+    vertexCount: P.length / 3,
+    triangleCount: I.length / 3,
+    duplicateVertices: P.length / 3 - unique.length,
+    degenerateFaces, duplicateFaces,
+    boundaryEdges, boundaryLoops,
+    nonManifoldEdges, inconsistentEdges,
+    shells: shells.length, invertedShells,
+    selfIntersections: hits,
+    volume, area,
+  };
+  report.issues = _issues(report, selfIntersections);
+  report.watertight = boundaryEdges === 0 && !nonManifoldEdges.length && !inconsistentEdges.length &&
+    !invertedShells && !degenerateFaces.length && !duplicateFaces.length && !hits.length && faces.length > 0;
+  return report;
+}
+
+function _issues(r, checkedSelf) {
+  const out = [];
+  const add = (code, count, message) => { if (count) out.push({ code, count, message }); };
+  add('duplicate-vertices', r.duplicateVertices, `${r.duplicateVertices} vertices coincide with another vertex (unwelded seams)`);
+  add('degenerate-faces', r.degenerateFaces.length, `${r.degenerateFaces.length} zero-area faces`);
+  add('duplicate-faces', r.duplicateFaces.length, `${r.duplicateFaces.length} faces repeat another face`);
+  add('open-boundary', r.boundaryEdges, `${r.boundaryEdges} boundary edges in ${r.boundaryLoops.length} hole(s)`);
+  add('non-manifold', r.nonManifoldEdges.length, `${r.nonManifoldEdges.length} edges shared by more than two faces`);
+  add('flipped-winding', r.inconsistentEdges.length, `${r.inconsistentEdges.length} edges where neighbouring faces disagree on winding`);
+  add('inside-out', r.invertedShells, `${r.invertedShells} closed shell(s) with normals pointing inward`);
+  if (checkedSelf) add('self-intersection', r.selfIntersections.length, `${r.selfIntersections.length} intersecting face pairs`);
+  return out;
+}
+
+/**
+ * Pairs of faces that cross each other (faces sharing a vertex are skipped).
+ * @returns {Array<[number,number]>} face index pairs
+ */
+export function findSelfIntersections(mesh, { max = Infinity, epsilon } = {}) {
+  const { positions: P, indices: I } = toIndexedMesh(mesh);
+  const n = I.length / 3;
+  if (!n) return [];
+  const eps = epsilon ?? _defaultEpsilon(P);
+  const { remap } = _weldMap(P, eps);
+  const box = (f) => {
+    const b = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+    for (let k = 0; k < 3; k++) for (let d = 0; d < 3; d++) {
+      const v = P[3 * I[3 * f + k] + d];
+      if (v < b[d]) b[d] = v;
+      if (v > b[3 + d]) b[3 + d] = v;
+    }
+    return b;
+  };
+  const boxes = Array.from({ length: n }, (_, f) => box(f));
+  // uniform grid sized to the average face
+  let avg = 0;
+  for (const b of boxes) avg += Math.max(b[3] - b[0], b[4] - b[1], b[5] - b[2]);
+  const cell = Math.max(avg / n, eps * 10) * 2;
+  const grid = new Map();
+  const cells = (b, fn) => {
+    for (let x = Math.floor(b[0] / cell); x <= Math.floor(b[3] / cell); x++)
+      for (let y = Math.floor(b[1] / cell); y <= Math.floor(b[4] / cell); y++)
+        for (let z = Math.floor(b[2] / cell); z <= Math.floor(b[5] / cell); z++) fn(`${x},${y},${z}`);
+  };
+  boxes.forEach((b, f) => cells(b, k => { (grid.get(k) || grid.set(k, []).get(k)).push(f); }));
+
+  const hits = [], tested = new Set();
+  const V = (f, k) => { const i = 3 * I[3 * f + k]; return [P[i], P[i + 1], P[i + 2]]; };
+  for (const list of grid.values()) {
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const f = Math.min(list[i], list[j]), g = Math.max(list[i], list[j]);
+        const key = f * n + g;
+        if (tested.has(key)) continue;
+        tested.add(key);
+        const A = boxes[f], B = boxes[g];
+        if (A[0] > B[3] || B[0] > A[3] || A[1] > B[4] || B[1] > A[4] || A[2] > B[5] || B[2] > A[5]) continue;
+        const fa = [0, 1, 2].map(k => remap[I[3 * f + k]]), ga = [0, 1, 2].map(k => remap[I[3 * g + k]]);
+        if (fa.some(v => ga.includes(v))) continue;
+        const T1 = [V(f, 0), V(f, 1), V(f, 2)], T2 = [V(g, 0), V(g, 1), V(g, 2)];
+        if (_trianglesCross(T1, T2)) {
+          hits.push([f, g]);
+          if (hits.length >= max) return hits;
+        }
+      }
+    }
+  }
+  return hits;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Repair
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Repair a mesh for export.
+ *
+ * @param {*} mesh  see toIndexedMesh
+ * @param {Object} [opts]
+ *  - weld: merge vertices closer than epsilon (default true)
+ *  - epsilon: weld distance (default 1e-6 × bounding-box diagonal)
+ *  - removeDegenerate: drop zero-area and duplicate faces (default true)
+ *  - fixWinding: make neighbours agree and closed shells face outward (default true)
+ *  - fillHoles: cap boundary loops (default true)
+ *  - maxHoleEdges: only fill loops up to this many edges (default 64)
+ *  - selfIntersections: include the check in the final report (default true)
+ * @returns {{ mesh: {positions: Float32Array, indices: Uint32Array}, report: Object, log: string[] }}
+ */
+export function repairMesh(mesh, {
+  weld = true, epsilon, removeDegenerate = true, fixWinding = true,
+  fillHoles = true, maxHoleEdges = 64, selfIntersections = true,
+} = {}) {
+  let { positions: P, indices: I } = toIndexedMesh(mesh);
+  const eps = epsilon ?? _defaultEpsilon(P);
+  const log = [];
+
+  if (weld) {
+    const { remap, unique } = _weldMap(P, eps);
+    if (unique.length < P.length / 3) {
+      log.push(`welded ${P.length / 3 - unique.length} duplicate vertices`);
+      const np = new Float32Array(unique.length * 3);
+      unique.forEach((v, k) => np.set(P.subarray(3 * v, 3 * v + 3), 3 * k));
+      I = I.map(i => remap[i]);
+      P = np;
+    }
+  }
+
+  let faces = [];
+  for (let f = 0; f < I.length / 3; f++) faces.push([I[3 * f], I[3 * f + 1], I[3 * f + 2]]);
+
+  if (removeDegenerate) {
+    const before = faces.length, seen = new Set();
+    faces = faces.filter(([a, b, c]) => {
+      if (a === b || b === c || c === a || _areaSq(P, a, b, c) <= eps ** 4) return false;
+      const k = [a, b, c].sort((x, y) => x - y).join(',');
+      if (seen.has(k)) return false;
+      seen.add(k);
+      return true;
+    });
+    if (faces.length < before) log.push(`removed ${before - faces.length} degenerate/duplicate faces`);
+  }
+
+  if (fixWinding) {
+    const flipped = _orientConsistently(faces);
+    if (flipped) log.push(`flipped ${flipped} faces to match their neighbours`);
+  }
+
+  if (fillHoles) {
+    const E = _edgeMap(faces.map((f, i) => [...f, i]));
+    const loops = _boundaryLoops(faces.map((f, i) => [...f, i]), E);
+    const pos = Array.from(P);
+    let filled = 0, skipped = 0;
+    for (const loop of loops) {
+      if (loop.length > maxHoleEdges) { skipped++; continue; }
+      // loop follows boundary half-edges a → b; caps run b → a
+      if (loop.length === 3) faces.push([loop[2], loop[1], loop[0]]);
+      else {
+        const c = pos.length / 3;
+        const mid = [0, 1, 2].map(d => loop.reduce((s, v) => s + pos[3 * v + d], 0) / loop.length);
+        pos.push(...mid);
+        for (let k = 0; k < loop.length; k++) faces.push([c, loop[(k + 1) % loop.length], loop[k]]);
+      }
+      filled++;
+    }
+    if (filled) { P = Float32Array.from(pos); log.push(`filled ${filled} hole(s)`); }
+    if (skipped) log.push(`left ${skipped} hole(s) larger than ${maxHoleEdges} edges open`);
+  }
+
+  if (fixWinding) {
+    // outward: flip closed shells with negative volume
+    const F = faces.map((f, i) => [...f, i]);
+    const E = _edgeMap(F);
+    const shellOf = _components(F, E);
+    const vol = [], open = new Set();
+    F.forEach(([a, b, c], i) => { vol[shellOf[i]] = (vol[shellOf[i]] || 0) + _signedVolume(P, a, b, c); });
+    for (const list of E.values()) if (list.length !== 2) open.add(shellOf[list[0].face]);
+    let inverted = 0;
+    vol.forEach((v, s) => { if (v < 0 && !open.has(s)) inverted++; });
+    if (inverted) {
+      faces = faces.map((f, i) => (vol[shellOf[i]] < 0 && !open.has(shellOf[i]) ? [f[0], f[2], f[1]] : f));
+      log.push(`turned ${inverted} inside-out shell(s) outward`);
+    }
+  }
+
+  const out = { positions: P, indices: Uint32Array.from(faces.flat()) };
+  return { mesh: out, report: analyzeMesh(out, { epsilon: eps, selfIntersections }), log };
+}
+
+/** Throw when the mesh is not watertight; returns the report otherwise. */
+export function assertWatertight(mesh, opts) {
+  const report = analyzeMesh(mesh, opts);
+  if (!report.watertight) {
+    const lines = report.issues.map(i => `  - ${i.code}: ${i.message}`).join('\n') || '  - mesh has no faces';
+    const e = new Error('assertWatertight: mesh is not watertight\n' + lines);
+    e.report = report;
+    throw e;
+  }
+  return report;
+}
+
+/** One-line human summary of a report (for status bars / CLI output). */
+export function summarizeReport(report) {
+  const head = `${report.triangleCount} tris, ${report.shells} shell(s), volume ${+report.volume.toFixed(4)}`;
+  return report.watertight ? `${head} — watertight` : `${head} — ${report.issues.map(i => i.message).join('; ') || 'empty mesh'}`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Internals
+// ─────────────────────────────────────────────────────────────────────────────
+
+function _defaultEpsilon(P) {
+  const lo = [Infinity, Infinity, Infinity], hi = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < P.length; i += 3) for (let d = 0; d < 3; d++) {
+    if (P[i + d] < lo[d]) lo[d] = P[i + d];
+    if (P[i + d] > hi[d]) hi[d] = P[i + d];
+  }
+  const diag = Math.hypot(hi[0] - lo[0], hi[1] - lo[1], hi[2] - lo[2]);
+  return Number.isFinite(diag) && diag > 0 ? diag * 1e-6 : 1e-9;
+}
+
+// Vertex → representative index (first vertex seen within eps); checks the 27 neighbouring cells
+function _weldMap(P, eps) {
+  const n = P.length / 3, remap = new Uint32Array(n), unique = [], grid = new Map();
+  const q = (v) => Math.floor(v / eps);
+  for (let i = 0; i < n; i++) {
+    const x = P[3 * i], y = P[3 * i + 1], z = P[3 * i + 2];
+    const cx = q(x), cy = q(y), cz = q(z);
+    let found = -1;
+    for (let dx = -1; dx <= 1 && found < 0; dx++)
+      for (let dy = -1; dy <= 1 && found < 0; dy++)
+        for (let dz = -1; dz <= 1 && found < 0; dz++) {
+          const list = grid.get(`${cx + dx},${cy + dy},${cz + dz}`);
+          if (!list) continue;
+          for (const k of list) {
+            const v = unique[k];
+            if (Math.abs(P[3 * v] - x) <= eps && Math.abs(P[3 * v + 1] - y) <= eps && Math.abs(P[3 * v + 2] - z) <= eps) { found = k; break; }
+          }
+        }
+    if (found < 0) {
+      found = unique.length;
+      unique.push(i);
+      const key = `${cx},${cy},${cz}`;
+      (grid.get(key) || grid.set(key, []).get(key)).push(found);
+    }
+    remap[i] = found;
+  }
+  return { remap, unique };
+}
+
+const _rep = (unique, k) => (unique ? unique[k] : k);
+
+// Undirected edge "min,max" → [{ face, dir }] where dir is true when the face runs min → max
+function _edgeMap(faces) {
+  const E = new Map();
+  faces.forEach(([a, b, c], i) => {
+    for (const [u, v] of [[a, b], [b, c], [c, a]]) {
+      const k = u < v ? `${u},${v}` : `${v},${u}`;
+      (E.get(k) || E.set(k, []).get(k)).push({ face: i, dir: u < v, from: u, to: v });
+    }
+  });
+  return E;
+}
+
+function _components(faces, E) {
+  const parent = faces.map((_, i) => i);
+  const find = (i) => { while (parent[i] !== i) i = parent[i] = parent[parent[i]]; return i; };
+  for (const list of E.values()) for (let k = 1; k < list.length; k++) parent[find(list[k].face)] = find(list[0].face);
+  const ids = new Map();
+  return faces.map((_, i) => {
+    const r = find(i);
+    if (!ids.has(r)) ids.set(r, ids.size);
+    return ids.get(r);
+  });
+}
+
+// Closed loops of boundary half-edges (vertex lists in face order)
+function _boundaryLoops(faces, E) {
+  const next = new Map();
+  for (const list of E.values()) {
+    if (list.length !== 1) continue;
+    const { from, to } = list[0];
+    if (!next.has(from)) next.set(from, []);
+    next.get(from).push(to);
+  }
+  const loops = [];
+  for (const start of [...next.keys()]) {
+    while (next.get(start)?.length) {
+      const loop = [start];
+      let v = next.get(start).pop();
+      while (v !== start && next.get(v)?.length && loop.length <= next.size + 1) {
+        loop.push(v);
+        v = next.get(v).pop();
+      }
+      if (v === start && loop.length >= 3) loops.push(loop);
+    }
+  }
+  return loops;
+}
+
+// BFS over manifold edges; flip faces whose shared edge runs the same way as their neighbour's
+function _orientConsistently(faces) {
+  const F = faces.map((f, i) => [...f, i]);
+  const E = _edgeMap(F);
+  const adj = faces.map(() => []);
+  for (const list of E.values()) {
+    if (list.length !== 2) continue;
+    adj[list[0].face].push(list[1].face);
+    adj[list[1].face].push(list[0].face);
+  }
+  const done = new Uint8Array(faces.length);
+  let flipped = 0;
+  const has = (f, u, v) => (f[0] === u && f[1] === v) || (f[1] === u && f[2] === v) || (f[2] === u && f[0] === v);
+  for (let s = 0; s < faces.length; s++) {
+    if (done[s]) continue;
+    done[s] = 1;
+    const queue = [s];
+    while (queue.length) {
+      const f = queue.shift(), [a, b, c] = faces[f];
+      for (const g of adj[f]) {
+        if (done[g]) continue;
+        done[g] = 1;
+        // a consistent neighbour runs every shared edge in the opposite direction
+        if (has(faces[g], a, b) || has(faces[g], b, c) || has(faces[g], c, a)) {
+          const [x, y, z] = faces[g];
+          faces[g] = [x, z, y];
+          flipped++;
+        }
+        queue.push(g);
+      }
+    }
+  }
+  return flipped;
+}
+
+// Squared triangle area (cheap zero-area test)
+function _areaSq(P, a, b, c) {
+  const ux = P[3 * b] - P[3 * a], uy = P[3 * b + 1] - P[3 * a + 1], uz = P[3 * b + 2] - P[3 * a + 2];
+  const vx = P[3 * c] - P[3 * a], vy = P[3 * c + 1] - P[3 * a + 1], vz = P[3 * c + 2] - P[3 * a + 2];
+  const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+  return (nx * nx + ny * ny + nz * nz) / 4;
+}
+
+function _signedVolume(P, a, b, c) {
+  const ax = P[3 * a], ay = P[3 * a + 1], az = P[3 * a + 2];
+  const bx = P[3 * b], by = P[3 * b + 1], bz = P[3 * b + 2];
+  const cx = P[3 * c], cy = P[3 * c + 1], cz = P[3 * c + 2];
+  return (ax * (by * cz - bz * cy) - ay * (bx * cz - bz * cx) + az * (bx * cy - by * cx)) / 6;
+}
+
+const _sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const _cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const _dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+// Segment p→q strictly crosses triangle T (Möller–Trumbore with open interval)
+function _segmentHitsTriangle(p, q, T) {
+  const d = _sub(q, p), e1 = _sub(T[1], T[0]), e2 = _sub(T[2], T[0]);
+  const h = _cross(d, e2), a = _dot(e1, h);
+  if (Math.abs(a) < 1e-15) return false;                 // parallel / coplanar: not counted
+  const f = 1 / a, s = _sub(p, T[0]), u = f * _dot(s, h);
+  if (u < 0 || u > 1) return false;
+  const qv = _cross(s, e1), v = f * _dot(d, qv);
+  if (v < 0 || u + v > 1) return false;
+  const t = f * _dot(e2, qv);
+  return t > 1e-9 && t < 1 - 1e-9;
+}
+
+function _trianglesCross(A, B) {
+  for (let k = 0; k < 3; k++) {
+    if (_segmentHitsTriangle(A[k], A[(k + 1) % 3], B)) return true;
+    if (_segmentHitsTriangle(B[k], B[(k + 1) % 3], A)) return true;
+  }
+  return false;
+}
+
+export default {
+  toIndexedMesh, parseOBJ, parseSTL, analyzeMesh, findSelfIntersections,
+  repairMesh, assertWatertight, summarizeReport,
+};
@@ -0,0 +1,239 @@
+// funebra-offset.module.js — Path offsetting and stroke-to-outline (ESM, no deps)
+// - offsetShape(): grow (+) or shrink (−) closed shapes, holes included.
+// - strokePath():  turn a polyline (open or closed) into the outline of a
+//   stroke of a given width — the printable version of a rose or Lissajous.
+// - Joins: miter (clipped square past the limit), round, bevel. Caps: butt, round, square.
+// - Self-intersections, overlapping loops and collapsed corners are cleaned up
+//   with funebra-boolean.module.js (raw offset loops unioned with the
+//   'positive' fill rule), so the result is always a set of simple closed
+//   contours: outers with positive area, holes negative — ready for extrusion.
+//
+// Usage:
+//   import * as Off from './funebra-offset.module.js';
+//   import { makeRose } from './funebra-2d.js';
+//   const rose = makeRose({ cx: 0, cy: 0, a: 60, k: 5, segments: 720 }).filter(c => c.cmd !== 'Z').map(c => [c.x, c.y]);
+//   const outline = Off.strokePath(rose, 3, { join: 'round', closed: true });
+//   const inset   = Off.offsetShape(rectangleVertices(100, 60), -5, { join: 'round' });
+//   layer.addPath(contoursToPathCommands(outline));           // from funebra-boolean
+
+import { polygonBoolean, toContours, simplifyShape } from './funebra-boolean.module.js';
+
+export const JOINS = ['miter', 'round', 'bevel'];
+export const CAPS = ['butt', 'round', 'square'];
+
+/**
+ * Offset closed shapes by `delta` (positive = outward, negative = inward).
+ *
+ * @param {*} shape   anything funebra-boolean's toContours() accepts
+ * @param {number} delta
+ * @param {Object} [opts]
+ *  - join: 'miter' | 'round' | 'bevel' (default 'miter')
+ *  - miterLimit: max miter length in multiples of |delta| (default 2; longer miters are clipped square at that distance)
+ *  - arcTolerance: max distance between a round join and the true arc (default 0.25)
+ *  - fillRule: how to read the input shape (default 'evenodd')
+ * @returns {Array<Array<[number,number]>>} contours
+ */
+export function offsetShape(shape, delta, { join = 'miter', miterLimit = 2, arcTolerance = 0.25, fillRule = 'evenodd' } = {}) {
+  _checkJoin(join, 'offsetShape');
+  if (!Number.isFinite(delta)) throw new Error('offsetShape: delta must be a finite number');
+  // Normalise first: outers CCW, holes CW, no self-intersections (material is always on the left)
+  const rings = simplifyShape(shape, { fillRule });
+  if (delta === 0 || !rings.length) return rings;
+  const raw = rings.map(r => _offsetRing(r, delta, { join, miterLimit, arcTolerance }));
+  return polygonBoolean(raw, [], 'union', { fillRule: 'positive' });
+}
+
+/**
+ * Outline of a stroke along a polyline.
+ *
+ * @param {Array<[number,number]|{x,y}>|Object} path  points, or a makeParametric() item
+ * @param {number} width  full stroke width
+ * @param {Object} [opts]
+ *  - closed: treat the path as a loop (default false; makeParametric items use their `close`)
+ *  - join: 'miter' | 'round' | 'bevel' (default 'round')
+ *  - cap:  'butt' | 'round' | 'square' (default 'butt'; open paths only)
+ *  - miterLimit (default 4), arcTolerance (default 0.25)
+ * @returns {Array<Array<[number,number]>>} contours
+ */
+export function strokePath(path, width, { closed = null, join = 'round', cap = 'butt', miterLimit = 4, arcTolerance = 0.25 } = {}) {
+  _checkJoin(join, 'strokePath');
+  if (!CAPS.includes(cap)) throw new Error(`strokePath: cap must be one of ${CAPS.join(', ')}, got "${cap}"`);
+  if (!(width > 0)) throw new Error('strokePath: width must be > 0');
+
+  let pts, isClosed = closed;
+  if (path && path.kind === 'param2d') {
+    pts = [];
+    for (let i = 0; i < path.steps; i++) pts.push([+path.x(i), +path.y(i)]);
+    if (isClosed === null) isClosed = !!path.close;
+  } else {
+    pts = (path || []).map(p => (Array.isArray(p) ? [+p[0], +p[1]] : [+p.x, +p.y]));
+  }
+  pts = _dedupe(pts);
+  if (isClosed && pts.length > 2 && _same(pts[0], pts[pts.length - 1])) pts.pop();
+
+  const h = width / 2;
+  const o = { join, miterLimit, arcTolerance };
+  if (pts.length === 1) return cap === 'butt' ? [] : [_dot(pts[0], h, cap, arcTolerance)];
+  if (!pts.length) return [];
+
+  let raw;
+  if (isClosed && pts.length > 2) {
+    // Both sides as loops: the band between them has winding +1, everything else 0
+    raw = [_offsetRing(pts, h, o), _offsetRing(pts.slice().reverse(), h, o)];
+  } else {
+    // One loop: right side out, cap, left side back, cap
+    const back = pts.slice().reverse();
+    const ring = [];
+    _offsetOpen(ring, pts, h, o);
+    _cap(ring, pts[pts.length - 1], pts[pts.length - 2], h, cap, arcTolerance);
+    _offsetOpen(ring, back, h, o);
+    _cap(ring, pts[0], pts[1], h, cap, arcTolerance);
+    raw = [ring];
+  }
+  return polygonBoolean(raw, [], 'union', { fillRule: 'positive' });
+}
+
+/** Stroke several polylines with the same settings and merge the result. */
+export function strokePaths(paths, width, opts) {
+  const all = paths.flatMap(p => strokePath(p, width, opts));
+  return polygonBoolean(all, [], 'union', { fillRule: 'nonzero' });
+}
+
+/** Hollow shell: the band between the outline and its inset (wall thickness `t`). */
+export function shellShape(shape, t, opts) {
+  return polygonBoolean(toContours(shape), offsetShape(shape, -Math.abs(t), opts), 'difference');
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Internals
+// ─────────────────────────────────────────────────────────────────────────────
+
+function _checkJoin(join, fn) {
+  if (!JOINS.includes(join)) throw new Error(`${fn}: join must be one of ${JOINS.join(', ')}, got "${join}"`);
+}
+
+function _same(a, b) { return a[0] === b[0] && a[1] === b[1]; }
+
+function _dedupe(pts) {
+  return pts.filter((p, i) => Number.isFinite(p[0]) && Number.isFinite(p[1]) && (i === 0 || !_same(p, pts[i - 1])));
+}
+
+// Right-hand unit normal of a → b (the "outside" when material is on the left)
+function _normal(a, b) {
+  const dx = b[0] - a[0], dy = b[1] - a[1], l = Math.hypot(dx, dy) || 1;
+  return [dy / l, -dx / l];
+}
+
+// Raw offset loop of a closed ring (may self-intersect; cleaned by the caller)
+function _offsetRing(ring, d, o) {
+  const n = ring.length, out = [];
+  const N = ring.map((p, i) => _normal(p, ring[(i + 1) % n]));
+  for (let i = 0; i < n; i++) _join(out, ring[i], N[(i - 1 + n) % n], N[i], d, o);
+  return out;
+}
+
+// Right side of an open polyline, start to end (joins at interior vertices)
+function _offsetOpen(out, pts, d, o) {
+  const n = pts.length;
+  const N = [];
+  for (let i = 0; i < n - 1; i++) N.push(_normal(pts[i], pts[i + 1]));
+  out.push([pts[0][0] + N[0][0] * d, pts[0][1] + N[0][1] * d]);
+  for (let i = 1; i < n - 1; i++) _join(out, pts[i], N[i - 1], N[i], d, o);
+  out.push([pts[n - 1][0] + N[n - 2][0] * d, pts[n - 1][1] + N[n - 2][1] * d]);
+}
+
+// Corner at p between edges with normals n1 (incoming) and n2 (outgoing)
+function _join(out, p, n1, n2, d, { join, miterLimit, arcTolerance }) {
+  const [x, y] = p;
+  const cross = n1[0] * n2[1] - n1[1] * n2[0];
+  const dot = n1[0] * n2[0] + n1[1] * n2[1];
+  const a = [x + n1[0] * d, y + n1[1] * d], b = [x + n2[0] * d, y + n2[1] * d];
+
+  if (Math.abs(cross) < 1e-12 && dot > 0) { out.push(a); return; }      // straight on
+  // Gap opens on the offset side when the turn and the offset point the same way
+  const convex = cross * d > 0 || (Math.abs(cross) < 1e-12 && dot < 0);
+  if (!convex) { out.push(a, [x, y], b); return; }                       // overlap: the union removes it
+
+  if (join === 'miter') {
+    const k = 1 + dot;
+    if (k > 1e-12 && Math.sqrt(2 / k) <= miterLimit) {
+      out.push([x + (n1[0] + n2[0]) / k * d, y + (n1[1] + n2[1]) / k * d]);
+      return;
+    }
+    _squareJoin(out, p, n1, n2, d, miterLimit);
+    return;
+  }
+  if (join === 'round') { _arc(out, p, n1, n2, d, arcTolerance); return; }
+  out.push(a, b);                                                         // bevel
+}
+
+// Miter over the limit: cut it off at miterLimit·|d| instead of falling back to a bevel
+function _squareJoin(out, p, n1, n2, d, limit) {
+  const [x, y] = p;
+  const a = [x + n1[0] * d, y + n1[1] * d], b = [x + n2[0] * d, y + n2[1] * d];
+  let mx = n1[0] + n2[0], my = n1[1] + n2[1];
+  const ml = Math.hypot(mx, my);
+  if (ml < 1e-12) { out.push(a, b); return; }
+  const sg = Math.sign(d);
+  mx = mx / ml * sg; my = my / ml * sg;                                  // towards the miter tip
+  const e1 = [-n1[1], n1[0]], e2 = [-n2[1], n2[0]];                      // edge directions
+  const base = (n1[0] * mx + n1[1] * my) * d;                            // how far a already reaches
+  const reach = limit * Math.abs(d) - base;
+  const s1 = e1[0] * mx + e1[1] * my, s2 = -(e2[0] * mx + e2[1] * my);
+  if (reach <= 0 || s1 <= 1e-12 || s2 <= 1e-12) { out.push(a, b); return; }
+  out.push([a[0] + e1[0] * reach / s1, a[1] + e1[1] * reach / s1]);
+  out.push([b[0] - e2[0] * reach / s2, b[1] - e2[1] * reach / s2]);
+}
+
+function _arcSteps(angle, r, tol) {
+  const step = 2 * Math.acos(Math.max(-1, Math.min(1, 1 - tol / Math.max(r, tol))));
+  return Math.max(1, Math.ceil(Math.abs(angle) / Math.max(step, 1e-3)));
+}
+
+function _arc(out, p, n1, n2, d, tol) {
+  const [x, y] = p;
+  const a1 = Math.atan2(n1[1], n1[0]);
+  let sweep = Math.atan2(n2[1], n2[0]) - a1;
+  // sweep the short way round, on the offset side
+  while (sweep > Math.PI) sweep -= 2 * Math.PI;
+  while (sweep < -Math.PI) sweep += 2 * Math.PI;
+  const steps = _arcSteps(sweep, Math.abs(d), tol);
+  for (let i = 0; i <= steps; i++) {
+    const a = a1 + sweep * i / steps;
+    out.push([x + Math.cos(a) * d, y + Math.sin(a) * d]);
+  }
+}
+
+// End cap at `end`, coming from `prev`, going from the right side to the left side
+function _cap(out, end, prev, h, cap, tol) {
+  const [x, y] = end;
+  const n = _normal(prev, end);                                          // right normal of the last edge
+  const t = [-n[1], n[0]];                                               // forward direction
+  if (cap === 'butt') return;
+  if (cap === 'square') {
+    out.push([x + (n[0] + t[0]) * h, y + (n[1] + t[1]) * h], [x + (-n[0] + t[0]) * h, y + (-n[1] + t[1]) * h]);
+    return;
+  }
+  const a1 = Math.atan2(n[1], n[0]);
+  const steps = _arcSteps(Math.PI, h, tol);
+  for (let i = 1; i < steps; i++) {
+    const a = a1 + Math.PI * i / steps;                                  // right → forward → left
+    out.push([x + Math.cos(a) * h, y + Math.sin(a) * h]);
+  }
+}
+
+function _dot(p, h, cap, tol) {
+  const out = [];
+  if (cap === 'square') return [[p[0] - h, p[1] - h], [p[0] + h, p[1] - h], [p[0] + h, p[1] + h], [p[0] - h, p[1] + h]];
+  const steps = _arcSteps(2 * Math.PI, h, tol);
+  for (let i = 0; i < steps; i++) {
+    const a = 2 * Math.PI * i / steps;
+    out.push([p[0] + Math.cos(a) * h, p[1] + Math.sin(a) * h]);
+  }
+  return out;
+}
+
+export default {
+  JOINS, CAPS,
+  offsetShape, strokePath, strokePaths, shellShape,
+};
@@ -7,6 +7,14 @@
 // - pset, line, mapToGrid, drawPolyline
 // - fieldToMatrix, mergeUnder
 // - roseToPixels, spiroToPixels, heartToPixels, starToPixels
+// - sdf2d (circle, box, segment, polygon, star, rose, heart + union, subtract,
+//   smoothUnion, round, shell, …), smin, sdfToPixels (anti-aliased coverage →
+//   matrix/palette), marchingSquares (contour polylines), drawContours
+// - RGBA framebuffer: makeFramebuffer, getPixel, blendPixel, fillRect, fillField,
+//   fieldToFramebuffer, linearGradient, radialGradient, drawFramebuffer,
+//   matrixToFramebuffer, BLEND_MODES, toRGBA, rgbaToHex
+// - quantize (median-cut or fixed palette, Floyd–Steinberg / ordered dither),
+//   framebufferToMatrix → back to { matrix, palette }
 // - project
 //
 // Usage example:
@@ -14,6 +22,16 @@
 // const { matrix, palette } = FP.roseToPixels();
 // const el = document.querySelector('.pixels');
 // FP.applyPixels(el, matrix, palette, { title: 'Funebra Rose' });
+// const { sdf2d } = FP;
+// const badge = FP.sdfToPixels([
+//   { field: sdf2d.circle({ r: 1 }), color: '#222831' },
+//   { field: sdf2d.smoothUnion(sdf2d.star({ inner: 0.4 }), sdf2d.heart({ scale: 0.5 }), 0.2), color: '#ff7a18' },
+//   { field: sdf2d.circle({ r: 1 }), color: '#2bd4cf', stroke: 0.06 },
+// ], { width: 64, height: 64 });
+// const fb = FP.makeFramebuffer(64, 64);
+// FP.fillRect(fb, FP.linearGradient({ from: [0, 0], to: [0, 63], stops: ['#0f2a73', '#ff6a4a'] }));
+// FP.fillField(fb, sdf2d.heart({ scale: 0.8 }), '#ffffff', { mode: 'overlay' });
+// const { matrix: m2, palette: p2 } = FP.quantize(fb, { palette: FP.PALETTE_16BIT, dither: 'ordered' });
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Core helpers
@@ -162,6 +180,416 @@ export function lerpRGBA(c1, c2, t){
 }
 
 
+// ─────────────────────────────────────────────────────────────────────────────
+// RGBA framebuffer (true colour + alpha compositing)
+// ─────────────────────────────────────────────────────────────────────────────
+// A framebuffer is { width, height, data: Uint8ClampedArray } with RGBA rows
+// top to bottom — ImageData's layout, so `new ImageData(fb.data, fb.width,
+// fb.height)` draws it and pngjs can take `data` as is. quantize() turns it
+// back into the indexed { matrix, palette } that applyPixels and the CLIs use.
+
+/** Per-channel blend functions (backdrop b, source s in 0..1), W3C compositing names. */
+export const BLEND_MODES = {
+  normal:     (b, s) => s,
+  multiply:   (b, s) => b * s,
+  screen:     (b, s) => b + s - b * s,
+  overlay:    (b, s) => (b <= 0.5 ? 2 * b * s : 1 - 2 * (1 - b) * (1 - s)),
+  darken:     (b, s) => Math.min(b, s),
+  lighten:    (b, s) => Math.max(b, s),
+  add:        (b, s) => Math.min(1, b + s),
+  difference: (b, s) => Math.abs(b - s),
+};
+
+// CSS named colours, 'name:rrggbb' pairs
+const _NAMED = new Map((
+  'aliceblue:f0f8ff,antiquewhite:faebd7,aqua:00ffff,aquamarine:7fffd4,azure:f0ffff,beige:f5f5dc,' +
+  'bisque:ffe4c4,black:000000,blanchedalmond:ffebcd,blue:0000ff,blueviolet:8a2be2,brown:a52a2a,' +
+  'burlywood:deb887,cadetblue:5f9ea0,chartreuse:7fff00,chocolate:d2691e,coral:ff7f50,' +
+  'cornflowerblue:6495ed,cornsilk:fff8dc,crimson:dc143c,cyan:00ffff,darkblue:00008b,' +
+  'darkcyan:008b8b,darkgoldenrod:b8860b,darkgray:a9a9a9,darkgreen:006400,darkgrey:a9a9a9,' +
+  'darkkhaki:bdb76b,darkmagenta:8b008b,darkolivegreen:556b2f,darkorange:ff8c00,darkorchid:9932cc,' +
+  'darkred:8b0000,darksalmon:e9967a,darkseagreen:8fbc8f,darkslateblue:483d8b,darkslategray:2f4f4f,' +
+  'darkslategrey:2f4f4f,darkturquoise:00ced1,darkviolet:9400d3,deeppink:ff1493,deepskyblue:00bfff,' +
+  'dimgray:696969,dimgrey:696969,dodgerblue:1e90ff,firebrick:b22222,floralwhite:fffaf0,' +
+  'forestgreen:228b22,fuchsia:ff00ff,gainsboro:dcdcdc,ghostwhite:f8f8ff,gold:ffd700,' +
+  'goldenrod:daa520,gray:808080,green:008000,greenyellow:adff2f,grey:808080,honeydew:f0fff0,' +
+  'hotpink:ff69b4,indianred:cd5c5c,indigo:4b0082,ivory:fffff0,khaki:f0e68c,lavender:e6e6fa,' +
+  'lavenderblush:fff0f5,lawngreen:7cfc00,lemonchiffon:fffacd,lightblue:add8e6,lightcoral:f08080,' +
+  'lightcyan:e0ffff,lightgoldenrodyellow:fafad2,lightgray:d3d3d3,lightgreen:90ee90,' +
+  'lightgrey:d3d3d3,lightpink:ffb6c1,lightsalmon:ffa07a,lightseagreen:20b2aa,lightskyblue:87cefa,' +
+  'lightslategray:778899,lightslategrey:778899,lightsteelblue:b0c4de,lightyellow:ffffe0,' +
+  'lime:00ff00,limegreen:32cd32,linen:faf0e6,magenta:ff00ff,maroon:800000,mediumaquamarine:66cdaa,' +
+  'mediumblue:0000cd,mediumorchid:ba55d3,mediumpurple:9370db,mediumseagreen:3cb371,' +
+  'mediumslateblue:7b68ee,mediumspringgreen:00fa9a,mediumturquoise:48d1cc,mediumvioletred:c71585,' +
+  'midnightblue:191970,mintcream:f5fffa,mistyrose:ffe4e1,moccasin:ffe4b5,navajowhite:ffdead,' +
+  'navy:000080,oldlace:fdf5e6,olive:808000,olivedrab:6b8e23,orange:ffa500,orangered:ff4500,' +
+  'orchid:da70d6,palegoldenrod:eee8aa,palegreen:98fb98,paleturquoise:afeeee,palevioletred:db7093,' +
+  'papayawhip:ffefd5,peachpuff:ffdab9,peru:cd853f,pink:ffc0cb,plum:dda0dd,powderblue:b0e0e6,' +
+  'purple:800080,rebeccapurple:663399,red:ff0000,rosybrown:bc8f8f,royalblue:4169e1,' +
+  'saddlebrown:8b4513,salmon:fa8072,sandybrown:f4a460,seagreen:2e8b57,seashell:fff5ee,' +
+  'sienna:a0522d,silver:c0c0c0,skyblue:87ceeb,slateblue:6a5acd,slategray:708090,slategrey:708090,' +
+  'snow:fffafa,springgreen:00ff7f,steelblue:4682b4,tan:d2b48c,teal:008080,thistle:d8bfd8,' +
+  'tomato:ff6347,turquoise:40e0d0,violet:ee82ee,wheat:f5deb3,white:ffffff,whitesmoke:f5f5f5,' +
+  'yellow:ffff00,yellowgreen:9acd32')
+  .split(',').map((p) => p.split(':')));
+
+/** '#rgb(a)', '#rrggbb(aa)', 'rgb()/rgba()', CSS colour names, 'transparent' or [r, g, b, a] → [r, g, b, a] (0–255). */
+export function toRGBA(color) {
+  if (Array.isArray(color)) return [color[0], color[1], color[2], color[3] ?? 255];
+  const s = String(color).trim().toLowerCase();
+  if (s === 'transparent') return [0, 0, 0, 0];
+  let h = _NAMED.get(s) ?? /^#([0-9a-f]{3,8})$/.exec(s)?.[1];
+  if (h && h.length !== 5 && h.length !== 7) {
+    if (h.length <= 4) h = h.split('').map((d) => d + d).join('');
+    if (h.length === 6) h += 'ff';
+    return [0, 2, 4, 6].map((k) => parseInt(h.slice(k, k + 2), 16));
+  }
+  const p = /^rgba?\(([^)]*)\)$/.exec(s)?.[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+  if (p && p.length >= 3 && p.every(Number.isFinite)) return [p[0], p[1], p[2], p.length > 3 ? Math.round(p[3] * 255) : 255];
+  throw new Error(`toRGBA: unsupported colour "${color}" (use #hex, rgb()/rgba(), a CSS colour name, transparent or [r,g,b,a])`);
+}
+
+/** [r, g, b, a] → '#rrggbb', or '#rrggbbaa' when not opaque (what the PNG CLIs parse). */
+export function rgbaToHex([r, g, b, a = 255]) {
+  const hex = (v) => Math.max(0, Math.min(255, Math.round(v))).toString(16).padStart(2, '0');
+  return '#' + hex(r) + hex(g) + hex(b) + (Math.round(a) >= 255 ? '' : hex(a));
+}
+
+export function makeFramebuffer(width, height, fill = 'transparent') {
+  const data = new Uint8ClampedArray(width * height * 4);
+  const c = toRGBA(fill);
+  if (c.some(Boolean)) for (let o = 0; o < data.length; o += 4) data.set(c, o);
+  return { width, height, data };
+}
+
+export function getPixel(fb, x, y) {
+  if (x < 0 || y < 0 || x >= fb.width || y >= fb.height) return null;
+  const o = (y * fb.width + x) * 4;
+  return [fb.data[o], fb.data[o + 1], fb.data[o + 2], fb.data[o + 3]];
+}
+
+/** Composite one colour onto pixel (x, y). */
+export function blendPixel(fb, x, y, color, { mode = 'normal', opacity = 1 } = {}) {
+  x = Math.round(x); y = Math.round(y);
+  if (x < 0 || y < 0 || x >= fb.width || y >= fb.height) return;
+  const c = toRGBA(color);
+  _composite(fb.data, (y * fb.width + x) * 4, c, (c[3] / 255) * opacity, _blendFn(mode));
+}
+
+/**
+ * Fill a rectangle (default: the whole framebuffer) with a colour or a paint
+ * function (x, y) => [r, g, b, a], e.g. linearGradient() / radialGradient().
+ *
+ * @param {Object} [opts]
+ *  - x, y, w, h: rectangle in pixels
+ *  - mode: key of BLEND_MODES (default 'normal')
+ *  - opacity: 0..1 (default 1)
+ */
+export function fillRect(fb, paint, { x = 0, y = 0, w = fb.width, h = fb.height, mode = 'normal', opacity = 1 } = {}) {
+  const at = _paint(paint), blend = _blendFn(mode);
+  const x0 = Math.max(0, Math.round(x)), y0 = Math.max(0, Math.round(y));
+  const x1 = Math.min(fb.width, Math.round(x + w)), y1 = Math.min(fb.height, Math.round(y + h));
+  for (let j = y0; j < y1; j++) {
+    for (let i = x0; i < x1; i++) {
+      const c = at(i, j);
+      _composite(fb.data, (j * fb.width + i) * 4, c, (c[3] / 255) * opacity, blend);
+    }
+  }
+  return fb;
+}
+
+/**
+ * Paint an SDF (see sdf2d) with anti-aliased coverage: full inside, fading
+ * over one pixel across the edge.
+ *
+ * @param {Object} [opts]
+ *  - domain: { xmin, xmax, ymin, ymax } mapped onto the framebuffer (default: field bounds, padded)
+ *  - stroke: paint a band of this width around the edge instead of the inside
+ *  - levels: quantise coverage to this many steps (default 0 = continuous)
+ *  - mode, opacity: as in fillRect
+ */
+export function fillField(fb, field, paint, { domain, stroke, levels = 0, mode = 'normal', opacity = 1 } = {}) {
+  _fillCoverage(fb, _coverage(field, fb.width, fb.height, domain || _fieldDomain([field]), stroke, levels), paint, opacity, mode);
+  return fb;
+}
+
+/**
+ * Smooth counterpart of fieldToMatrix: f(x, y) clamped to 0..1 is looked up in
+ * a continuous gradient instead of being snapped to the stop colours.
+ * stops: [{ t, color }, …] or plain colours spread evenly.
+ */
+export function fieldToFramebuffer(width, height, domain, f, stops) {
+  const fb = makeFramebuffer(width, height);
+  const ramp = _ramp(stops);
+  for (let j = 0; j < height; j++) {
+    for (let i = 0; i < width; i++) {
+      const x = domain.xmin + (i / (width - 1)) * (domain.xmax - domain.xmin);
+      const y = domain.ymin + ((height - 1 - j) / (height - 1)) * (domain.ymax - domain.ymin);
+      fb.data.set(ramp(Math.max(0, Math.min(1, f(x, y)))), (j * width + i) * 4);
+    }
+  }
+  return fb;
+}
+
+/** Paint function for a linear gradient from → to (pixel coordinates). */
+export function linearGradient({ from = [0, 0], to = [1, 0], stops = ['#000000', '#ffffff'] } = {}) {
+  const ramp = _ramp(stops);
+  const dx = to[0] - from[0], dy = to[1] - from[1], dd = dx * dx + dy * dy || 1;
+  return (x, y) => ramp(Math.max(0, Math.min(1, ((x - from[0]) * dx + (y - from[1]) * dy) / dd)));
+}
+
+/** Paint function for a radial gradient around center (pixel coordinates). */
+export function radialGradient({ center = [0, 0], radius = 1, stops = ['#ffffff', 'transparent'] } = {}) {
+  const ramp = _ramp(stops);
+  return (x, y) => ramp(Math.min(1, Math.hypot(x - center[0], y - center[1]) / (radius || 1)));
+}
+
+/** Composite src onto dst with its top-left corner at (x, y). */
+export function drawFramebuffer(dst, src, { x = 0, y = 0, mode = 'normal', opacity = 1 } = {}) {
+  const blend = _blendFn(mode), c = [0, 0, 0, 0];
+  for (let j = 0; j < src.height; j++) {
+    const ty = j + Math.round(y);
+    if (ty < 0 || ty >= dst.height) continue;
+    for (let i = 0; i < src.width; i++) {
+      const tx = i + Math.round(x);
+      if (tx < 0 || tx >= dst.width) continue;
+      const so = (j * src.width + i) * 4;
+      if (!src.data[so + 3]) continue;
+      c[0] = src.data[so]; c[1] = src.data[so + 1]; c[2] = src.data[so + 2]; c[3] = src.data[so + 3];
+      _composite(dst.data, (ty * dst.width + tx) * 4, c, (c[3] / 255) * opacity, blend);
+    }
+  }
+  return dst;
+}
+
+/** Indexed matrix + palette → framebuffer (-1 / missing entries stay transparent). */
+export function matrixToFramebuffer(matrix, palette) {
+  const h = matrix.length, w = h ? matrix[0].length : 0;
+  const fb = makeFramebuffer(w, h);
+  const colors = palette.map((c) => (c == null ? null : toRGBA(c)));
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const c = colors[matrix[y][x]];
+      if (c) fb.data.set(c, (y * w + x) * 4);
+    }
+  }
+  return fb;
+}
+
+function _blendFn(mode) {
+  const fn = BLEND_MODES[mode];
+  if (!fn) throw new Error(`blend: unknown mode "${mode}" (${Object.keys(BLEND_MODES).join(', ')})`);
+  return fn;
+}
+
+function _paint(paint) {
+  if (typeof paint === 'function') return paint;
+  const c = toRGBA(paint);
+  return () => c;
+}
+
+// Source colour c at effective alpha sa onto the pixel at offset o: the blend
+// result is mixed in by the backdrop alpha, then composited source-over.
+function _composite(d, o, c, sa, blend) {
+  if (sa <= 0) return;
+  if (sa > 1) sa = 1;
+  const ba = d[o + 3] / 255, oa = sa + ba * (1 - sa);
+  for (let k = 0; k < 3; k++) {
+    const cb = d[o + k] / 255, cs = c[k] / 255;
+    const mixed = blend === BLEND_MODES.normal ? cs : (1 - ba) * cs + ba * blend(cb, cs);
+    d[o + k] = ((mixed * sa + cb * ba * (1 - sa)) / oa) * 255;
+  }
+  d[o + 3] = oa * 255;
+}
+
+// Gradient stops → t => [r, g, b, a], interpolated premultiplied so fades to
+// transparent keep their hue.
+function _ramp(stops) {
+  const list = stops.map((s, i) => (s && typeof s === 'object' && !Array.isArray(s)
+    ? { t: s.t, c: toRGBA(s.color) }
+    : { t: stops.length > 1 ? i / (stops.length - 1) : 0, c: toRGBA(s) }));
+  list.sort((a, b) => a.t - b.t);
+  return (t) => {
+    if (t <= list[0].t) return list[0].c;
+    const last = list[list.length - 1];
+    if (t >= last.t) return last.c;
+    let k = 1;
+    while (list[k].t < t) k++;
+    const A = list[k - 1], B = list[k];
+    const u = (t - A.t) / (B.t - A.t || 1);
+    const a = A.c[3] + (B.c[3] - A.c[3]) * u;
+    if (!a) return [0, 0, 0, 0];
+    const ch = (n) => (A.c[n] * A.c[3] + (B.c[n] * B.c[3] - A.c[n] * A.c[3]) * u) / a;
+    return [ch(0), ch(1), ch(2), a];
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Quantisation (framebuffer → indexed { matrix, palette })
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Reduce a framebuffer to an index matrix + palette.
+ *
+ * @param {Object} fb  see makeFramebuffer
+ * @param {Object} [opts]
+ *  - palette: fixed palette (CSS strings, [r,g,b,a] arrays or an object such as
+ *    PALETTE_32BIT); indices then refer to it. Without it a median-cut palette is built.
+ *  - colors: median-cut palette size (default 16)
+ *  - dither: 'none' (default) | 'floyd-steinberg' | 'ordered' (4×4 Bayer)
+ *  - strength: ordered-dither spread in 0..255 units (default 48)
+ *  - alphaThreshold: pixels below this alpha become -1 (default 1, i.e. only fully clear ones)
+ * @returns {{ matrix: number[][], palette: string[] }}
+ */
+export function quantize(fb, { palette, colors = 16, dither = 'none', strength = 48, alphaThreshold = 1 } = {}) {
+  if (!['none', 'floyd-steinberg', 'ordered'].includes(dither)) {
+    throw new Error(`quantize: unknown dither "${dither}" (none, floyd-steinberg, ordered)`);
+  }
+  const fixed = palette != null;
+  const entries = fixed
+    ? (Array.isArray(palette) ? palette : Object.values(palette)).map((c) => (c == null ? null : toRGBA(c)))
+    : _medianCut(fb, colors, alphaThreshold);
+  const outPalette = fixed && Array.isArray(palette) && palette.every((c) => typeof c === 'string')
+    ? palette.slice()
+    : entries.map((c) => (c ? rgbaToHex(c) : 'transparent'));
+  const usable = entries.map((c, i) => (c && c[3] > 0 ? i : -1)).filter((i) => i >= 0);
+  if (!usable.length) throw new Error('quantize: palette has no visible colours');
+
+  const { width: w, height: h, data } = fb;
+  const m = makeMatrix(w, h, -1);
+  const buf = Float32Array.from(data);
+  const cache = new Map();
+  const nearest = (r, g, b, a) => {
+    const key = ((r << 24) | (g << 16) | (b << 8) | a) >>> 0;
+    let best = cache.get(key);
+    if (best !== undefined) return best;
+    let bd = Infinity;
+    for (const i of usable) {
+      const [pr, pg, pb, pa] = entries[i];
+      // premultiplied distance: faint pixels care less about hue
+      const dr = (r * a - pr * pa) / 255, dg = (g * a - pg * pa) / 255, db = (b * a - pb * pa) / 255, da = a - pa;
+      const dist = dr * dr + dg * dg + db * db + da * da;
+      if (dist < bd) { bd = dist; best = i; }
+    }
+    cache.set(key, best);
+    return best;
+  };
+  const clamp = (v) => (v < 0 ? 0 : v > 255 ? 255 : Math.round(v));
+  const spread = (x, y, k, e, f) => {
+    if (x < 0 || x >= w || y >= h) return;
+    const o = (y * w + x) * 4;
+    if (data[o + 3] === 0) return; // keep clear pixels clear
+    buf[o + k] += e * f;
+  };
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const o = (y * w + x) * 4;
+      if (data[o + 3] === 0) continue;
+      let r = buf[o], g = buf[o + 1], b = buf[o + 2];
+      const a = clamp(buf[o + 3]);
+      if (dither === 'ordered') {
+        const t = ((BAYER_4[y & 3][x & 3] + 0.5) / 16 - 0.5) * strength;
+        r += t; g += t; b += t;
+      }
+      if (a < alphaThreshold) {
+        if (dither === 'floyd-steinberg') _diffuse(spread, x, y, 3, buf[o + 3]);
+        continue;
+      }
+      const idx = nearest(clamp(r), clamp(g), clamp(b), a);
+      m[y][x] = idx;
+      if (dither === 'floyd-steinberg') {
+        const c = entries[idx];
+        for (let k = 0; k < 4; k++) _diffuse(spread, x, y, k, buf[o + k] - c[k]);
+      }
+    }
+  }
+  return { matrix: m, palette: outPalette };
+}
+
+/**
+ * Lossless framebuffer → { matrix, palette }: one palette entry per distinct
+ * colour (appended to `palette`, whose entries are reused when they match).
+ */
+export function framebufferToMatrix(fb, { palette = [], alphaThreshold = 1 } = {}) {
+  const out = palette.slice();
+  const lookup = new Map();
+  out.forEach((c, i) => { try { const hex = rgbaToHex(toRGBA(c)); if (!lookup.has(hex)) lookup.set(hex, i); } catch { /* keep as is */ } });
+  const m = makeMatrix(fb.width, fb.height, -1);
+  for (let y = 0; y < fb.height; y++) {
+    for (let x = 0; x < fb.width; x++) {
+      const o = (y * fb.width + x) * 4;
+      if (fb.data[o + 3] < alphaThreshold) continue;
+      const hex = rgbaToHex(fb.data.subarray(o, o + 4));
+      let idx = lookup.get(hex);
+      if (idx === undefined) { idx = out.length; out.push(hex); lookup.set(hex, idx); }
+      m[y][x] = idx;
+    }
+  }
+  return { matrix: m, palette: out };
+}
+
+const BAYER_4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5],
+];
+
+function _diffuse(spread, x, y, k, e) {
+  if (!e) return;
+  spread(x + 1, y, k, e, 7 / 16);
+  spread(x - 1, y + 1, k, e, 3 / 16);
+  spread(x, y + 1, k, e, 5 / 16);
+  spread(x + 1, y + 1, k, e, 1 / 16);
+}
+
+// Median cut over RGBA: split the box with the widest channel at its
+// population median until there are `colors` boxes; each box → its mean.
+function _medianCut(fb, colors, alphaThreshold) {
+  const hist = new Map();
+  const d = fb.data;
+  for (let o = 0; o < d.length; o += 4) {
+    if (d[o + 3] < alphaThreshold) continue;
+    const key = ((d[o] << 24) | (d[o + 1] << 16) | (d[o + 2] << 8) | d[o + 3]) >>> 0;
+    hist.set(key, (hist.get(key) || 0) + 1);
+  }
+  if (!hist.size) return [[0, 0, 0, 255]];
+  const all = [...hist].map(([k, n]) => [k >>> 24, (k >>> 16) & 255, (k >>> 8) & 255, k & 255, n]);
+  const range = (box) => {
+    let best = 0, ch = 0;
+    for (let k = 0; k < 4; k++) {
+      let lo = 255, hi = 0;
+      for (const e of box) { if (e[k] < lo) lo = e[k]; if (e[k] > hi) hi = e[k]; }
+      if (hi - lo > best) { best = hi - lo; ch = k; }
+    }
+    return [best, ch];
+  };
+  const boxes = [all];
+  while (boxes.length < colors) {
+    let pick = -1, widest = 0, channel = 0;
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return;
+      const [r, ch] = range(box);
+      if (r > widest) { widest = r; pick = i; channel = ch; }
+    });
+    if (pick < 0) break;
+    const box = boxes[pick].sort((a, b) => a[channel] - b[channel]);
+    const total = box.reduce((s, e) => s + e[4], 0);
+    let acc = 0, cut = 1;
+    for (let i = 0; i < box.length - 1; i++) {
+      acc += box[i][4];
+      if (acc >= total / 2) { cut = i + 1; break; }
+    }
+    boxes.splice(pick, 1, box.slice(0, cut), box.slice(cut));
+  }
+  return boxes.map((box) => {
+    const n = box.reduce((s, e) => s + e[4], 0);
+    return [0, 1, 2, 3].map((k) => Math.round(box.reduce((s, e) => s + e[k] * e[4], 0) / n));
+  });
+}
+
+
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Rasterization primitives
@@ -229,6 +657,365 @@ export function mergeUnder(top, under) {
   return out;
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// 2D signed distance fields
+// ─────────────────────────────────────────────────────────────────────────────
+// A field is (x, y) => distance, negative inside. Fields carry .bounds
+// ({ min: [x, y], max: [x, y] }) and, when the distance is exact, .lipschitz —
+// the same shape funebra-isosurface's sdf.extrude / sdf.revolve take.
+
+/** Polynomial smooth minimum; k is the blend width in field units. */
+export function smin(a, b, k = 0.1) {
+  if (k <= 0) return Math.min(a, b);
+  const h = Math.max(k - Math.abs(a - b), 0) / k;
+  return Math.min(a, b) - h * h * k * 0.25;
+}
+
+export const sdf2d = {
+  circle({ r = 1, center } = {}) {
+    return _at2(_field2((x, y) => Math.hypot(x, y) - r, [-r, -r], [r, r], 1), center);
+  },
+
+  /** Axis-aligned box; size = full extents (number or [w, h]); radius rounds the corners. */
+  box({ size = 1, radius = 0, center } = {}) {
+    const [w, h] = typeof size === 'number' ? [size, size] : size;
+    const bx = w / 2, by = h / 2;
+    return _at2(_field2((x, y) => {
+      const qx = Math.abs(x) - bx + radius, qy = Math.abs(y) - by + radius;
+      return Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) + Math.min(Math.max(qx, qy), 0) - radius;
+    }, [-bx, -by], [bx, by], 1), center);
+  },
+
+  /** Capsule around the segment a → b (r = 0 gives the plain segment distance). */
+  segment({ a = [-1, 0], b = [1, 0], r = 0 } = {}) {
+    const ex = b[0] - a[0], ey = b[1] - a[1], ee = ex * ex + ey * ey || 1;
+    return _field2((x, y) => {
+      const wx = x - a[0], wy = y - a[1];
+      const t = Math.max(0, Math.min(1, (wx * ex + wy * ey) / ee));
+      return Math.hypot(wx - ex * t, wy - ey * t) - r;
+    }, [Math.min(a[0], b[0]) - r, Math.min(a[1], b[1]) - r], [Math.max(a[0], b[0]) + r, Math.max(a[1], b[1]) + r], 1);
+  },
+
+  /** Exact distance to a closed polygon [[x, y], …] (any winding, may be concave). */
+  polygon({ vertices } = {}) {
+    if (!Array.isArray(vertices) || vertices.length < 3) throw new Error('sdf2d.polygon: need at least 3 vertices');
+    const V = vertices.map((v) => (Array.isArray(v) ? v : [v.x, v.y]));
+    const xs = V.map((v) => v[0]), ys = V.map((v) => v[1]);
+    return _field2((x, y) => {
+      let d = Infinity, s = 1;
+      for (let i = 0, j = V.length - 1; i < V.length; j = i++) {
+        const [vx, vy] = V[i], ex = V[j][0] - vx, ey = V[j][1] - vy, wx = x - vx, wy = y - vy;
+        const t = Math.max(0, Math.min(1, (wx * ex + wy * ey) / (ex * ex + ey * ey || 1)));
+        const bx = wx - ex * t, by = wy - ey * t;
+        d = Math.min(d, bx * bx + by * by);
+        const c1 = y >= vy, c2 = y < V[j][1], c3 = ex * wy > ey * wx;
+        if ((c1 && c2 && c3) || (!c1 && !c2 && !c3)) s = -s;
+      }
+      return s * Math.sqrt(d);
+    }, [Math.min(...xs), Math.min(...ys)], [Math.max(...xs), Math.max(...ys)], 1);
+  },
+
+  /** Star with the same vertex layout as starToPixels (first point straight up). */
+  star({ points = 5, outer = 1, inner = 0.45, rotation = 0, center } = {}) {
+    const N = points * 2, vertices = [];
+    for (let i = 0; i < N; i++) {
+      const a = (i / N) * Math.PI * 2 + Math.PI / 2 + rotation;
+      const r = i % 2 === 0 ? outer : inner;
+      vertices.push([r * Math.cos(a), r * Math.sin(a)]);
+    }
+    return _at2(sdf2d.polygon({ vertices }), center);
+  },
+
+  /**
+   * Filled rose r = A·cos(kθ), petals as roseToPixels draws them (k odd → k
+   * petals, even → 2k). First-order distance, so no Lipschitz bound is claimed.
+   */
+  rose({ k = 5, A = 1, center } = {}) {
+    const odd = Number.isInteger(k) && Math.abs(k) % 2 === 1;
+    return _at2(_field2((x, y) => {
+      const r = Math.hypot(x, y), c = Math.cos(k * Math.atan2(y, x));
+      const lobe = odd ? Math.max(c, 0) : Math.abs(c);
+      if (!lobe) return r;
+      const slope = (A * k * Math.sin(k * Math.atan2(y, x))) / Math.max(r, 1e-9);
+      return (r - A * lobe) / Math.sqrt(1 + slope * slope);
+    }, [-A, -A], [A, A]), center);
+  },
+
+  /** The heartToPixels curve (x² + y² − 1)³ − x²y³ = 0, divided by its gradient to read as a distance. */
+  heart({ scale = 1, center } = {}) {
+    const f = _field2((x, y) => {
+      x /= scale; y /= scale;
+      const g = x * x + y * y - 1, v = g * g * g - x * x * y * y * y;
+      const gx = 6 * x * g * g - 2 * x * y * y * y, gy = 6 * y * g * g - 3 * x * x * y * y;
+      // |v| in the divisor keeps the estimate bounded where the gradient vanishes (origin, cusp)
+      return (v / Math.max(Math.hypot(gx, gy), Math.abs(v), 1e-9)) * scale;
+    }, [-1.15 * scale, -1.01 * scale], [1.15 * scale, 1.26 * scale]);
+    return _at2(f, center);
+  },
+
+  union(...fields) {
+    return _field2((x, y) => { let d = Infinity; for (const f of fields) d = Math.min(d, f(x, y)); return d; },
+      ..._merge2(fields), _lip2(fields));
+  },
+
+  intersect(...fields) {
+    return _field2((x, y) => { let d = -Infinity; for (const f of fields) d = Math.max(d, f(x, y)); return d; },
+      ..._overlap2(fields), _lip2(fields));
+  },
+
+  /** a minus every following field. */
+  subtract(a, ...cutters) {
+    return _field2((x, y) => { let d = a(x, y); for (const f of cutters) d = Math.max(d, -f(x, y)); return d; },
+      ...(a.bounds ? [a.bounds.min, a.bounds.max] : []), _lip2([a, ...cutters]));
+  },
+
+  smoothUnion(a, b, k = 0.1) {
+    const [min, max] = _merge2([a, b]);
+    return _field2((x, y) => smin(a(x, y), b(x, y), k),
+      min && min.map((v) => v - k / 4), max && max.map((v) => v + k / 4), _lip2([a, b]));
+  },
+
+  smoothSubtract(a, b, k = 0.1) {
+    return _field2((x, y) => -smin(-a(x, y), b(x, y), k),
+      ...(a.bounds ? [a.bounds.min, a.bounds.max] : []), _lip2([a, b]));
+  },
+
+  /** Grow outwards by r (rounds convex corners). */
+  round(f, r) {
+    return _field2((x, y) => f(x, y) - r,
+      f.bounds && f.bounds.min.map((v) => v - r), f.bounds && f.bounds.max.map((v) => v + r), f.lipschitz);
+  },
+
+  /** Outline band of the given width, centred on the edge. */
+  shell(f, width) {
+    const t = width / 2;
+    return _field2((x, y) => Math.abs(f(x, y)) - t,
+      f.bounds && f.bounds.min.map((v) => v - t), f.bounds && f.bounds.max.map((v) => v + t), f.lipschitz);
+  },
+
+  translate(f, [dx, dy]) {
+    return _field2((x, y) => f(x - dx, y - dy),
+      f.bounds && [f.bounds.min[0] + dx, f.bounds.min[1] + dy], f.bounds && [f.bounds.max[0] + dx, f.bounds.max[1] + dy], f.lipschitz);
+  },
+
+  /** Rotate by angle (radians, counter-clockwise) about the origin. */
+  rotate(f, angle) {
+    const c = Math.cos(angle), s = Math.sin(angle);
+    let min, max;
+    if (f.bounds) {
+      const { min: [x0, y0], max: [x1, y1] } = f.bounds;
+      const pts = [[x0, y0], [x1, y0], [x1, y1], [x0, y1]].map(([x, y]) => [x * c - y * s, x * s + y * c]);
+      min = [Math.min(...pts.map((p) => p[0])), Math.min(...pts.map((p) => p[1]))];
+      max = [Math.max(...pts.map((p) => p[0])), Math.max(...pts.map((p) => p[1]))];
+    }
+    return _field2((x, y) => f(x * c + y * s, -x * s + y * c), min, max, f.lipschitz);
+  },
+
+  /** Uniform scale about the origin. */
+  scale(f, k) {
+    if (!(k > 0)) throw new Error('sdf2d.scale: scale must be positive');
+    return _field2((x, y) => f(x / k, y / k) * k,
+      f.bounds && f.bounds.min.map((v) => v * k), f.bounds && f.bounds.max.map((v) => v * k), f.lipschitz);
+  },
+};
+
+function _field2(fn, min, max, lipschitz) {
+  fn.bounds = min && max ? { min: min.slice(), max: max.slice() } : null;
+  if (lipschitz != null) fn.lipschitz = lipschitz;
+  return fn;
+}
+
+function _at2(f, center) {
+  return center ? sdf2d.translate(f, center) : f;
+}
+
+function _merge2(fields) {
+  if (fields.some((f) => !f.bounds)) return [null, null];
+  return [
+    [Math.min(...fields.map((f) => f.bounds.min[0])), Math.min(...fields.map((f) => f.bounds.min[1]))],
+    [Math.max(...fields.map((f) => f.bounds.max[0])), Math.max(...fields.map((f) => f.bounds.max[1]))],
+  ];
+}
+
+function _overlap2(fields) {
+  const known = fields.filter((f) => f.bounds);
+  if (!known.length) return [null, null];
+  return [
+    [Math.max(...known.map((f) => f.bounds.min[0])), Math.max(...known.map((f) => f.bounds.min[1]))],
+    [Math.min(...known.map((f) => f.bounds.max[0])), Math.min(...known.map((f) => f.bounds.max[1]))],
+  ];
+}
+
+function _lip2(fields) {
+  return fields.every((f) => f.lipschitz != null) ? Math.max(...fields.map((f) => f.lipschitz)) : undefined;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Anti-aliased SDF rasterization
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Paint SDF layers into an index matrix + palette with anti-aliased edges.
+ * Layers are filled into an RGBA framebuffer (fillField, coverage quantised to
+ * `levels` steps) and every resulting colour gets a palette entry ('#rrggbbaa'
+ * for partial coverage), so the output feeds boxShadowFromMatrix / applyPixels
+ * and the PNG CLIs unchanged. Use fillField + quantize() for a capped palette.
+ *
+ * @param {Function|Array} layers  a field, or [{ field, color, stroke?, opacity?, mode? }, …] bottom to top
+ * @param {Object} [opts]
+ *  - width, height: matrix size (default 64 × 64)
+ *  - domain: { xmin, xmax, ymin, ymax } (default: bounds of the fields, padded)
+ *  - color: colour for bare fields (default '#ff7a18')
+ *  - background: colour under everything (default 'transparent' → index -1)
+ *  - levels: coverage steps (default 8; 1 = hard edges)
+ *  - palette: existing palette to extend (its colours are reused)
+ * @returns {{ matrix: number[][], palette: string[], coverage: Float32Array }}
+ */
+export function sdfToPixels(layers, {
+  width = 64,
+  height = 64,
+  domain,
+  color = '#ff7a18',
+  background = 'transparent',
+  levels = 8,
+  palette = [],
+} = {}) {
+  const list = (Array.isArray(layers) ? layers : [{ field: layers }])
+    .map((l) => (typeof l === 'function' ? { field: l } : l));
+  if (!list.length || list.some((l) => typeof l.field !== 'function')) throw new Error('sdfToPixels: every layer needs a field function');
+  const dom = domain || _fieldDomain(list.map((l) => l.field));
+  const fb = makeFramebuffer(width, height, background);
+  const coverage = new Float32Array(width * height);
+  for (const l of list) {
+    const cov = _coverage(l.field, width, height, dom, l.stroke, levels);
+    _fillCoverage(fb, cov, l.color ?? color, l.opacity ?? 1, l.mode ?? 'normal');
+    for (let p = 0; p < cov.length; p++) if (cov[p] > coverage[p]) coverage[p] = cov[p];
+  }
+  return { ...framebufferToMatrix(fb, { palette }), coverage };
+}
+
+// Per-pixel coverage of a field (or of its stroke band), 0..1.
+function _coverage(field, width, height, dom, stroke, levels) {
+  const px = Math.max((dom.xmax - dom.xmin) / Math.max(width - 1, 1), (dom.ymax - dom.ymin) / Math.max(height - 1, 1));
+  const cov = new Float32Array(width * height);
+  for (let j = 0; j < height; j++) {
+    const y = dom.ymin + ((height - 1 - j) / Math.max(height - 1, 1)) * (dom.ymax - dom.ymin);
+    for (let i = 0; i < width; i++) {
+      const x = dom.xmin + (i / Math.max(width - 1, 1)) * (dom.xmax - dom.xmin);
+      let d = field(x, y);
+      if (stroke) d = Math.abs(d) - stroke / 2;
+      let c = Math.max(0, Math.min(1, 0.5 - d / px));
+      if (levels > 0) c = Math.round(c * levels) / levels;
+      cov[j * width + i] = c;
+    }
+  }
+  return cov;
+}
+
+function _fillCoverage(fb, cov, paint, opacity, mode) {
+  const at = _paint(paint), blend = _blendFn(mode);
+  for (let p = 0; p < cov.length; p++) {
+    if (!cov[p]) continue;
+    const c = at(p % fb.width, (p / fb.width) | 0);
+    _composite(fb.data, p * 4, c, (c[3] / 255) * opacity * cov[p], blend);
+  }
+}
+
+function _fieldDomain(fields) {
+  const b = fields.map((f) => f.bounds).filter(Boolean);
+  if (!b.length) return { xmin: -1.2, xmax: 1.2, ymin: -1.2, ymax: 1.2 };
+  const xmin = Math.min(...b.map((v) => v.min[0])), xmax = Math.max(...b.map((v) => v.max[0]));
+  const ymin = Math.min(...b.map((v) => v.min[1])), ymax = Math.max(...b.map((v) => v.max[1]));
+  const pad = Math.max(xmax - xmin, ymax - ymin) * 0.05;
+  return { xmin: xmin - pad, xmax: xmax + pad, ymin: ymin - pad, ymax: ymax + pad };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Marching squares (field → contour polylines)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Iso-contours of f over an nx × ny cell grid. Edge crossings are linearly
+ * interpolated and shared between cells; saddles follow the cell-centre value.
+ * Closed loops keep the inside (f < iso) on their left, so outer boundaries
+ * run counter-clockwise (y up) like funebra-boolean contours. Contours cut by
+ * the domain come back open.
+ *
+ * @param {(x:number,y:number)=>number} f
+ * @param {Object} [opts]
+ *  - domain: { xmin, xmax, ymin, ymax } (default: f.bounds, padded)
+ *  - nx, ny: cells across / up (default 128, ny = nx)
+ *  - iso: contour level (default 0)
+ * @returns {Array<{ points: number[][], closed: boolean }>}  closed loops do not repeat their first point
+ */
+export function marchingSquares(f, { domain, nx = 128, ny = nx, iso = 0 } = {}) {
+  const dom = domain || _fieldDomain([f]);
+  const sx = nx + 1;
+  const X = (i) => dom.xmin + (i / nx) * (dom.xmax - dom.xmin);
+  const Y = (j) => dom.ymin + (j / ny) * (dom.ymax - dom.ymin);
+  const v = new Float64Array(sx * (ny + 1));
+  for (let j = 0; j <= ny; j++) for (let i = 0; i <= nx; i++) v[j * sx + i] = f(X(i), Y(j));
+
+  // edge key → crossing point; horizontal edges 2k, vertical 2k + 1
+  const point = new Map();
+  const cross = (key) => {
+    let p = point.get(key);
+    if (p) return p;
+    const k = key >> 1, i = k % sx, j = (k - i) / sx;
+    const a = v[k], b = key & 1 ? v[k + sx] : v[k + 1];
+    const t = (iso - a) / (b - a);
+    p = key & 1 ? [X(i), Y(j) + t * (Y(j + 1) - Y(j))] : [X(i) + t * (X(i + 1) - X(i)), Y(j)];
+    point.set(key, p);
+    return p;
+  };
+
+  // Walking a cell's corners counter-clockwise, each inside run leaves through
+  // its exit edge and was entered through the edge before its first corner;
+  // the segment exit → entry keeps the inside on its left.
+  const next = new Map();
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) {
+      const k = j * sx + i;
+      const c = [v[k], v[k + 1], v[k + sx + 1], v[k + sx]];
+      const ins = c.map((val) => val < iso);
+      const n = ins.filter(Boolean).length;
+      if (n === 0 || n === 4) continue;
+      const edge = [2 * k, 2 * (k + 1) + 1, 2 * (k + sx), 2 * k + 1]; // bottom, right, top, left
+      const saddle = n === 2 && ins[0] === ins[2];
+      const joined = saddle && (c[0] + c[1] + c[2] + c[3]) / 4 < iso;
+      for (let q = 0; q < 4; q++) {
+        if (!ins[q] || ins[(q + 1) % 4]) continue;
+        let s = q;
+        if (!joined) while (ins[(s + 3) % 4]) s = (s + 3) % 4;
+        // a joined saddle cuts off the outside corner instead
+        next.set(edge[q], joined ? edge[(q + 1) % 4] : edge[(s + 3) % 4]);
+      }
+    }
+  }
+
+  const contours = [];
+  const incoming = new Set(next.values());
+  const used = new Set();
+  const walk = (start) => {
+    const keys = [start];
+    used.add(start);
+    let cur = next.get(start);
+    while (cur !== undefined && cur !== start) { keys.push(cur); used.add(cur); cur = next.get(cur); }
+    return { points: keys.map(cross), closed: cur === start };
+  };
+  for (const k of next.keys()) if (!incoming.has(k) && !used.has(k)) contours.push(walk(k));
+  for (const k of next.keys()) if (!used.has(k)) contours.push(walk(k));
+  return contours;
+}
+
+/** Draw marchingSquares() output into a matrix (closed loops get their closing segment). */
+export function drawContours(matrix, contours, opts) {
+  for (const { points, closed } of contours) {
+    const pts = closed ? [...points, points[0]] : points;
+    drawPolyline(matrix, pts.map((p) => p[0]), pts.map((p) => p[1]), opts);
+  }
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Generators (curves → pixel matrices)
 // ─────────────────────────────────────────────────────────────────────────────
@@ -247,6 +1034,9 @@ export function roseToPixels({
     { t: 1.00, colorIndex: 0 },
   ],
   palette = [ '#ffffff', '#222831', '#ff7a18', '#2bd4cf' ],
+  smoothGlow = false, // true: continuous RGBA glow, median-cut back to `colors`
+  colors = 16,
+  dither = 'floyd-steinberg',
 } = {}) {
   const m = makeMatrix(width, height, -1);
   const xs = new Array(steps), ys = new Array(steps);
@@ -264,6 +1054,12 @@ export function roseToPixels({
     const d = Math.hypot(x, y);
     return Math.exp(-3 * d * d) * (0.5 + 0.5 * Math.cos(10 * d));
   };
+  if (smoothGlow) {
+    const stops = glowStops.map((s) => ({ t: s.t, color: s.colorIndex === -1 ? 'transparent' : palette[s.colorIndex] }));
+    const fb = fieldToFramebuffer(width, height, { ...domain }, field, stops);
+    drawFramebuffer(fb, matrixToFramebuffer(m, palette));
+    return quantize(fb, { colors, dither });
+  }
   const g = fieldToMatrix(width, height, { ...domain }, field, glowStops);
   return { matrix: mergeUnder(m, g), palette };
 }
@@ -303,36 +1099,9 @@ export function heartToPixels({
   // Use implicit heart: (x^2 + y^2 - 1)^3 - x^2 y^3 = 0 → contour
   const m = makeMatrix(width, height, -1);
   const f = (x, y) => Math.pow(x * x + y * y - 1, 3) - x * x * y * y * y;
-  // March along iso-contour by sampling grid cells and drawing edges where sign changes
+  // Marching squares gives connected polylines; draw them segment by segment
   const gx = 140, gy = 120; // marching resolution (not pixels)
-  const sign = (v) => (v >= iso ? 1 : -1);
-  const val = [];
-  for (let j = 0; j <= gy; j++) {
-    const row = [];
-    for (let i = 0; i <= gx; i++) {
-      const x = domain.xmin + (i / gx) * (domain.xmax - domain.xmin);
-      const y = domain.ymin + (j / gy) * (domain.ymax - domain.ymin);
-      row.push(f(x, y));
-    }
-    val.push(row);
-  }
-  // Simple edge tracing by comparing neighbors
-  for (let j = 1; j <= gy; j++) {
-    for (let i = 1; i <= gx; i++) {
-      const s00 = sign(val[j - 1][i - 1]);
-      const s10 = sign(val[j - 1][i]);
-      const s01 = sign(val[j][i - 1]);
-      const s11 = sign(val[j][i]);
-      if (s00 !== s10 || s00 !== s01 || s11 !== s10 || s11 !== s01) {
-        // Map cell center to grid and draw a tiny segment
-        const xc = domain.xmin + ((i - 0.5) / gx) * (domain.xmax - domain.xmin);
-        const yc = domain.ymin + ((j - 0.5) / gy) * (domain.ymax - domain.ymin);
-        const [gx0, gy0] = mapToGrid(xc - (domain.xmax - domain.xmin) / gx / 2, yc, { ...domain, width, height });
-        const [gx1, gy1] = mapToGrid(xc + (domain.xmax - domain.xmin) / gx / 2, yc, { ...domain, width, height });
-        line(m, gx0, gy0, gx1, gy1, lineColorIndex);
-      }
-    }
-  }
+  drawContours(m, marchingSquares(f, { domain, nx: gx, ny: gy, iso }), { ...domain, width, height, lineColorIndex });
   return { matrix: m, palette };
 }
 
@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+// funebra-render.cli.js — legacy entry point, now `funebra render` (see funebra.cli.js)
+// Requires Node 18+
+// npm i pngjs three
+//
+//   node funebra-render.cli.js --svg circles.svg --png circles.png
+//   node funebra-render.cli.js --stpEnd 360 --scodeX "Funebra.starX(u,5,150,70,360,36)" \
+//        --scodeY "Funebra.starY(u,5,150,70,260,36)" --mode line --png star.png
+
+import { run, legacyArgs } from "./funebra-cli.module.js";
+
+process.exitCode = await run(legacyArgs("render", process.argv.slice(2)));
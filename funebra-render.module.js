@@ -0,0 +1,239 @@
+// funebra-render.module.js — Headless scode renderer (no DOM, ESM)
+// - Replays the `mvx()` step loop from index.html for the page inputs
+//   (steps, stpStart, stpEnd, scodeX, scodeY, clor, itext) and returns the point
+//   sequence the page would have placed as absolutely positioned nodes.
+// - Formulas go through funebra-expr.module.js (same sandbox as the page).
+// - Renders points to an SVG string or to a raw RGBA buffer (Node CLIs pack it
+//   to PNG with pngjs; see funebra-render.cli.js).
+//
+// Usage:
+//   import * as R from './funebra-render.module.js';
+//   import Funebra from './script.shapes.module.js';
+//   const pts = R.evaluateScode({ stpEnd: 119, steps: 1,
+//     scodeX: 'cos(o*PI/30)*120 + (o > 60 ? 600 : 300)', scodeY: 'sin(o*PI/30)*120 + 360' },
+//     { helpers: Funebra });
+//   const svg = R.pointsToSVG(pts, { width: 900, height: 600 });
+//   const { width, height, data } = R.pointsToRGBA(pts, { width: 900, height: 600 });
+
+import { compileExpression, safeHelpers, DEFAULT_VARS } from './funebra-expr.module.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Inputs
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Page form defaults (the "2 parallel circles" gallery entry, no plabs globals needed). */
+export const DEFAULT_INPUTS = {
+  steps: 1,
+  stpStart: 0,
+  stpEnd: 119,
+  scodeX: 'cos(o*PI/30)*120 + (o > 60 ? 600 : 300)',
+  scodeY: 'sin(o*PI/30)*120 + 360',
+  clor: '"rgb("+(cos(iu*cz/120)*360+255)/2+", "+125+","+(cos(iu*gta/120)*360+255)/2+")"',
+  itext: '"&#9787;"',
+  wL: '12',
+  hT: '12',
+};
+
+// Page globals right after load: gear() has ticked once (ca = cz = 3), execon() idle (gta = 360).
+export const DEFAULT_CLOCK = { gta: 360, ca: 3, cb: 324, cz: 3 };
+
+const DEG2RAD = Math.PI * 2 / 360;
+
+/** Decode the numeric HTML entities people type into iText ("&#9787;" → ☻). */
+export function decodeGlyph(s) {
+  return String(s ?? '').replace(/&#(x?)([0-9a-f]+);/gi, (_, hex, n) => String.fromCodePoint(parseInt(n, hex ? 16 : 10)));
+}
+
+/**
+ * Run the mvx() step loop headlessly.
+ *
+ * @param {Object} inputs  page fields (strings or numbers); missing ones use DEFAULT_INPUTS
+ * @param {Object} [opts]
+ *  - helpers: Funebra namespace exposed to formulas as `Funebra` (filtered by safeHelpers)
+ *  - globals: extra read-only names for formulas (e.g. { rings })
+ *  - clock:   { gta, ca, cb, cz } page timers (default DEFAULT_CLOCK)
+ *  - width, height: what `window.innerWidth` / `window.innerHeight` report
+ *  - maxPoints: safety cap (default 100000)
+ * @returns {Array<{o:number,u:number,x:number,y:number,color:string|null,text:string}>}
+ */
+export function evaluateScode(inputs = {}, opts = {}) {
+  const inp = { ...DEFAULT_INPUTS, ...inputs };
+  const { helpers = null, clock = {}, width = 1280, height = 720, maxPoints = 100000 } = opts;
+  const globals = {
+    window: { innerWidth: width, innerHeight: height },
+    ...(helpers ? { Funebra: safeHelpers(helpers) } : {}),
+    ...(opts.globals || {}),
+  };
+
+  // Same incremental visibility as the page: what scodeX assigns, scodeY/clor/itext can read
+  const cache = new Map();
+  const run = (src, scope) => {
+    const vars = [...new Set([...DEFAULT_VARS, ...Object.keys(scope)])].sort();
+    const key = String(src) + '\u0000' + vars.join(',');
+    let fn = cache.get(key);
+    if (!fn) { fn = compileExpression(String(src), { vars, globals }); cache.set(key, fn); }
+    return fn(scope);
+  };
+  const num = (v) => (typeof v === 'number' ? v : Number(run(v, {})));
+
+  const steps = num(inp.steps), start = num(inp.stpStart), end = num(inp.stpEnd);
+  if (steps === 0) throw new Error('evaluateScode: steps must be non-zero');
+  if (!(steps + start > 0)) throw new Error('evaluateScode: steps + stpStart must be > 0');
+
+  const { gta, ca, cb, cz } = { ...DEFAULT_CLOCK, ...clock };
+  let o = 0, u = 0, iu = 600, zx = 0, x = 0, y = 0, i = 600, ob = 0, iCount = 0;
+  const colorIsText = String(inp.clor).trim().slice(1, 4) === 'rgb';
+  const out = [];
+
+  while (o <= Math.floor(end / steps)) {
+    if (out.length >= maxPoints) throw new Error(`evaluateScode: more than ${maxPoints} points`);
+    o = o + start + steps; ob++; u++;
+    iu = u * 3; zx += 2;
+    i -= steps;
+    iCount += 3.1415;
+    const rad = iCount * DEG2RAD;
+    x += Math.cos(rad);
+    y += Math.sin(rad);
+
+    const sc = { o, u, iu, zx, gta, cz, ca, cb, x, y, i, ob, rad };
+    const px = Number(run(inp.scodeX, sc));
+    const py = Number(run(inp.scodeY, sc));
+    const color = colorIsText ? String(run(inp.clor, sc)) : null;
+    const text = colorIsText ? decodeGlyph(run(inp.itext, sc)) : '';
+    out.push({ o, u, x: px, y: py, color, text });
+  }
+  return out;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Colours
+// ─────────────────────────────────────────────────────────────────────────────
+const NAMED = {
+  black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], lime: [0, 255, 0], green: [0, 128, 0],
+  blue: [0, 0, 255], yellow: [255, 255, 0], cyan: [0, 255, 255], magenta: [255, 0, 255],
+  orange: [255, 165, 0], gold: [255, 215, 0], gray: [128, 128, 128], grey: [128, 128, 128],
+  silver: [192, 192, 192], brown: [165, 42, 42], purple: [128, 0, 128], pink: [255, 192, 203],
+  navy: [0, 0, 128], teal: [0, 128, 128], lightblue: [173, 216, 230], lightgray: [211, 211, 211],
+};
+
+/**
+ * Parse a CSS colour (#rgb, #rrggbb, #rrggbbaa, rgb()/rgba(), a few names) to [r,g,b,a] 0..255.
+ * Out-of-range channels (common in formula colours) are clamped like browsers do.
+ * Returns null when unparseable.
+ */
+export function parseCSSColor(css) {
+  if (Array.isArray(css)) return [css[0], css[1], css[2], css[3] ?? 255];
+  const s = String(css ?? '').trim().toLowerCase();
+  const cl = (v) => Math.max(0, Math.min(255, Math.round(v)));
+  if (s === 'transparent') return [0, 0, 0, 0];
+  if (NAMED[s]) return [...NAMED[s], 255];
+  let m = /^#([0-9a-f]{3,8})$/.exec(s);
+  if (m) {
+    let h = m[1];
+    if (h.length === 3 || h.length === 4) h = h.split('').map(c => c + c).join('');
+    if (h.length === 6) h += 'ff';
+    if (h.length !== 8) return null;
+    return [0, 2, 4, 6].map(k => parseInt(h.slice(k, k + 2), 16));
+  }
+  m = /^rgba?\(([^)]*)\)$/.exec(s);
+  if (m) {
+    const p = m[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    if (p.length < 3 || p.slice(0, 3).some(v => !Number.isFinite(v))) return null;
+    const a = p.length > 3 && Number.isFinite(p[3]) ? cl(p[3] * 255) : 255;
+    return [cl(p[0]), cl(p[1]), cl(p[2]), a];
+  }
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SVG
+// ─────────────────────────────────────────────────────────────────────────────
+const _esc = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const _n = (v) => +(+v).toFixed(2);
+
+/**
+ * Render points to an SVG document string.
+ * @param {Array} points  from evaluateScode
+ * @param {Object} [opts]
+ *  - width, height, background (CSS colour or null)
+ *  - mode: 'glyph' (iText at each point, like the page) | 'dot' | 'line'
+ *  - fontSize: glyph size in px (page uses 14pt ≈ 18.7px)
+ *  - radius: dot radius / line width
+ *  - color: fallback colour when clor is not an rgb() formula
+ */
+export function pointsToSVG(points, { width = 1280, height = 720, background = null, mode = 'glyph', fontSize = 18.67, radius = 2, color = '#ff0000' } = {}) {
+  const parts = [`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`];
+  if (background) parts.push(`<rect width="100%" height="100%" fill="${_esc(background)}" />`);
+  const ok = points.filter(p => Number.isFinite(p.x) && Number.isFinite(p.y));
+
+  if (mode === 'line') {
+    const d = ok.map((p, k) => `${k ? 'L' : 'M'} ${_n(p.x)} ${_n(p.y)}`).join(' ');
+    parts.push(`<path d="${d}" fill="none" stroke="${_esc(ok[0]?.color || color)}" stroke-width="${radius}" />`);
+  } else if (mode === 'dot') {
+    for (const p of ok) parts.push(`<circle cx="${_n(p.x)}" cy="${_n(p.y)}" r="${radius}" fill="${_esc(p.color || color)}" />`);
+  } else {
+    // DOM nodes are positioned by their top-left corner
+    parts.push(`<g font-size="${fontSize}" dominant-baseline="hanging">`);
+    for (const p of ok) {
+      parts.push(`<text x="${_n(p.x)}" y="${_n(p.y)}" fill="${_esc(p.color || color)}">${_esc(p.text || '•')}</text>`);
+    }
+    parts.push('</g>');
+  }
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Raster (RGBA buffer; glyphs are drawn as dots — no font rasteriser here)
+// ─────────────────────────────────────────────────────────────────────────────
+function _blend(data, w, h, x, y, c, cov) {
+  if (x < 0 || y < 0 || x >= w || y >= h || cov <= 0) return;
+  const off = (y * w + x) << 2;
+  const a = (c[3] / 255) * Math.min(1, cov);
+  const da = data[off + 3] / 255;
+  const oa = a + da * (1 - a);
+  if (oa <= 0) return;
+  for (let k = 0; k < 3; k++) data[off + k] = Math.round((c[k] * a + data[off + k] * da * (1 - a)) / oa);
+  data[off + 3] = Math.round(oa * 255);
+}
+
+function _disk(data, w, h, cx, cy, r, c) {
+  const x0 = Math.floor(cx - r - 1), x1 = Math.ceil(cx + r + 1);
+  const y0 = Math.floor(cy - r - 1), y1 = Math.ceil(cy + r + 1);
+  for (let py = y0; py <= y1; py++) {
+    for (let px = x0; px <= x1; px++) {
+      const d = Math.hypot(px + 0.5 - cx, py + 0.5 - cy);
+      _blend(data, w, h, px, py, c, r + 0.5 - d); // 1px anti-aliased rim
+    }
+  }
+}
+
+/**
+ * Rasterize points into an RGBA buffer.
+ * @returns {{ width:number, height:number, data:Uint8ClampedArray }}
+ */
+export function pointsToRGBA(points, { width = 1280, height = 720, background = null, mode = 'dot', radius = 2, color = '#ff0000' } = {}) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  const bg = background ? parseCSSColor(background) : null;
+  if (bg) for (let k = 0; k < data.length; k += 4) data.set(bg, k);
+  const fallback = parseCSSColor(color) || [255, 0, 0, 255];
+  const ok = points.filter(p => Number.isFinite(p.x) && Number.isFinite(p.y));
+
+  if (mode === 'line') {
+    for (let k = 1; k < ok.length; k++) {
+      const a = ok[k - 1], b = ok[k];
+      const c = parseCSSColor(b.color) || fallback;
+      const n = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) * 2));
+      for (let s = 0; s <= n; s++) _disk(data, width, height, a.x + (b.x - a.x) * s / n, a.y + (b.y - a.y) * s / n, radius / 2, c);
+    }
+    return { width, height, data };
+  }
+  for (const p of ok) _disk(data, width, height, p.x, p.y, radius, parseCSSColor(p.color) || fallback);
+  return { width, height, data };
+}
+
+export default {
+  DEFAULT_INPUTS, DEFAULT_CLOCK,
+  evaluateScode, decodeGlyph, parseCSSColor,
+  pointsToSVG, pointsToRGBA,
+};
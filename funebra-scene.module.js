@@ -0,0 +1,416 @@
+// funebra-scene.module.js — Declarative scene files (.funebra.json), ESM, no DOM
+// - One versioned JSON document per composition: several shape layers (formulas,
+//   step range, colour, glyph, size), a camera, a viewport and metadata.
+// - validateScene() reports every problem with a path ("layers[1].range.step: …").
+// - parseScene() migrates older documents (including the loose page form fields
+//   listed by Funebra.DebugOverlay) to the current version before validating.
+// - Layers map 1:1 onto the page inputs, so funebra-render.module.js can draw
+//   a scene headlessly (sceneToPoints).
+//
+// Usage:
+//   import * as Scene from './funebra-scene.module.js';
+//   const scene = Scene.createScene({ meta: { title: 'Two circles' } });
+//   scene.layers.push(Scene.createLayer({ x: 'cos(o*PI/30)*120+300', y: 'sin(o*PI/30)*120+360' }));
+//   const json  = Scene.serializeScene(scene);          // throws on invalid scenes
+//   const again = Scene.parseScene(json);               // migrates + validates + fills defaults
+//   const pts   = Scene.sceneToPoints(again, { helpers: Funebra });
+
+import { parseExpression } from './funebra-expr.module.js';
+import { evaluateScode, DEFAULT_INPUTS } from './funebra-render.module.js';
+
+export const SCENE_FORMAT = 'funebra-scene';
+export const SCENE_VERSION = 1;
+export const SCENE_EXT = '.funebra.json';
+export const SCENE_MIME = 'application/json';
+
+// Page form fields (same list as Funebra.DebugOverlay) ↔ layer keys
+export const FORM_FIELDS = ['steps', 'stpStart', 'stpEnd', 'scodeX', 'scodeY', 'clor', 'wL', 'hT', 'bo', 'itext'];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Factories
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * New layer with defaults from the page (funebra-render DEFAULT_INPUTS).
+ * Formulas are scode strings; range values may be numbers or scode strings.
+ *
+ * @param {Object} [o]
+ *  - id, name, visible
+ *  - range: { start, end, step }
+ *  - x, y:   position formulas (scodeX / scodeY)
+ *  - color:  colour formula (clor), glyph: text formula (itext)
+ *  - size:   { w, h } formulas (wL / hT)
+ */
+export function createLayer(o = {}) {
+  const d = DEFAULT_INPUTS;
+  return {
+    id: o.id ?? _uid('layer'),
+    name: o.name ?? 'Layer',
+    visible: o.visible ?? true,
+    range: {
+      start: o.range?.start ?? d.stpStart,
+      end:   o.range?.end   ?? d.stpEnd,
+      step:  o.range?.step  ?? d.steps,
+    },
+    x: o.x ?? d.scodeX,
+    y: o.y ?? d.scodeY,
+    color: o.color ?? d.clor,
+    glyph: o.glyph ?? d.itext,
+    size: { w: o.size?.w ?? d.wL, h: o.size?.h ?? d.hT },
+  };
+}
+
+/**
+ * New empty scene at the current version.
+ *
+ * @param {Object} [o]
+ *  - meta:     { title, author, description, tags, created, modified }
+ *  - camera:   { x, y, zoom, rotation }   (rotation in degrees, about the viewport centre)
+ *  - viewport: { width, height, background }
+ *  - clock:    { gta, ca, cb, cz } page timers used while evaluating formulas
+ *  - layers:   array of createLayer() options
+ */
+export function createScene(o = {}) {
+  const now = new Date().toISOString();
+  return {
+    format: SCENE_FORMAT,
+    version: SCENE_VERSION,
+    meta: {
+      title: 'Untitled',
+      author: '',
+      description: '',
+      tags: [],
+      created: now,
+      modified: now,
+      ...(o.meta || {}),
+    },
+    camera: { x: 0, y: 0, zoom: 1, rotation: 0, ...(o.camera || {}) },
+    viewport: { width: 1280, height: 720, background: null, ...(o.viewport || {}) },
+    clock: { ...(o.clock || {}) },
+    layers: (o.layers || []).map(createLayer),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Validation
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Check a scene against the current schema. Formulas are parsed (syntax only;
+ * identifiers are resolved when the scene is evaluated).
+ *
+ * @param {any} scene
+ * @param {Object} [opts]
+ *  - formulas: parse formula strings too (default true)
+ * @returns {{ ok:boolean, errors:Array<{path:string,message:string}> }}
+ */
+export function validateScene(scene, { formulas = true } = {}) {
+  const errors = [];
+  const err = (path, message) => errors.push({ path, message });
+
+  if (!_isObj(scene)) return { ok: false, errors: [{ path: '', message: 'scene must be an object' }] };
+  if (scene.format !== SCENE_FORMAT) err('format', `expected "${SCENE_FORMAT}", got ${_show(scene.format)}`);
+  if (scene.version !== SCENE_VERSION) {
+    err('version', `expected ${SCENE_VERSION}, got ${_show(scene.version)} (run migrateScene first)`);
+  }
+
+  // meta
+  if (!_isObj(scene.meta)) err('meta', 'must be an object');
+  else {
+    for (const k of ['title', 'author', 'description']) {
+      if (scene.meta[k] !== undefined && typeof scene.meta[k] !== 'string') err(`meta.${k}`, 'must be a string');
+    }
+    for (const k of ['created', 'modified']) {
+      const v = scene.meta[k];
+      if (v !== undefined && (typeof v !== 'string' || isNaN(Date.parse(v)))) err(`meta.${k}`, 'must be an ISO date string');
+    }
+    if (scene.meta.tags !== undefined &&
+        !(Array.isArray(scene.meta.tags) && scene.meta.tags.every(t => typeof t === 'string'))) {
+      err('meta.tags', 'must be an array of strings');
+    }
+  }
+
+  // camera
+  if (!_isObj(scene.camera)) err('camera', 'must be an object');
+  else {
+    for (const k of ['x', 'y', 'rotation']) _finite(scene.camera[k], `camera.${k}`, err);
+    if (_finite(scene.camera.zoom, 'camera.zoom', err) && !(scene.camera.zoom > 0)) err('camera.zoom', 'must be > 0');
+  }
+
+  // viewport
+  if (!_isObj(scene.viewport)) err('viewport', 'must be an object');
+  else {
+    for (const k of ['width', 'height']) {
+      const v = scene.viewport[k];
+      if (!Number.isInteger(v) || v <= 0) err(`viewport.${k}`, `must be a positive integer, got ${_show(v)}`);
+    }
+    const bg = scene.viewport.background;
+    if (bg !== null && bg !== undefined && typeof bg !== 'string') err('viewport.background', 'must be a CSS colour string or null');
+  }
+
+  // clock (optional)
+  if (scene.clock !== undefined) {
+    if (!_isObj(scene.clock)) err('clock', 'must be an object');
+    else for (const k of Object.keys(scene.clock)) {
+      if (!['gta', 'ca', 'cb', 'cz'].includes(k)) err(`clock.${k}`, 'unknown clock value (expected gta, ca, cb, cz)');
+      else _finite(scene.clock[k], `clock.${k}`, err);
+    }
+  }
+
+  // layers
+  if (!Array.isArray(scene.layers)) err('layers', 'must be an array');
+  else {
+    const seen = new Set();
+    scene.layers.forEach((L, i) => {
+      const p = `layers[${i}]`;
+      if (!_isObj(L)) { err(p, 'must be an object'); return; }
+      if (typeof L.id !== 'string' || !L.id) err(`${p}.id`, 'must be a non-empty string');
+      else if (seen.has(L.id)) err(`${p}.id`, `duplicate id "${L.id}"`);
+      else seen.add(L.id);
+      if (L.name !== undefined && typeof L.name !== 'string') err(`${p}.name`, 'must be a string');
+      if (L.visible !== undefined && typeof L.visible !== 'boolean') err(`${p}.visible`, 'must be a boolean');
+
+      if (!_isObj(L.range)) err(`${p}.range`, 'must be an object { start, end, step }');
+      else {
+        for (const k of ['start', 'end', 'step']) _numOrFormula(L.range[k], `${p}.range.${k}`, err, formulas);
+        if (L.range.step === 0) err(`${p}.range.step`, 'must be non-zero');
+      }
+      for (const k of ['x', 'y', 'color', 'glyph']) _formula(L[k], `${p}.${k}`, err, formulas);
+      if (!_isObj(L.size)) err(`${p}.size`, 'must be an object { w, h }');
+      else for (const k of ['w', 'h']) _numOrFormula(L.size[k], `${p}.size.${k}`, err, formulas);
+    });
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+/** validateScene() that throws one Error listing every problem. */
+export function assertScene(scene, opts) {
+  const res = validateScene(scene, opts);
+  if (!res.ok) {
+    const e = new Error('validateScene: invalid scene\n' + res.errors.map(x => `  - ${x.path || '(root)'}: ${x.message}`).join('\n'));
+    e.errors = res.errors;
+    throw e;
+  }
+  return scene;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Migrations
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * MIGRATIONS[n] upgrades a version-n document to version n+1 (pure; returns a new object).
+ * Version 0 is the loose page form: { steps, stpStart, stpEnd, scodeX, scodeY, clor, wL, hT, bo, itext }.
+ */
+export const MIGRATIONS = {
+  0: (doc) => {
+    const fields = Array.isArray(doc.layers) ? doc.layers : [doc];
+    return createScene({
+      meta: { title: typeof doc.title === 'string' ? doc.title : 'Untitled' },
+      viewport: {
+        width: Number.isInteger(doc.width) ? doc.width : 1280,
+        height: Number.isInteger(doc.height) ? doc.height : 720,
+        background: typeof doc.bo === 'string' && doc.bo ? doc.bo : null,
+      },
+      layers: fields.map((f, i) => ({ ...layerFromFields(f), name: `Layer ${i + 1}` })),
+    });
+  },
+};
+
+/** Version of any scene-like document (0 for loose form fields). */
+export function sceneVersion(doc) {
+  if (_isObj(doc) && doc.format === SCENE_FORMAT && Number.isInteger(doc.version)) return doc.version;
+  if (_isObj(doc) && FORM_FIELDS.some(k => k in doc)) return 0;
+  throw new Error('migrateScene: not a Funebra scene (no "format" and no page form fields)');
+}
+
+/** Upgrade a document to SCENE_VERSION, one step at a time. Newer versions are rejected. */
+export function migrateScene(doc) {
+  let v = sceneVersion(doc);
+  if (v > SCENE_VERSION) throw new Error(`migrateScene: scene version ${v} is newer than supported (${SCENE_VERSION})`);
+  let out = doc;
+  while (v < SCENE_VERSION) {
+    const step = MIGRATIONS[v];
+    if (!step) throw new Error(`migrateScene: no migration from version ${v}`);
+    out = step(out);
+    v = out.version;
+  }
+  return out;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Load / save
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * JSON text (or an already parsed object) → current-version scene with defaults filled in.
+ * Throws on malformed JSON, unknown versions and schema errors.
+ */
+export function parseScene(input, opts) {
+  let doc = input;
+  if (typeof input === 'string') {
+    try { doc = JSON.parse(input); }
+    catch (e) { throw new Error('parseScene: malformed JSON: ' + e.message); }
+  }
+  const migrated = migrateScene(doc);
+  const d = createScene();
+  const scene = {
+    ...d,
+    meta: _fillSection(d.meta, migrated.meta),
+    camera: _fillSection(d.camera, migrated.camera),
+    viewport: _fillSection(d.viewport, migrated.viewport),
+    clock: _fillSection(d.clock, migrated.clock),
+    layers: Array.isArray(migrated.layers) ? migrated.layers.map(_fillLayer) : migrated.layers,
+  };
+  return assertScene(scene, opts);
+}
+
+/**
+ * Scene → pretty JSON text. Validates first and stamps meta.modified.
+ * @param {Object} scene
+ * @param {Object} [opts]  - space: indent (default 2), - touch: update meta.modified (default true)
+ */
+export function serializeScene(scene, { space = 2, touch = true } = {}) {
+  assertScene(scene);
+  const out = touch ? { ...scene, meta: { ...scene.meta, modified: new Date().toISOString() } } : scene;
+  return JSON.stringify(out, null, space);
+}
+
+/** Suggested file name: "two-circles.funebra.json". */
+export function sceneFileName(scene) {
+  const slug = String(scene?.meta?.title || 'scene').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'scene';
+  return slug + SCENE_EXT;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Page form ↔ layer
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Page form values ({ steps, stpStart, … }) → layer. */
+export function layerFromFields(f = {}) {
+  const num = (v) => (typeof v === 'string' && v.trim() !== '' && isFinite(v) ? Number(v) : v);
+  return createLayer({
+    range: { start: num(f.stpStart), end: num(f.stpEnd), step: num(f.steps) },
+    x: f.scodeX, y: f.scodeY, color: f.clor, glyph: f.itext,
+    size: { w: f.wL, h: f.hT },
+  });
+}
+
+/** Layer → page form values (strings, ready for input.value; `bo` comes from the viewport). */
+export function layerToFields(layer, viewport = {}) {
+  const L = createLayer(layer);
+  const fields = {
+    steps: String(L.range.step), stpStart: String(L.range.start), stpEnd: String(L.range.end),
+    scodeX: L.x, scodeY: L.y, clor: L.color, wL: String(L.size.w), hT: String(L.size.h), itext: L.glyph,
+  };
+  if (viewport.background) fields.bo = viewport.background;
+  return fields;
+}
+
+/** Layer → evaluateScode() inputs. */
+export function layerToInputs(layer) {
+  const L = createLayer(layer);
+  return {
+    steps: L.range.step, stpStart: L.range.start, stpEnd: L.range.end,
+    scodeX: L.x, scodeY: L.y, clor: L.color, itext: L.glyph, wL: L.size.w, hT: L.size.h,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Evaluate
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Evaluate every visible layer and apply the camera.
+ * Camera: points are rotated about the viewport centre, scaled by `zoom`, then
+ * panned so that (camera.x, camera.y) moves to the top-left corner.
+ *
+ * @param {Object} scene
+ * @param {Object} [opts]  passed to evaluateScode (helpers, globals, maxPoints)
+ * @returns {Array<{layer:string,o:number,u:number,x:number,y:number,color:string|null,text:string}>}
+ */
+export function sceneToPoints(scene, opts = {}) {
+  assertScene(scene, { formulas: false });
+  const { width, height } = scene.viewport;
+  const { x: camX, y: camY, zoom, rotation } = scene.camera;
+  const cx = width / 2, cy = height / 2;
+  const a = rotation * Math.PI / 180, c = Math.cos(a), s = Math.sin(a);
+  const out = [];
+  for (const L of scene.layers) {
+    if (L.visible === false) continue;
+    const pts = evaluateScode(layerToInputs(L), { ...opts, clock: { ...scene.clock, ...(opts.clock || {}) }, width, height });
+    for (const p of pts) {
+      const dx = p.x - cx, dy = p.y - cy;
+      out.push({
+        ...p,
+        layer: L.id,
+        x: (cx + dx * c - dy * s) * zoom - camX,
+        y: (cy + dx * s + dy * c) * zoom - camY,
+      });
+    }
+  }
+  return out;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Internals
+// ─────────────────────────────────────────────────────────────────────────────
+
+let _seq = 0;
+function _uid(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${(++_seq).toString(36)}`;
+}
+
+// Defaults for a missing or partial section; anything but an object is left for the validator
+function _fillSection(defaults, v) {
+  if (v === undefined) return defaults;
+  return _isObj(v) ? { ...defaults, ...v } : v;
+}
+
+// Defaults for missing keys only; wrong types are left for the validator to report
+function _fillLayer(L) {
+  if (!_isObj(L)) return L;
+  const d = createLayer({ id: L.id });
+  return {
+    ...d, ...L,
+    range: _isObj(L.range) ? { ...d.range, ...L.range } : (L.range ?? d.range),
+    size: _isObj(L.size) ? { ...d.size, ...L.size } : (L.size ?? d.size),
+  };
+}
+
+function _isObj(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function _show(v) {
+  return v === undefined ? 'nothing' : JSON.stringify(v);
+}
+
+function _finite(v, path, err) {
+  if (typeof v !== 'number' || !Number.isFinite(v)) { err(path, `must be a finite number, got ${_show(v)}`); return false; }
+  return true;
+}
+
+function _formula(v, path, err, parse) {
+  if (typeof v !== 'string') { err(path, `must be a formula string, got ${_show(v)}`); return; }
+  if (!parse) return;
+  try { parseExpression(v); }
+  catch (e) { err(path, e.message.replace(/^funebra-expr: /, '')); }
+}
+
+function _numOrFormula(v, path, err, parse) {
+  if (typeof v === 'number') { if (!Number.isFinite(v)) err(path, `must be finite, got ${v}`); return; }
+  _formula(v, path, err, parse);
+}
+
+export default {
+  SCENE_FORMAT, SCENE_VERSION, SCENE_EXT, SCENE_MIME, FORM_FIELDS, MIGRATIONS,
+  createScene, createLayer,
+  validateScene, assertScene,
+  sceneVersion, migrateScene,
+  parseScene, serializeScene, sceneFileName,
+  layerFromFields, layerToFields, layerToInputs,
+  sceneToPoints,
+};
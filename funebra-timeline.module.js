@@ -0,0 +1,373 @@
+// funebra-timeline.module.js — Keyframed parameters for the numeric shape helpers (ESM, no DOM)
+// - Tracks keyframe any named value ("star.rOuter", "rose.k", "hue") over time.
+// - Easing per segment: linear, step, cubic (in/out/in-out or CSS cubic-bezier), spring.
+// - Playback modes: once (hold last key), loop, pingpong.
+// - at(t) → plain parameter object; bindHelper() feeds it to starX/roseX/... by
+//   argument name, so no more gta/u time hacks inside formula text.
+// - Consumers: render() items (makeParametric), Funebra2DScene (sceneUpdater),
+//   exporters' captureFrames({ update: tl.update(fn) }), or play() in the browser.
+//
+// Usage:
+//   import { starX, starY, makeParametric, render } from './script.shapes.module.js';
+//   import { createTimeline, bindHelper } from './funebra-timeline.module.js';
+//   const tl = createTimeline({ duration: 4, loop: 'pingpong' })
+//     .track('star.rOuter', [{ t: 0, v: 80 }, { t: 2, v: 160, ease: 'spring' }, { t: 4, v: 80, ease: 'cubic' }])
+//     .track('star.points',  [{ t: 0, v: 5 }, { t: 2, v: 7, ease: 'step' }])
+//     .set('star', { rInner: 40, cx: 300, cy: 300, stepsPerEdge: 30 });
+//   const frame = (p) => render([makeParametric({
+//     x: bindHelper(starX, p.star), y: bindHelper(starY, p.star), steps: 400, close: true, stroke: '#ffb347' })]);
+//   tl.play(frame);                                          // requestAnimationFrame loop
+//   await captureFrames({ canvas, frames: 120, fps: 30, update: tl.update(frame) });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Easing
+// ─────────────────────────────────────────────────────────────────────────────
+
+const clamp01 = (t) => (t < 0 ? 0 : t > 1 ? 1 : t);
+
+/** CSS-style cubic-bezier(x1, y1, x2, y2) easing. */
+export function cubicBezier(x1, y1, x2, y2) {
+  const bx = (t) => ((1 - 3 * x2 + 3 * x1) * t + (3 * x2 - 6 * x1)) * t * t + 3 * x1 * t;
+  const by = (t) => ((1 - 3 * y2 + 3 * y1) * t + (3 * y2 - 6 * y1)) * t * t + 3 * y1 * t;
+  const dx = (t) => (3 * (1 - 3 * x2 + 3 * x1) * t + 2 * (3 * x2 - 6 * x1)) * t + 3 * x1;
+  return (x) => {
+    x = clamp01(x);
+    let t = x;
+    for (let i = 0; i < 8; i++) {                  // Newton
+      const e = bx(t) - x, d = dx(t);
+      if (Math.abs(e) < 1e-6) return by(t);
+      if (Math.abs(d) < 1e-6) break;
+      t -= e / d;
+    }
+    let lo = 0, hi = 1; t = x;                      // bisection fallback
+    for (let i = 0; i < 30; i++) {
+      const e = bx(t) - x;
+      if (Math.abs(e) < 1e-6) break;
+      if (e > 0) hi = t; else lo = t;
+      t = (lo + hi) / 2;
+    }
+    return by(t);
+  };
+}
+
+/**
+ * Damped spring settling on 1 (overshoots, then rings down). The ringing left
+ * at t = 1 is faded out linearly over the segment, so it lands on 1 without a snap.
+ * @param {Object} [o]  - stiffness: oscillation speed (default 12), - damping: decay (default 6)
+ */
+export function spring({ stiffness = 12, damping = 6 } = {}) {
+  const rest = Math.exp(-damping) * Math.cos(stiffness);
+  return (t) => (t >= 1 ? 1 : t <= 0 ? 0 : 1 - Math.exp(-damping * t) * Math.cos(stiffness * t) + rest * t);
+}
+
+export const EASINGS = {
+  linear:   (t) => t,
+  step:     (t) => (t >= 1 ? 1 : 0),
+  cubicIn:  (t) => t * t * t,
+  cubicOut: (t) => 1 - (1 - t) ** 3,
+  cubic:    (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
+  spring:   spring(),
+};
+
+/**
+ * Resolve an easing spec to a function of t ∈ [0, 1].
+ * Accepts a name from EASINGS, a function, [x1, y1, x2, y2] (cubic-bezier)
+ * or { type: 'spring', stiffness, damping }.
+ */
+export function easing(spec = 'linear') {
+  if (typeof spec === 'function') return spec;
+  if (Array.isArray(spec) && spec.length === 4) return cubicBezier(...spec);
+  if (spec && typeof spec === 'object' && spec.type === 'spring') return spring(spec);
+  const fn = EASINGS[spec];
+  if (!fn) throw new Error(`easing: unknown easing "${spec}" (expected ${Object.keys(EASINGS).join(', ')}, a function or [x1,y1,x2,y2])`);
+  return fn;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Timeline
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Map absolute time to local time in [0, duration] for a playback mode. */
+export function wrapTime(t, duration, loop = 'once') {
+  if (!(duration > 0)) return 0;
+  if (loop === 'loop') return ((t % duration) + duration) % duration;
+  if (loop === 'pingpong') {
+    const p = ((t % (2 * duration)) + 2 * duration) % (2 * duration);
+    return p <= duration ? p : 2 * duration - p;
+  }
+  return t < 0 ? 0 : t > duration ? duration : t;
+}
+
+/**
+ * Create a timeline.
+ *
+ * Keys are { t, v, ease } — `ease` shapes the segment that arrives at that key
+ * (the first key's ease is unused). Values may be numbers or arrays of numbers
+ * (interpolated per component); anything else holds until the next key.
+ *
+ * @param {Object} [opts]
+ *  - duration: seconds (default: time of the last key, at least 1)
+ *  - loop: 'once' | 'loop' | 'pingpong' (default 'once')
+ *  - fps: frames per second for frame()/frames() (default 30)
+ * @returns timeline object (chainable track/key/set)
+ */
+export function createTimeline({ duration = null, loop = 'once', fps = 30 } = {}) {
+  if (!['once', 'loop', 'pingpong'].includes(loop)) {
+    throw new Error(`createTimeline: loop must be 'once', 'loop' or 'pingpong', got "${loop}"`);
+  }
+  const tracks = new Map();   // path → sorted keys
+  const statics = {};         // path → constant value
+
+  const tl = {
+    loop, fps,
+
+    get duration() {
+      if (duration != null) return duration;
+      let end = 0;
+      for (const keys of tracks.values()) end = Math.max(end, keys[keys.length - 1].t);
+      return end > 0 ? end : 1;
+    },
+    set duration(v) { duration = v; },
+
+    /** Replace all keys of one track. */
+    track(path, keys) {
+      if (!Array.isArray(keys) || !keys.length) throw new Error(`track: "${path}" needs at least one key`);
+      tracks.set(path, []);
+      for (const k of keys) tl.key(path, k.t, k.v, k.ease);
+      return tl;
+    },
+
+    /** Add (or replace) one key. */
+    key(path, t, v, ease = 'linear') {
+      if (typeof path !== 'string' || !path) throw new Error('key: path must be a non-empty string');
+      if (!Number.isFinite(t)) throw new Error(`key: "${path}" time must be a finite number, got ${t}`);
+      easing(ease); // fail early on typos
+      const keys = tracks.get(path) || [];
+      const i = keys.findIndex(k => k.t === t);
+      const k = { t, v, ease };
+      if (i >= 0) keys[i] = k; else keys.push(k);
+      keys.sort((a, b) => a.t - b.t);
+      tracks.set(path, keys);
+      return tl;
+    },
+
+    /** Constant values merged into every frame: set('star', { rInner: 40 }) or set('hue', 120). */
+    set(path, value) {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const k of Object.keys(value)) statics[`${path}.${k}`] = value[k];
+      } else statics[path] = value;
+      return tl;
+    },
+
+    /** Drop the track and constant values at path, including set(path, { … }) members. */
+    remove(path) {
+      tracks.delete(path);
+      for (const k of Object.keys(statics)) if (k === path || k.startsWith(path + '.')) delete statics[k];
+      return tl;
+    },
+
+    paths() { return [...new Set([...Object.keys(statics), ...tracks.keys()])]; },
+
+    /** Value of one track at absolute time t (after looping). */
+    value(path, t) {
+      const keys = tracks.get(path);
+      if (!keys) return statics[path];
+      return _sample(keys, wrapTime(t, tl.duration, tl.loop));
+    },
+
+    /** Full parameter object at absolute time t: { star: { rOuter, … }, hue, … }. */
+    at(t) {
+      const out = {};
+      for (const p of Object.keys(statics)) _setPath(out, p, statics[p]);
+      const local = wrapTime(t, tl.duration, tl.loop);
+      for (const [p, keys] of tracks) _setPath(out, p, _sample(keys, local));
+      return out;
+    },
+
+    /** Parameters for frame i at the timeline fps (or opts.fps). */
+    frame(i, { fps: f = tl.fps } = {}) { return tl.at(i / f); },
+
+    /** Every frame of one pass (pingpong: there and back). */
+    *frames({ fps: f = tl.fps } = {}) {
+      const n = tl.frameCount({ fps: f });
+      for (let i = 0; i < n; i++) yield tl.at(i / f);
+    },
+
+    /** Frame count of one pass at fps. */
+    frameCount({ fps: f = tl.fps } = {}) {
+      return Math.max(1, Math.round(tl.duration * (tl.loop === 'pingpong' ? 2 : 1) * f));
+    },
+
+    /**
+     * Adapter for captureFrames({ update }): returns (i, t, dt) => fn(params, i, t).
+     * Time comes from captureFrames' own clock, so frames/fps stay in sync.
+     */
+    update(fn) {
+      return (i, t, dt) => fn(tl.at(t), i, t, dt);
+    },
+
+    /**
+     * Browser playback via requestAnimationFrame. Returns stop().
+     * @param {(params:Object, t:number)=>void} fn
+     */
+    play(fn, { speed = 1 } = {}) {
+      const raf = globalThis.requestAnimationFrame;
+      if (!raf) throw new Error('play: requestAnimationFrame is not available (use frames() or at(t) in Node)');
+      let start = null, id = 0, running = true;
+      const tick = (now) => {
+        if (!running) return;
+        if (start === null) start = now;
+        const t = (now - start) / 1000 * speed;
+        fn(tl.at(t), t);
+        if (tl.loop === 'once' && t >= tl.duration) { running = false; return; }
+        id = raf(tick);
+      };
+      id = raf(tick);
+      return () => { running = false; globalThis.cancelAnimationFrame?.(id); };
+    },
+
+    toJSON() {
+      const out = { duration, loop: tl.loop, fps: tl.fps, set: { ...statics }, tracks: {} };
+      for (const [p, keys] of tracks) {
+        out.tracks[p] = keys.map(k => (typeof k.ease === 'function' ? { t: k.t, v: k.v } : { ...k }));
+      }
+      return out;
+    },
+  };
+  return tl;
+}
+
+/** Rebuild a timeline from toJSON() output. */
+export function timelineFromJSON(json) {
+  if (!json || typeof json !== 'object') throw new Error('timelineFromJSON: expected an object');
+  const tl = createTimeline({ duration: json.duration ?? null, loop: json.loop ?? 'once', fps: json.fps ?? 30 });
+  for (const p of Object.keys(json.set || {})) tl.set(p, json.set[p]);
+  for (const p of Object.keys(json.tracks || {})) tl.track(p, json.tracks[p]);
+  return tl;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Feeding helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+const _argCache = new WeakMap();
+
+/**
+ * Parameter names of a function, read from its source: starX → ['o','points','rOuter',…].
+ * Destructured parameters come back as 'arg<i>'; rest parameters as their name.
+ */
+export function argNames(fn) {
+  if (typeof fn !== 'function') throw new Error('argNames: expected a function');
+  if (_argCache.has(fn)) return _argCache.get(fn);
+  const src = Function.prototype.toString.call(fn);
+  let i = src.indexOf('(');
+  const arrowIdx = src.indexOf('=>');
+  let list = '';
+  if (arrowIdx >= 0 && (i < 0 || i > arrowIdx)) {
+    list = src.slice(0, arrowIdx).replace(/^async\s+/, '').trim();   // x => …
+  } else {
+    let depth = 0, quote = null;
+    for (let j = i; j < src.length; j++) {
+      const c = src[j];
+      if (quote) { if (c === '\\') j++; else if (c === quote) quote = null; continue; }
+      if (c === '"' || c === "'" || c === '`') quote = c;
+      else if (c === '(' || c === '[' || c === '{') depth++;
+      else if (c === ')' || c === ']' || c === '}') { if (--depth === 0) { list = src.slice(i + 1, j); break; } }
+    }
+  }
+  const names = _splitTop(list).map((p, k) => {
+    const m = /^\s*(?:\.\.\.)?([A-Za-z_$][\w$]*)/.exec(p);
+    return m ? m[1] : `arg${k}`;
+  });
+  _argCache.set(fn, names);
+  return names;
+}
+
+/**
+ * Bind named parameters to a positional helper. The first argument (o / t / theta)
+ * stays free; missing names fall back to the helper's own defaults.
+ *
+ *   bindHelper(starX, { points: 5, rOuter: 120, rInner: 50, cx: 300 })  →  (o) => starX(o, 5, 120, 50, 300)
+ *
+ * Keep X and Y centres under their own names ({ cx, cy }) and each helper picks its own.
+ *
+ * @param {Function} fn
+ * @param {Object} params
+ * @param {Object} [opts] - names: explicit argument names (default argNames(fn))
+ */
+export function bindHelper(fn, params = {}, { names = null } = {}) {
+  const rest = (names || argNames(fn)).slice(1);
+  const args = rest.map(n => (params && n in params ? params[n] : undefined));
+  let last = args.length;
+  while (last > 0 && args[last - 1] === undefined) last--;
+  const bound = args.slice(0, last);
+  return (o) => fn(o, ...bound);
+}
+
+/**
+ * Captures-friendly driver for a Funebra2DScene: rebuild layers from params, then draw.
+ *   captureFrames({ canvas, frames: 90, update: sceneUpdater(scene, ctx, tl, (p, scene) => { … }) })
+ */
+export function sceneUpdater(scene, ctx, timeline, build) {
+  return timeline.update((params, i, t) => {
+    build(params, scene, i, t);
+    scene.renderToCanvas(ctx);
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Internals
+// ─────────────────────────────────────────────────────────────────────────────
+
+function _sample(keys, t) {
+  if (t <= keys[0].t) return _clone(keys[0].v);
+  const last = keys[keys.length - 1];
+  if (t >= last.t) return _clone(last.v);
+  let i = 1;
+  while (keys[i].t < t) i++;
+  const a = keys[i - 1], b = keys[i];
+  const u = easing(b.ease)((t - a.t) / (b.t - a.t));
+  return _lerp(a.v, b.v, u);
+}
+
+function _lerp(a, b, u) {
+  if (typeof a === 'number' && typeof b === 'number') return a + (b - a) * u;
+  if (Array.isArray(a) && Array.isArray(b) && a.length === b.length) return a.map((x, i) => _lerp(x, b[i], u));
+  return u >= 1 ? _clone(b) : _clone(a);
+}
+
+function _clone(v) {
+  return Array.isArray(v) ? v.map(_clone) : v;
+}
+
+function _setPath(obj, path, value) {
+  const parts = path.split('.');
+  let o = obj;
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (o[parts[i]] === null || typeof o[parts[i]] !== 'object') o[parts[i]] = {};
+    o = o[parts[i]];
+  }
+  o[parts[parts.length - 1]] = value;
+}
+
+function _splitTop(list) {
+  const out = [];
+  let depth = 0, quote = null, cur = '';
+  for (let j = 0; j < list.length; j++) {
+    const c = list[j];
+    if (quote) { cur += c; if (c === '\\') cur += list[++j] ?? ''; else if (c === quote) quote = null; continue; }
+    if (c === '"' || c === "'" || c === '`') quote = c;
+    else if (c === '(' || c === '[' || c === '{') depth++;
+    else if (c === ')' || c === ']' || c === '}') depth--;
+    if (c === ',' && depth === 0) { out.push(cur); cur = ''; continue; }
+    cur += c;
+  }
+  if (cur.trim()) out.push(cur);
+  return out;
+}
+
+export default {
+  EASINGS, easing, cubicBezier, spring,
+  wrapTime, createTimeline, timelineFromJSON,
+  argNames, bindHelper, sceneUpdater,
+};
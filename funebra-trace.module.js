@@ -0,0 +1,566 @@
+// funebra-trace.module.js — Images → point clouds, CSV and polylines (ESM, no deps, Node + browser)
+// - Works on decoded RGBA buffers { width, height, data }: ImageData from a
+//   canvas, pngjs (PNG.sync.read) or a funebra-pixels framebuffer. No DOM.
+// - grayscale(): luma / channel / alpha, composited over a background and
+//   area-resampled to a target size.
+// - Binarising: threshold() (fixed or Otsu), adaptiveThreshold() (local mean),
+//   sobel() gradients, canny() edges, skeletonize() (Zhang–Suen thinning).
+// - stipple(): blue-noise points whose density follows the darkness
+//   (weighted Lloyd relaxation, seeded).
+// - Outputs: flat [x,y,z, …] lists for PointMorphEngine, 'x,y,z,…' CSV for
+//   targetFromCSV, outline / centreline polylines (Douglas–Peucker simplified)
+//   and Funebra2DLayer path commands.
+//
+// Usage:
+//   import * as T from './funebra-trace.module.js';
+//   const img = ctx.getImageData(0, 0, w, h);            // browser
+//   const img = PNG.sync.read(fs.readFileSync(file));    // Node (pngjs)
+//   const flat  = T.traceImage(img, { method: 'canny', targetHeight: 150 });        // [x,y,z, …]
+//   const csv   = T.traceImage(img, { method: 'stipple', count: 3000, output: 'csv' });
+//   layer.paths.push(...T.traceImage(img, { method: 'skeleton', output: 'paths' })); // Funebra2DLayer
+
+import { marchingSquares } from './funebra-pixels.module.js';
+
+// A gray image is { width, height, data: Float32Array } with 0 = black, 255 = white;
+// a mask is { width, height, data: Uint8Array } with 1 = ink.
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Gray images
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * RGBA image → gray image.
+ * @param {{width:number, height:number, data:ArrayLike<number>}} image
+ * @param {Object} [opts]
+ *  - channel: 'luma' (default), 'r', 'g', 'b' or 'alpha'
+ *  - background: gray level under transparent pixels (default 255, white paper)
+ *  - targetWidth / targetHeight: resample (either alone keeps the aspect ratio)
+ */
+export function grayscale(image, { channel = 'luma', background = 255, targetWidth, targetHeight } = {}) {
+  const { width, height, data } = _image(image, 'grayscale');
+  const g = new Float32Array(width * height);
+  for (let p = 0, o = 0; p < g.length; p++, o += 4) {
+    const a = data[o + 3] / 255;
+    let v;
+    if (channel === 'alpha') { g[p] = 255 - data[o + 3]; continue; }
+    if (channel === 'luma') v = 0.299 * data[o] + 0.587 * data[o + 1] + 0.114 * data[o + 2];
+    else if (channel === 'r' || channel === 'g' || channel === 'b') v = data[o + 'rgb'.indexOf(channel)];
+    else throw new Error(`grayscale: unknown channel "${channel}" (luma, r, g, b, alpha)`);
+    g[p] = v * a + background * (1 - a);
+  }
+  const gray = { width, height, data: g };
+  if (targetWidth == null && targetHeight == null) return gray;
+  const W = Math.max(1, Math.round(targetWidth ?? (width * targetHeight) / height));
+  const H = Math.max(1, Math.round(targetHeight ?? (height * targetWidth) / width));
+  return resample(gray, W, H);
+}
+
+/** Area-average resample (box filter; nearest when enlarging). */
+export function resample(gray, W, H) {
+  const { width: w, height: h, data } = gray;
+  if (W === w && H === h) return gray;
+  const out = new Float32Array(W * H);
+  const sx = w / W, sy = h / H;
+  for (let Y = 0; Y < H; Y++) {
+    const y0 = Math.floor(Y * sy), y1 = Math.max(y0 + 1, Math.min(h, Math.ceil((Y + 1) * sy)));
+    for (let X = 0; X < W; X++) {
+      const x0 = Math.floor(X * sx), x1 = Math.max(x0 + 1, Math.min(w, Math.ceil((X + 1) * sx)));
+      let s = 0;
+      for (let y = y0; y < y1; y++) for (let x = x0; x < x1; x++) s += data[y * w + x];
+      out[Y * W + X] = s / ((y1 - y0) * (x1 - x0));
+    }
+  }
+  return { width: W, height: H, data: out };
+}
+
+/** Separable Gaussian blur (sigma in pixels; edges clamp). */
+export function blur(gray, sigma = 1) {
+  if (!(sigma > 0)) return gray;
+  const { width: w, height: h } = gray;
+  const r = Math.ceil(sigma * 3), k = new Float32Array(2 * r + 1);
+  let sum = 0;
+  for (let i = -r; i <= r; i++) sum += k[i + r] = Math.exp(-(i * i) / (2 * sigma * sigma));
+  for (let i = 0; i < k.length; i++) k[i] /= sum;
+  const pass = (src, horizontal) => {
+    const dst = new Float32Array(w * h);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        let s = 0;
+        for (let i = -r; i <= r; i++) {
+          const xx = horizontal ? Math.min(w - 1, Math.max(0, x + i)) : x;
+          const yy = horizontal ? y : Math.min(h - 1, Math.max(0, y + i));
+          s += src[yy * w + xx] * k[i + r];
+        }
+        dst[y * w + x] = s;
+      }
+    }
+    return dst;
+  };
+  return { width: w, height: h, data: pass(pass(gray.data, true), false) };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Binarising
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Otsu's level: the gray value that best separates ink from paper. */
+export function otsuLevel(gray) {
+  const hist = new Float64Array(256);
+  for (const v of gray.data) hist[Math.max(0, Math.min(255, Math.round(v)))]++;
+  const n = gray.data.length;
+  let total = 0;
+  for (let i = 0; i < 256; i++) total += i * hist[i];
+  let best = 0, level = 128, wB = 0, sumB = 0;
+  for (let t = 0; t < 256; t++) {
+    wB += hist[t];
+    if (!wB) continue;
+    const wF = n - wB;
+    if (!wF) break;
+    sumB += t * hist[t];
+    const d = sumB / wB - (total - sumB) / wF;
+    const between = wB * wF * d * d;
+    if (between > best) { best = between; level = t + 0.5; }
+  }
+  return level;
+}
+
+/**
+ * Global threshold: ink where the gray value is below `level`.
+ * @param {Object} [opts]
+ *  - level: 0–255 or 'otsu' (default)
+ *  - invert: light ink on a dark background
+ */
+export function threshold(gray, { level = 'otsu', invert = false } = {}) {
+  const t = level === 'otsu' ? otsuLevel(gray) : +level;
+  if (!Number.isFinite(t)) throw new Error(`threshold: level must be a number or 'otsu', got ${level}`);
+  const m = new Uint8Array(gray.data.length);
+  for (let p = 0; p < m.length; p++) m[p] = invert ? +(gray.data[p] > t) : +(gray.data[p] < t);
+  return { width: gray.width, height: gray.height, data: m };
+}
+
+/**
+ * Local threshold against the mean of a (2·radius+1)² window, so uneven
+ * lighting and faded scans still separate (Bradley–Roth, integral image).
+ * @param {Object} [opts]
+ *  - radius: window half-size in pixels (default 8)
+ *  - offset: how much darker than the local mean ink must be (default 8)
+ *  - invert: light ink on a dark background
+ */
+export function adaptiveThreshold(gray, { radius = 8, offset = 8, invert = false } = {}) {
+  const { width: w, height: h, data } = gray;
+  const S = new Float64Array((w + 1) * (h + 1));
+  for (let y = 0; y < h; y++) {
+    let row = 0;
+    for (let x = 0; x < w; x++) {
+      row += data[y * w + x];
+      S[(y + 1) * (w + 1) + x + 1] = S[y * (w + 1) + x + 1] + row;
+    }
+  }
+  const m = new Uint8Array(w * h);
+  for (let y = 0; y < h; y++) {
+    const y0 = Math.max(0, y - radius), y1 = Math.min(h, y + radius + 1);
+    for (let x = 0; x < w; x++) {
+      const x0 = Math.max(0, x - radius), x1 = Math.min(w, x + radius + 1);
+      const sum = S[y1 * (w + 1) + x1] - S[y0 * (w + 1) + x1] - S[y1 * (w + 1) + x0] + S[y0 * (w + 1) + x0];
+      const mean = sum / ((y1 - y0) * (x1 - x0)), v = data[y * w + x];
+      m[y * w + x] = invert ? +(v > mean + offset) : +(v < mean - offset);
+    }
+  }
+  return { width: w, height: h, data: m };
+}
+
+/** Sobel gradients → { width, height, dx, dy, magnitude, max }. */
+export function sobel(gray) {
+  const { width: w, height: h, data } = gray;
+  const dx = new Float32Array(w * h), dy = new Float32Array(w * h), mag = new Float32Array(w * h);
+  const at = (x, y) => data[Math.min(h - 1, Math.max(0, y)) * w + Math.min(w - 1, Math.max(0, x))];
+  let max = 0;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const gx = at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+      const gy = at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+      const p = y * w + x;
+      dx[p] = gx; dy[p] = gy;
+      mag[p] = Math.hypot(gx, gy);
+      if (mag[p] > max) max = mag[p];
+    }
+  }
+  return { width: w, height: h, dx, dy, magnitude: mag, max };
+}
+
+/** Sobel edges: ink where the gradient reaches `level` × the strongest gradient. */
+export function sobelEdges(gray, { level = 0.25, sigma = 0 } = {}) {
+  const g = sobel(blur(gray, sigma));
+  const t = level * g.max, m = new Uint8Array(g.magnitude.length);
+  for (let p = 0; p < m.length; p++) m[p] = +(g.max > 0 && g.magnitude[p] >= t);
+  return { width: g.width, height: g.height, data: m };
+}
+
+/**
+ * Canny edges: Gaussian blur, Sobel, non-maximum suppression and hysteresis,
+ * giving one-pixel-wide edge chains.
+ * @param {Object} [opts]
+ *  - sigma: blur radius (default 1.4)
+ *  - low, high: hysteresis thresholds as fractions of the strongest gradient
+ *    (default 0.1, 0.25)
+ */
+export function canny(gray, { sigma = 1.4, low = 0.1, high = 0.25 } = {}) {
+  if (!(low <= high)) throw new Error('canny: low must not exceed high');
+  const g = sobel(blur(gray, sigma));
+  const { width: w, height: h, dx, dy, magnitude: mag } = g;
+  const thin = new Float32Array(w * h);
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      const p = y * w + x, m = mag[p];
+      if (!m) continue;
+      // neighbours across the edge, gradient direction quantised to 45°
+      const a = ((Math.atan2(dy[p], dx[p]) * 180) / Math.PI + 180) % 180;
+      const [ox, oy] = a < 22.5 || a >= 157.5 ? [1, 0] : a < 67.5 ? [1, 1] : a < 112.5 ? [0, 1] : [-1, 1];
+      if (m >= mag[p + oy * w + ox] && m > mag[p - oy * w - ox]) thin[p] = m;
+    }
+  }
+  const hi = high * g.max, lo = low * g.max, m = new Uint8Array(w * h), stack = [];
+  for (let p = 0; p < thin.length; p++) if (g.max > 0 && thin[p] >= hi) { m[p] = 1; stack.push(p); }
+  while (stack.length) {
+    const p = stack.pop(), x = p % w, y = (p / w) | 0;
+    for (let j = -1; j <= 1; j++) for (let i = -1; i <= 1; i++) {
+      const xx = x + i, yy = y + j, q = yy * w + xx;
+      if (xx < 0 || yy < 0 || xx >= w || yy >= h || m[q] || thin[q] < lo || !thin[q]) continue;
+      m[q] = 1;
+      stack.push(q);
+    }
+  }
+  return { width: w, height: h, data: m };
+}
+
+/** Zhang–Suen thinning: reduce ink strokes to one-pixel centrelines. */
+export function skeletonize(mask) {
+  const { width: w, height: h } = mask;
+  const m = Uint8Array.from(mask.data);
+  const at = (x, y) => (x < 0 || y < 0 || x >= w || y >= h ? 0 : m[y * w + x]);
+  for (let changed = true; changed;) {
+    changed = false;
+    for (const step of [0, 1]) {
+      const kill = [];
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+          if (!m[y * w + x]) continue;
+          // P2..P9 clockwise from north
+          const n = [at(x, y - 1), at(x + 1, y - 1), at(x + 1, y), at(x + 1, y + 1), at(x, y + 1), at(x - 1, y + 1), at(x - 1, y), at(x - 1, y - 1)];
+          const B = n.reduce((s, v) => s + v, 0);
+          if (B < 2 || B > 6) continue;
+          let A = 0;
+          for (let k = 0; k < 8; k++) if (!n[k] && n[(k + 1) % 8]) A++;
+          if (A !== 1) continue;
+          if (step === 0 ? n[0] * n[2] * n[4] || n[2] * n[4] * n[6] : n[0] * n[2] * n[6] || n[0] * n[4] * n[6]) continue;
+          kill.push(y * w + x);
+        }
+      }
+      for (const p of kill) m[p] = 0;
+      if (kill.length) changed = true;
+    }
+  }
+  return { width: w, height: h, data: m };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Stippling
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Blue-noise stipples: points spread evenly but packed by darkness (weighted
+ * Voronoi / Lloyd relaxation, as in Secord's stippling).
+ * @param {Object} [opts]
+ *  - count: number of points (default 2000)
+ *  - iterations: relaxation passes (default 12; 0 = importance samples only)
+ *  - gamma: density = darkness^gamma (default 1; > 1 empties the light areas)
+ *  - invert: light areas attract points
+ *  - seed: random seed (default 1)
+ * @returns {Array<[number, number]>} pixel coordinates
+ */
+export function stipple(gray, { count = 2000, iterations = 12, gamma = 1, invert = false, seed = 1 } = {}) {
+  const { width: w, height: h, data } = gray;
+  const rho = new Float32Array(w * h);
+  let total = 0;
+  for (let p = 0; p < rho.length; p++) {
+    const d = Math.max(0, Math.min(1, invert ? data[p] / 255 : 1 - data[p] / 255));
+    total += rho[p] = d ** gamma;
+  }
+  if (!(total > 0) || count < 1) return [];
+
+  // importance-sampled start: walk the cumulative density
+  const rand = _rng(seed);
+  const cdf = new Float64Array(rho.length);
+  for (let p = 0, s = 0; p < rho.length; p++) cdf[p] = s += rho[p];
+  const pts = [];
+  for (let k = 0; k < count; k++) {
+    const u = rand() * total;
+    let lo = 0, hi = cdf.length - 1;
+    while (lo < hi) { const mid = (lo + hi) >> 1; if (cdf[mid] < u) lo = mid + 1; else hi = mid; }
+    pts.push([(lo % w) + rand(), ((lo / w) | 0) + rand()]);
+  }
+
+  const cell = Math.max(1, Math.sqrt((w * h) / count));
+  const gw = Math.ceil(w / cell), gh = Math.ceil(h / cell);
+  for (let it = 0; it < iterations; it++) {
+    const grid = Array.from({ length: gw * gh }, () => []);
+    pts.forEach(([x, y], i) => grid[Math.min(gh - 1, (y / cell) | 0) * gw + Math.min(gw - 1, (x / cell) | 0)].push(i));
+    const sx = new Float64Array(count), sy = new Float64Array(count), sw = new Float64Array(count);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const r = rho[y * w + x];
+        if (!r) continue;
+        const px = x + 0.5, py = y + 0.5;
+        const i = _nearest(pts, grid, gw, gh, cell, px, py);
+        sx[i] += r * px; sy[i] += r * py; sw[i] += r;
+      }
+    }
+    for (let i = 0; i < count; i++) if (sw[i] > 0) pts[i] = [sx[i] / sw[i], sy[i] / sw[i]];
+  }
+  return pts;
+}
+
+// nearest point by growing rings of grid cells until no closer cell can exist
+function _nearest(pts, grid, gw, gh, cell, x, y) {
+  const cx = Math.min(gw - 1, (x / cell) | 0), cy = Math.min(gh - 1, (y / cell) | 0);
+  let best = -1, bd = Infinity;
+  for (let ring = 0; ring <= Math.max(gw, gh); ring++) {
+    if (best >= 0 && (ring - 1) * cell > Math.sqrt(bd)) break;
+    for (let j = cy - ring; j <= cy + ring; j++) {
+      if (j < 0 || j >= gh) continue;
+      for (let i = cx - ring; i <= cx + ring; i++) {
+        if (i < 0 || i >= gw || (Math.abs(i - cx) !== ring && Math.abs(j - cy) !== ring)) continue;
+        for (const k of grid[j * gw + i]) {
+          const d = (pts[k][0] - x) ** 2 + (pts[k][1] - y) ** 2;
+          if (d < bd) { bd = d; best = k; }
+        }
+      }
+    }
+  }
+  return best;
+}
+
+// mulberry32: small, fast, reproducible
+function _rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Polylines
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Ink pixels → [[x, y], …] (every `stride`-th pixel in each direction). */
+export function maskToPoints(mask, { stride = 1 } = {}) {
+  const { width: w, height: h, data } = mask;
+  const out = [];
+  for (let y = 0; y < h; y += stride) for (let x = 0; x < w; x += stride) if (data[y * w + x]) out.push([x, y]);
+  return out;
+}
+
+/**
+ * Outlines of the ink regions (marching squares between pixel centres).
+ * Closed loops; holes come out as their own loops.
+ * @returns {Array<{points: number[][], closed: boolean}>}
+ */
+export function traceOutlines(mask, { simplify = 0.5, minLength = 3 } = {}) {
+  const { width: w, height: h, data } = mask;
+  // 0.5 outside the image closes regions that touch the border
+  const f = (x, y) => {
+    const i = Math.round(x), j = Math.round(y);
+    return i < 0 || j < 0 || i >= w || j >= h ? 0.5 : 0.5 - data[j * w + i];
+  };
+  return marchingSquares(f, { domain: { xmin: -1, xmax: w, ymin: -1, ymax: h }, nx: w + 1, ny: h + 1 })
+    .map((c) => ({ points: simplifyPolyline(c.points, simplify, c.closed), closed: c.closed }))
+    .filter((c) => c.points.length >= minLength);
+}
+
+/**
+ * Centrelines of one-pixel-wide strokes (skeletonize() or canny() output),
+ * split at junctions. Diagonal steps that duplicate an orthogonal path are
+ * ignored so staircases do not read as junctions.
+ * @returns {Array<{points: number[][], closed: boolean}>}
+ */
+export function traceCenterlines(mask, { simplify = 0.5, minLength = 2 } = {}) {
+  const { width: w, height: h, data } = mask;
+  const ink = (x, y) => x >= 0 && y >= 0 && x < w && y < h && data[y * w + x] === 1;
+  const nbrs = (p) => {
+    const x = p % w, y = (p / w) | 0, out = [];
+    for (const [i, j] of [[1, 0], [0, 1], [-1, 0], [0, -1]]) if (ink(x + i, y + j)) out.push((y + j) * w + x + i);
+    for (const [i, j] of [[1, 1], [-1, 1], [-1, -1], [1, -1]]) {
+      if (ink(x + i, y + j) && !ink(x + i, y) && !ink(x, y + j)) out.push((y + j) * w + x + i);
+    }
+    return out;
+  };
+  const adj = new Map();
+  for (let p = 0; p < data.length; p++) if (data[p] === 1) adj.set(p, nbrs(p));
+  const used = new Set();
+  const key = (a, b) => (a < b ? a * data.length + b : b * data.length + a);
+  const pt = (p) => [p % w, (p / w) | 0];
+
+  const walk = (start, next) => {
+    const path = [start];
+    let prev = start, cur = next;
+    used.add(key(start, next));
+    for (;;) {
+      path.push(cur);
+      if (cur === start) return { points: path.map(pt), closed: true };
+      const ns = adj.get(cur);
+      if (ns.length !== 2) break;
+      const nx = ns[0] === prev ? ns[1] : ns[0];
+      if (used.has(key(cur, nx))) break;
+      used.add(key(cur, nx));
+      prev = cur; cur = nx;
+    }
+    return { points: path.map(pt), closed: false };
+  };
+
+  const lines = [];
+  // open strokes and junction branches first, then the remaining loops
+  for (const [p, ns] of adj) if (ns.length !== 2) for (const q of ns) if (!used.has(key(p, q))) lines.push(walk(p, q));
+  for (const [p, ns] of adj) for (const q of ns) if (!used.has(key(p, q))) lines.push(walk(p, q));
+  for (const [p, ns] of adj) if (!ns.length) lines.push({ points: [pt(p)], closed: false });
+
+  return lines
+    .map((l) => {
+      const pts = l.closed ? l.points.slice(0, -1) : l.points;
+      return { points: simplifyPolyline(pts, simplify, l.closed), closed: l.closed };
+    })
+    .filter((l) => l.points.length >= minLength);
+}
+
+/**
+ * Douglas–Peucker: drop points closer than `tolerance` to the simplified line.
+ * Closed rings are split at their farthest pair so the seam is not special.
+ */
+export function simplifyPolyline(points, tolerance = 0.5, closed = false) {
+  if (!(tolerance > 0) || points.length < 3) return points.slice();
+  if (closed) {
+    let far = 0, fd = -1;
+    for (let i = 1; i < points.length; i++) {
+      const d = (points[i][0] - points[0][0]) ** 2 + (points[i][1] - points[0][1]) ** 2;
+      if (d > fd) { fd = d; far = i; }
+    }
+    const a = simplifyPolyline(points.slice(0, far + 1), tolerance);
+    const b = simplifyPolyline([...points.slice(far), points[0]], tolerance);
+    return [...a, ...b.slice(1, -1)];
+  }
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [i, j] = stack.pop();
+    const [ax, ay] = points[i], [bx, by] = points[j];
+    const ex = bx - ax, ey = by - ay, len = Math.hypot(ex, ey);
+    let far = -1, fd = tolerance;
+    for (let k = i + 1; k < j; k++) {
+      const [px, py] = points[k];
+      const d = len ? Math.abs(ex * (py - ay) - ey * (px - ax)) / len : Math.hypot(px - ax, py - ay);
+      if (d > fd) { fd = d; far = k; }
+    }
+    if (far >= 0) { keep[far] = 1; stack.push([i, far], [far, j]); }
+  }
+  return points.filter((_, k) => keep[k]);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Output formats
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * [[x, y], …] pixel positions → flat [x, y, z, …] in Funebra space:
+ * X = x0 + x·step, Y = y0 ± y·step (flipY: up is +Y), Z = z0.
+ */
+export function toFlatPoints(points, { step = 1, x0 = 0, y0 = 0, z0 = 0, flipY = false } = {}) {
+  const out = new Array(points.length * 3);
+  points.forEach(([x, y], i) => {
+    out[i * 3] = x0 + x * step;
+    out[i * 3 + 1] = flipY ? y0 - y * step : y0 + y * step;
+    out[i * 3 + 2] = z0;
+  });
+  return out;
+}
+
+/** Flat [x, y, z, …] → 'x,y,z,…' (what targetFromCSV in pointmorph.module.js reads). */
+export function toCSV(flat, { digits = 3 } = {}) {
+  const k = 10 ** digits;
+  return flat.map((v) => Math.round(v * k) / k).join(',');
+}
+
+/** Polylines → Funebra2DLayer path command lists ({cmd:'M'|'L'|'Z', x, y}). */
+export function toPathCommands(polylines, { step = 1, x0 = 0, y0 = 0, flipY = false } = {}) {
+  return polylines.map(({ points, closed }) => {
+    const cmds = points.map(([x, y], i) => ({ cmd: i ? 'L' : 'M', x: x0 + x * step, y: flipY ? y0 - y * step : y0 + y * step }));
+    if (closed) cmds.push({ cmd: 'Z' });
+    return cmds;
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// One call
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const TRACE_METHODS = ['threshold', 'adaptive', 'sobel', 'canny', 'skeleton', 'stipple'];
+export const TRACE_OUTPUTS = ['points', 'csv', 'polylines', 'paths'];
+
+/**
+ * Image → points / CSV / polylines / 2D paths in one call.
+ * @param {{width, height, data}} image decoded RGBA
+ * @param {Object} [opts]
+ *  - method: 'threshold' (default) | 'adaptive' | 'sobel' | 'canny' | 'skeleton' | 'stipple'
+ *  - output: 'points' (flat [x,y,z, …], default) | 'csv' | 'polylines' | 'paths'
+ *  - targetWidth / targetHeight, channel, background: see grayscale()
+ *  - level, invert: threshold(); radius, offset: adaptiveThreshold() (and
+ *    `binarize: 'adaptive'` makes skeleton use it); edge: sobelEdges() level;
+ *    sigma, low, high: canny(); count, iterations, gamma, seed: stipple()
+ *  - stride: keep every n-th ink pixel for point output (default 1)
+ *  - step, x0, y0, z0, flipY: placement, see toFlatPoints()
+ *  - simplify, minLength: polyline simplification and shortest kept line
+ */
+export function traceImage(image, opts = {}) {
+  const { method = 'threshold', output = 'points', stride = 1 } = opts;
+  if (!TRACE_METHODS.includes(method)) throw new Error(`traceImage: unknown method "${method}" (${TRACE_METHODS.join(', ')})`);
+  if (!TRACE_OUTPUTS.includes(output)) throw new Error(`traceImage: unknown output "${output}" (${TRACE_OUTPUTS.join(', ')})`);
+  const gray = grayscale(image, opts);
+  const place = { step: opts.step, x0: opts.x0, y0: opts.y0, z0: opts.z0, flipY: opts.flipY };
+  const line = { simplify: opts.simplify, minLength: opts.minLength };
+
+  if (method === 'stipple') {
+    if (output === 'polylines' || output === 'paths') throw new Error('traceImage: stipple gives points; use output "points" or "csv"');
+    const flat = toFlatPoints(stipple(gray, opts), place);
+    return output === 'csv' ? toCSV(flat) : flat;
+  }
+  const binarize = (o) => (o.binarize === 'adaptive' || method === 'adaptive' ? adaptiveThreshold(gray, o) : threshold(gray, o));
+  const mask =
+    method === 'sobel' ? sobelEdges(gray, { level: opts.edge, sigma: opts.sigma }) :
+    method === 'canny' ? canny(gray, opts) :
+    method === 'skeleton' ? skeletonize(binarize(opts)) :
+    binarize(opts);
+
+  if (output === 'points' || output === 'csv') {
+    const flat = toFlatPoints(maskToPoints(mask, { stride }), place);
+    return output === 'csv' ? toCSV(flat) : flat;
+  }
+  // thin strokes trace along their middle, filled regions around their edge
+  const lines = method === 'canny' || method === 'skeleton' ? traceCenterlines(mask, line)
+    : method === 'sobel' ? traceCenterlines(skeletonize(mask), line)
+    : traceOutlines(mask, line);
+  return output === 'paths' ? toPathCommands(lines, place) : lines;
+}
+
+function _image(img, fn) {
+  if (!img || !(img.width > 0) || !(img.height > 0) || !img.data || img.data.length < img.width * img.height * 4)
+    throw new Error(`${fn}: expected a decoded RGBA image { width, height, data }`);
+  return img;
+}
+
+export default {
+  grayscale, resample, blur, otsuLevel, threshold, adaptiveThreshold, sobel, sobelEdges, canny, skeletonize,
+  stipple, maskToPoints, traceOutlines, traceCenterlines, simplifyPolyline, toFlatPoints, toCSV, toPathCommands,
+  traceImage, TRACE_METHODS, TRACE_OUTPUTS,
+};
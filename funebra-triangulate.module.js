@@ -0,0 +1,518 @@
+// funebra-triangulate.module.js — Polygon triangulation with holes + extrusion (ESM, no deps)
+// - Ear clipping over a linked ring, adapted from earcut (Mapbox, ISC licence
+//   below): holes are bridged into the outer contour, stuck passes fall back to
+//   collinear filtering, local self-intersection curing and diagonal splitting
+//   (so it does not silently stop half way).
+// - Input is checked first: non-finite / duplicate points, degenerate contours,
+//   orientation, self-intersections, holes outside or overlapping the outer.
+//   With `repair` (default) problems are fixed through funebra-boolean and
+//   reported; with `repair: false` they throw.
+// - extrudeShape(): closed prism (caps + side walls, shared vertices, outward
+//   winding) for any outline with holes — used by convertPointCloud.htm and
+//   funebraOBJConverter.htm.
+//
+// Usage:
+//   import * as Tri from './funebra-triangulate.module.js';
+//   const { vertices, triangles, diagnostics } = Tri.triangulate(outerXY, [holeXY]);
+//   const mesh = Tri.extrudeShape([outerXY, holeXY], { depth: 20 });   // { positions, indices }
+//   for (const d of mesh.diagnostics) console.warn(d.code, d.message);
+//
+// The ear clipper (_earcut … _intersectsPolygon) is adapted from earcut,
+// https://github.com/mapbox/earcut — ISC License, Copyright (c) 2016, Mapbox:
+//
+//   Permission to use, copy, modify, and/or distribute this software for any purpose
+//   with or without fee is hereby granted, provided that the above copyright notice
+//   and this permission notice appear in all copies.
+//
+//   THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES WITH
+//   REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY AND
+//   FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY SPECIAL, DIRECT,
+//   INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM LOSS
+//   OF USE, DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR OTHER
+//   TORTIOUS ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR PERFORMANCE OF
+//   THIS SOFTWARE.
+
+import { polygonBoolean, groupContours, signedArea } from './funebra-boolean.module.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Triangulate one outer contour with optional holes.
+ *
+ * @param {Array<[number,number]>} outer
+ * @param {Array<Array<[number,number]>>} [holes]
+ * @param {Object} [opts]
+ *  - repair: fix bad input instead of throwing (default true)
+ * @returns {{
+ *   vertices: Array<[number,number]>,
+ *   triangles: Array<[number,number,number]>,   // CCW, indices into vertices
+ *   rings: Array<Array<number>>,                 // boundary loops (outer CCW, holes CW) as vertex indices
+ *   diagnostics: Array<{code:string,message:string,contour?:number,index?:number,point?:[number,number]}>,
+ *   ok: boolean                                   // false when some area could not be covered
+ * }}
+ */
+export function triangulate(outer, holes = [], { repair = true } = {}) {
+  return triangulateContours([outer, ...(holes || [])], { repair, grouped: true });
+}
+
+/**
+ * Triangulate any closed shape: a single ring, a list of rings (even-odd: nested
+ * rings become holes), or boolean-op output with several outers.
+ */
+export function triangulateShape(contours, { repair = true } = {}) {
+  return triangulateContours(contours, { repair, grouped: false });
+}
+
+/**
+ * Extrude a triangulated outline into a closed prism.
+ *
+ * @param {*} shape  rings (see triangulateShape) or a triangulate() result
+ * @param {Object} [opts]
+ *  - depth: thickness (default 10), centred on z = 0 unless z0/z1 are given
+ *  - z0, z1: bottom / top heights
+ *  - caps: add top and bottom faces (default true)
+ *  - repair: as in triangulate (default true)
+ * @returns {{ positions: Float32Array, indices: Uint32Array, diagnostics: Array, ok: boolean }}
+ */
+export function extrudeShape(shape, { depth = 10, z0 = null, z1 = null, caps = true, repair = true } = {}) {
+  const T = (shape && shape.triangles && shape.vertices) ? shape : triangulateShape(shape, { repair });
+  const lo = z0 ?? -depth / 2, hi = z1 ?? depth / 2;
+  const n = T.vertices.length;
+  const positions = new Float32Array(n * 6);
+  T.vertices.forEach(([x, y], i) => {
+    positions.set([x, y, hi], i * 3);              // top ring: 0 … n-1
+    positions.set([x, y, lo], (n + i) * 3);        // bottom ring: n … 2n-1
+  });
+  const idx = [];
+  if (caps) {
+    for (const [a, b, c] of T.triangles) idx.push(a, b, c);                  // top faces +z
+    for (const [a, b, c] of T.triangles) idx.push(n + c, n + b, n + a);      // bottom faces −z
+  }
+  for (const ring of T.rings) {
+    for (let k = 0; k < ring.length; k++) {
+      const a = ring[k], b = ring[(k + 1) % ring.length];
+      // material on the left of a → b, so the wall faces right (outward)
+      idx.push(a, n + a, n + b, a, n + b, b);
+    }
+  }
+  return { positions, indices: new Uint32Array(idx), diagnostics: T.diagnostics, ok: T.ok };
+}
+
+/**
+ * Proper crossings between edges of the given rings (shared endpoints of
+ * neighbouring edges are not counted). Stops after `max` hits.
+ * @returns {Array<{a:[number,number], b:[number,number], point:[number,number]}>} [contour, edge] pairs
+ */
+export function findSelfIntersections(rings, { max = Infinity } = {}) {
+  const segs = [];
+  rings.forEach((r, ci) => r.forEach((p, ei) => {
+    const q = r[(ei + 1) % r.length];
+    segs.push({ ci, ei, n: r.length, p, q, minX: Math.min(p[0], q[0]), maxX: Math.max(p[0], q[0]) });
+  }));
+  segs.sort((s, t) => s.minX - t.minX);
+  const hits = [];
+  for (let i = 0; i < segs.length && hits.length < max; i++) {
+    const s = segs[i];
+    for (let j = i + 1; j < segs.length && hits.length < max; j++) {
+      const t = segs[j];
+      if (t.minX > s.maxX) break;
+      if (s.ci === t.ci && (Math.abs(s.ei - t.ei) === 1 || Math.abs(s.ei - t.ei) === s.n - 1 || s.ei === t.ei)) continue;
+      const X = _segIntersection(s.p, s.q, t.p, t.q);
+      if (X) hits.push({ a: [s.ci, s.ei], b: [t.ci, t.ei], point: X });
+    }
+  }
+  return hits;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Input checks + repair
+// ─────────────────────────────────────────────────────────────────────────────
+
+function triangulateContours(input, { repair, grouped }) {
+  const diagnostics = [];
+  const note = (code, message, extra = {}) => diagnostics.push({ code, message, ...extra });
+  const fail = () => {
+    const e = new Error('triangulate: invalid outline\n' + diagnostics.map(d => `  - ${d.code}: ${d.message}`).join('\n'));
+    e.diagnostics = diagnostics;
+    throw e;
+  };
+
+  // 1. clean each ring
+  const rings = [];
+  _asRings(input).forEach((raw, ci) => {
+    const r = [];
+    raw.forEach((p, i) => {
+      const x = +(Array.isArray(p) ? p[0] : p.x), y = +(Array.isArray(p) ? p[1] : p.y);
+      if (!Number.isFinite(x) || !Number.isFinite(y)) { note('nonfinite', `contour ${ci} point ${i} is not a finite number; dropped`, { contour: ci, index: i }); return; }
+      const last = r[r.length - 1];
+      if (last && last[0] === x && last[1] === y) { note('duplicate', `contour ${ci} point ${i} repeats the previous point; dropped`, { contour: ci, index: i }); return; }
+      r.push([x, y]);
+    });
+    while (r.length > 1 && r[0][0] === r[r.length - 1][0] && r[0][1] === r[r.length - 1][1]) r.pop();
+    if (r.length < 3 || _collinear(r)) {
+      note('degenerate', `contour ${ci} has no area (${r.length} distinct points); dropped`, { contour: ci });
+      return;
+    }
+    rings.push({ ci, r, area: signedArea(r) });
+  });
+  if (!rings.length) return { vertices: [], triangles: [], rings: [], diagnostics, ok: diagnostics.length === 0 };
+
+  // 2. structure: explicit outer + holes, or nesting by even-odd
+  let groups;
+  const crossings = findSelfIntersections(rings.map(x => x.r), { max: 1 });
+  let needsBoolean = crossings.length > 0;
+  if (crossings.length) {
+    const [c1] = crossings;
+    note('self-intersection', `edges cross at (${c1.point.map(v => +v.toFixed(4)).join(', ')}) (contour ${rings[c1.a[0]].ci} edge ${c1.a[1]}, contour ${rings[c1.b[0]].ci} edge ${c1.b[1]})`, { point: c1.point });
+  }
+  if (grouped && !needsBoolean && rings[0].ci === 0) {
+    const [outer, ...hs] = rings;
+    if (outer.area < 0) { outer.r.reverse(); note('orientation', 'outer contour was clockwise; reversed'); }
+    const holes = [];
+    for (const h of hs) {
+      if (!_ringInside(h.r, outer.r)) {
+        note('hole-outside', `contour ${h.ci} is not inside the outer contour`, { contour: h.ci });
+        needsBoolean = true;
+        continue;
+      }
+      if (h.area > 0) { h.r.reverse(); note('orientation', `hole ${h.ci} was counter-clockwise; reversed`, { contour: h.ci }); }
+      holes.push(h.r);
+    }
+    for (let i = 0; i < holes.length && !needsBoolean; i++) {
+      for (let j = i + 1; j < holes.length; j++) {
+        if (_ringInside(holes[i], holes[j]) || _ringInside(holes[j], holes[i])) {
+          note('nested-hole', `holes ${i + 1} and ${j + 1} are nested`);
+          needsBoolean = true; break;
+        }
+      }
+    }
+    groups = [{ outer: outer.r, holes }];
+  } else if (!needsBoolean) {
+    groups = groupContours(polygonBoolean(rings.map(x => x.r), [], 'union', { fillRule: 'evenodd' }));
+  }
+
+  if (needsBoolean) {
+    if (!repair) fail();
+    const all = rings.map(x => x.r);
+    const clean = grouped && rings[0].ci === 0
+      ? polygonBoolean([all[0]], all.slice(1), 'difference', { fillRule: 'evenodd' })
+      : polygonBoolean(all, [], 'union', { fillRule: 'evenodd' });
+    groups = groupContours(clean);
+    note('repaired', `outline rebuilt with even-odd fill into ${groups.length} region(s)`);
+  }
+
+  // 3. triangulate each region into one shared vertex list
+  const vertices = [], triangles = [], outRings = [];
+  let covered = 0, total = 0;
+  for (const g of groups) {
+    const base = vertices.length;
+    const loops = [g.outer, ...g.holes];
+    const ringIdx = [];
+    for (const loop of loops) {
+      ringIdx.push(loop.map((_, k) => vertices.length + k));
+      vertices.push(...loop);
+    }
+    const tris = _earcut(loops, base);
+    triangles.push(...tris);
+    outRings.push(...ringIdx);
+    total += Math.abs(signedArea(g.outer)) - g.holes.reduce((s, h) => s + Math.abs(signedArea(h)), 0);
+    for (const [a, b, c] of tris) covered += Math.abs(_area(vertices[a], vertices[b], vertices[c])) / 2;
+  }
+  const ok = Math.abs(covered - total) <= 1e-6 * Math.max(total, 1e-12);
+  if (!ok) note('incomplete', `triangles cover ${+covered.toFixed(6)} of ${+total.toFixed(6)} area units`);
+  return { vertices, triangles, rings: outRings, diagnostics, ok };
+}
+
+function _asRings(input) {
+  if (!Array.isArray(input)) return [];
+  const isPt = (p) => (Array.isArray(p) && typeof p[0] === 'number') || (p && typeof p.x === 'number');
+  if (input.length && isPt(input[0])) return [input];
+  return input.filter(r => Array.isArray(r) && r.length).flatMap(r => (isPt(r[0]) ? [r] : _asRings(r)));
+}
+
+// All points on one line (a self-crossing ring can still have zero signed area)
+function _collinear(r) {
+  let far = r[1], d = 0;
+  for (const p of r) {
+    const dd = (p[0] - r[0][0]) ** 2 + (p[1] - r[0][1]) ** 2;
+    if (dd > d) { d = dd; far = p; }
+  }
+  const tol = 1e-12 * d;
+  return r.every(p => Math.abs(_area(r[0], far, p)) <= tol);
+}
+
+function _pointInRing(x, y, r) {
+  let inside = false;
+  for (let i = 0, j = r.length - 1; i < r.length; j = i++) {
+    const [xi, yi] = r[i], [xj, yj] = r[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Every vertex of `inner` inside `outer` (crossings were ruled out before)
+function _ringInside(inner, outer) {
+  return inner.every(([x, y]) => _pointInRing(x, y, outer));
+}
+
+function _area(a, b, c) {
+  return (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+}
+
+function _segIntersection(p1, p2, q1, q2) {
+  const d1 = _area(q1, q2, p1), d2 = _area(q1, q2, p2), d3 = _area(p1, p2, q1), d4 = _area(p1, p2, q2);
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+    const t = d1 / (d1 - d2);
+    return [p1[0] + (p2[0] - p1[0]) * t, p1[1] + (p2[1] - p1[1]) * t];
+  }
+  const on = (a, b, p) => Math.min(a[0], b[0]) <= p[0] && p[0] <= Math.max(a[0], b[0]) && Math.min(a[1], b[1]) <= p[1] && p[1] <= Math.max(a[1], b[1]);
+  // touching / overlapping (excluding shared endpoints, which simple rings may have at bridges)
+  const same = (a, b) => a[0] === b[0] && a[1] === b[1];
+  if (d1 === 0 && on(q1, q2, p1) && !same(p1, q1) && !same(p1, q2)) return p1.slice();
+  if (d2 === 0 && on(q1, q2, p2) && !same(p2, q1) && !same(p2, q2)) return p2.slice();
+  if (d3 === 0 && on(p1, p2, q1) && !same(q1, p1) && !same(q1, p2)) return q1.slice();
+  if (d4 === 0 && on(p1, p2, q2) && !same(q2, p1) && !same(q2, p2)) return q2.slice();
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Ear clipping (outer CCW, holes CW; material on the left) — adapted from mapbox/earcut, ISC (see header)
+// ─────────────────────────────────────────────────────────────────────────────
+
+function _node(i, x, y) {
+  return { i, x, y, prev: null, next: null, steiner: false };
+}
+
+function _link(loop, base) {
+  let first = null, last = null;
+  loop.forEach(([x, y], k) => {
+    const n = _node(base + k, x, y);
+    if (!first) { first = n; n.prev = n; n.next = n; }
+    else { n.prev = last; n.next = first; last.next = n; first.prev = n; }
+    last = n;
+  });
+  return first;
+}
+
+function _earcut(loops, base) {
+  const tris = [];
+  let offset = base;
+  let outer = _link(loops[0], offset);
+  offset += loops[0].length;
+  if (!outer) return tris;
+  const holeNodes = [];
+  for (let h = 1; h < loops.length; h++) {
+    const list = _link(loops[h], offset);
+    offset += loops[h].length;
+    let left = list, p = list;
+    do { if (p.x < left.x || (p.x === left.x && p.y < left.y)) left = p; p = p.next; } while (p !== list);
+    holeNodes.push(left);
+  }
+  holeNodes.sort((a, b) => a.x - b.x);
+  for (const h of holeNodes) outer = _eliminateHole(h, outer);
+  _earcutLinked(_filterPoints(outer), tris, 0);
+  return tris;
+}
+
+function _tri(a, b, c) { return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x); }
+function _equals(a, b) { return a.x === b.x && a.y === b.y; }
+
+function _remove(n) {
+  n.next.prev = n.prev;
+  n.prev.next = n.next;
+}
+
+function _filterPoints(start, end) {
+  if (!start) return start;
+  if (!end) end = start;
+  let p = start, again;
+  do {
+    again = false;
+    if (!p.steiner && (_equals(p, p.next) || _tri(p.prev, p, p.next) === 0)) {
+      _remove(p);
+      p = end = p.prev;
+      if (p === p.next) break;
+      again = true;
+    } else p = p.next;
+  } while (again || p !== end);
+  return end;
+}
+
+function _earcutLinked(ear, tris, pass) {
+  if (!ear) return;
+  let stop = ear;
+  while (ear.prev !== ear.next) {
+    const prev = ear.prev, next = ear.next;
+    if (_isEar(ear)) {
+      tris.push([prev.i, ear.i, next.i]);
+      _remove(ear);
+      ear = next.next; stop = next.next;
+      continue;
+    }
+    ear = next;
+    if (ear === stop) {
+      if (pass === 0) _earcutLinked(_filterPoints(ear), tris, 1);
+      else if (pass === 1) _earcutLinked(_cureLocalIntersections(_filterPoints(ear), tris), tris, 2);
+      else _splitEarcut(ear, tris);
+      break;
+    }
+  }
+}
+
+function _inTri(a, b, c, p) {
+  return _tri(a, b, p) >= 0 && _tri(b, c, p) >= 0 && _tri(c, a, p) >= 0;
+}
+
+function _isEar(ear) {
+  const a = ear.prev, b = ear, c = ear.next;
+  if (_tri(a, b, c) <= 0) return false;                           // reflex or flat
+  let p = c.next;
+  while (p !== a) {
+    if (!_equals(p, a) && !_equals(p, b) && !_equals(p, c) && _inTri(a, b, c, p) && _tri(p.prev, p, p.next) <= 0) return false;
+    p = p.next;
+  }
+  return true;
+}
+
+function _intersects(p1, q1, p2, q2) {
+  const o = (a, b, c) => Math.sign(_tri(a, b, c));
+  const on = (p, q, r) => q.x <= Math.max(p.x, r.x) && q.x >= Math.min(p.x, r.x) && q.y <= Math.max(p.y, r.y) && q.y >= Math.min(p.y, r.y);
+  const o1 = o(p1, q1, p2), o2 = o(p1, q1, q2), o3 = o(p2, q2, p1), o4 = o(p2, q2, q1);
+  if (o1 !== o2 && o3 !== o4) return true;
+  if (o1 === 0 && on(p1, p2, q1)) return true;
+  if (o2 === 0 && on(p1, q2, q1)) return true;
+  if (o3 === 0 && on(p2, p1, q2)) return true;
+  if (o4 === 0 && on(p2, q1, q2)) return true;
+  return false;
+}
+
+function _locallyInside(a, b) {
+  return _tri(a.prev, a, a.next) < 0
+    ? _tri(a, a.next, b) > 0 || _tri(a, a.prev, b) < 0            // reflex corner
+    : _tri(a, a.next, b) >= 0 && _tri(a, a.prev, b) <= 0;          // convex corner
+}
+
+function _cureLocalIntersections(start, tris) {
+  let p = start;
+  do {
+    const a = p.prev, b = p.next.next;
+    if (!_equals(a, b) && _intersects(a, p, p.next, b) && _locallyInside(a, b) && _locallyInside(b, a)) {
+      tris.push([a.i, p.i, b.i]);
+      _remove(p); _remove(p.next);
+      p = start = b;
+    }
+    p = p.next;
+  } while (p !== start);
+  return _filterPoints(p);
+}
+
+function _intersectsPolygon(a, b) {
+  let p = a;
+  do {
+    if (p.i !== a.i && p.next.i !== a.i && p.i !== b.i && p.next.i !== b.i && _intersects(p, p.next, a, b)) return true;
+    p = p.next;
+  } while (p !== a);
+  return false;
+}
+
+function _middleInside(a, b) {
+  let p = a, inside = false;
+  const px = (a.x + b.x) / 2, py = (a.y + b.y) / 2;
+  do {
+    if (((p.y > py) !== (p.next.y > py)) && p.next.y !== p.y && px < (p.next.x - p.x) * (py - p.y) / (p.next.y - p.y) + p.x) inside = !inside;
+    p = p.next;
+  } while (p !== a);
+  return inside;
+}
+
+function _isValidDiagonal(a, b) {
+  return a.next.i !== b.i && a.prev.i !== b.i && !_intersectsPolygon(a, b) &&
+    _locallyInside(a, b) && _locallyInside(b, a) && _middleInside(a, b) && !_equals(a, b);
+}
+
+function _split(a, b) {
+  const a2 = _node(a.i, a.x, a.y), b2 = _node(b.i, b.x, b.y), an = a.next, bp = b.prev;
+  a.next = b; b.prev = a;
+  a2.next = an; an.prev = a2;
+  b2.next = a2; a2.prev = b2;
+  bp.next = b2; b2.prev = bp;
+  return b2;
+}
+
+function _splitEarcut(start, tris) {
+  let a = start;
+  do {
+    let b = a.next.next;
+    while (b !== a.prev) {
+      if (a.i !== b.i && _isValidDiagonal(a, b)) {
+        let c = _split(a, b);
+        a = _filterPoints(a, a.next);
+        c = _filterPoints(c, c.next);
+        _earcutLinked(a, tris, 0);
+        _earcutLinked(c, tris, 0);
+        return;
+      }
+      b = b.next;
+    }
+    a = a.next;
+  } while (a !== start);
+}
+
+// Bridge a hole (given its leftmost node) to a visible vertex of the outer loop
+function _eliminateHole(hole, outer) {
+  const bridge = _findBridge(hole, outer);
+  if (!bridge) return outer;
+  const b2 = _split(bridge, hole);
+  _filterPoints(b2, b2.next);
+  return _filterPoints(bridge, bridge.next);
+}
+
+function _findBridge(hole, outer) {
+  const hx = hole.x, hy = hole.y;
+  let p = outer, qx = -Infinity, m = null;
+  // nearest edge hit by a ray from the hole towards −x
+  do {
+    const a = p, b = p.next;
+    if ((a.y <= hy && b.y >= hy) || (b.y <= hy && a.y >= hy)) {
+      if (a.y === b.y) {
+        const x = Math.max(a.x, b.x);
+        if (x <= hx && x > qx) { qx = x; m = a.x >= b.x ? a : b; }
+      } else {
+        const x = a.x + (hy - a.y) * (b.x - a.x) / (b.y - a.y);
+        if (x <= hx && x > qx) {
+          qx = x;
+          if (x === hx) return a.y === hy ? a : b.y === hy ? b : (a.x >= b.x ? a : b);
+          m = a.x >= b.x ? a : b;
+        }
+      }
+    }
+    p = p.next;
+  } while (p !== outer);
+  if (!m) return null;
+  if (hx === qx) return m;
+
+  // a reflex vertex inside triangle (hole, hit, m) would block m: take the one closest in angle to the ray
+  const stop = m, mx = m.x, my = m.y;
+  let best = m, tanMin = Infinity;
+  const T = [hx, hy], Q = [qx, hy], M = [mx, my];
+  p = m;
+  do {
+    if (p !== m && _inTriXY(T, Q, M, [p.x, p.y]) && _tri(p.prev, p, p.next) <= 0) {
+      const tan = Math.abs(hy - p.y) / Math.max(hx - p.x, 1e-300);
+      if (_locallyInside(p, hole) && (tan < tanMin || (tan === tanMin && p.x > best.x))) { best = p; tanMin = tan; }
+    }
+    p = p.next;
+  } while (p !== stop);
+  return best;
+}
+
+function _inTriXY(a, b, c, p) {
+  const s1 = _area(a, b, p), s2 = _area(b, c, p), s3 = _area(c, a, p);
+  return (s1 >= 0 && s2 >= 0 && s3 >= 0) || (s1 <= 0 && s2 <= 0 && s3 <= 0);
+}
+
+export default {
+  triangulate, triangulateShape, extrudeShape, findSelfIntersections,
+};
@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+// funebra.cli.js — `funebra` command line (pixels, render, mesh, convert, export)
+// Requires Node 18+; PNG needs pngjs, render and build3D meshes need three
+// npm i pngjs three
+//
+//   node funebra.cli.js help
+//   node funebra.cli.js pixels rose --k 7 --out rose7.png --scale 8
+//   node funebra.cli.js mesh sphere --r 10 --out ball.stl
+//   node funebra.cli.js export jobs.yaml
+
+import { run } from "./funebra-cli.module.js";
+
+process.exitCode = await run(process.argv.slice(2));
@@ -1,5 +1,5 @@
 /*
- * Funebra™ Exporters — one-file ESM utilities for PNG, GIF, WebM, and GLTF
+ * Funebra™ Exporters — one-file ESM utilities for PNG, GIF, WebM, GLTF, STL and OBJ
  * Works with Three.js/WebGL or any <canvas> element.
  *
  * Usage quickstart (browser ESM):
@@ -12,6 +12,8 @@
  *   const gifBlob = await X.encodeGIF(frames, { fps: 30 });
  *   await X.saveBlob(gifBlob, 'funebra.gif');
  *   await X.exportGLTF(scene, { filename: 'funebra.gltf', binary: false });
+ *   await X.exportSTL(mesh, { filename: 'funebra.stl', binary: true, scale: 10 });   // also works in Node
+ *   const obj = X.meshToOBJ(mesh, { name: 'rose' });                                  // Wavefront OBJ text
  */
 
 // ————————————————————————————————————————————————————————————————————
@@ -40,6 +42,11 @@ export async function blobFromCanvas(canvas, type='image/png', quality){
 }
 
 export async function saveBlob(blob, filename='download.bin'){
+  if(typeof document==='undefined'){ // Node: write next to the cwd instead of downloading
+    const { writeFile } = await import('node:fs/promises');
+    await writeFile(filename, new Uint8Array(await blob.arrayBuffer()));
+    return;
+  }
   const a = document.createElement('a');
   a.download = filename;
   a.href = URL.createObjectURL(blob);
@@ -201,6 +208,168 @@ export async function exportGLTF(root, options={}){
   }
 }
 
+// ————————————————————————————————————————————————————————————————————
+// STL export (binary / ASCII) — makeParametric3D, build3D, makeShape, shapes registry
+// ————————————————————————————————————————————————————————————————————
+
+/**
+ * Collect triangles from anything the shape helpers produce, in world space.
+ * Accepts {positions, indices} (makeParametric3D without THREE), BufferGeometry
+ * (indexed or not), THREE.Mesh / Object3D / Scene (traversed, matrixWorld applied),
+ * registry entries {vertices, faces}, or an array of those.
+ * @returns Array<{ name, positions: Float32Array }>  one flat triangle list per part (9 floats / tri)
+ */
+export function collectTriangles(input, name='funebra'){
+  const parts = [];
+  const push = (geo, partName, matrix)=>{
+    let pos, idx;
+    if(geo.isBufferGeometry || (geo.attributes && geo.attributes.position)){ pos = geo.attributes.position.array; idx = geo.index ? geo.index.array : null; }
+    else if(geo.positions){ pos = geo.positions; idx = geo.indices || null; }
+    else if(geo.vertices && geo.faces){ pos = geo.vertices; idx = geo.faces; }
+    else throw new Error('collectTriangles: unsupported geometry (expected positions/indices, BufferGeometry or {vertices, faces})');
+    const count = idx ? idx.length : Math.floor(pos.length/9)*3;
+    const out = new Float32Array(count*3);
+    const e = matrix;
+    for(let k=0;k<count;k++){
+      const i = (idx ? idx[k] : k)*3;
+      let x = pos[i], y = pos[i+1], z = pos[i+2];
+      if(e){ [x, y, z] = [e[0]*x+e[4]*y+e[8]*z+e[12], e[1]*x+e[5]*y+e[9]*z+e[13], e[2]*x+e[6]*y+e[10]*z+e[14]]; }
+      out[k*3] = x; out[k*3+1] = y; out[k*3+2] = z;
+    }
+    parts.push({ name: partName, positions: out });
+  };
+  const visit = (node, partName)=>{
+    if(!node) return;
+    if(Array.isArray(node)){ node.forEach((n, i)=> visit(n, `${partName}_${i}`)); return; }
+    if(node.isObject3D){
+      node.updateMatrixWorld?.(true);
+      node.traverse(o=>{
+        if(o.isMesh && o.geometry) push(o.geometry, o.userData?.funebra?.shape || o.name || partName, o.matrixWorld.elements);
+      });
+      return;
+    }
+    push(node, node.userData?.funebra?.shape || node.userData?.funebra?.fnName || partName, null);
+  };
+  visit(input, name);
+  return parts;
+}
+
+function _facetNormal(P, i){
+  const ux = P[i+3]-P[i], uy = P[i+4]-P[i+1], uz = P[i+5]-P[i+2];
+  const vx = P[i+6]-P[i], vy = P[i+7]-P[i+1], vz = P[i+8]-P[i+2];
+  let nx = uy*vz-uz*vy, ny = uz*vx-ux*vz, nz = ux*vy-uy*vx;
+  const len = Math.hypot(nx, ny, nz);
+  return len ? [nx/len, ny/len, nz/len] : [0, 0, 0];
+}
+
+/**
+ * Encode triangles as STL.
+ * @param {*} input see collectTriangles (several parts are merged into one solid)
+ * @param {Object} opts
+ *   - binary: binary STL (default true) or ASCII
+ *   - scale: unit scale factor applied to every coordinate (e.g. 10 for cm → mm)
+ *   - name: solid name / binary header text
+ * @returns ArrayBuffer (binary) | string (ASCII)
+ */
+export function meshToSTL(input, { binary=true, scale=1, name='funebra' }={}){
+  const parts = Array.isArray(input) && input.every(p=> p && p.positions instanceof Float32Array && typeof p.name==='string')
+    ? input : collectTriangles(input, name);
+  const total = parts.reduce((n, p)=> n + p.positions.length/9, 0);
+  const s = +scale || 1;
+  if(binary){
+    const buf = new ArrayBuffer(84 + total*50);
+    const view = new DataView(buf);
+    const header = `Funebra STL ${name}`.slice(0, 80);
+    for(let i=0;i<header.length;i++) view.setUint8(i, header.charCodeAt(i) & 0x7f);
+    view.setUint32(80, total, true);
+    let off = 84;
+    for(const { positions: P } of parts){
+      for(let i=0;i<P.length;i+=9){
+        const n = _facetNormal(P, i);
+        for(let k=0;k<3;k++){ view.setFloat32(off, n[k], true); off += 4; }
+        for(let k=0;k<9;k++){ view.setFloat32(off, P[i+k]*s, true); off += 4; }
+        view.setUint16(off, 0, true); off += 2;
+      }
+    }
+    return buf;
+  }
+  const f = v => (Object.is(v, -0) ? 0 : v).toExponential(6);
+  const solid = String(name).replace(/\s+/g, '_');
+  const lines = [`solid ${solid}`];
+  for(const { positions: P } of parts){
+    for(let i=0;i<P.length;i+=9){
+      const n = _facetNormal(P, i);
+      lines.push(`  facet normal ${f(n[0])} ${f(n[1])} ${f(n[2])}`, '    outer loop');
+      for(let k=0;k<9;k+=3) lines.push(`      vertex ${f(P[i+k]*s)} ${f(P[i+k+1]*s)} ${f(P[i+k+2]*s)}`);
+      lines.push('    endloop', '  endfacet');
+    }
+  }
+  lines.push(`endsolid ${solid}`);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Encode triangles as Wavefront OBJ text: one `o` group per part, corners
+ * shared where their coordinates match, 1-based faces.
+ * @param {*} input see collectTriangles
+ * @param {Object} opts
+ *   - scale: unit scale factor applied to every coordinate
+ *   - name: object name for single-part input
+ * @returns string
+ */
+export function meshToOBJ(input, { scale=1, name='funebra' }={}){
+  const parts = collectTriangles(input, name);
+  const s = +scale || 1;
+  const f = v => +(v*s).toPrecision(7);
+  const lines = ['# Funebra OBJ'];
+  let base = 0;
+  for(const { name: part, positions: P } of parts){
+    const seen = new Map(), verts = [], faces = [];
+    for(let i=0;i<P.length;i+=3){
+      const key = `${P[i]},${P[i+1]},${P[i+2]}`;
+      let v = seen.get(key);
+      if(v === undefined){ v = verts.length; seen.set(key, v); verts.push(`v ${f(P[i])} ${f(P[i+1])} ${f(P[i+2])}`); }
+      faces.push(v + base + 1);
+    }
+    lines.push(`o ${String(part).replace(/\s+/g, '_')}`, ...verts);
+    for(let k=0;k<faces.length;k+=3) lines.push(`f ${faces[k]} ${faces[k+1]} ${faces[k+2]}`);
+    base += verts.length;
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Export STL via saveBlob (browser download, or a file write in Node).
+ * @param {*} input see collectTriangles; a shapes registry object ({ name: {vertices, faces} }) is also accepted
+ * @param {*} options { filename='funebra.stl', binary=true, scale=1, splitByShape=false }
+ *   - splitByShape: one file per shapes-registry name (`<base>-<shape>.stl`)
+ * @returns Blob, or { [filename]: Blob } when splitting
+ */
+export async function exportSTL(input, options={}){
+  const { filename='funebra.stl', binary=true, scale=1, splitByShape=false } = options;
+  const isRegistry = input && !Array.isArray(input) && !input.isObject3D && !input.isBufferGeometry && !input.positions && !input.vertices
+    && Object.values(input).length && Object.values(input).every(d=> d && d.vertices && d.faces);
+  const base = filename.replace(/\.stl$/i, ''), solid = base.split(/[\\/]/).pop();
+  const parts = isRegistry
+    ? Object.entries(input).flatMap(([name, def])=> collectTriangles(def, name))
+    : collectTriangles(input, solid);
+  const type = binary ? 'model/stl' : 'model/stl; charset=utf-8';
+  if(!splitByShape){
+    const blob = new Blob([meshToSTL(parts, { binary, scale, name: solid })], { type });
+    await saveBlob(blob, filename);
+    return blob;
+  }
+  const groups = new Map();
+  for(const p of parts) (groups.get(p.name) || groups.set(p.name, []).get(p.name)).push(p);
+  const out = {};
+  for(const [name, list] of groups){
+    const file = `${base}-${String(name).replace(/[^\w.-]+/g, '_')}.stl`;
+    // eslint-disable-next-line no-await-in-loop
+    await saveBlob(out[file] = new Blob([meshToSTL(list, { binary, scale, name })], { type }), file);
+  }
+  return out;
+}
+
 // ————————————————————————————————————————————————————————————————————
 // Convenience: export animation to GIF or WebM in one call
 // ————————————————————————————————————————————————————————————————————
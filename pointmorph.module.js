@@ -1,71 +1,177 @@
-// pointmorph.module.js — Funebra Point Morph (Canvas) — ESM
-// - Zero deps (no THREE needed).
+// pointmorph.module.js — Funebra Point Morph (Canvas / WebGL / worker) — ESM
+// - No THREE needed; uses the Funebra font, pixels, timeline, mesh and trace modules.
 // - Integrates cleanly alongside your script.module.js bundle.
 // - Offers TEXT ↔ SPHERE ↔ CSV morphing with font size & color controls.
+// - TEXT uses a BitmapFont (funebra-font.module.js): BDF / PSF / JSON fonts,
+//   any Unicode the font covers, several lines; the built-in 5×7 font by default.
+// - Positions live in typed arrays; one pass per frame steps and projects them.
+// - Pluggable renderers: Canvas2D (default), WebGL point sprites, or either one
+//   drawing on an OffscreenCanvas inside a worker (pointmorph.worker.module.js).
+// - Morph correspondence: Hilbert-curve pairing (default), greedy nearest or
+//   approximate optimal transport; spare points spread over the target.
+// - MorphSequence: queued targets with holds, easing, stagger by index or
+//   distance, mid-flight turbulence, onArrive/onLeave events; seeded and
+//   frame-exact (seek(t) / frame(i, fps)) for recording.
+// - Target adapters: fooX/fooY(/fooZ) shape helpers, THREE meshes / geometries
+//   (area-weighted), RGBA images — with per-point colours and seeded sampling.
+// - Per-point colour, size, alpha and group id carried through targets and
+//   interpolated during morphs; depth-sorted or additive blending, distance fog
+//   and a perspective camera (the old ZOOM shear stays as projection: 'shear').
 // - Exports a class `PointMorphEngine` + small target helpers for advanced use.
 //
 // Usage:
 //   import { PointMorphEngine } from './pointmorph.module.js';
-//   const engine = new PointMorphEngine({ canvas, asChars }); // pass your bitmap table
+//   const engine = new PointMorphEngine({ canvas });          // or { canvas, font } / { canvas, asChars }
 //   engine.setText('FUNEBRA');         // or: engine.setSphere(); engine.setCSV(csvString);
 //   engine.setFontSize(160);
+//   engine.setFont(loadFont(bdfText)); engine.setText('Grüße\nFUNEBRA');
 //   engine.setColor('#e4e4e4');
 //   // engine.destroy() to stop
 //
+//   // 50k points: WebGL on the main thread, or off it entirely
+//   new PointMorphEngine({ canvas, maxPoints: 50000, renderer: 'webgl' });
+//   new PointMorphEngine({ canvas, maxPoints: 50000, renderer: 'worker' });
+//   engine.setAssignment('transport');  // shortest overall travel; 'stride' = legacy
+//   engine.sequence([{ text: 'FUNEBRA', hold: 2 }, { sphere: true, ease: 'spring', noise: 30 }],
+//                   { loop: true, seed: 7, stagger: { by: 'distance', amount: 0.6 } }).play();
+//   engine.setPoints(targetFromHelpers([starX, starY], { args: [5, 160, 70], steps: 200 }));
+//   engine.setPoints(targetFromGeometry(makeParametric3D(surfaces.torus(), { nu: 96, nv: 48 })));
+//   engine.setPoints(targetFromImage(ctx.getImageData(0, 0, w, h), { sample: 'stipple' }));
+//   engine.setPoints([[0, 0, 0, '#f80', { size: 2, group: 1 }], [40, 0, 0, { color: 'cyan', alpha: 0.5 }]]);
+//   engine.styleGroup(1, { color: '#fff', size: 3 });
+//   engine.setBlend('additive'); engine.setFog({ near: 800, far: 1200, color: '#000' });
+//   engine.setCamera({ distance: 700, fov: 50 });
+//
 // If you prefer, re-export from your main Funebra module:
 //   export { PointMorphEngine } from './pointmorph.module.js';
 
+import { BitmapFont, loadFont, defaultFont } from './funebra-font.module.js';
+import { toRGBA } from './funebra-pixels.module.js';
+import { easing } from './funebra-timeline.module.js';
+import { toIndexedMesh } from './funebra-mesh.module.js';
+import { grayscale, stipple } from './funebra-trace.module.js';
+
 // ───────────────────────────────────────────────────────────────────────────────
-// 0) Helpers: Points, rotation, projection
+// 0) Helpers: step + rotation + projection over typed arrays
 // ───────────────────────────────────────────────────────────────────────────────
-class _P {
-  constructor(x=0,y=0,z=0){ this.x=x; this.y=y; this.z=z; this.tx=x; this.ty=y; this.tz=z; }
-  step(k=0.12){ this.x+=(this.tx-this.x)*k; this.y+=(this.ty-this.y)*k; this.z+=(this.tz-this.z)*k; }
+// One pass per frame. Eases positions, colours and sizes toward their targets
+// (k = 0 when a sequence sets them itself), rotates, projects and fogs. Then it
+// writes the frame every renderer draws: screen [x, y, size] in CSS px and
+// colors [r, g, b, a] 0..1 per point, plus the camera distance in e._depth.
+//  - 'perspective': pinhole camera `camera.distance` px in front of the origin
+//    (focal length = distance, or from camera.fov), so z = 0 keeps its size.
+//  - 'shear': the legacy fixed ZOOM.h / ZOOM.v skew.
+function _stepAndProject(e, k){
+  const n=e.count, P=e.positions, T=e.targets, C=e.colors, TC=e.targetColors, tint=e.tinted, Z=e.sizes, TZ=e.targetSizes;
+  const f=e._frame, S=f.screen, FC=f.colors, depth=e._depth, base=e._baseColor();
+  const sx=Math.sin(e.rotX), cx=Math.cos(e.rotX), sy=Math.sin(e.rotY), cy=Math.cos(e.rotY);
+  const sc=e.ZOOM.scale, zh=e.ZOOM.h, zv=e.ZOOM.v, W2=e._W/2, H2=e._H/2;
+  const persp = e.projection !== 'shear', D = e.camera.distance, near = e.camera.near ?? 1, ps = e.pointSize;
+  const focal = e.camera.fov ? e._H/2/Math.tan(e.camera.fov*Math.PI/360) : D;
+  const fog = e.fog, fogC = fog && fog.rgba, fn = fog ? fog.near : 0, fr = fog ? Math.max(1e-6, fog.far-fog.near) : 1;
+  const clamp = (v) => v < 0 ? 0 : v > 1 ? 1 : v;
+  for (let i=0, o=0, q=0; i<n; i++, o+=3, q+=4){
+    if (k){
+      P[o] += (T[o]-P[o])*k; P[o+1] += (T[o+1]-P[o+1])*k; P[o+2] += (T[o+2]-P[o+2])*k;
+      const t = tint[i];
+      C[q]   += ((t ? TC[q]   : base[0]) - C[q]  )*k;
+      C[q+1] += ((t ? TC[q+1] : base[1]) - C[q+1])*k;
+      C[q+2] += ((t ? TC[q+2] : base[2]) - C[q+2])*k;
+      C[q+3] += ((t ? TC[q+3] : base[3]*TC[q+3]) - C[q+3])*k;
+      Z[i] += (TZ[i]-Z[i])*k;
+    }
+    const x=P[o]*sc, y0=P[o+1]*sc, z0=P[o+2]*sc;
+    const y = y0*cx - z0*sx, z1 = y0*sx + z0*cx;     // rotate about X
+    const x2 = x*cy + z1*sy, z2 = -x*sy + z1*cy;     // rotate about Y
+    const dist = D - z2;
+    depth[i] = dist;
+    if (persp){
+      if (dist <= near){ S[o]=S[o+1]=S[o+2]=0; FC[q]=FC[q+1]=FC[q+2]=FC[q+3]=0; continue; }   // behind the camera
+      const m = focal/dist;
+      S[o] = W2 + x2*m; S[o+1] = H2 + y*m; S[o+2] = ps*Z[i]*m;
+    } else {
+      S[o] = x2 - z2*zh + W2; S[o+1] = y + z2*zv + H2;
+      S[o+2] = Math.max(((z2+400)/800)*24 + 2, 1)*0.5*(ps/7)*Z[i];
+    }
+    let r=C[q], g=C[q+1], b=C[q+2], a=C[q+3];
+    if (fog){
+      const t = clamp((dist-fn)/fr);
+      if (fogC){ r += (fogC[0]-r)*t; g += (fogC[1]-g)*t; b += (fogC[2]-b)*t; }
+      else a *= 1-t;
+    }
+    FC[q]=clamp(r); FC[q+1]=clamp(g); FC[q+2]=clamp(b); FC[q+3]=clamp(a);
+  }
+}
+
+// Back-to-front order for 'sorted' blending: a counting sort on 1024 depth
+// buckets (O(n), so it stays cheap at 50k points), written into the spare
+// frame buffers, which are then swapped in.
+function _depthSort(e){
+  const n=e.count, d=e._depth, f=e._frame, B=1024;
+  let lo=Infinity, hi=-Infinity;
+  for (let i=0;i<n;i++){ if (d[i]<lo) lo=d[i]; if (d[i]>hi) hi=d[i]; }
+  const span = hi-lo || 1, cnt = e._buckets.fill(0), key = e._keys;
+  for (let i=0;i<n;i++){ const b = Math.min(B-1, ((hi-d[i])/span*B)|0); key[i]=b; cnt[b+1]++; }
+  for (let b=0;b<B;b++) cnt[b+1] += cnt[b];
+  const S=f.screen, C=f.colors, S2=e._spare.screen, C2=e._spare.colors;
+  for (let i=0;i<n;i++){
+    const j = cnt[key[i]]++;
+    S2[j*3]=S[i*3]; S2[j*3+1]=S[i*3+1]; S2[j*3+2]=S[i*3+2];
+    C2[j*4]=C[i*4]; C2[j*4+1]=C[i*4+1]; C2[j*4+2]=C[i*4+2]; C2[j*4+3]=C[i*4+3];
+  }
+  e._spare = { screen: S, colors: C };
+  f.screen = S2; f.colors = C2;
+}
+
+// mulberry32: small, fast, reproducible
+function _rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// seed (number) or rand (function) → rand
+const _rand = (seed, rand) => typeof rand === 'function' ? rand : _rng(seed ?? 1);
+
+// Any colour → [r,g,b,a] 0..255: toRGBA() (hex, rgb(), names), then a 2D
+// context for the rest of CSS (hsl(), …) where there is one.
+function _rgba(color){
+  try { return toRGBA(color); }
+  catch (err) {
+    const C = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(1,1) : typeof document !== 'undefined' ? document.createElement('canvas') : null;
+    const g = C?.getContext('2d');
+    if (!g) throw err;
+    g.fillStyle = '#000'; g.fillStyle = color;
+    return toRGBA(g.fillStyle);
+  }
 }
-function _rotX(p,a){ const s=Math.sin(a),c=Math.cos(a); const y=p.y*c - p.z*s; const z=p.y*s + p.z*c; p.y=y; p.z=z; }
-function _rotY(p,a){ const s=Math.sin(a),c=Math.cos(a); const x=p.x*c + p.z*s; const z=-p.x*s + p.z*c; p.x=x; p.z=z; }
 
-// projection with slight faux-3D shear (like legacy)
-function _project(p, W, H, ZOOM){
-  const x = p.x - p.z*ZOOM.h;
-  const y = p.y + p.z*ZOOM.v;
-  const s = Math.max(((p.z+400)/800)*24 + 2, 1);
-  return { x: x + W/2, y: y + H/2, s };
+// CSS colour → [r,g,b,a] 0..1 for WebGL.
+function _cssToUnit(css, alpha=1){
+  const c = _rgba(css);
+  return [c[0]/255, c[1]/255, c[2]/255, (c[3]/255)*alpha];
 }
 
 // ───────────────────────────────────────────────────────────────────────────────
-// 1) Targets (TEXT bitmap, SPHERE, CSV triplets)
+// 1) Targets (TEXT bitmap, SPHERE, CSV triplets, shape / mesh / image adapters)
 // ───────────────────────────────────────────────────────────────────────────────
-function targetFromText(str, asChars, fontSize) {
-  const rows = 12, cols = 12;
-  const s = fontSize/rows;          // pixel size per bitmap cell
-  const advance = (cols+2)*s;       // simple letter spacing
-  const z=0, pts=[];
-  const ox = -(str.length*advance)/2;
-  const oy = -(rows*s)/2;
-
-  for (let i=0;i<str.length;i++){
-    const code=str.charCodeAt(i);
-    if (!(code>32 && code<128)) continue;
-    const grid = asChars[code-33];
-    if (!grid) continue;
-    const lines = grid.split(';');
-    for (let r=0;r<rows;r++){
-      const row = lines[r]||'';
-      for (let c=0;c<cols;c++){
-        if (row[c]==='1'){
-          pts.push([ ox + i*advance + c*s, oy + r*s, z ]);
-        }
-      }
-    }
-  }
-  return pts;
+// font: BitmapFont or an asChars table; fontSize is the pixel height of one line.
+// Characters the font lacks show its default glyph instead of vanishing.
+function targetFromText(str, font, fontSize, opts={}) {
+  const f = font instanceof BitmapFont ? font : loadFont(font);
+  return f.toPoints(String(str), { align:'center', ...opts, size: fontSize });
 }
 
-function targetSphere(n=2200,R=170){
+// rand: a seed number or a () => [0,1) for reproducible spheres.
+function targetSphere(n=2200,R=170,rand=Math.random){
+  if (typeof rand === 'number') rand = _rng(rand);
   const pts=[];
   for (let i=0;i<n;i++){
-    const u=Math.random(), v=Math.random();
+    const u=rand(), v=rand();
     const th=2*Math.PI*u, ph=Math.acos(2*v-1);
     const x=R*Math.sin(ph)*Math.cos(th);
     const y=R*Math.sin(ph)*Math.sin(th);
@@ -82,17 +188,912 @@ function targetFromCSV(csv){
   return pts;
 }
 
+// ——— adapters: any Funebra artwork → target points ———
+// Each returns [[x, y, z, colour?], …] in engine px (y down, origin at the
+// centre); colour is [r, g, b, a] 0..255 where the source has one. Shared
+// placement options:
+//  - center: move the bounding-box centre to the origin (default true)
+//  - fit: scale so the largest extent is this many px (default: keep size,
+//         geometry and images 340)
+//  - scale: extra factor after fit; flipY: mirror y (y-up sources)
+//  - seed / rand: reproducible random sampling (default seed 1)
+
+function _place(pts, { center=true, fit=null, scale=1, flipY=false } = {}){
+  if (!pts.length) return pts;
+  const min=[Infinity,Infinity,Infinity], max=[-Infinity,-Infinity,-Infinity];
+  for (const p of pts) for (let a=0;a<3;a++){ if (p[a]<min[a]) min[a]=p[a]; if (p[a]>max[a]) max[a]=p[a]; }
+  const c = center ? min.map((v,a)=>(v+max[a])/2) : [0,0,0];
+  const ext = Math.max(...max.map((v,a)=>v-min[a]));
+  const k = (fit && ext > 0 ? fit/ext : 1)*scale;
+  for (const p of pts){
+    p[0] = (p[0]-c[0])*k; p[1] = (p[1]-c[1])*k*(flipY ? -1 : 1); p[2] = (p[2]-c[2])*k;
+  }
+  return pts;
+}
+
+/**
+ * Sample fooX / fooY (/ fooZ) helper pairs from script.shapes.module.js.
+ * Every helper is called as fn(o, ...args) for o = 0 … steps-1.
+ *   targetFromHelpers([starX, starY], { args: [5, 160, 70, 0, 30], steps: 300 })
+ *   targetFromHelpers([heart2D_x, heart2D_y], { args: [360, 8], steps: 360 })
+ *   targetFromHelpers([seedOfLifeCircleX, seedOfLifeCircleY],
+ *                     { steps: 7*360, args: (o) => [Math.floor(o/360), 60, 0, 0, 360] })
+ *   targetFromHelpers([heart3D_x, heart3D_y, heart3D_z],
+ *                     { steps: heart3D_steps(), flipY: true, fit: 340, count: 6000 })
+ * @param {Function[]} helpers [fx, fy] or [fx, fy, fz]
+ * @param {Object} opts
+ *  - steps: parameter range (default 360)
+ *  - args: extra arguments after o, or (o) => arguments
+ *  - count: samples (default steps); sample: 'even' (default) | 'random'
+ *  - z: depth for 2D helpers (default 0)
+ *  - color: colour for every point, or (o, x, y, z) => colour
+ *  - placement options (see above)
+ */
+function targetFromHelpers(helpers, opts={}){
+  if (!Array.isArray(helpers) || helpers.length < 2 || helpers.some((f)=>typeof f !== 'function'))
+    throw new Error('targetFromHelpers: expected [fx, fy] or [fx, fy, fz] helper functions');
+  const { steps=360, args=[], count=steps, sample='even', z=0, color } = opts;
+  if (sample !== 'even' && sample !== 'random') throw new Error(`targetFromHelpers: sample must be 'even' or 'random', got "${sample}"`);
+  const rand = _rand(opts.seed, opts.rand), [fx, fy, fz] = helpers, pts = [];
+  for (let i=0;i<count;i++){
+    const o = sample === 'random' ? Math.floor(rand()*steps) : Math.floor(i*steps/count);
+    const a = typeof args === 'function' ? args(o) : args;
+    const p = [fx(o, ...a), fy(o, ...a), fz ? fz(o, ...a) : z];
+    if (!p.every(Number.isFinite)) continue;
+    if (color != null) p.push(_rgba(typeof color === 'function' ? color(o, p[0], p[1], p[2]) : color));
+    pts.push(p);
+  }
+  return _place(pts, opts);
+}
+
+/**
+ * Area-weighted random points on a triangle surface: a THREE.Mesh (world
+ * transform and material colour applied), a BufferGeometry from
+ * makeParametric3D / makeShape, or anything toIndexedMesh() reads.
+ * Vertex colours, when present, are interpolated onto the points.
+ * @param {Object} opts
+ *  - count: points (default 4000)
+ *  - color: colour when the geometry has none (default: the mesh material's)
+ *  - fit (default 340), flipY (default true: THREE is y-up), other placement options
+ */
+function targetFromGeometry(source, opts={}){
+  const { count=4000, fit=340, flipY=true } = opts;
+  const mesh = source && source.isMesh ? source : null, geo = mesh ? mesh.geometry : source;
+  const { positions: local, indices: I } = toIndexedMesh(geo);
+  const col = geo.attributes?.color, cs = col ? col.itemSize : 0, C = col ? col.array : null;
+  const scaleC = C && !(C instanceof Float32Array) ? 1 : 255;
+  const base = opts.color ?? (mesh?.material?.color?.getHexString ? '#' + mesh.material.color.getHexString() : null);
+  const fallback = base != null ? _rgba(base) : null;
+  const m = mesh ? (mesh.updateMatrixWorld?.(), mesh.matrixWorld?.elements) : null;
+  // world space first, so areas (and the weighting) match what is on screen
+  let P = local;
+  if (m){
+    P = new Float32Array(local.length);
+    for (let o=0;o<P.length;o+=3) for (let d=0;d<3;d++) P[o+d] = m[d]*local[o] + m[4+d]*local[o+1] + m[8+d]*local[o+2] + m[12+d];
+  }
+
+  const tris = I.length/3, cdf = new Float64Array(tris);
+  let total = 0;
+  for (let t=0;t<tris;t++){
+    const a=I[t*3]*3, b=I[t*3+1]*3, c=I[t*3+2]*3;
+    const ux=P[b]-P[a], uy=P[b+1]-P[a+1], uz=P[b+2]-P[a+2], vx=P[c]-P[a], vy=P[c+1]-P[a+1], vz=P[c+2]-P[a+2];
+    total += Math.hypot(uy*vz-uz*vy, uz*vx-ux*vz, ux*vy-uy*vx)/2;
+    cdf[t] = total;
+  }
+  if (!(total > 0)) return [];
+  const rand = _rand(opts.seed, opts.rand), pts = [];
+  for (let k=0;k<count;k++){
+    const r = rand()*total;
+    let lo=0, hi=tris-1;
+    while (lo<hi){ const mid=(lo+hi)>>1; if (cdf[mid]<r) lo=mid+1; else hi=mid; }
+    // uniform barycentric: √r1 trick
+    const s=Math.sqrt(rand()), u=1-s, v=s*(1-rand()), w=1-u-v;
+    const ia=I[lo*3], ib=I[lo*3+1], ic=I[lo*3+2];
+    const p = [0,1,2].map((d)=>u*P[ia*3+d] + v*P[ib*3+d] + w*P[ic*3+d]);
+    if (C) p.push([0,1,2,3].map((d)=>d<cs ? Math.round((u*C[ia*cs+d] + v*C[ib*cs+d] + w*C[ic*cs+d])*scaleC) : 255));
+    else if (fallback) p.push(fallback.slice());
+    pts.push(p);
+  }
+  return _place(pts, { ...opts, fit, flipY });
+}
+
+/**
+ * Points from a decoded RGBA image { width, height, data } (ImageData, a
+ * funebra-pixels framebuffer, pngjs), each carrying its pixel's colour.
+ * Ink is opaque pixels (channel 'alpha') or dark ones (channel 'luma').
+ * @param {Object} opts
+ *  - count: roughly how many points (default 3000)
+ *  - sample: 'grid' (every step-th inked pixel, default) | 'random' (ink-weighted) | 'stipple' (funebra-trace)
+ *  - channel: 'alpha' (default) | 'luma'; invert: swap ink and paper
+ *  - threshold: minimum ink 0..1 for 'grid' (default 0.5)
+ *  - step: grid spacing in pixels (default: whatever gives ~count points)
+ *  - fit (default 340), other placement options
+ */
+function targetFromImage(image, opts={}){
+  const { count=3000, sample='grid', channel='alpha', invert=false, threshold=0.5, fit=340 } = opts;
+  if (!image || !(image.width > 0) || !(image.height > 0) || !image.data) throw new Error('targetFromImage: expected a decoded RGBA image { width, height, data }');
+  if (!['grid','random','stipple'].includes(sample)) throw new Error(`targetFromImage: sample must be 'grid', 'random' or 'stipple', got "${sample}"`);
+  if (channel !== 'alpha' && channel !== 'luma') throw new Error(`targetFromImage: channel must be 'alpha' or 'luma', got "${channel}"`);
+  const { width: W, height: H, data: D } = image;
+  const px = (x, y) => { const o=(Math.min(H-1, y|0)*W + Math.min(W-1, x|0))*4; return [D[o], D[o+1], D[o+2], D[o+3]]; };
+  const ink = new Float32Array(W*H);
+  let inked = 0;
+  for (let p=0, o=0; p<ink.length; p++, o+=4){
+    const a = D[o+3]/255;
+    let v = channel === 'alpha' ? a : (1 - (0.299*D[o] + 0.587*D[o+1] + 0.114*D[o+2])/255)*a;
+    if (invert) v = 1-v;
+    ink[p] = v; if (v >= threshold) inked++;
+  }
+  const pts = [];
+  if (sample === 'grid'){
+    const step = opts.step ?? Math.max(1, Math.round(Math.sqrt(inked/Math.max(1, count))));
+    for (let y=step/2; y<H; y+=step) for (let x=step/2; x<W; x+=step)
+      if (ink[(y|0)*W + (x|0)] >= threshold) pts.push([x, y, 0, px(x, y)]);
+  } else if (sample === 'random'){
+    const rand = _rand(opts.seed, opts.rand), cdf = new Float64Array(ink.length);
+    let total = 0;
+    for (let p=0;p<ink.length;p++) cdf[p] = total += ink[p];
+    if (total > 0) for (let k=0;k<count;k++){
+      const r = rand()*total;
+      let lo=0, hi=cdf.length-1;
+      while (lo<hi){ const mid=(lo+hi)>>1; if (cdf[mid]<r) lo=mid+1; else hi=mid; }
+      const x = lo%W + rand(), y = ((lo/W)|0) + rand();
+      pts.push([x, y, 0, px(x, y)]);
+    }
+  } else {
+    // stipple reads dark = ink; alpha ink is 255 - alpha there
+    const gray = grayscale(image, { channel: channel === 'alpha' ? 'alpha' : 'luma' });
+    for (const [x, y] of stipple(gray, { count, invert, seed: opts.seed ?? 1 })) pts.push([x, y, 0, px(x, y)]);
+  }
+  return _place(pts, { ...opts, fit });
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// 2) Correspondence: which point flies to which target
+// ───────────────────────────────────────────────────────────────────────────────
+// Strategies (engine option `assign`, or assignTargets(…, { strategy })):
+//  - 'hilbert'   (default) both sets ordered along a 3D Hilbert curve, each in
+//                its own bounding box, then paired by rank. O(n log n); regions
+//                map to regions (top-left of the sphere → top-left of the text).
+//  - 'nearest'   greedy: points, in curve order, claim the nearest free target
+//                through a spatial hash; the few that find nothing close are
+//                paired along the curve.
+//  - 'transport' approximate optimal transport: curve pairing in the shared
+//                box, then swaps between spatial-hash neighbours while they
+//                shrink the total squared travel. The slowest: ~0.1 s for
+//                4k points, ~1 s for 50k.
+//  - 'stride'    legacy index striding (repeats targets when they run short).
+// Apart from 'stride', targets are first resampled to exactly one per point:
+// evenly along the curve when there are too many; when there are too few, the
+// spare points land between neighbouring targets instead of stacking.
+export const ASSIGN_STRATEGIES = ['hilbert', 'nearest', 'transport', 'stride'];
+
+function _bounds(xyz, ids){
+  const min=[Infinity,Infinity,Infinity], max=[-Infinity,-Infinity,-Infinity];
+  for (const i of ids) for (let a=0;a<3;a++){ const v=xyz[i*3+a]; if (v<min[a]) min[a]=v; if (v>max[a]) max[a]=v; }
+  return { min, max };
+}
+function _union(A, B){
+  return { min: A.min.map((v,a)=>Math.min(v,B.min[a])), max: A.max.map((v,a)=>Math.max(v,B.max[a])) };
+}
+const _range = (n) => { const r=new Uint32Array(n); for (let i=0;i<n;i++) r[i]=i; return r; };
+
+// Skilling's transpose: integer coords in [0, 2^bits) → index along the curve.
+function _hilbert3(x, y, z, bits){
+  const X=[x,y,z], M=1<<(bits-1);
+  for (let Q=M; Q>1; Q>>=1){
+    const P=Q-1;
+    for (let i=0;i<3;i++){
+      if (X[i] & Q) X[0] ^= P;
+      else { const t=(X[0]^X[i]) & P; X[0]^=t; X[i]^=t; }
+    }
+  }
+  X[1]^=X[0]; X[2]^=X[1];
+  let t=0;
+  for (let Q=M; Q>1; Q>>=1) if (X[2] & Q) t ^= Q-1;
+  X[0]^=t; X[1]^=t; X[2]^=t;
+  let key=0;
+  for (let b=bits-1; b>=0; b--) for (let i=0;i<3;i++) key = key*2 + ((X[i]>>b)&1);
+  return key;
+}
+
+/** ids sorted along the Hilbert curve of `box` (flat axes collapse to 0). */
+function _hilbertSort(xyz, ids, box=_bounds(xyz, ids)){
+  const B=10, R=(1<<B)-1, key=new Float64Array(xyz.length/3);
+  const q=(i,a)=>{ const e=box.max[a]-box.min[a]; return e>1e-9 ? Math.round((xyz[i*3+a]-box.min[a])/e*R) : 0; };
+  for (const i of ids) key[i]=_hilbert3(q(i,0), q(i,1), q(i,2), B);
+  return Uint32Array.from(ids).sort((a,b)=>key[a]-key[b]);
+}
+
+// Cell size giving roughly two points per occupied cell; flat axes ignored.
+function _cellSize(box, n){
+  const ext=[0,1,2].map((a)=>box.max[a]-box.min[a]), big=Math.max(...ext);
+  const live=ext.filter((e)=>e>big*1e-6 && e>0);
+  if (!live.length) return 1;
+  return Math.pow(live.reduce((p,e)=>p*e, 1)/Math.max(1, n/2), 1/live.length);
+}
+
+class _Grid {
+  constructor(xyz, ids, h){
+    const box=_bounds(xyz, ids);
+    this.xyz=xyz; this.h=h; this.o=box.min; this.size=0;
+    this.dim=[0,1,2].map((a)=>Math.min(1024, Math.floor((box.max[a]-box.min[a])/h)+1));
+    this.cells=new Map();
+    for (const i of ids) this.add(i);
+  }
+  _c(v, a){ return Math.min(this.dim[a]-1, Math.max(0, Math.floor((v-this.o[a])/this.h))); }
+  _key(x, y, z){ return x + this.dim[0]*(y + this.dim[1]*z); }
+  _cellOf(i){ const p=this.xyz; return this._key(this._c(p[i*3],0), this._c(p[i*3+1],1), this._c(p[i*3+2],2)); }
+  add(i){
+    const k=this._cellOf(i);
+    let c=this.cells.get(k); if (!c) this.cells.set(k, c=[]);
+    c.push(i); this.size++;
+  }
+  remove(i){
+    const k=this._cellOf(i), c=this.cells.get(k), j=c.indexOf(i);
+    c[j]=c[c.length-1]; c.pop(); this.size--;
+    if (!c.length) this.cells.delete(k);
+  }
+  ids(){ const out=[]; for (const c of this.cells.values()) out.push(...c); return out; }
+  /** Nearest id within maxRing cell shells of (x,y,z), or -1. */
+  nearest(x, y, z, maxRing=4){
+    const c=[this._c(x,0), this._c(y,1), this._c(z,2)], p=this.xyz;
+    let best=-1, bd=Infinity;
+    const visit=(ix, iy, iz)=>{
+      if (ix<0 || ix>=this.dim[0]) return;
+      const cell=this.cells.get(this._key(ix,iy,iz));
+      if (cell) for (const i of cell){
+        const dx=p[i*3]-x, dy=p[i*3+1]-y, dz=p[i*3+2]-z, d=dx*dx+dy*dy+dz*dz;
+        if (d<bd){ bd=d; best=i; }
+      }
+    };
+    for (let r=0; r<=maxRing; r++){
+      for (let iz=Math.max(0,c[2]-r); iz<=Math.min(this.dim[2]-1,c[2]+r); iz++)
+        for (let iy=Math.max(0,c[1]-r); iy<=Math.min(this.dim[1]-1,c[1]+r); iy++){
+          // inside the shell's cube only its two x faces belong to shell r
+          if (Math.abs(iz-c[2])<r && Math.abs(iy-c[1])<r){ visit(c[0]-r,iy,iz); visit(c[0]+r,iy,iz); }
+          else for (let ix=c[0]-r; ix<=c[0]+r; ix++) visit(ix,iy,iz);
+        }
+      // anything in a further shell is at least r·h away
+      if (best>=0 && bd <= (r*this.h)**2) break;
+    }
+    return best;
+  }
+  /** Calls fn(id) for ids in the 27 cells around (x,y,z), at most `limit` times. */
+  near(x, y, z, fn, limit=48){
+    const c=[this._c(x,0), this._c(y,1), this._c(z,2)];
+    for (let iz=Math.max(0,c[2]-1); iz<=Math.min(this.dim[2]-1,c[2]+1); iz++)
+      for (let iy=Math.max(0,c[1]-1); iy<=Math.min(this.dim[1]-1,c[1]+1); iy++)
+        for (let ix=Math.max(0,c[0]-1); ix<=Math.min(this.dim[0]-1,c[0]+1); ix++){
+          const cell=this.cells.get(this._key(ix,iy,iz));
+          if (cell) for (const i of cell){ fn(i); if (--limit<=0) return; }
+        }
+  }
+}
+
+// Exactly n targets: curve-even subsample, or all of them plus in-between fill.
+// Also says where each came from — point i sits at t between targets ia[i] and
+// ib[i] — so attributes can follow.
+function _resample(pts, n, rand){
+  const m=pts.length, out=new Float32Array(n*3), ia=new Int32Array(n), ib=new Int32Array(n), tt=new Float32Array(n);
+  const from={ T: out, ia, ib, tt };
+  if (!m) return from;
+  const src=new Float32Array(m*3);
+  pts.forEach((p,i)=>{ src[i*3]=p[0]; src[i*3+1]=p[1]; src[i*3+2]=p[2]||0; });
+  const ord=_hilbertSort(src, _range(m));
+  if (m>=n){
+    for (let i=0;i<n;i++){ const j=ord[Math.floor((i+0.5)*m/n)]; out.set(src.subarray(j*3, j*3+3), i*3); ia[i]=ib[i]=j; }
+    return from;
+  }
+  out.set(src);
+  for (let i=0;i<m;i++) ia[i]=ib[i]=i;
+  const d2=(a,b)=>{ let s=0; for (let k=0;k<3;k++){ const d=src[a*3+k]-src[b*3+k]; s+=d*d; } return s; };
+  // typical spacing: median gap between curve neighbours
+  const gaps=[]; for (let k=1;k<m;k++) gaps.push(d2(ord[k-1],ord[k]));
+  gaps.sort((a,b)=>a-b);
+  const s=Math.sqrt(gaps[gaps.length>>1] || 1), reach=(2*s)**2;
+  const flat=src.every((v,i)=>i%3!==2 || v===src[2]);
+  for (let e=0, extra=n-m; e<extra; e++){
+    const r=Math.min(m-1, Math.floor((e+rand())*m/extra)), a=ord[r];
+    const nb=[ord[r-1], ord[r+1]].filter((b)=>b!==undefined && d2(a,b)<=reach);
+    const i=m+e, o=i*3;
+    ia[i]=ib[i]=a;
+    if (nb.length){
+      const b=nb[Math.floor(rand()*nb.length)], t=0.2+0.6*rand();
+      for (let k=0;k<3;k++) out[o+k]=src[a*3+k]+(src[b*3+k]-src[a*3+k])*t;
+      ib[i]=b; tt[i]=t;
+    } else {
+      // isolated target (or a sparse CSV): a small cloud around it
+      const u=rand()*2-1, th=rand()*2*Math.PI, w=Math.sqrt(1-u*u), rad=s*0.5*Math.cbrt(rand());
+      out[o]=src[a*3]+rad*w*Math.cos(th); out[o+1]=src[a*3+1]+rad*w*Math.sin(th); out[o+2]=src[a*3+2]+(flat ? 0 : rad*u);
+    }
+  }
+  return from;
+}
+
+// Target point → attributes. A point is [x, y, z], [x, y, z, colour],
+// [x, y, z, colour, { size, alpha, group }] or [x, y, z, { color, size, alpha, group }];
+// colour is a CSS colour or [r, g, b, a] 0..255. Untinted points take the engine colour.
+function _pointAttrs(pts){
+  const m=pts.length, col=new Float32Array(m*4), tint=new Uint8Array(m), size=new Float32Array(m).fill(1), group=new Int32Array(m);
+  const cache=new Map();
+  for (let i=0;i<m;i++){
+    const p=pts[i];
+    let c=p[3], o=p[4];
+    if (c && typeof c === 'object' && !Array.isArray(c) && !ArrayBuffer.isView(c)){ o=c; c=c.color; }
+    let a=1;
+    if (c != null){
+      let v = typeof c === 'string' ? cache.get(c) : null;
+      if (!v){ v = _rgba(typeof c === 'string' ? c : Array.from(c)); if (typeof c === 'string') cache.set(c, v); }
+      col[i*4]=v[0]/255; col[i*4+1]=v[1]/255; col[i*4+2]=v[2]/255; a=v[3]/255; tint[i]=1;
+    }
+    if (o){
+      if (o.size != null) size[i]=+o.size;
+      if (o.alpha != null) a*=+o.alpha;
+      if (o.group != null) group[i]=o.group|0;
+    }
+    col[i*4+3]=a;
+  }
+  return { col, tint, size, group };
+}
+
+// Fill attribute arrays for n assigned points (perm: point → resampled target).
+function _fillAttrs(out, pts, from, perm, n){
+  const { colors, tinted, sizes, groups } = out;
+  if (!pts.length){
+    colors?.fill(1); tinted?.fill(0); sizes?.fill(1); groups?.fill(0);
+    return;
+  }
+  const A=_pointAttrs(pts);
+  for (let i=0;i<n;i++){
+    const j=perm ? perm[i] : i, a=from.ia[j], b=from.ib[j], t=from.tt[j];
+    // fill points blend their two neighbours when both carry a colour
+    const mix = A.tint[a] && A.tint[b] ? t : 0;
+    if (colors) for (let c=0;c<4;c++) colors[i*4+c] = A.col[a*4+c] + (A.col[b*4+c]-A.col[a*4+c])*(c<3 ? mix : t);
+    if (tinted) tinted[i]=A.tint[a];
+    if (sizes) sizes[i]=A.size[a] + (A.size[b]-A.size[a])*t;
+    if (groups) groups[i]=A.group[a];
+  }
+}
+
+function _pairByCurve(src, T, sIds, tIds, perm, box){
+  const so=_hilbertSort(src, sIds, box), to=_hilbertSort(T, tIds, box);
+  for (let k=0;k<so.length;k++) perm[so[k]]=to[k];
+}
+
+/**
+ * Choose a target for each of n points.
+ * @param {Float32Array} current xyz per point (where the points are now)
+ * @param {Array} pts target points, any count: [x, y, z, colour?, { size, alpha, group }?]
+ * @param {number} n number of points
+ * @param {Object} opts
+ *  - strategy: 'hilbert' (default) | 'nearest' | 'transport' | 'stride'
+ *  - seed: fill randomness (default 1) — same inputs, same result
+ *  - passes: 'transport' swap passes (default 3)
+ *  - attributes: { colors (4n, rgba 0..1), tinted (n), sizes (n), groups (n) } —
+ *    any subset of typed arrays to fill with each chosen target's attributes
+ * @returns {Float32Array} xyz target per point
+ */
+export function assignTargets(current, pts, n, { strategy='hilbert', seed=1, passes=3, attributes=null } = {}){
+  if (!ASSIGN_STRATEGIES.includes(strategy)) throw new Error(`assignTargets: unknown strategy "${strategy}" (${ASSIGN_STRATEGIES.join(', ')})`);
+  const out=new Float32Array(n*3);
+  if (!pts.length || !n){
+    if (attributes) _fillAttrs(attributes, [], null, null, n);
+    return out;
+  }
+  if (strategy==='stride'){
+    const step=pts.length/n, ia=new Int32Array(n);
+    for (let i=0, idx=0; i<n; i++, idx+=step){
+      const j=ia[i]=Math.min(pts.length-1, Math.floor(idx)), t=pts[j];
+      out[i*3]=t[0]; out[i*3+1]=t[1]; out[i*3+2]=t[2]||0;
+    }
+    if (attributes) _fillAttrs(attributes, pts, { ia, ib: ia, tt: new Float32Array(n) }, null, n);
+    return out;
+  }
+  const from=_resample(pts, n, _rng(seed)), T=from.T, all=_range(n), perm=new Int32Array(n).fill(-1);
+  const sBox=_bounds(current, all), tBox=_bounds(T, all);
+
+  if (strategy==='hilbert'){
+    const so=_hilbertSort(current, all, sBox), to=_hilbertSort(T, all, tBox);
+    for (let k=0;k<n;k++) perm[so[k]]=to[k];
+  } else if (strategy==='nearest'){
+    const grid=new _Grid(T, all, _cellSize(tBox, n)), left=[];
+    for (const i of _hilbertSort(current, all, sBox)){
+      const j=grid.nearest(current[i*3], current[i*3+1], current[i*3+2]);
+      if (j<0) left.push(i); else { perm[i]=j; grid.remove(j); }
+    }
+    if (left.length) _pairByCurve(current, T, left, grid.ids(), perm, _union(sBox, tBox));
+  } else {
+    _pairByCurve(current, T, all, all, perm, _union(sBox, tBox));
+    const grid=new _Grid(current, all, _cellSize(sBox, n));
+    const d2=(i,t)=>{ let s=0; for (let k=0;k<3;k++){ const d=current[i*3+k]-T[t*3+k]; s+=d*d; } return s; };
+    for (let pass=0; pass<passes; pass++){
+      let swaps=0;
+      for (let i=0;i<n;i++){
+        const tryWith=(j)=>{
+          if (j===i) return;
+          const a=perm[i], b=perm[j];
+          if (d2(i,b)+d2(j,a) < d2(i,a)+d2(j,b)-1e-6){ perm[i]=b; perm[j]=a; swaps++; }
+        };
+        // partners near me (uncross), and partners near my target (they want it)
+        grid.near(current[i*3], current[i*3+1], current[i*3+2], tryWith);
+        const t=perm[i];
+        grid.near(T[t*3], T[t*3+1], T[t*3+2], tryWith);
+      }
+      if (!swaps) break;
+    }
+  }
+  for (let i=0;i<n;i++){ const t=perm[i]*3; out[i*3]=T[t]; out[i*3+1]=T[t+1]; out[i*3+2]=T[t+2]; }
+  if (attributes) _fillAttrs(attributes, pts, from, perm, n);
+  return out;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// 3) Renderers
+// ───────────────────────────────────────────────────────────────────────────────
+// A renderer is { kind, resize(W, H, DPR), draw(frame), destroy() } where frame is
+//   { count, screen: Float32Array [x, y, size] × count (CSS px),
+//     colors: Float32Array [r, g, b, a] × count (0..1), alpha, blend, W, H }
+// in draw order (already back-to-front for 'sorted'); blend 'additive' adds
+// light, anything else is normal alpha blending. The engine owns the frame
+// and reuses it; renderers must not keep references.
+
+/** Engine blend modes: 'sorted' (back to front), 'normal' (array order), 'additive'. */
+export const BLEND_MODES = ['sorted', 'normal', 'additive'];
+
+export class Canvas2DRenderer {
+  /** canvas: HTMLCanvasElement or OffscreenCanvas. */
+  constructor(canvas){
+    this.kind = 'canvas2d';
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    if (!this.ctx) throw new Error('Canvas2DRenderer: no 2d context (canvas already has another context?)');
+  }
+  resize(W, H, DPR){
+    this.canvas.width = Math.floor(W*DPR);
+    this.canvas.height= Math.floor(H*DPR);
+    this.ctx.setTransform(DPR,0,0,DPR,0,0);
+  }
+  draw(f){
+    const ctx = this.ctx, S = f.screen, C = f.colors;
+    ctx.clearRect(0,0,f.W,f.H);
+    ctx.globalCompositeOperation = f.blend === 'additive' ? 'lighter' : 'source-over';
+    // fillStyle strings are the slow part: only rebuild them when the colour changes
+    let rgb = -1, alpha = -1;
+    for (let i=0, o=0, q=0; i<f.count; i++, o+=3, q+=4){
+      const s = S[o+2], a = C[q+3]*f.alpha;
+      if (a <= 0 || s <= 0) continue;
+      const key = ((C[q]*255+0.5)|0)<<16 | ((C[q+1]*255+0.5)|0)<<8 | ((C[q+2]*255+0.5)|0);
+      if (key !== rgb){ rgb = key; ctx.fillStyle = '#' + key.toString(16).padStart(6, '0'); }
+      if (a !== alpha){ alpha = a; ctx.globalAlpha = a; }
+      ctx.fillRect(S[o] - s/2, S[o+1] - s/2, s, s);
+    }
+    ctx.globalCompositeOperation = 'source-over';
+  }
+  destroy(){}
+}
+
+const _VS = `
+attribute vec3 a_p;
+attribute vec4 a_c;
+uniform vec2 u_view;
+uniform float u_dpr;
+varying vec4 v_c;
+void main(){
+  gl_Position = vec4(a_p.x / u_view.x * 2.0 - 1.0, 1.0 - a_p.y / u_view.y * 2.0, 0.0, 1.0);
+  gl_PointSize = max(1.0, a_p.z * u_dpr);
+  v_c = a_c;
+}`;
+const _FS = `
+precision mediump float;
+uniform float u_alpha;
+varying vec4 v_c;
+void main(){ gl_FragColor = vec4(v_c.rgb, v_c.a * u_alpha); }`;
+
+export class WebGLRenderer {
+  /**
+   * Square point sprites (matching the Canvas2D look), one draw call per frame.
+   * canvas: HTMLCanvasElement or OffscreenCanvas without a context yet.
+   */
+  constructor(canvas){
+    this.kind = 'webgl';
+    this.canvas = canvas;
+    const attrs = { alpha:true, antialias:false, premultipliedAlpha:false, preserveDrawingBuffer:false };
+    const gl = this.gl = canvas.getContext('webgl2', attrs) || canvas.getContext('webgl', attrs);
+    if (!gl) throw new Error('WebGLRenderer: WebGL is not available');
+
+    const sh = (type, src) => {
+      const s = gl.createShader(type);
+      gl.shaderSource(s, src); gl.compileShader(s);
+      if (!gl.getShaderParameter(s, gl.COMPILE_STATUS)) throw new Error('WebGLRenderer: ' + gl.getShaderInfoLog(s));
+      return s;
+    };
+    const prog = this._prog = gl.createProgram();
+    gl.attachShader(prog, sh(gl.VERTEX_SHADER, _VS));
+    gl.attachShader(prog, sh(gl.FRAGMENT_SHADER, _FS));
+    gl.linkProgram(prog);
+    if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) throw new Error('WebGLRenderer: ' + gl.getProgramInfoLog(prog));
+    gl.useProgram(prog);
+
+    // two streams: [x, y, size] and [r, g, b, a]
+    this._bufs = ['a_p', 'a_c'].map((name, k) => {
+      const buf = gl.createBuffer(), loc = gl.getAttribLocation(prog, name);
+      gl.bindBuffer(gl.ARRAY_BUFFER, buf);
+      gl.enableVertexAttribArray(loc);
+      gl.vertexAttribPointer(loc, k ? 4 : 3, gl.FLOAT, false, 0, 0);
+      return { buf, cap: 0 };
+    });
+    this._u = { view: gl.getUniformLocation(prog, 'u_view'), dpr: gl.getUniformLocation(prog, 'u_dpr'), alpha: gl.getUniformLocation(prog, 'u_alpha') };
+
+    gl.enable(gl.BLEND);
+    gl.clearColor(0,0,0,0);
+  }
+  resize(W, H, DPR){
+    const gl = this.gl;
+    this.canvas.width = Math.floor(W*DPR);
+    this.canvas.height= Math.floor(H*DPR);
+    gl.viewport(0,0,this.canvas.width,this.canvas.height);
+    gl.uniform1f(this._u.dpr, DPR);
+  }
+  draw(f){
+    const gl = this.gl;
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.uniform2f(this._u.view, f.W, f.H);
+    gl.uniform1f(this._u.alpha, f.alpha);
+    gl.blendFunc(gl.SRC_ALPHA, f.blend === 'additive' ? gl.ONE : gl.ONE_MINUS_SRC_ALPHA);
+    [f.screen.subarray(0, f.count*3), f.colors.subarray(0, f.count*4)].forEach((data, k) => {
+      const b = this._bufs[k];
+      gl.bindBuffer(gl.ARRAY_BUFFER, b.buf);
+      // grow the GPU buffer once, then stream into it
+      if (data.length > b.cap){ b.cap = data.length; gl.bufferData(gl.ARRAY_BUFFER, data, gl.DYNAMIC_DRAW); }
+      else gl.bufferSubData(gl.ARRAY_BUFFER, 0, data);
+    });
+    gl.drawArrays(gl.POINTS, 0, f.count);
+  }
+  destroy(){
+    const gl = this.gl;
+    for (const b of this._bufs) gl.deleteBuffer(b.buf);
+    gl.deleteProgram(this._prog);
+  }
+}
+
+export class WorkerRenderer {
+  /**
+   * Hands the canvas to a worker (OffscreenCanvas) that draws with `backend`
+   * ('webgl' | 'canvas2d'; webgl falls back to canvas2d there). The engine keeps
+   * stepping on this thread; each frame's screen and colour arrays are packed
+   * into one pooled ArrayBuffer and transferred. While the worker is two frames behind, frames
+   * are dropped rather than queued.
+   * If the worker fails to load or to set up its backend, `ready` rejects,
+   * onError is called, `failed` holds the error and draw() does nothing. The
+   * canvas already belongs to the worker by then, so falling back means a
+   * fresh canvas (and a new renderer / engine on it).
+   * @param {Object} opts
+   *  - backend: 'webgl' (default) | 'canvas2d'
+   *  - workerURL: URL of pointmorph.worker.module.js (default: next to this file)
+   *  - onError: (err) => void for fatal worker errors (default: console.error)
+   */
+  constructor(canvas, { backend='webgl', workerURL, onError } = {}){
+    if (typeof canvas.transferControlToOffscreen !== 'function' || typeof Worker === 'undefined')
+      throw new Error('WorkerRenderer: OffscreenCanvas workers are not supported here');
+    this.kind = 'worker';
+    this.backend = backend;
+    this.worker = new Worker(workerURL || new URL('./pointmorph.worker.module.js', import.meta.url), { type:'module' });
+    const off = canvas.transferControlToOffscreen();
+    this.worker.postMessage({ type:'init', canvas: off, backend }, [off]);
+    this._free = []; this._inFlight = 0;
+    this.failed = null;
+    this._onError = onError;
+    this.ready = new Promise((resolve, reject) => { this._ready = { resolve, reject }; });
+    this.ready.catch(() => {});   // reported through onError; awaiting it is optional
+    this.worker.onmessage = (e) => {
+      const m = e.data;
+      if (m.type === 'free'){ this._free.push(m.buffer); this._inFlight = Math.max(0, this._inFlight-1); }
+      else if (m.type === 'ready'){ this.backend = m.backend; this._ready.resolve(this); }
+      else if (m.type === 'error'){
+        if (m.fatal) this._fail(new Error(`WorkerRenderer: ${m.message}`));
+        else console.warn('WorkerRenderer:', m.message);
+      }
+    };
+    this.worker.onerror = (e) => {
+      e.preventDefault?.();
+      this._fail(new Error(`WorkerRenderer: worker failed${e.message ? ': ' + e.message : ' to load'}`));
+    };
+    this.worker.onmessageerror = () => this._fail(new Error('WorkerRenderer: could not read a message from the worker'));
+  }
+  _fail(err){
+    if (this.failed) return;
+    this.failed = err;
+    this._inFlight = 0; this._free.length = 0;
+    this.worker.terminate();
+    this._ready.reject(err);
+    if (this._onError) this._onError(err); else console.error(err.message);
+  }
+  resize(W, H, DPR){ if (!this.failed) this.worker.postMessage({ type:'resize', W, H, DPR }); }
+  draw(f){
+    if (this.failed || this._inFlight >= 2) return;
+    const n = f.count;
+    let buf = this._free.pop();
+    if (!buf || buf.byteLength < n*7*4) buf = new ArrayBuffer(n*7*4);
+    new Float32Array(buf, 0, n*3).set(f.screen.subarray(0, n*3));
+    new Float32Array(buf, n*3*4, n*4).set(f.colors.subarray(0, n*4));
+    this._inFlight++;
+    this.worker.postMessage({ type:'draw', buffer: buf, count: n, alpha: f.alpha, blend: f.blend, W: f.W, H: f.H }, [buf]);
+  }
+  destroy(){ if (!this.failed) this.worker.postMessage({ type:'destroy' }); this._free.length = 0; }
+}
+
+/**
+ * kind: 'canvas2d' | 'webgl' | 'worker' | 'auto' (webgl when available, else
+ * canvas2d), or a ready renderer object. Unsupported kinds fall back along
+ * worker → webgl → canvas2d; check `.kind` on the result. A worker that fails
+ * after this returns cannot fall back (see WorkerRenderer).
+ * opts are passed to WorkerRenderer (backend, workerURL, onError).
+ */
+export function createRenderer(kind, canvas, opts={}){
+  if (kind && typeof kind === 'object'){
+    if (typeof kind.draw !== 'function') throw new Error('createRenderer: renderer object needs draw(frame)');
+    return kind;
+  }
+  const order = { worker:['worker','webgl','canvas2d'], webgl:['webgl','canvas2d'], auto:['webgl','canvas2d'], canvas2d:['canvas2d'] }[kind || 'canvas2d'];
+  if (!order) throw new Error(`createRenderer: unknown renderer "${kind}" (canvas2d, webgl, worker, auto)`);
+  let last;
+  for (const k of order){
+    try {
+      if (k === 'worker') return new WorkerRenderer(canvas, opts);
+      if (k === 'webgl')  return new WebGLRenderer(canvas);
+      return new Canvas2DRenderer(canvas);
+    } catch (err) { last = err; }
+  }
+  throw last;
+}
+
 // ───────────────────────────────────────────────────────────────────────────────
-// 2) Engine
+// 4) Sequencer: queued targets, easing, stagger, turbulence, events
+// ───────────────────────────────────────────────────────────────────────────────
+// Positions are a pure function of sequence time: each step starts from the
+// previous step's arrival layout (the first step from where the points were
+// when the sequence was made), so seek(t) / frame(i, fps) reproduce any frame
+// exactly for a given seed, whatever the frame rate. A step is
+//   { text | sphere | csv | points | target,  — what to become; target: (rand) => pts
+//     font, fontSize, duration, ease, stagger, noise, hold, assign, onArrive, onLeave }
+// and lasts its travel (`duration` + stagger spread) plus `hold`.
+// Looping passes reuse the first pass's correspondences, so the layout after
+// step k is the same on every pass.
+
+const _STAGGER_BY = ['index', 'distance', 'random'];
+
+function _staggerSpec(s){
+  if (!s) return null;
+  if (typeof s === 'number') s = { amount: s };
+  const by = s.by ?? 'index';
+  if (!_STAGGER_BY.includes(by)) throw new Error(`MorphSequence: stagger.by must be ${_STAGGER_BY.join(', ')}, got "${by}"`);
+  return { by, amount: Math.max(0, +s.amount || 0), focus: s.focus ?? [0,0,0], reverse: !!s.reverse };
+}
+
+function _noiseSpec(s){
+  if (!s) return null;
+  if (typeof s === 'number') s = { amplitude: s };
+  return { amplitude: +s.amplitude || 0, frequency: s.frequency ?? 1 };
+}
+
+// Per-point start delay in [0, amount] seconds.
+function _delays(spec, from, n, rand){
+  const d = new Float32Array(n);
+  if (!spec || !spec.amount) return d;
+  if (spec.by === 'index') for (let i=0;i<n;i++) d[i] = i/Math.max(1, n-1);
+  else if (spec.by === 'random') for (let i=0;i<n;i++) d[i] = rand();
+  else {
+    const [fx,fy,fz] = spec.focus;
+    let lo=Infinity, hi=-Infinity;
+    for (let i=0;i<n;i++){
+      d[i] = Math.hypot(from[i*3]-fx, from[i*3+1]-fy, from[i*3+2]-fz);
+      lo = Math.min(lo, d[i]); hi = Math.max(hi, d[i]);
+    }
+    for (let i=0;i<n;i++) d[i] = hi>lo ? (d[i]-lo)/(hi-lo) : 0;
+  }
+  for (let i=0;i<n;i++) d[i] = (spec.reverse ? 1-d[i] : d[i]) * spec.amount;
+  return d;
+}
+
+export class MorphSequence {
+  /**
+   * Usually made through engine.sequence(steps, opts).
+   * @param {PointMorphEngine} engine
+   * @param {Array<Object>} steps
+   * @param {Object} opts
+   *  - seed: drives fill, random stagger, turbulence and spheres (default 1)
+   *  - loop: start over after the last hold (default false)
+   *  - speed: play() rate (default 1)
+   *  - duration, ease, hold, stagger, noise: step defaults (1.5 s, 'cubic', 1 s, none, none)
+   *    ease: any funebra-timeline easing (name, function, [x1,y1,x2,y2], spring)
+   *    stagger: seconds, or { by: 'index' | 'distance' | 'random', amount, focus: [x,y,z], reverse }
+   *    noise: amplitude, or { amplitude, frequency } — turbulence that peaks mid-flight
+   *  - onArrive({ step, index, t }), onLeave({ step, index, t }), onEnd({ t })
+   */
+  constructor(engine, steps, opts={}){
+    if (!Array.isArray(steps) || !steps.length) throw new Error('MorphSequence: needs at least one step');
+    this.engine = engine;
+    this.seed = opts.seed ?? 1;
+    this.loop = !!opts.loop;
+    this.speed = opts.speed ?? 1;
+    this.onArrive = opts.onArrive; this.onLeave = opts.onLeave; this.onEnd = opts.onEnd;
+    this.playing = false;
+
+    let start = 0;
+    this.steps = steps.map((step, index) => {
+      if (!['text','sphere','csv','points','target'].some((k)=>step[k] != null))
+        throw new Error(`MorphSequence: step ${index} needs text, sphere, csv, points or target`);
+      const stagger = _staggerSpec(step.stagger ?? opts.stagger);
+      const duration = Math.max(0, step.duration ?? opts.duration ?? 1.5);
+      const s = {
+        step, index, start,
+        ease: easing(step.ease ?? opts.ease ?? 'cubic'),
+        duration, stagger,
+        noise: _noiseSpec(step.noise ?? opts.noise),
+        travel: duration + (stagger ? stagger.amount : 0),
+        hold: Math.max(0, step.hold ?? opts.hold ?? 1),
+        assign: step.assign ?? opts.assign ?? engine.assign,
+      };
+      start += s.travel + s.hold;
+      return s;
+    });
+    this.duration = start;
+    this._start = engine.positions.slice();
+    // what the points look like now, already resolved — so every point counts as tinted
+    this._startAttrs = { colors: engine.colors.slice(), tinted: new Uint8Array(engine.count).fill(1),
+      sizes: engine.sizes.slice(), groups: engine.groups.slice() };
+    this._rot0 = [engine.rotX, engine.rotY];
+    this._lastT = null; this._cur = -1; this._clock = 0; this._ts0 = null;
+  }
+
+  // Target, arrival layout, delays and turbulence phases of step k (cached).
+  _prep(k){
+    const S = this.steps[k];
+    if (S.to) return S;
+    const e = this.engine, n = e.count, st = S.step, rand = _rng(this.seed*7919 + k);
+    const from = k ? this._prep(k-1).to : this._start;
+    let pts;
+    if (st.points) pts = st.points;
+    else if (st.target) pts = st.target(rand);
+    else if (st.text != null) pts = e._textTarget(st.text, st.font ? loadFont(st.font) : e.font, st.fontSize ?? e.fontSize);
+    else if (st.sphere) pts = targetSphere(st.sphere.count ?? 2200, st.sphere.R ?? 170, rand);
+    else pts = targetFromCSV(st.csv || '0,0,0');
+    S.pts = pts;
+    S.attrs = { colors: new Float32Array(n*4), tinted: new Uint8Array(n), sizes: new Float32Array(n), groups: new Int32Array(n) };
+    S.to = assignTargets(from, pts, n, { strategy: S.assign, seed: this.seed + k, attributes: S.attrs });
+    S.delays = _delays(S.stagger, from, n, rand);
+    if (S.noise){
+      S.phases = new Float32Array(n*3);
+      for (let i=0;i<S.phases.length;i++) S.phases[i] = rand()*2*Math.PI;
+    }
+    return S;
+  }
+
+  /** Set the engine's points (and auto-rotation) to sequence time t; fires events passed since the last seek. */
+  seek(t){
+    const e = this.engine, n = e.count, P = e.positions, total = this.duration, last = this.steps.length-1;
+    const prev = this._lastT;
+    this._lastT = t;
+    const pass = this.loop && total > 0 ? Math.floor(t/total) : 0;
+    const local = this.loop && total > 0 ? t - pass*total : Math.min(Math.max(t, 0), total);
+    let k = this.steps.findIndex((s) => local < s.start + s.travel + s.hold);
+    if (k < 0) k = last;
+    const S = this._prep(k);
+    let from = this._start, fromA = this._startAttrs, delays = S.delays;
+    if (k) ({ to: from, attrs: fromA } = this._prep(k-1));
+    else if (pass > 0){
+      ({ to: from, attrs: fromA } = this._prep(last));
+      delays = S.loopDelays ??= _delays(S.stagger, from, n, _rng(this.seed*7919));
+    }
+    const tau = local - S.start, to = S.to, ease = S.ease, D = S.duration;
+    const amp = S.noise ? S.noise.amplitude : 0, w = S.noise ? 2*Math.PI*S.noise.frequency : 0, ph = S.phases;
+    const C = e.colors, Z = e.sizes, base = e._baseColor(), A = S.attrs;
+    for (let i=0, o=0, q=0; i<n; i++, o+=3, q+=4){
+      const v = tau - delays[i], u = D > 0 ? Math.min(1, Math.max(0, v/D)) : (v >= 0 ? 1 : 0);
+      const f = ease(u);
+      P[o]   = from[o]   + (to[o]  -from[o]  )*f;
+      P[o+1] = from[o+1] + (to[o+1]-from[o+1])*f;
+      P[o+2] = from[o+2] + (to[o+2]-from[o+2])*f;
+      // colour and size ride the same eased f (clamped at projection, so springs may overshoot)
+      const t0 = fromA.tinted[i], t1 = A.tinted[i];
+      for (let c=0;c<3;c++){
+        const a = t0 ? fromA.colors[q+c] : base[c], b = t1 ? A.colors[q+c] : base[c];
+        C[q+c] = a + (b-a)*f;
+      }
+      const a0 = t0 ? fromA.colors[q+3] : base[3]*fromA.colors[q+3], a1 = t1 ? A.colors[q+3] : base[3]*A.colors[q+3];
+      C[q+3] = a0 + (a1-a0)*f;
+      Z[i] = fromA.sizes[i] + (A.sizes[i]-fromA.sizes[i])*f;
+      if (amp && u > 0 && u < 1){
+        const a = amp*Math.sin(Math.PI*u);
+        P[o]   += a*Math.sin(w*v + ph[o]);
+        P[o+1] += a*Math.sin(w*1.13*v + ph[o+1]);
+        P[o+2] += a*Math.sin(w*0.87*v + ph[o+2]);
+      }
+    }
+    if (e.autoRotate){
+      // the engine's per-frame step, as a rate at 60 fps
+      const r = e.speed*0.6*Math.PI/180*60*t;
+      e.rotX = this._rot0[0] + r; e.rotY = this._rot0[1] + r;
+    }
+    if (this._cur !== k){
+      this._cur = k; e.targets.set(to); e._target = S.pts;
+      e.targetColors.set(A.colors); e.tinted.set(A.tinted); e.targetSizes.set(A.sizes); e.groups.set(A.groups);
+    }
+    if (prev != null && t > prev) this._fire(prev, t);
+    return this;
+  }
+
+  _fire(a, b){
+    const total = this.duration, last = this.steps.length-1;
+    const p0 = this.loop && total > 0 ? Math.floor(a/total) : 0, p1 = this.loop && total > 0 ? Math.floor(b/total) : 0;
+    for (let p=p0; p<=p1; p++){
+      for (const S of this.steps){
+        const arrive = p*total + S.start + S.travel, leave = arrive + S.hold, info = { step: S.step, index: S.index };
+        if (arrive > a && arrive <= b){ S.step.onArrive?.({ ...info, t: arrive }); this.onArrive?.({ ...info, t: arrive }); }
+        if ((this.loop || S.index < last) && leave > a && leave <= b){ S.step.onLeave?.({ ...info, t: leave }); this.onLeave?.({ ...info, t: leave }); }
+      }
+    }
+    if (!this.loop && total > a && total <= b) this.onEnd?.({ t: total });
+  }
+
+  /** Seek to frame i at fps and draw it now — frame-exact recording. */
+  frame(i, fps=60){ this.seek(i/fps); this.engine.render(); return this; }
+
+  /** Adapter for captureFrames({ update }): (i, t, dt) => seek(t), draw, then fn?.(i, t, dt). */
+  update(fn){
+    return (i, t, dt) => { this.seek(t); this.engine.render(); fn?.(i, t, dt); };
+  }
+
+  /** Drive the engine's animation loop from this sequence (resumes where paused). */
+  play(){
+    const e = this.engine;
+    if (e._seq && e._seq !== this) e._seq.stop();
+    e._seq = this; this.playing = true; this._ts0 = null;
+    e.start();
+    return this;
+  }
+  pause(){ this.playing = false; return this; }
+  /** Hand the points back to the engine; they settle on the current step's layout. */
+  stop(){
+    this.playing = false;
+    if (this.engine._seq === this) this.engine._seq = null;
+    return this;
+  }
+
+  // called by the engine's frame loop
+  _advance(ts){
+    if (this._ts0 == null) this._ts0 = ts - this._clock*1000/this.speed;
+    this._clock = (ts - this._ts0)/1000*this.speed;
+    this.seek(this._clock);
+    if (!this.loop && this._clock >= this.duration) this.stop();
+  }
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// 5) Engine
 // ───────────────────────────────────────────────────────────────────────────────
 export class PointMorphEngine {
   /**
    * @param {Object} opts
    *  - canvas: HTMLCanvasElement (required)
-   *  - asChars: Array<string> bitmap table for ASCII 33..127 (required for TEXT mode)
+   *  - renderer: 'canvas2d' (default) | 'webgl' | 'worker' | 'auto' | renderer object
+   *  - workerBackend: 'webgl' (default) | 'canvas2d' — what the worker draws with
+   *  - workerURL: where pointmorph.worker.module.js lives, if not beside this file
+   *  - onRendererError: (err) => void when the worker renderer dies (default: console.error);
+   *    the canvas is the worker's by then — build a new engine on a fresh canvas to fall back
+   *  - font: BitmapFont, or anything loadFont() reads (BDF / JSON text, PSF bytes)
+   *  - asChars: legacy 12×12 table for ASCII 33..127 (text is upper-cased for it)
    *  - maxPoints: default 4000
-   *  - color: initial color
-   *  - fontSize: px height of the 12-row bitmap
+   *  - assign: 'hilbert' (default) | 'nearest' | 'transport' | 'stride' — see ASSIGN_STRATEGIES
+   *  - seed: makes the spare-point fill reproducible (default 1)
+   *  - color: initial color (points whose target carries no colour)
+   *  - projection: 'perspective' (default) | 'shear' (the legacy ZOOM.h / ZOOM.v skew)
+   *  - camera: { distance: 900, fov (deg, vertical; default: focal length = distance), near: 1 }
+   *  - pointSize: px diameter at z = 0 for size 1 (default 7)
+   *  - blend: 'sorted' (default, back to front) | 'normal' | 'additive'
+   *  - fog: false (default) | true | { near, far, color } — fades toward color, or out when no color
+   *  - fontSize: px height of one text line
    *  - autoRotate: boolean
    *  - speed: deg/sec equivalent (approx)
    *  - enablePointerControls: boolean (drag to rotate, wheel to zoom)
@@ -100,11 +1101,36 @@ export class PointMorphEngine {
   constructor(opts={}){
     this.canvas = opts.canvas;
     if (!this.canvas) throw new Error('PointMorphEngine: canvas is required');
-    this.ctx = this.canvas.getContext('2d');
+    this.renderer = createRenderer(opts.renderer, this.canvas, { backend: opts.workerBackend, workerURL: opts.workerURL, onError: opts.onRendererError });
+    this.ctx = this.renderer.ctx || null;
 
     this.asChars = opts.asChars || null;
-    this.points = Array.from({length: opts.maxPoints ?? 4000}, () => new _P());
+    this.font = opts.font ? loadFont(opts.font) : this.asChars ? BitmapFont.fromAsChars(this.asChars) : defaultFont();
+    this.count = Math.max(1, Math.floor(opts.maxPoints ?? 4000));
+    this.positions = new Float32Array(this.count*3);   // current xyz per point
+    this.targets   = new Float32Array(this.count*3);   // where each point is heading
+    this.assign = opts.assign ?? 'hilbert';
+    this.seed = opts.seed ?? 1;
     this.pointColor = opts.color || '#e4e4e4';
+    const n = this.count, base = this._baseColor();
+    // per-point attributes: colour rgba 0..1, size multiplier, group id
+    this.colors       = new Float32Array(n*4);
+    this.targetColors = new Float32Array(n*4).fill(1);
+    this.tinted       = new Uint8Array(n);          // 0: follow pointColor
+    this.sizes        = new Float32Array(n).fill(1);
+    this.targetSizes  = new Float32Array(n).fill(1);
+    this.groups       = new Int32Array(n);
+    for (let i=0;i<n;i++) this.colors.set(base, i*4);
+    this._depth = new Float32Array(n);
+    this._keys = new Uint32Array(n); this._buckets = new Uint32Array(1025);
+    this._spare = { screen: new Float32Array(n*3), colors: new Float32Array(n*4) };
+    this.projection = opts.projection ?? 'perspective';
+    this.camera = { distance: 900, near: 1, fov: 0, ...opts.camera };
+    this.pointSize = opts.pointSize ?? 7;
+    this.blend = 'sorted';
+    if (opts.blend) this.setBlend(opts.blend);
+    this.setFog(opts.fog ?? false);
+    this._frame = { count: n, screen: new Float32Array(n*3), colors: new Float32Array(n*4), alpha: 0.95, blend: this.blend, W: 0, H: 0 };
     this.fontSize = opts.fontSize ?? 140;
     this.autoRotate = opts.autoRotate ?? true;
     this.speed = opts.speed ?? 2.1;
@@ -136,41 +1162,112 @@ export class PointMorphEngine {
   destroy(){
     this.stop();
     removeEventListener('resize', this._resize);
-    this._unbindPointer();
+    if (this.enablePointerControls) this._unbindPointer();
+    this.renderer.destroy?.();
   }
 
   setText(str='FUNEBRA'){
-    if (!this.asChars) throw new Error('PointMorphEngine: asChars is required for setText');
     this._lastMode='text';
-    this._applyTarget( targetFromText(String(str).toUpperCase(), this.asChars, this.fontSize) );
+    this._lastText=String(str);
+    this._applyTarget( this._textTarget(this._lastText) );
+  }
+  setFont(font){
+    this.font = loadFont(font);
+    this.asChars = null;
+    if (this._lastMode==='text') this.setText(this._lastText);
   }
   setSphere(count=2200, R=170){
     this._lastMode='sphere';
-    this._applyTarget( targetSphere(count, R) );
+    this._applyTarget( targetSphere(count, R, this.seed) );
   }
   setCSV(csv){
     this._lastMode='csv';
     this._applyTarget( targetFromCSV(csv||'0,0,0') );
   }
+  /** Any [[x, y, z, colour?], …] — e.g. from targetFromHelpers / targetFromGeometry / targetFromImage. */
+  setPoints(pts){
+    if (!Array.isArray(pts)) throw new Error('PointMorphEngine.setPoints: expected an array of [x, y, z] points');
+    this._applyTarget(pts);
+    this._lastMode='points';
+  }
 
+  /** Colour of points whose target carries none (they fade to it). */
   setColor(css){ this.pointColor = css; }
+  setPointSize(px){ this.pointSize = Math.max(0.1, +px || this.pointSize); }
+  setProjection(mode){
+    if (mode !== 'perspective' && mode !== 'shear') throw new Error(`PointMorphEngine.setProjection: unknown projection "${mode}"`);
+    this.projection = mode;
+  }
+  /** { distance, fov, near } — any subset; fov 0 makes the focal length the distance (z = 0 keeps its size). */
+  setCamera(cam={}){
+    Object.assign(this.camera, cam);
+    if (this._fogOpt === true) this.setFog(true);   // default fog follows the camera
+  }
+  /** 'sorted' (back to front) | 'normal' (array order) | 'additive' (glow; order-free) */
+  setBlend(mode){
+    if (!BLEND_MODES.includes(mode)) throw new Error(`PointMorphEngine.setBlend: unknown blend "${mode}"`);
+    this.blend = mode;
+  }
+  /** false | true | { near, far, color }: near / far are camera distances; true fogs from 100 px before the origin to 300 px past it. */
+  setFog(opts){
+    this._fogOpt = opts;
+    if (!opts){ this.fog = null; return; }
+    const D = this.camera.distance, o = opts === true ? {} : opts;
+    this.fog = { near: o.near ?? D - 100, far: o.far ?? D + 300, rgba: o.color != null ? _cssToUnit(o.color) : null };
+  }
+  /**
+   * Restyle the points whose target gave them this group id; lasts until the next target.
+   *   engine.styleGroup(2, { color:'#ff0', size:1.6, alpha:0.8 })
+   */
+  styleGroup(group, { color, size, alpha } = {}){
+    const c = color != null ? _cssToUnit(color) : null, g = group|0;
+    const TC = this.targetColors, G = this.groups;
+    for (let i=0;i<this.count;i++){
+      if (G[i] !== g) continue;
+      if (c){ TC[i*4]=c[0]; TC[i*4+1]=c[1]; TC[i*4+2]=c[2]; TC[i*4+3]=c[3]; this.tinted[i]=1; }
+      if (alpha != null) TC[i*4+3] = +alpha;
+      if (size != null) this.targetSizes[i] = +size;
+    }
+  }
   setFontSize(px){ this.fontSize = +px || this.fontSize; if (this._lastMode==='text') this.setText(this._lastText||'FUNEBRA'); }
   setAutoRotate(flag){ this.autoRotate = !!flag; }
   setSpeed(s){ this.speed = +s || this.speed; }
   setZoomScale(z){ this.ZOOM.scale = Math.max(0.3, Math.min(3, +z)); }
+  /**
+   * Queue of targets played as one deterministic timeline; see MorphSequence.
+   *   engine.sequence([{ text:'FUNEBRA', hold:2 }, { sphere:true, stagger:{ by:'distance', amount:0.8 }, noise:30 }],
+   *                   { loop:true, seed:7, onArrive:({ index }) => … }).play();
+   * Calling setText / setSphere / setCSV stops it.
+   */
+  sequence(steps, opts={}){ return new MorphSequence(this, steps, opts); }
+
+  /** Project and draw the current positions without advancing them (recording, paused sequences). */
+  render(){ this._draw(0); }
+
+  /** Switch correspondence strategy; re-assigns the current target from where the points are. */
+  setAssignment(strategy){
+    if (!ASSIGN_STRATEGIES.includes(strategy)) throw new Error(`PointMorphEngine.setAssignment: unknown strategy "${strategy}"`);
+    this.assign = strategy;
+    if (this._target) this._applyTarget(this._target);
+  }
 
   // ——— internal: target mapping ———
+  _textTarget(str, font=this.font, size=this.fontSize){
+    const text = font.name === 'funebra-ascii-12x12' ? String(str).toUpperCase() : String(str);
+    return targetFromText(text, font, size);
+  }
+
   _applyTarget(pts){
-    this._target = pts;
-    const step = pts.length / this.points.length;
-    let idx = 0;
-    for (let i=0;i<this.points.length;i++){
-      const j = Math.min(pts.length-1, Math.floor(idx));
-      const t = pts[j] || [0,0,0];
-      const p = this.points[i];
-      p.tx = t[0]; p.ty = t[1]; p.tz = t[2];
-      idx += step;
-    }
+    this._seq?.stop();
+    const attributes = { colors: this.targetColors, tinted: this.tinted, sizes: this.targetSizes, groups: this.groups };
+    this.targets.set( assignTargets(this.positions, pts, this.count, { strategy: this.assign, seed: this.seed, attributes }) );
+    this._target = pts;   // only once it has been applied
+  }
+
+  // pointColor as rgba 0..1, re-parsed only when it changes
+  _baseColor(){
+    if (this._baseCss !== this.pointColor){ this._baseCss = this.pointColor; this._base = _cssToUnit(this.pointColor); }
+    return this._base;
   }
 
   // ——— loop ———
@@ -178,9 +1275,7 @@ export class PointMorphEngine {
     const DPR = Math.min(2, window.devicePixelRatio||1);
     const W = this.canvas.clientWidth || innerWidth;
     const H = this.canvas.clientHeight || innerHeight;
-    this.canvas.width = Math.floor(W*DPR);
-    this.canvas.height= Math.floor(H*DPR);
-    this.ctx.setTransform(DPR,0,0,DPR,0,0);
+    this.renderer.resize(W, H, DPR);
     this._W = W; this._H = H;
   }
 
@@ -188,29 +1283,27 @@ export class PointMorphEngine {
     if (!this._t0) this._t0 = ts;
     const dt = (ts - this._t0) / 1000; this._t0 = ts;
 
-    if (this.autoRotate){
+    const seq = this._seq;
+    if (seq?.playing) seq._advance(ts);           // sequence owns positions + rotation
+    else if (this.autoRotate){
       const a = (this.speed*0.6) * Math.PI/180;
       this.rotX += a; this.rotY += a;
     }
 
-    const ctx = this.ctx;
-    ctx.clearRect(0,0,this._W, this._H);
-    ctx.globalAlpha = 0.95;
-    ctx.fillStyle = this.pointColor;
-
-    for (let i=0;i<this.points.length;i++){
-      const p = this.points[i];
-      p.step(0.12);
-      const q = { x:p.x*this.ZOOM.scale, y:p.y*this.ZOOM.scale, z:p.z*this.ZOOM.scale };
-      _rotX(q, this.rotX); _rotY(q, this.rotY);
-      const pr = _project(q, this._W, this._H, this.ZOOM);
-      const s = pr.s*0.5;
-      ctx.fillRect(pr.x - s/2, pr.y - s/2, s, s);
-    }
+    // a sequence (playing or paused) holds exactly where it is; otherwise ease toward the target
+    this._draw(seq && this._seq === seq ? 0 : 0.12);
 
     if (this.running) requestAnimationFrame(this._tick);
   }
 
+  _draw(k){
+    const f = this._frame;
+    f.W = this._W; f.H = this._H; f.blend = this.blend;
+    _stepAndProject(this, k);
+    if (this.blend === 'sorted') _depthSort(this);
+    this.renderer.draw(f);
+  }
+
   // ——— pointer controls (optional) ———
   _bindPointer(){
     this._drag=false; this._mx=0; this._my=0; this._rx0=0; this._ry0=0;
@@ -232,4 +1325,4 @@ export class PointMorphEngine {
 }
 
 // Optional re-exports for power users
-export { targetFromText, targetSphere, targetFromCSV };
+export { targetFromText, targetSphere, targetFromCSV, targetFromHelpers, targetFromGeometry, targetFromImage };
@@ -0,0 +1,41 @@
+// pointmorph.worker.module.js — OffscreenCanvas draw loop for PointMorphEngine (module worker)
+// - Receives the transferred canvas once, then one buffer per frame: count × [x, y, size]
+//   followed by count × [r, g, b, a].
+// - Draws with WebGLRenderer or Canvas2DRenderer from pointmorph.module.js
+//   (webgl falls back to canvas2d when the worker has no WebGL).
+// - Hands every buffer back so the engine can reuse it.
+//
+// Usage: not imported directly —
+//   new PointMorphEngine({ canvas, renderer: 'worker', workerBackend: 'webgl' });
+//
+// Messages in:  { type:'init', canvas, backend } | { type:'resize', W, H, DPR }
+//               { type:'draw', buffer, count, alpha, blend, W, H } | { type:'destroy' }
+// Messages out: { type:'ready', backend } | { type:'free', buffer } | { type:'error', message, fatal }
+//               (fatal: init failed, nothing will be drawn)
+
+import { createRenderer } from './pointmorph.module.js';
+
+let renderer = null;
+
+self.onmessage = (e) => {
+  const m = e.data;
+  try {
+    if (m.type === 'init'){
+      renderer = createRenderer(m.backend === 'canvas2d' ? 'canvas2d' : 'webgl', m.canvas);
+      self.postMessage({ type:'ready', backend: renderer.kind });
+    } else if (m.type === 'resize'){
+      renderer?.resize(m.W, m.H, m.DPR);
+    } else if (m.type === 'draw'){
+      const { buffer, count: n } = m;
+      renderer?.draw({ ...m, screen: new Float32Array(buffer, 0, n*3), colors: new Float32Array(buffer, n*3*4, n*4) });
+      self.postMessage({ type:'free', buffer }, [buffer]);
+    } else if (m.type === 'destroy'){
+      renderer?.destroy();
+      renderer = null;
+      self.close();
+    }
+  } catch (err) {
+    self.postMessage({ type:'error', message: err.message, fatal: m.type === 'init' });
+    if (m.type === 'draw' && m.buffer.byteLength) self.postMessage({ type:'free', buffer: m.buffer }, [m.buffer]);
+  }
+};
@@ -3,6 +3,7 @@
 // camera realism, basic caustics, Worley noise, and node-based procedural starters.
 
 import * as THREE from "three";
+import { polygonize } from "../funebra-isosurface.module.js";
 
 // ───────────────────────────────────────────────────────────────────────────────
 // 0) NOISE: Worley (a.k.a. cellular) + helpers for micro detail
@@ -73,110 +74,23 @@ export function marchingCubesFromDensity({
   densityFn, // (x,y,z)-> float; iso-surface where value === iso
   iso=0.0,
   bounds = { min:new THREE.Vector3(-1,-1,-1), max:new THREE.Vector3(1,1,1) },
-  resolution = 48
+  resolution = 48, // samples per axis
+  method = "mc",   // "dc" = dual contouring (keeps sharp edges)
+  adaptive = false, // octree: sample only near the surface (needs densityFn.lipschitz)
+  cap = false       // close surfaces clipped by the bounds
 }){
-  // Lightweight MC: CPU-side for prototyping. For heavy fields, move to a worker or GPU.
-  const {min, max} = bounds;
-  const nx=resolution, ny=resolution, nz=resolution;
-  const dx = (max.x - min.x) / (nx-1);
-  const dy = (max.y - min.y) / (ny-1);
-  const dz = (max.z - min.z) / (nz-1);
-
-  // sample grid
-  const field = new Float32Array(nx*ny*nz);
-  let ptr = 0;
-  for (let k=0;k<nz;k++){
-    const z = min.z + k*dz;
-    for (let j=0;j<ny;j++){
-      const y = min.y + j*dy;
-      for (let i=0;i<nx;i++){
-        const x = min.x + i*dx;
-        field[ptr++] = densityFn(x,y,z);
-      }
-    }
-  }
-
-  // MC tables (shortened import)
-  const { edgeTable, triTable } = MC_TABLES(); // see helper below
-
-  const positions = [];
-  const gridP = (i,j,k)=> field[(k*ny + j)*nx + i];
-
-  const vertLerp = (p1,p2,valp1,valp2)=>{
-    const t = (iso - valp1) / (valp2 - valp1 + 1e-12);
-    return new THREE.Vector3(
-      p1.x + t*(p2.x - p1.x),
-      p1.y + t*(p2.y - p1.y),
-      p1.z + t*(p2.z - p1.z)
-    );
-  };
-
-  const v3 = (i,j,k)=> new THREE.Vector3(min.x + i*dx, min.y + j*dy, min.z + k*dz);
-
-  for (let k=0;k<nz-1;k++){
-    for (let j=0;j<ny-1;j++){
-      for (let i=0;i<nx-1;i++){
-        // cube corners
-        const p = [
-          v3(i,j,k),     v3(i+1,j,k),
-          v3(i+1,j+1,k), v3(i,j+1,k),
-          v3(i,j,k+1),   v3(i+1,j,k+1),
-          v3(i+1,j+1,k+1), v3(i,j+1,k+1)
-        ];
-        const val = [
-          gridP(i,j,k),     gridP(i+1,j,k),
-          gridP(i+1,j+1,k), gridP(i,j+1,k),
-          gridP(i,j,k+1),   gridP(i+1,j,k+1),
-          gridP(i+1,j+1,k+1), gridP(i,j+1,k+1)
-        ];
-        // cube index
-        let cubeIndex = 0;
-        for (let c=0;c<8;c++) if (val[c] < iso) cubeIndex |= (1<<c);
-        const eMask = edgeTable[cubeIndex];
-        if (!eMask) continue;
-
-        const vlist = Array(12).fill(null);
-        const E = (a,b,eIndex)=> vlist[eIndex] = vertLerp(p[a], p[b], val[a], val[b]);
-
-        // interpolate edges (see standard MC edge order)
-        if (eMask & 1)   E(0,1,0);
-        if (eMask & 2)   E(1,2,1);
-        if (eMask & 4)   E(2,3,2);
-        if (eMask & 8)   E(3,0,3);
-        if (eMask & 16)  E(4,5,4);
-        if (eMask & 32)  E(5,6,5);
-        if (eMask & 64)  E(6,7,6);
-        if (eMask & 128) E(7,4,7);
-        if (eMask & 256) E(0,4,8);
-        if (eMask & 512) E(1,5,9);
-        if (eMask & 1024)E(2,6,10);
-        if (eMask & 2048)E(3,7,11);
-
-        const T = triTable[cubeIndex];
-        for (let t=0; T[t] !== -1; t+=3){
-          const a=vlist[T[t]], b=vlist[T[t+1]], c=vlist[T[t+2]];
-          positions.push(a.x,a.y,a.z, b.x,b.y,b.z, c.x,c.y,c.z);
-        }
-      }
-    }
-  }
+  // CPU-side, indexed (shared vertices). Tables, dual contouring, octree and the
+  // sdf.* library live in funebra-isosurface.module.js.
+  const n = resolution - 1;
+  const mesh = polygonize(densityFn, { iso, bounds, resolution:[n,n,n], method, adaptive, cap });
 
   const geo = new THREE.BufferGeometry();
-  geo.setAttribute("position", new THREE.Float32BufferAttribute(new Float32Array(positions), 3));
-  geo.computeVertexNormals();
+  geo.setAttribute("position", new THREE.BufferAttribute(mesh.positions, 3));
+  geo.setAttribute("normal", new THREE.BufferAttribute(mesh.normals, 3));
+  geo.setIndex(new THREE.BufferAttribute(mesh.indices, 1));
   return geo;
 }
 
-// Tiny lookup (edgeTable/triTable). For brevity, generate them here.
-function MC_TABLES(){
-  // In production, import precomputed arrays. Here we inline minimal constants.
-  // (Omitted long arrays for space—replace with your existing MC tables if you have them.)
-  // To keep the snippet short, we provide *very* compact tables via a CDN-free function:
-  // -> For your repo, drop in the standard arrays from any public-domain MC table.
-  // For now, throw to remind replacement if missing:
-  throw new Error("Insert standard Marching Cubes edgeTable & triTable here (public-domain tables).");
-}
-
 // ───────────────────────────────────────────────────────────────────────────────
 // 2) LOD (Level of Detail) — auto-simplify big meshes
 // ───────────────────────────────────────────────────────────────────────────────
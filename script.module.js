@@ -2,6 +2,8 @@
 // - Pure ES Module. Import with:  import Funebra, { makeParametric3D, surfaces } from './script.module.js'
 // - Uses local THREE import (no window.THREE).
 // - Exposes classic 2D curve helpers and 3D surface builders.
+// - roseCurve / lissajousCurve / spiroCurve wrap the same formulas as Curve
+//   objects (funebra-curve.module.js) for arc-length resampling.
 // - Geometry is kept minimal and dependency‑free except three.js.
 //
 // Tip:
@@ -9,6 +11,7 @@
 //   const mesh = new THREE.Mesh(geo, material);
 
 import * as THREE from 'three';
+import { Curve } from './funebra-curve.module.js';
 
 // -------------------------
 // Math helpers — 2D curves
@@ -120,6 +123,61 @@ export function spiroY(t, {R=5, r=3, d=5, mode='hypo', cy=0} = {}){
   return cy + (A * Math.sin(t) - d * Math.sin(k * t));
 }
 
+// -------------------------
+// Curve objects — even spacing, frames
+// -------------------------
+// t ∈ [0,1] covers one full period of the angle parameter, so
+// curve.resample({ n }) or curve.resample({ spacing }) gives evenly spaced points,
+// and tangent / normal / curvature / frames come from the analytic derivative:
+//   const pts = roseCurve({ A: 120, k: 5, cx: 320, cy: 240 }).resample({ spacing: 3 });
+
+const _gcd = (a, b) => { while (b) [a, b] = [b, a % b]; return a; };
+
+// Odd integer k closes after π, everything else is walked over 2π unless `period` is given
+export function roseCurve({ A = 1, k = 4, useSin = false, cx = 0, cy = 0, period } = {}){
+  const P = period ?? (Number.isInteger(k) && k % 2 !== 0 ? Math.PI : 2*Math.PI);
+  return new Curve((u) => {
+    const th = u * P;
+    return [roseX(th, A, k, useSin, cx), roseY(th, A, k, useSin, cy)];
+  }, {
+    closed: true, kind: 'rose', params: { A, k, useSin, cx, cy, period: P },
+    derivative: (u) => {
+      const th = u * P;
+      const r  = A * (useSin ? Math.sin(k*th) : Math.cos(k*th));
+      const dr = A * k * (useSin ? Math.cos(k*th) : -Math.sin(k*th));
+      return [P * (dr * Math.cos(th) - r * Math.sin(th)), P * (dr * Math.sin(th) + r * Math.cos(th))];
+    },
+  });
+}
+
+export function lissajousCurve({ Ax = 1, Ay = 1, a = 3, b = 2, delta = Math.PI/2, cx = 0, cy = 0, period = 2*Math.PI } = {}){
+  return new Curve((u) => {
+    const t = u * period;
+    return [lissajousX(t, Ax, a, delta, cx), lissajousY(t, Ay, b, cy)];
+  }, {
+    closed: true, kind: 'lissajous', params: { Ax, Ay, a, b, delta, cx, cy, period },
+    derivative: (u) => {
+      const t = u * period;
+      return [period * Ax * a * Math.cos(a*t + delta), period * Ay * b * Math.cos(b*t)];
+    },
+  });
+}
+
+// Integer radii close after 2π·r/gcd(R, r); otherwise `turns` full turns (default 10)
+export function spiroCurve({ R = 5, r = 3, d = 5, mode = 'hypo', cx = 0, cy = 0, turns } = {}){
+  const n = turns ?? (Number.isInteger(R) && Number.isInteger(r) && r ? r / _gcd(R, r) : 10);
+  const P = n * 2*Math.PI, o = { R, r, d, mode, cx, cy };
+  const k = mode === 'epi' ? (R + r) / r : (R - r) / r;
+  const A = mode === 'epi' ? (R + r) : (R - r);
+  return new Curve((u) => [spiroX(u * P, o), spiroY(u * P, o)], {
+    closed: true, kind: 'spiro', params: { ...o, turns: n },
+    derivative: (u) => {
+      const t = u * P;
+      return [P * (-A * Math.sin(t) - d * k * Math.sin(k * t)), P * (A * Math.cos(t) - d * k * Math.cos(k * t))];
+    },
+  });
+}
+
 // -------------------------
 // Parametric surfaces — 3D
 // -------------------------
@@ -215,6 +273,7 @@ export default {
   roseX, roseY,
   lissajousX, lissajousY,
   spiroX, spiroY,
+  roseCurve, lissajousCurve, spiroCurve,
   // 3D
   surfaces,
   makeParametric3D,
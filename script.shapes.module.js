@@ -3,9 +3,18 @@
 // - Local THREE import.
 // - All numeric 2D, Bézier, heart, waves, projected pyramid, 3D builders,
 //   parametric 2D/3D pipelines, and FunebraShapesCompat.
+// - Curve-first API: `curves.<shape>({ ...options })` builds a Curve
+//   (funebra-curve.module.js) once; the fooX/fooY pairs are thin adapters over it.
+// - Even spacing: evenX/evenY and resampleEven(curve, N) walk any curve by arc
+//   length instead of by t / steps per edge.
+// - Curve meshes: makeSweep / makeTube / makeLathe (same output as makeParametric3D).
 // - Default export: Funebra namespace; plus rich named exports.
 
 import * as THREE from 'three';
+import { Curve } from './funebra-curve.module.js';
+import { triangulate } from './funebra-triangulate.module.js';
+
+export { Curve };
 
 // ──────────────────────────────────────────────────────────────────────────────
 // Constants & helpers
@@ -20,6 +29,160 @@ const _normStep = (o, steps) => {
   return { t: (o % s) / s, s };
 };
 
+// ──────────────────────────────────────────────────────────────────────────────
+// Curve-first API (object arguments) + X/Y adapter plumbing
+// ──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Named curve factories: curves.<shape>({ ...options }) → Curve
+ * (at(t) / sample(n) / length() / bounds() / toPath(), t ∈ [0, 1]).
+ * Options mirror the positional arguments of the matching fooX/fooY pair,
+ * minus the step counts, which belong to the sampler rather than the shape.
+ *
+ * Usage:
+ *   const star = curves.star({ points: 6, rOuter: 120, rInner: 50, cx: 320, cy: 240 });
+ *   star.sample(240); star.length(); star.toPath();
+ *   render([star.toParam2D(240, { stroke: '#fc0' })]);
+ */
+export const curves = {
+  line: ({ cx = 0, cy = 0, radius = 100, direction = 0 } = {}) =>
+    new Curve((t) => [cx + Math.cos(direction) * radius * t, cy + Math.sin(direction) * radius * t],
+      { kind: 'line', vertices: [[cx, cy], [cx + Math.cos(direction) * radius, cy + Math.sin(direction) * radius]], length: Math.abs(radius),
+        derivative: () => [Math.cos(direction) * radius, Math.sin(direction) * radius], derivative2: () => [0, 0], params: { cx, cy, radius, direction } }),
+  segment: ({ ax = 0, ay = 0, bx = 100, by = 0 } = {}) =>
+    new Curve((t) => [ax + (bx - ax) * t, ay + (by - ay) * t],
+      { kind: 'segment', vertices: [[ax, ay], [bx, by]], length: Math.hypot(bx - ax, by - ay),
+        derivative: () => [bx - ax, by - ay], derivative2: () => [0, 0], params: { ax, ay, bx, by } }),
+  polyline: ({ points, closed = false } = {}) => Curve.polygonal(points, { closed, kind: 'polyline' }),
+
+  circle:  (opts) => Curve.circle(opts),
+  ellipse: (opts) => Curve.ellipse(opts),
+  oval:    (opts) => Curve.ellipse(opts),
+  semicircle: ({ r = 50, cx = 0, cy = 0, up = false } = {}) =>
+    new Curve((t) => {
+      if (t < 0.5) {
+        const th = 2 * t * Math.PI, a = up ? Math.PI - th : th;
+        return [cx + r * Math.cos(a), cy + r * Math.sin(up ? -a : a)];
+      }
+      const s = 2 * t - 1;
+      return [cx + (1 - s) * r + s * (-r), cy];
+    }, { closed: true, kind: 'semicircle', length: (Math.PI + 2) * Math.abs(r), params: { r, cx, cy, up } }),
+  ring: ({ rOuter = 60, rInner = 40, cx = 0, cy = 0 } = {}) =>
+    Curve.compound([Curve.circle({ r: rOuter, cx, cy }), Curve.circle({ r: rInner, cx, cy }).reverse()],
+      { kind: 'ring', params: { rOuter, rInner, cx, cy } }),
+  crescent: ({ r = 60, offset = 20, cx = 0, cy = 0 } = {}) =>
+    Curve.compound([Curve.circle({ r, cx, cy }), Curve.circle({ r: Math.abs(r - offset), cx: cx - offset, cy }).reverse()],
+      { kind: 'crescent', params: { r, offset, cx, cy } }),
+
+  polygon: ({ sides = 5, r = 60, cx = 0, cy = 0, phase = -Math.PI / 2 } = {}) =>
+    Curve.polygonal(_ringVertices(Math.max(3, sides | 0), () => r, cx, cy, phase), { params: { sides, r, cx, cy, phase } }),
+  star: ({ points = 5, rOuter = 60, rInner = 30, cx = 0, cy = 0, phase = -Math.PI / 2 } = {}) =>
+    Curve.polygonal(_ringVertices(Math.max(3, points | 0) * 2, (i) => (i % 2 === 0 ? rOuter : rInner), cx, cy, phase),
+      { kind: 'star', params: { points, rOuter, rInner, cx, cy, phase } }),
+
+  rectangle: ({ w = 100, h = 60, cx = 0, cy = 0, theta = 0 } = {}) => _polygonOf('rectangle', rectangleVertices(w, h, cx, cy, theta)),
+  square: ({ size = 60, cx = 0, cy = 0, theta = 0 } = {}) => _polygonOf('square', rectangleVertices(size, size, cx, cy, theta)),
+  rightTriangle: ({ w = 80, h = 60, cx = 0, cy = 0, theta = 0 } = {}) => _polygonOf('rightTriangle', rightTriangleVertices(w, h, cx, cy, theta)),
+  parallelogram: ({ w = 100, h = 60, skew = 0.25, cx = 0, cy = 0, theta = 0 } = {}) => _polygonOf('parallelogram', parallelogramVertices(w, h, skew, cx, cy, theta)),
+  rhombus: ({ w = 80, h = 100, cx = 0, cy = 0, theta = 0 } = {}) => _polygonOf('rhombus', rhombusVertices(w, h, cx, cy, theta)),
+  trapezoid: ({ topW = 70, bottomW = 110, h = 80, cx = 0, cy = 0, theta = 0 } = {}) => _polygonOf('trapezoid', trapezoidVertices(topW, bottomW, h, cx, cy, theta)),
+  kite: ({ w = 80, h = 120, midY = 0.1, cx = 0, cy = 0, theta = 0 } = {}) => _polygonOf('kite', kiteVertices(w, h, midY, cx, cy, theta)),
+  arrow: ({ w = 120, h = 60, head = 0.45, cx = 0, cy = 0, theta = 0 } = {}) => _polygonOf('arrow', arrowVertices(w, h, head, cx, cy, theta)),
+  goldenRectangle: ({ width = 160, cx = 0, cy = 0, theta = 0 } = {}) => _polygonOf('goldenRectangle', goldenRectangleVertices(width, cx, cy, theta)),
+  cross: ({ cx = 0, cy = 0, H = 240, stemW = 60, barW = 200, barT = 60, barCenterY = -H / 6, theta = 0 } = {}) =>
+    _polygonOf('cross', crossVertices(cx, cy, H, stemW, barW, barT, barCenterY, theta)),
+
+  fibonacci: ({ baseRadius = 4, turns = 4, cx = 0, cy = 0, rotation = 0 } = {}) =>
+    new Curve((t) => {
+      const { r, theta } = _goldenSpiral(t, baseRadius, turns);
+      const ang = theta + rotation;
+      return [cx + r * Math.cos(ang), cy + r * Math.sin(ang)];
+    }, { kind: 'fibonacci', params: { baseRadius, turns, cx, cy, rotation } }),
+  heart: ({ s = 6, cx = 0, cy = 0 } = {}) =>
+    new Curve((u) => {
+      const t = u * TAU;
+      return [cx + s * 16 * Math.pow(Math.sin(t), 3), cy - s * (13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t))];
+    }, {
+      closed: true, kind: 'heart', params: { s, cx, cy },
+      derivative: (u) => {
+        const t = u * TAU, sn = Math.sin(t);
+        return [TAU * s * 48 * sn * sn * Math.cos(t), TAU * s * (13 * sn - 10 * Math.sin(2 * t) - 6 * Math.sin(3 * t) - 4 * Math.sin(4 * t))];
+      },
+    }),
+
+  bezierQuad:  (opts) => Curve.bezierQuad(opts),
+  bezierCubic: (opts) => Curve.bezierCubic(opts),
+  polyBezier:  (opts) => Curve.polyBezier(opts),
+};
+curves.trapezium = curves.trapezoid;
+for (const [name, sides] of [['triangle', 3], ['pentagon', 5], ['hexagon', 6], ['heptagon', 7], ['octagon', 8], ['nonagon', 9], ['decagon', 10]]) {
+  curves[name] = ({ r = 60, cx = 0, cy = 0, phase = -Math.PI / 2 } = {}) => curves.polygon({ sides, r, cx, cy, phase });
+}
+
+/** curve('star', { points: 6 }) — look up a factory by name. */
+export function curve(name, opts){
+  const make = curves[name];
+  if (typeof make !== 'function') throw new Error(`curve: unknown shape "${name}"`);
+  return make(opts);
+}
+
+// corners at phase + i·TAU/n with radius rAt(i) (regular polygons, stars)
+function _ringVertices(n, rAt, cx, cy, phase){
+  const v = [];
+  for (let i = 0; i < n; i++){
+    const a = phase + (i * TAU) / n, r = rAt(i);
+    v.push([cx + r * Math.cos(a), cy + r * Math.sin(a)]);
+  }
+  return v;
+}
+function _polygonOf(kind, verts){ return Curve.polygonal(verts, { kind }); }
+
+// The X/Y adapters rebuild nothing per step: each helper keeps its last curve and
+// reuses it while the (primitive) arguments stay the same. Array arguments are not
+// compared by content, so those curves are rebuilt on every call.
+const _curveCache = new Map();
+function _cachedCurve(key, args, build){
+  const hit = _curveCache.get(key);
+  if (hit && hit.args.length === args.length && hit.args.every((v, i) => Object.is(v, args[i]))) return hit.curve;
+  const curve = build();
+  if (args.every(v => v === null || typeof v !== 'object')) _curveCache.set(key, { args, curve });
+  return curve;
+}
+function _polyCurve(key, vertsFn, args){
+  return _cachedCurve(key, args, () => _polygonOf(key, vertsFn(...args)));
+}
+// Last evaluated point is kept on the curve, so the Y call after an X call is free.
+function _at(curve, t){
+  if (curve._lastT !== t){ curve._lastT = t; curve._lastP = curve.at(t); }
+  return curve._lastP;
+}
+// Edge walk for polygonal curves, same index arithmetic as the legacy edge walkers.
+function _edge(curve, o, stepsPerEdge){
+  if (curve._lastO !== o || curve._lastS !== stepsPerEdge){
+    curve._lastO = o; curve._lastS = stepsPerEdge;
+    curve._lastE = curve.edgeAt(Math.floor(o / stepsPerEdge), (o % stepsPerEdge) / stepsPerEdge);
+  }
+  return curve._lastE;
+}
+
+/**
+ * evenX / evenY — index-based walk at equal arc-length spacing, so short edges
+ * (inner star edges, kite tips) get as few points as their length deserves.
+ * shape: a Curve or a `curves` name plus its options object.
+ *
+ *   scodeX.value = "Funebra.evenX(u, 400, 'star', { points: 6, rOuter: 120, rInner: 40, cx: 320, cy: 240 })";
+ *   scodeY.value = "Funebra.evenY(u, 400, 'star', { points: 6, rOuter: 120, rInner: 40, cx: 320, cy: 240 })";
+ */
+export function evenX(o, steps, shape, opts){ return _evenPoint(o, steps, shape, opts)[0]; }
+export function evenY(o, steps, shape, opts){ return _evenPoint(o, steps, shape, opts)[1]; }
+function _evenPoint(o, steps, shape, opts){
+  const c = shape instanceof Curve ? shape : _cachedCurve('even', [shape, JSON.stringify(opts || {})], () => curve(shape, opts));
+  const { t } = _normStep(o, steps);
+  if (c._lastU !== t){ c._lastU = t; c._lastEven = c.atLength(t * c.length()); }
+  return c._lastEven;
+}
+
+
 
 
 
@@ -75,10 +238,8 @@ export function fibonacciX(
   cy          = 0,
   rotation    = 0
 ){
-  const t = (o % steps) / steps;
-  const { r, theta } = _goldenSpiral(t, baseRadius, turns);
-  const ang = theta + rotation;
-  return cx + r * Math.cos(ang);
+  const c = _cachedCurve('fibonacci', [baseRadius, turns, cx, cy, rotation], () => curves.fibonacci({ baseRadius, turns, cx, cy, rotation }));
+  return _at(c, (o % steps) / steps)[0];
 }
 
 export function fibonacciY(
@@ -90,10 +251,8 @@ export function fibonacciY(
   cy          = 0,
   rotation    = 0
 ){
-  const t = (o % steps) / steps;
-  const { r, theta } = _goldenSpiral(t, baseRadius, turns);
-  const ang = theta + rotation;
-  return cy + r * Math.sin(ang);
+  const c = _cachedCurve('fibonacci', [baseRadius, turns, cx, cy, rotation], () => curves.fibonacci({ baseRadius, turns, cx, cy, rotation }));
+  return _at(c, (o % steps) / steps)[1];
 }
 
 /* usage
@@ -128,10 +287,10 @@ export function goldenRectangleVertices(width, cx=0, cy=0, theta=0){
 }
 
 export function goldenRectangleX(o, width, cx=0, cy=0, stepsPerEdge=24, theta=0){
-  return _polyPathX(o, goldenRectangleVertices(width, cx, cy, theta), stepsPerEdge);
+  return _edge(_polyCurve('goldenRectangle', goldenRectangleVertices, [width, cx, cy, theta]), o, stepsPerEdge)[0];
 }
 export function goldenRectangleY(o, width, cx=0, cy=0, stepsPerEdge=24, theta=0){
-  return _polyPathY(o, goldenRectangleVertices(width, cx, cy, theta), stepsPerEdge);
+  return _edge(_polyCurve('goldenRectangle', goldenRectangleVertices, [width, cx, cy, theta]), o, stepsPerEdge)[1];
 }
 
 
@@ -267,38 +426,34 @@ export function Polyline(points = [], { close = false, color = "#fff", width = 1
 
 
 // ── Numeric Polyline (open) ─────────────────────────────────────────────────
+// Vertex list from flat x,y arguments; the open polyline keeps its legacy walk,
+// which also steps along the closing edge.
+function _coordsCurve(key, coords, min, close){
+  return _cachedCurve(key, coords, () => {
+    const verts = [];
+    for (let i=0; i+1<coords.length; i+=2) verts.push([Number(coords[i]), Number(coords[i+1])]);
+    if (verts.length < min) return null;
+    if (close) verts.push(verts[0]);
+    return Curve.polygonal(verts, { kind: 'polyline' });
+  });
+}
 export function polylineX(o, stepsPerEdge /*, x1,y1, x2,y2, ... */){
-  const coords = Array.prototype.slice.call(arguments, 2);
-  const verts = [];
-  for (let i=0; i+1<coords.length; i+=2) verts.push([Number(coords[i]), Number(coords[i+1])]);
-  if (verts.length < 2) return 0;
-  return _polyPathX(o, verts, stepsPerEdge|0 || 20);
+  const c = _coordsCurve('polyline', Array.prototype.slice.call(arguments, 2), 2, false);
+  return c ? _edge(c, o, stepsPerEdge|0 || 20)[0] : 0;
 }
 export function polylineY(o, stepsPerEdge /*, x1,y1, x2,y2, ... */){
-  const coords = Array.prototype.slice.call(arguments, 2);
-  const verts = [];
-  for (let i=0; i+1<coords.length; i+=2) verts.push([Number(coords[i]), Number(coords[i+1])]);
-  if (verts.length < 2) return 0;
-  return _polyPathY(o, verts, stepsPerEdge|0 || 20);
+  const c = _coordsCurve('polyline', Array.prototype.slice.call(arguments, 2), 2, false);
+  return c ? _edge(c, o, stepsPerEdge|0 || 20)[1] : 0;
 }
 
-// ── Numeric Polyline (closed polygon loop) ───────────────────────────────────
 export function polylineClosedX(o, stepsPerEdge /*, x1,y1, x2,y2, ... */){
-  const coords = Array.prototype.slice.call(arguments, 2);
-  const verts = [];
-  for (let i=0; i+1<coords.length; i+=2) verts.push([Number(coords[i]), Number(coords[i+1])]);
-  if (verts.length < 3) return 0;
-  // append first vertex to close
-  verts.push(verts[0]);
-  return _polyPathX(o, verts, stepsPerEdge|0 || 20);
+  // first vertex appended to close
+  const c = _coordsCurve('polylineClosed', Array.prototype.slice.call(arguments, 2), 3, true);
+  return c ? _edge(c, o, stepsPerEdge|0 || 20)[0] : 0;
 }
 export function polylineClosedY(o, stepsPerEdge /*, x1,y1, x2,y2, ... */){
-  const coords = Array.prototype.slice.call(arguments, 2);
-  const verts = [];
-  for (let i=0; i+1<coords.length; i+=2) verts.push([Number(coords[i]), Number(coords[i+1])]);
-  if (verts.length < 3) return 0;
-  verts.push(verts[0]);
-  return _polyPathY(o, verts, stepsPerEdge|0 || 20);
+  const c = _coordsCurve('polylineClosed', Array.prototype.slice.call(arguments, 2), 3, true);
+  return c ? _edge(c, o, stepsPerEdge|0 || 20)[1] : 0;
 }
 
 
@@ -309,66 +464,49 @@ export function polylineClosedY(o, stepsPerEdge /*, x1,y1, x2,y2, ... */){
 // Core Funebra 2D numerics (lines, circles, ellipses, polygons, stars)
 // ──────────────────────────────────────────────────────────────────────────────
 export function lineX(o, centerX, radius, direction, stepsPerEdge){
-  const t = (o % stepsPerEdge) / stepsPerEdge;
-  return centerX + Math.cos(direction) * radius * t;
+  const c = _cachedCurve('lineX', [centerX, radius, direction], () => curves.line({ cx: centerX, radius, direction }));
+  return _at(c, (o % stepsPerEdge) / stepsPerEdge)[0];
 }
 export function lineY(o, centerY, radius, direction, stepsPerEdge){
-  const t = (o % stepsPerEdge) / stepsPerEdge;
-  return centerY + Math.sin(direction) * radius * t;
+  const c = _cachedCurve('lineY', [centerY, radius, direction], () => curves.line({ cy: centerY, radius, direction }));
+  return _at(c, (o % stepsPerEdge) / stepsPerEdge)[1];
 }
 
 // Segment (for connecting two points)
 export function lineSegmentX(o, steps = 100, ax = 0, ay = 0, bx = 100, by = 0) {
-  const { t } = _normStep(o, steps);
-  return ax + (bx - ax) * t;
+  return _at(_cachedCurve('segment', [ax, ay, bx, by], () => curves.segment({ ax, ay, bx, by })), _normStep(o, steps).t)[0];
 }
 export function lineSegmentY(o, steps = 100, ax = 0, ay = 0, bx = 100, by = 0) {
-  const { t } = _normStep(o, steps);
-  return ay + (by - ay) * t;
+  return _at(_cachedCurve('segment', [ax, ay, bx, by], () => curves.segment({ ax, ay, bx, by })), _normStep(o, steps).t)[1];
 }
 
 export function circleX(o, radius, centerX=0, totalSteps=360, offset=0){
-  const th = ((o % totalSteps) / totalSteps) * TAU + offset;
-  return centerX + Math.cos(th) * radius;
+  const c = _cachedCurve('circleX', [radius, centerX, offset], () => Curve.circle({ r: radius, cx: centerX, offset }));
+  return _at(c, (o % totalSteps) / totalSteps)[0];
 }
 export function circleY(o, radius, centerY=0, totalSteps=360, offset=0){
-  const th = ((o % totalSteps) / totalSteps) * TAU + offset;
-  return centerY + Math.sin(th) * radius;
+  const c = _cachedCurve('circleY', [radius, centerY, offset], () => Curve.circle({ r: radius, cy: centerY, offset }));
+  return _at(c, (o % totalSteps) / totalSteps)[1];
 }
 
+function _ellipseCurve(rx, ry, cx, cy, rotation, offset){
+  return _cachedCurve('ellipse', [rx, ry, cx, cy, rotation, offset], () => Curve.ellipse({ rx, ry, cx, cy, rotation, offset }));
+}
 export function ellipseX(o, rx, ry, centerX=0, centerY=0, totalSteps=360, rotation=0, offset=0){
-  const { t } = _normStep(o, totalSteps);
-  const th = t * TAU + offset;
-  const cs = Math.cos(th), sn = Math.sin(th);
-  const xr = rx * cs, yr = ry * sn;
-  const cr = Math.cos(rotation), sr = Math.sin(rotation);
-  return centerX + xr * cr - yr * sr;
+  return _at(_ellipseCurve(rx, ry, centerX, centerY, rotation, offset), _normStep(o, totalSteps).t)[0];
 }
 export function ellipseY(o, rx, ry, centerX=0, centerY=0, totalSteps=360, rotation=0, offset=0){
-  const { t } = _normStep(o, totalSteps);
-  const th = t * TAU + offset;
-  const cs = Math.cos(th), sn = Math.sin(th);
-  const xr = rx * cs, yr = ry * sn;
-  const cr = Math.cos(rotation), sr = Math.sin(rotation);
-  return centerY + xr * sr + yr * cr;
-}
-
-// Regular polygon edge-walker
-function _regularPolyX(o, sides, r, cx=0, stepsPerEdge=20, phase=-Math.PI/2){
-  const n = Math.max(3, sides|0);
-  const e = Math.floor(o / stepsPerEdge);
-  const t = (o % stepsPerEdge) / stepsPerEdge;
-  const a1 = phase + (e     * TAU) / n;
-  const a2 = phase + ((e+1) * TAU) / n;
-  return (1-t) * (cx + r*Math.cos(a1)) + t * (cx + r*Math.cos(a2));
+  return _at(_ellipseCurve(rx, ry, centerX, centerY, rotation, offset), _normStep(o, totalSteps).t)[1];
 }
-function _regularPolyY(o, sides, r, cy=0, stepsPerEdge=20, phase=-Math.PI/2){
-  const n = Math.max(3, sides|0);
-  const e = Math.floor(o / stepsPerEdge);
-  const t = (o % stepsPerEdge) / stepsPerEdge;
-  const a1 = phase + (e     * TAU) / n;
-  const a2 = phase + ((e+1) * TAU) / n;
-  return (1-t) * (cy + r*Math.sin(a1)) + t * (cy + r*Math.sin(a2));
+
+// Regular polygon edge-walker (X knows only cx, Y only cy)
+function _regularPolyX(o, sides, r, cx=0, stepsPerEdge=20, phase=-Math.PI/2, key='polygonX'){
+  const c = _cachedCurve(key, [sides, r, cx, phase], () => curves.polygon({ sides, r, cx, phase }));
+  return _edge(c, o, stepsPerEdge)[0];
+}
+function _regularPolyY(o, sides, r, cy=0, stepsPerEdge=20, phase=-Math.PI/2, key='polygonY'){
+  const c = _cachedCurve(key, [sides, r, cy, phase], () => curves.polygon({ sides, r, cy, phase }));
+  return _edge(c, o, stepsPerEdge)[1];
 }
 export function polygonX(o, sides, radius, centerX=0, stepsPerEdge=20, phase=-Math.PI/2){
   return _regularPolyX(o, sides, radius, centerX, stepsPerEdge, phase);
@@ -379,50 +517,20 @@ export function polygonY(o, sides, radius, centerY=0, stepsPerEdge=20, phase=-Ma
 
 // Star (alternating radii)
 export function starX(o, points, rOuter, rInner, cx=0, stepsPerEdge=20, phase=-Math.PI/2){
-  const totalEdges = Math.max(3, points|0) * 2;
-  const e = Math.floor(o / stepsPerEdge) % totalEdges;
-  const t = (o % stepsPerEdge) / stepsPerEdge;
-  const a1 = phase + (e       * TAU) / totalEdges;
-  const a2 = phase + ((e + 1) * TAU) / totalEdges;
-  const r1 = (e % 2 === 0) ? rOuter : rInner;
-  const r2 = ((e+1) % 2 === 0) ? rOuter : rInner;
-  return (1-t) * (cx + r1*Math.cos(a1)) + t * (cx + r2*Math.cos(a2));
+  const c = _cachedCurve('starX', [points, rOuter, rInner, cx, phase], () => curves.star({ points, rOuter, rInner, cx, phase }));
+  return _edge(c, o, stepsPerEdge)[0];
 }
 export function starY(o, points, rOuter, rInner, cy=0, stepsPerEdge=20, phase=-Math.PI/2){
-  const totalEdges = Math.max(3, points|0) * 2;
-  const e = Math.floor(o / stepsPerEdge) % totalEdges;
-  const t = (o % stepsPerEdge) / stepsPerEdge;
-  const a1 = phase + (e       * TAU) / totalEdges;
-  const a2 = phase + ((e + 1) * TAU) / totalEdges;
-  const r1 = (e % 2 === 0) ? rOuter : rInner;
-  const r2 = ((e+1) % 2 === 0) ? rOuter : rInner;
-  return (1-t) * (cy + r1*Math.sin(a1)) + t * (cy + r2*Math.sin(a2));
-}
-
-// Generic polyline walkers
-function _polyPathX(o, verts, stepsPerEdge){
-  const n = verts.length;
-  const e = Math.floor(o / stepsPerEdge) % n;
-  const t = (o % stepsPerEdge) / stepsPerEdge;
-  const [x1] = verts[e];
-  const [x2] = verts[(e+1) % n];
-  return (1-t)*x1 + t*x2;
-}
-function _polyPathY(o, verts, stepsPerEdge){
-  const n = verts.length;
-  const e = Math.floor(o / stepsPerEdge) % n;
-  const t = (o % stepsPerEdge) / stepsPerEdge;
-  const [,y1] = verts[e];
-  const [,y2] = verts[(e+1) % n];
-  return (1-t)*y1 + t*y2;
+  const c = _cachedCurve('starY', [points, rOuter, rInner, cy, phase], () => curves.star({ points, rOuter, rInner, cy, phase }));
+  return _edge(c, o, stepsPerEdge)[1];
 }
 
 // Rect / Square
 export function rectangleVertices(w, h, cx=0, cy=0, theta=0){
   const rx=w/2, ry=h/2; let v=[[-rx,-ry],[rx,-ry],[rx,ry],[-rx,ry]]; if(theta) v=_rot(v,theta); return _tx(v,cx,cy);
 }
-export function rectangleX(o, w, h, cx=0, cy=0, stepsPerEdge=20, theta=0){ return _polyPathX(o, rectangleVertices(w,h,cx,cy,theta), stepsPerEdge); }
-export function rectangleY(o, w, h, cx=0, cy=0, stepsPerEdge=20, theta=0){ return _polyPathY(o, rectangleVertices(w,h,cx,cy,theta), stepsPerEdge); }
+export function rectangleX(o, w, h, cx=0, cy=0, stepsPerEdge=20, theta=0){ return _edge(_polyCurve('rectangle', rectangleVertices, [w,h,cx,cy,theta]), o, stepsPerEdge)[0]; }
+export function rectangleY(o, w, h, cx=0, cy=0, stepsPerEdge=20, theta=0){ return _edge(_polyCurve('rectangle', rectangleVertices, [w,h,cx,cy,theta]), o, stepsPerEdge)[1]; }
 export function squareX(o, size, cx=0, cy=0, stepsPerEdge=20, theta=0){ return rectangleX(o, size, size, cx, cy, stepsPerEdge, theta); }
 export function squareY(o, size, cx=0, cy=0, stepsPerEdge=20, theta=0){ return rectangleY(o, size, size, cx, cy, stepsPerEdge, theta); }
 
@@ -431,8 +539,8 @@ export function rightTriangleVertices(w, h, cx=0, cy=0, theta=0){
   let v=[[-w/2, h/2], [-w/2, -h/2], [w/2, h/2]];
   if(theta) v=_rot(v,theta); return _tx(v,cx,cy);
 }
-export function rightTriangleX(o, w, h, cx=0, cy=0, stepsPerEdge=30, theta=0){ return _polyPathX(o, rightTriangleVertices(w,h,cx,cy,theta), stepsPerEdge); }
-export function rightTriangleY(o, w, h, cx=0, cy=0, stepsPerEdge=30, theta=0){ return _polyPathY(o, rightTriangleVertices(w,h,cx,cy,theta), stepsPerEdge); }
+export function rightTriangleX(o, w, h, cx=0, cy=0, stepsPerEdge=30, theta=0){ return _edge(_polyCurve('rightTriangle', rightTriangleVertices, [w,h,cx,cy,theta]), o, stepsPerEdge)[0]; }
+export function rightTriangleY(o, w, h, cx=0, cy=0, stepsPerEdge=30, theta=0){ return _edge(_polyCurve('rightTriangle', rightTriangleVertices, [w,h,cx,cy,theta]), o, stepsPerEdge)[1]; }
 
 // Parallelogram
 export function parallelogramVertices(w, h, skew=0.25, cx=0, cy=0, theta=0){
@@ -440,15 +548,15 @@ export function parallelogramVertices(w, h, skew=0.25, cx=0, cy=0, theta=0){
   let v=[[-w/2+dx,-h/2],[w/2+dx,-h/2],[w/2-dx,h/2],[-w/2-dx,h/2]];
   if(theta) v=_rot(v,theta); return _tx(v,cx,cy);
 }
-export function parallelogramX(o, w, h, skew=0.25, cx=0, cy=0, stepsPerEdge=24, theta=0){ return _polyPathX(o, parallelogramVertices(w,h,skew,cx,cy,theta), stepsPerEdge); }
-export function parallelogramY(o, w, h, skew=0.25, cx=0, cy=0, stepsPerEdge=24, theta=0){ return _polyPathY(o, parallelogramVertices(w,h,skew,cx,cy,theta), stepsPerEdge); }
+export function parallelogramX(o, w, h, skew=0.25, cx=0, cy=0, stepsPerEdge=24, theta=0){ return _edge(_polyCurve('parallelogram', parallelogramVertices, [w,h,skew,cx,cy,theta]), o, stepsPerEdge)[0]; }
+export function parallelogramY(o, w, h, skew=0.25, cx=0, cy=0, stepsPerEdge=24, theta=0){ return _edge(_polyCurve('parallelogram', parallelogramVertices, [w,h,skew,cx,cy,theta]), o, stepsPerEdge)[1]; }
 
 // Rhombus
 export function rhombusVertices(w, h, cx=0, cy=0, theta=0){
   let v=[[0,-h/2],[w/2,0],[0,h/2],[-w/2,0]]; if(theta) v=_rot(v,theta); return _tx(v,cx,cy);
 }
-export function rhombusX(o, w, h, cx=0, cy=0, stepsPerEdge=24, theta=0){ return _polyPathX(o, rhombusVertices(w,h,cx,cy,theta), stepsPerEdge); }
-export function rhombusY(o, w, h, cx=0, cy=0, stepsPerEdge=24, theta=0){ return _polyPathY(o, rhombusVertices(w,h,cx,cy,theta), stepsPerEdge); }
+export function rhombusX(o, w, h, cx=0, cy=0, stepsPerEdge=24, theta=0){ return _edge(_polyCurve('rhombus', rhombusVertices, [w,h,cx,cy,theta]), o, stepsPerEdge)[0]; }
+export function rhombusY(o, w, h, cx=0, cy=0, stepsPerEdge=24, theta=0){ return _edge(_polyCurve('rhombus', rhombusVertices, [w,h,cx,cy,theta]), o, stepsPerEdge)[1]; }
 
 // Trapezoid / Trapezium
 export function trapezoidVertices(topW, bottomW, h, cx=0, cy=0, theta=0){
@@ -456,10 +564,10 @@ export function trapezoidVertices(topW, bottomW, h, cx=0, cy=0, theta=0){
   let v=[[-t,-ry],[t,-ry],[b,ry],[-b,ry]]; if(theta) v=_rot(v,theta); return _tx(v,cx,cy);
 }
 export function trapezoidX(o, topW, bottomW, h, cx=0, cy=0, stepsPerEdge=22, theta=0){
-  return _polyPathX(o, trapezoidVertices(topW,bottomW,h,cx,cy,theta), stepsPerEdge);
+  return _edge(_polyCurve('trapezoid', trapezoidVertices, [topW,bottomW,h,cx,cy,theta]), o, stepsPerEdge)[0];
 }
 export function trapezoidY(o, topW, bottomW, h, cx=0, cy=0, stepsPerEdge=22, theta=0){
-  return _polyPathY(o, trapezoidVertices(topW,bottomW,h,cx,cy,theta), stepsPerEdge);
+  return _edge(_polyCurve('trapezoid', trapezoidVertices, [topW,bottomW,h,cx,cy,theta]), o, stepsPerEdge)[1];
 }
 export const trapeziumX = trapezoidX;
 export const trapeziumY = trapezoidY;
@@ -470,8 +578,8 @@ export function kiteVertices(w, h, midY=0.1, cx=0, cy=0, theta=0){
   let v=[[0,-ry],[rx,midY*h-ry],[0,ry],[-rx,midY*h-ry]];
   if(theta) v=_rot(v,theta); return _tx(v,cx,cy);
 }
-export function kiteX(o, w, h, midY=0.1, cx=0, cy=0, stepsPerEdge=20, theta=0){ return _polyPathX(o, kiteVertices(w,h,midY,cx,cy,theta), stepsPerEdge); }
-export function kiteY(o, w, h, midY=0.1, cx=0, cy=0, stepsPerEdge=20, theta=0){ return _polyPathY(o, kiteVertices(w,h,midY,cx,cy,theta), stepsPerEdge); }
+export function kiteX(o, w, h, midY=0.1, cx=0, cy=0, stepsPerEdge=20, theta=0){ return _edge(_polyCurve('kite', kiteVertices, [w,h,midY,cx,cy,theta]), o, stepsPerEdge)[0]; }
+export function kiteY(o, w, h, midY=0.1, cx=0, cy=0, stepsPerEdge=20, theta=0){ return _edge(_polyCurve('kite', kiteVertices, [w,h,midY,cx,cy,theta]), o, stepsPerEdge)[1]; }
 
 // Arrow
 export function arrowVertices(w, h, head=0.45, cx=0, cy=0, theta=0){
@@ -479,43 +587,45 @@ export function arrowVertices(w, h, head=0.45, cx=0, cy=0, theta=0){
   let v=[[-rx,-ry*0.3],[-rx+shaft,-ry*0.3],[-rx+shaft,-ry],[rx,0],[-rx+shaft,ry],[-rx+shaft,ry*0.3],[-rx,ry*0.3]];
   if(theta) v=_rot(v,theta); return _tx(v,cx,cy);
 }
-export function arrowX(o, w, h, head=0.45, cx=0, cy=0, stepsPerEdge=18, theta=0){ return _polyPathX(o, arrowVertices(w,h,head,cx,cy,theta), stepsPerEdge); }
-export function arrowY(o, w, h, head=0.45, cx=0, cy=0, stepsPerEdge=18, theta=0){ return _polyPathY(o, arrowVertices(w,h,head,cx,cy,theta), stepsPerEdge); }
+export function arrowX(o, w, h, head=0.45, cx=0, cy=0, stepsPerEdge=18, theta=0){ return _edge(_polyCurve('arrow', arrowVertices, [w,h,head,cx,cy,theta]), o, stepsPerEdge)[0]; }
+export function arrowY(o, w, h, head=0.45, cx=0, cy=0, stepsPerEdge=18, theta=0){ return _edge(_polyCurve('arrow', arrowVertices, [w,h,head,cx,cy,theta]), o, stepsPerEdge)[1]; }
 
-// Semicircle (arc + chord)
-export function semicircleX(o, r, cx=0, cy=0, totalSteps=180, up=false){
-  if (o < totalSteps){ const th=(o/totalSteps)*Math.PI; const a=up?Math.PI - th: th; return cx + r*Math.cos(a); }
-  const t=(o-totalSteps)/totalSteps; return cx + (1-t)*r + t*(-r);
-}
-export function semicircleY(o, r, cx=0, cy=0, totalSteps=180, up=false){
-  if (o < totalSteps){ const th=(o/totalSteps)*Math.PI; const a=up?Math.PI - th: th; return cy + r*Math.sin(up?-a:a); }
-  return cy;
+// Semicircle (arc over the first totalSteps, chord back over the next)
+function _semicirclePoint(o, r, cx, cy, totalSteps, up){
+  const c = _cachedCurve('semicircle', [r, cx, cy, up], () => curves.semicircle({ r, cx, cy, up }));
+  const t = o < totalSteps ? o / totalSteps / 2 : 0.5 + (o - totalSteps) / totalSteps / 2;
+  return _at(c, t);
 }
+export function semicircleX(o, r, cx=0, cy=0, totalSteps=180, up=false){ return _semicirclePoint(o, r, cx, cy, totalSteps, up)[0]; }
+export function semicircleY(o, r, cx=0, cy=0, totalSteps=180, up=false){ return _semicirclePoint(o, r, cx, cy, totalSteps, up)[1]; }
 
 // Oval alias
 export function ovalX(o, rx, ry, cx=0, cy=0, totalSteps=360, rotation=0, offset=0){ return ellipseX(o, rx, ry, cx, cy, totalSteps, rotation, offset); }
 export function ovalY(o, rx, ry, cx=0, cy=0, totalSteps=360, rotation=0, offset=0){ return ellipseY(o, rx, ry, cx, cy, totalSteps, rotation, offset); }
 
+// Two-loop walk shared by ring and crescent: outer loop over the first half of
+// the steps, then the (reversed) inner loop, one step behind its start as before.
+function _twoLoopPoint(c, o, totalSteps){
+  const half = totalSteps>>1;
+  if (o < half) return _at(c.parts[0], (o % half) / half);
+  const j = half-1-(o-half);
+  return _at(c.parts[1], 1 - (j % half) / half);
+}
+
 // Ring (outer then inner reversed)
 export function ringX(o, rOuter, rInner, cx=0, cy=0, totalSteps=720){
-  const half = totalSteps>>1;
-  return (o < half) ? circleX(o, rOuter, cx, half, 0)
-                    : circleX(half-1-(o-half), rInner, cx, half, 0);
+  return _twoLoopPoint(_cachedCurve('ring', [rOuter, rInner, cx, cy], () => curves.ring({ rOuter, rInner, cx, cy })), o, totalSteps)[0];
 }
 export function ringY(o, rOuter, rInner, cx=0, cy=0, totalSteps=720){
-  const half = totalSteps>>1;
-  return (o < half) ? circleY(o, rOuter, cy, half, 0)
-                    : circleY(half-1-(o-half), rInner, cy, half, 0);
+  return _twoLoopPoint(_cachedCurve('ring', [rOuter, rInner, cx, cy], () => curves.ring({ rOuter, rInner, cx, cy })), o, totalSteps)[1];
 }
 
 // Crescent (outer arc + inner arc with x-offset)
 export function crescentX(o, r=60, offset=20, cx=0, cy=0, totalSteps=512){
-  const half=totalSteps>>1; if(o<half) return circleX(o, r, cx, half, 0);
-  const r2=Math.abs(r-offset); return circleX(half-1-(o-half), r2, cx - offset, half, 0);
+  return _twoLoopPoint(_cachedCurve('crescent', [r, offset, cx, cy], () => curves.crescent({ r, offset, cx, cy })), o, totalSteps)[0];
 }
 export function crescentY(o, r=60, offset=20, cx=0, cy=0, totalSteps=512){
-  const half=totalSteps>>1; if(o<half) return circleY(o, r, cy, half, 0);
-  const r2=Math.abs(r-offset); return circleY(half-1-(o-half), r2, cy, half, 0);
+  return _twoLoopPoint(_cachedCurve('crescent', [r, offset, cx, cy], () => curves.crescent({ r, offset, cx, cy })), o, totalSteps)[1];
 }
 
 // Latin cross (rectilinear)
@@ -528,24 +638,24 @@ export function crossVertices(cx=0, cy=0, H=240, stemW=60, barW=200, barT=60, ba
 export const latinCrossVertices = (cx=300, cy=360, H=240, stemW=60, barW=200, barT=60, barCenterY=-H/6, theta=0) =>
   crossVertices(cx, cy, H, stemW, barW, barT, barCenterY, theta);
 
-export function crossX(o, stepsPerEdge=18, ...cfg){ return _polyPathX(o, crossVertices(...cfg), stepsPerEdge); }
-export function crossY(o, stepsPerEdge=18, ...cfg){ return _polyPathY(o, crossVertices(...cfg), stepsPerEdge); }
+export function crossX(o, stepsPerEdge=18, ...cfg){ return _edge(_polyCurve('cross', crossVertices, cfg), o, stepsPerEdge)[0]; }
+export function crossY(o, stepsPerEdge=18, ...cfg){ return _edge(_polyCurve('cross', crossVertices, cfg), o, stepsPerEdge)[1]; }
 
 // Extra named polygon wrappers
-export const triangleX  = (o, r, cx=0, s=20)=>_regularPolyX(o,3,r,cx,s);
-export const triangleY  = (o, r, cy=0, s=20)=>_regularPolyY(o,3,r,cy,s);
-export const pentagonX  = (o, r, cx=0, s=20)=>_regularPolyX(o,5,r,cx,s);
-export const pentagonY  = (o, r, cy=0, s=20)=>_regularPolyY(o,5,r,cy,s);
-export const hexagonX   = (o, r, cx=0, s=20)=>_regularPolyX(o,6,r,cx,s);
-export const hexagonY   = (o, r, cy=0, s=20)=>_regularPolyY(o,6,r,cy,s);
-export const heptagonX  = (o, r, cx=0, s=20)=>_regularPolyX(o,7,r,cx,s);
-export const heptagonY  = (o, r, cy=0, s=20)=>_regularPolyY(o,7,r,cy,s);
-export const octagonX   = (o, r, cx=0, s=20)=>_regularPolyX(o,8,r,cx,s);
-export const octagonY   = (o, r, cy=0, s=20)=>_regularPolyY(o,8,r,cy,s);
-export const nonagonX   = (o, r, cx=0, s=20)=>_regularPolyX(o,9,r,cx,s);
-export const nonagonY   = (o, r, cy=0, s=20)=>_regularPolyY(o,9,r,cy,s);
-export const decagonX   = (o, r, cx=0, s=20)=>_regularPolyX(o,10,r,cx,s);
-export const decagonY   = (o, r, cy=0, s=20)=>_regularPolyY(o,10,r,cy,s);
+export const triangleX  = (o, r, cx=0, s=20)=>_regularPolyX(o,3,r,cx,s,undefined,'triangleX');
+export const triangleY  = (o, r, cy=0, s=20)=>_regularPolyY(o,3,r,cy,s,undefined,'triangleY');
+export const pentagonX  = (o, r, cx=0, s=20)=>_regularPolyX(o,5,r,cx,s,undefined,'pentagonX');
+export const pentagonY  = (o, r, cy=0, s=20)=>_regularPolyY(o,5,r,cy,s,undefined,'pentagonY');
+export const hexagonX   = (o, r, cx=0, s=20)=>_regularPolyX(o,6,r,cx,s,undefined,'hexagonX');
+export const hexagonY   = (o, r, cy=0, s=20)=>_regularPolyY(o,6,r,cy,s,undefined,'hexagonY');
+export const heptagonX  = (o, r, cx=0, s=20)=>_regularPolyX(o,7,r,cx,s,undefined,'heptagonX');
+export const heptagonY  = (o, r, cy=0, s=20)=>_regularPolyY(o,7,r,cy,s,undefined,'heptagonY');
+export const octagonX   = (o, r, cx=0, s=20)=>_regularPolyX(o,8,r,cx,s,undefined,'octagonX');
+export const octagonY   = (o, r, cy=0, s=20)=>_regularPolyY(o,8,r,cy,s,undefined,'octagonY');
+export const nonagonX   = (o, r, cx=0, s=20)=>_regularPolyX(o,9,r,cx,s,undefined,'nonagonX');
+export const nonagonY   = (o, r, cy=0, s=20)=>_regularPolyY(o,9,r,cy,s,undefined,'nonagonY');
+export const decagonX   = (o, r, cx=0, s=20)=>_regularPolyX(o,10,r,cx,s,undefined,'decagonX');
+export const decagonY   = (o, r, cy=0, s=20)=>_regularPolyY(o,10,r,cy,s,undefined,'decagonY');
 
 // ──────────────────────────────────────────────────────────────────────────────
 // Bézier utilities + even resampling + poly-Bézier samplers
@@ -568,7 +678,9 @@ export function bezierPoint2D(t, pts) {
   return tmp[0];
 }
 
+// f: t ∈ [0,1] → [x, y], or a Curve (then its own arc-length table is used)
 export function resampleEven(f, N = 256) {
+  if (f instanceof Curve) return f.resample({ n: N });
   const M = Math.max(64, N * 8);
   const xs = new Float32Array(M);
   const ys = new Float32Array(M);
@@ -613,49 +725,35 @@ export function polyBezierToSVGPath(segments) {
 }
 
 export function bezierQuadX(o, steps, Ax, Ay, Bx, By, Cx, Cy) {
-  const t = (o % steps) / steps;
-  return (1-t)*(1-t)*Ax + 2*(1-t)*t*Bx + t*t*Cx;
+  return _at(_bezierCurve(Ax, Ay, Bx, By, Cx, Cy), (o % steps) / steps)[0];
 }
 export function bezierQuadY(o, steps, Ax, Ay, Bx, By, Cx, Cy) {
-  const t = (o % steps) / steps;
-  return (1-t)*(1-t)*Ay + 2*(1-t)*t*By + t*t*Cy;
+  return _at(_bezierCurve(Ax, Ay, Bx, By, Cx, Cy), (o % steps) / steps)[1];
 }
 export function bezierCubicX(o, steps, Ax, Ay, Bx, By, Cx, Cy, Dx, Dy) {
-  const t = (o % steps) / steps, u = 1 - t;
-  return u*u*u*Ax + 3*u*u*t*Bx + 3*u*t*t*Cx + t*t*t*Dx;
+  return _at(_bezierCurve(Ax, Ay, Bx, By, Cx, Cy, Dx, Dy), (o % steps) / steps)[0];
 }
 export function bezierCubicY(o, steps, Ax, Ay, Bx, By, Cx, Cy, Dx, Dy) {
-  const t = (o % steps) / steps, u = 1 - t;
-  return u*u*u*Ay + 3*u*u*t*By + 3*u*t*t*Cy + t*t*t*Dy;
+  return _at(_bezierCurve(Ax, Ay, Bx, By, Cx, Cy, Dx, Dy), (o % steps) / steps)[1];
 }
-export function polyBezierX(o, segments) {
-  let acc = 0;
-  for (const s of segments) {
-    const n = s.steps|0; if (o < acc + n) {
-      const i = o - acc;
-      return s.type === 'quad'
-        ? bezierQuadX(i, n, s.A[0], s.A[1], s.B[0], s.B[1], s.C[0], s.C[1])
-        : bezierCubicX(i, n, s.A[0], s.A[1], s.B[0], s.B[1], s.C[0], s.C[1], s.D[0], s.D[1]);
-    }
-    acc += n;
-  }
-  const last = segments[segments.length-1];
-  return (last.type==='quad'? last.C[0] : last.D[0]);
+function _bezierCurve(...k){
+  return k.length === 6
+    ? _cachedCurve('bezierQuad', k, () => Curve.bezierQuad({ A: [k[0], k[1]], B: [k[2], k[3]], C: [k[4], k[5]] }))
+    : _cachedCurve('bezierCubic', k, () => Curve.bezierCubic({ A: [k[0], k[1]], B: [k[2], k[3]], C: [k[4], k[5]], D: [k[6], k[7]] }));
 }
-export function polyBezierY(o, segments) {
+// Each segment owns `steps` indices; past the end the last endpoint holds.
+function _polyBezierPoint(o, segments){
   let acc = 0;
   for (const s of segments) {
-    const n = s.steps|0; if (o < acc + n) {
-      const i = o - acc;
-      return s.type === 'quad'
-        ? bezierQuadY(i, n, s.A[0], s.A[1], s.B[0], s.B[1], s.C[0], s.C[1])
-        : bezierCubicY(i, n, s.A[0], s.A[1], s.B[0], s.B[1], s.C[0], s.C[1], s.D[0], s.D[1]);
-    }
+    const n = s.steps|0;
+    if (o < acc + n) return (s.type === 'quad' ? Curve.bezierQuad(s) : Curve.bezierCubic(s)).at(((o - acc) % n) / n);
     acc += n;
   }
   const last = segments[segments.length-1];
-  return (last.type==='quad'? last.C[1] : last.D[1]);
+  return (last.type==='quad'? last.C : last.D);
 }
+export function polyBezierX(o, segments) { return _polyBezierPoint(o, segments)[0]; }
+export function polyBezierY(o, segments) { return _polyBezierPoint(o, segments)[1]; }
 
 // ──────────────────────────────────────────────────────────────────────────────
 // Waves, grids, and misc samplers
@@ -699,12 +797,10 @@ export function cube(o, size, cx=0, cy=0, stepsPerEdge=10){
 
 // Hearts 2D/3D
 export function heart2D_x(o, steps=360, s=6, cx=0){
-  const t = (o/steps)*TAU;
-  return cx + s*16*Math.pow(Math.sin(t),3);
+  return _at(_cachedCurve('heartX', [s, cx], () => curves.heart({ s, cx })), o/steps)[0];
 }
 export function heart2D_y(o, steps=360, s=6, cy=0){
-  const t = (o/steps)*TAU;
-  return cy - s*(13*Math.cos(t) - 5*Math.cos(2*t) - 2*Math.cos(3*t) - Math.cos(4*t));
+  return _at(_cachedCurve('heartY', [s, cy], () => curves.heart({ s, cy })), o/steps)[1];
 }
 export function heart3D_steps(U=140, V=96){ return (U+1)*(V+1); }
 function _heartProfile(u, scale){
@@ -870,6 +966,9 @@ export function build3D(name, opts={}){
     case 'triangular prism': return buildPrism({ sides:3, radius:opts.radius??0.7, height:opts.height??1.2 });
     case 'pentagonal prism': return buildPrism({ sides:5, radius:opts.radius??0.7, height:opts.height??1.2 });
     case 'prism': return buildPrism({ sides:opts.sides??6, radius:opts.radius??0.7, height:opts.height??1.2 });
+    case 'tube': return makeTube(opts.path, opts);
+    case 'sweep': return makeSweep(opts.path, opts.profile, opts);
+    case 'lathe': return makeLathe(opts.profile, opts);
     default: return { kind:'unknown', name, opts };
   }
 }
@@ -931,13 +1030,24 @@ export function makeParametric3D(fn, opts={}){
     }
   }
 
+  return _geometryOut(positions, uvs, idx, { nu, nv, wrapU, wrapV, fnName: fn.name || "anonymous" });
+}
+
+// BufferGeometry (or plain arrays without THREE); `seams` are index pairs of
+// doubled seam vertices whose normals get averaged so the seam does not show.
+function _geometryOut(positions, uvs, idx, meta, seams = []){
   if (_hasTHREE()) {
     const geo = new THREE.BufferGeometry();
     geo.setAttribute("position", new THREE.BufferAttribute(positions, 3));
     geo.setAttribute("uv",       new THREE.BufferAttribute(uvs, 2));
     geo.setIndex(idx);
     geo.computeVertexNormals();
-    geo.userData.funebra = { nu, nv, wrapU, wrapV, fnName: fn.name || "anonymous" };
+    const n = geo.attributes.normal.array;
+    for (const [a, b] of seams){
+      const x = n[3*a] + n[3*b], y = n[3*a+1] + n[3*b+1], z = n[3*a+2] + n[3*b+2], l = Math.hypot(x, y, z) || 1;
+      n[3*a] = n[3*b] = x / l; n[3*a+1] = n[3*b+1] = y / l; n[3*a+2] = n[3*b+2] = z / l;
+    }
+    geo.userData.funebra = meta;
     return geo;
   }
 
@@ -948,6 +1058,181 @@ export function makeParametric3D(fn, opts={}){
   };
 }
 
+// ──────────────────────────────────────────────────────────────────────────────
+// Sweeps, tubes and lathes (Curve → mesh, same output as makeParametric3D)
+// ──────────────────────────────────────────────────────────────────────────────
+// Grid layout as in makeParametric3D: u runs around the profile (columns), v along
+// the path / profile (rows). Seam rows and columns are doubled so both run 0 → 1.
+
+/**
+ * makeSweep(path, profile, opts) — sweep a 2D profile along a 2D or 3D path.
+ * path: Curve (2D paths lie in z = 0) or a function t → [x,y,z] / {x,y,z}.
+ * profile: 2D Curve or [[x,y], …] (closed polygon), drawn in the path's
+ * normal/binormal plane using rotation-minimising frames (no flips or spin).
+ * opts:
+ *  - segments: steps along the path (default 128)
+ *  - profileSegments: samples around a smooth profile (default 32; polygons use their corners)
+ *  - twist: total twist along the path in radians, or v → radians (default 0)
+ *  - scale: number, or v → number | [sx, sy] (default 1)
+ *  - caps: close both ends of an open path with the profile (closed profiles; default true)
+ *  - closed: whether a function path is a loop (Curves know this themselves)
+ *  - even: frames at equal arc length rather than equal t (default true)
+ */
+export function makeSweep(path, profile, opts={}){
+  const { segments=128, profileSegments=32, twist=0, scale=1, caps=true, even=true, kind='sweep' } = opts;
+  const P = _asPathCurve(path, opts.closed);
+  const prof = _profileRing(profile, profileSegments, true);
+  const rows = Math.max(1, segments|0);
+  const F = P.frames(P.closed ? rows : rows + 1, { even });
+  if (P.closed) F.push(F[0]);
+
+  const twistAt = typeof twist === 'function' ? twist : (v) => twist * v;
+  const scaleAt = typeof scale === 'function' ? scale : () => scale;
+  const place = (j, [x, y]) => {
+    const v = j / rows, f = F[j], a = twistAt(v), s = scaleAt(v);
+    const sx = Array.isArray(s) ? s[0] : s, sy = Array.isArray(s) ? s[1] : s;
+    const c = Math.cos(a), sn = Math.sin(a);
+    const nx = (x*c - y*sn) * sx, by = (x*sn + y*c) * sy;
+    return [0, 1, 2].map(d => f.point[d] + f.normal[d]*nx + f.binormal[d]*by);
+  };
+
+  const m = _meshBuilder();
+  const ring = prof.closed ? [...prof.pts, prof.pts[0]] : prof.pts;
+  for (let j = 0; j <= rows; j++)
+    ring.forEach((p, i) => m.vertex(place(j, p), i / (ring.length - 1), j / rows));
+  m.grid(0, rows + 1, ring.length);
+
+  const seams = [];
+  for (let j = 0; prof.closed && j <= rows; j++) seams.push([j*ring.length, j*ring.length + ring.length - 1]);
+  for (let i = 0; P.closed && i < ring.length; i++) seams.push([i, rows*ring.length + i]);
+  if (caps && prof.closed && !P.closed){
+    m.cap(prof.pts, (p) => place(0, p), true);
+    m.cap(prof.pts, (p) => place(rows, p), false);
+  }
+  return m.finish({ kind, segments: rows, profilePoints: prof.pts.length, closedPath: P.closed, closedProfile: prof.closed }, seams);
+}
+
+/**
+ * makeTube(path, opts) — round tube along a path; makeSweep options plus
+ *  - radius: number or v → radius (default 1)
+ *  - radialSegments: points around the tube (default 16)
+ */
+export function makeTube(path, opts={}){
+  const { radius=1, radialSegments=16 } = opts;
+  return makeSweep(path, Curve.circle({ r: 1 }), { ...opts, profileSegments: radialSegments, scale: radius, kind: 'tube' });
+}
+
+/**
+ * makeLathe(profile, opts) — revolve a 2D profile around an axis.
+ * profile: 2D Curve or [[r, h], …] (open polyline, like THREE.LatheGeometry points);
+ * r is the distance from the axis, h the height along it.
+ * opts:
+ *  - segments: steps around the axis (default 64)
+ *  - profileSegments: samples along a smooth profile (default 64)
+ *  - phiStart, phiLength: swept angle in radians (default 0, TAU)
+ *  - axis: 'y' (default), 'x' or 'z'
+ *  - caps: discs over open profile ends that stop short of the axis, and flat
+ *    ends on a partial turn of a closed profile (default true)
+ */
+export function makeLathe(profile, opts={}){
+  const { segments=64, profileSegments=64, phiStart=0, phiLength=TAU, axis='y', caps=true } = opts;
+  const prof = _profileRing(profile, profileSegments, false);
+  const full = Math.abs(phiLength) >= TAU - 1e-9;
+  // radii within rounding noise of the axis (sin π, …) snap onto it, so pole triangles collapse cleanly
+  const eps = 1e-9 * Math.max(...prof.pts.map(([r, h]) => Math.max(Math.abs(r), Math.abs(h))), 1e-300);
+  let pts = prof.pts.map(([r, h]) => [Math.abs(r) < eps ? 0 : r, h]);
+  if (!prof.closed){
+    const first = pts[0], last = pts[pts.length-1];
+    // run bottom → top with the outside on the right, as a closed outline through the axis would
+    if (_signedArea([[0, first[1]], ...pts, [0, last[1]]]) < 0) pts = pts.slice().reverse();
+    if (caps && full){
+      const a = pts[0], b = pts[pts.length-1];
+      if (a[0] !== 0) pts = [[0, a[1]], a, ...pts];
+      if (b[0] !== 0) pts = [...pts, b, [0, b[1]]];
+    }
+  }
+  const ring = prof.closed ? [...pts, pts[0]] : pts;
+  const cols = Math.max(1, segments|0) + 1;
+  const place = (phi, [r, h]) => {
+    const c = Math.cos(phi), s = Math.sin(phi);
+    return axis === 'x' ? [h, r*c, r*s] : axis === 'z' ? [r*c, r*s, h] : [r*s, h, r*c];
+  };
+
+  const S = [0];
+  for (let j = 1; j < ring.length; j++) S.push(S[j-1] + Math.hypot(ring[j][0] - ring[j-1][0], ring[j][1] - ring[j-1][1]));
+  const L = S[S.length-1] || 1;
+  const m = _meshBuilder();
+  // a full turn ends on exactly the start angle, so the doubled seam column matches bit for bit
+  const phiAt = (i) => (full && i === cols-1 ? phiStart : phiStart + phiLength * (i / (cols-1)));
+  for (let j = 0; j < ring.length; j++)
+    for (let i = 0; i < cols; i++) m.vertex(place(phiAt(i), ring[j]), i / (cols-1), S[j] / L);
+  m.grid(0, ring.length, cols);
+
+  const seams = [];
+  for (let j = 0; full && j < ring.length; j++) seams.push([j*cols, j*cols + cols - 1]);
+  for (let i = 0; prof.closed && i < cols; i++) seams.push([i, (ring.length-1)*cols + i]);
+  if (caps && prof.closed && !full){
+    m.cap(pts, (p) => place(phiStart, p), false);
+    m.cap(pts, (p) => place(phiStart + phiLength, p), true);
+  }
+  return m.finish({ kind: 'lathe', segments: cols - 1, profilePoints: ring.length, axis, phiStart, phiLength }, seams);
+}
+
+function _asPathCurve(path, closed=false){
+  if (path instanceof Curve) return path;
+  if (typeof path !== 'function') throw new Error('makeSweep: path must be a Curve or a function of t');
+  return Curve.fromFunction((t) => {
+    const p = path(t);
+    return Array.isArray(p) ? [p[0], p[1], p[2] ?? 0] : [p.x, p.y, p.z ?? 0];
+  }, { closed, dim: 3, kind: 'path' });
+}
+
+// Profile points; closed profiles are turned counter-clockwise so walls face outwards
+function _profileRing(profile, samples, arraysClosed){
+  const c = profile instanceof Curve ? profile
+    : Array.isArray(profile) ? Curve.polygonal(profile, { closed: arraysClosed })
+    : null;
+  if (!c) throw new Error('makeSweep: profile must be a Curve or an array of [x, y] points');
+  let pts = c.vertices ? c.vertices.map(p => [p[0], p[1]]) : c.sample(Math.max(3, samples|0));
+  if (c.closed && _signedArea(pts) < 0) pts = pts.reverse();
+  return { pts, closed: c.closed };
+}
+
+function _signedArea(pts){
+  let a = 0;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) a += pts[j][0]*pts[i][1] - pts[i][0]*pts[j][1];
+  return a / 2;
+}
+
+function _meshBuilder(){
+  const pos = [], uv = [], idx = [];
+  const same = (a, b) => pos[3*a] === pos[3*b] && pos[3*a+1] === pos[3*b+1] && pos[3*a+2] === pos[3*b+2];
+  const m = {
+    vertex(p, u, v){ pos.push(p[0], p[1], p[2]); uv.push(u, v); return uv.length/2 - 1; },
+    // drops triangles collapsed onto an axis or a doubled profile point
+    tri(a, b, c){ if (!same(a, b) && !same(b, c) && !same(a, c)) idx.push(a, b, c); },
+    grid(start, rows, cols){
+      for (let j = 0; j < rows - 1; j++) for (let i = 0; i < cols - 1; i++){
+        const a = start + j*cols + i, b = a + 1, c = a + cols, d = c + 1;
+        m.tri(a, b, c); m.tri(b, d, c);
+      }
+    },
+    // flat cap over a closed 2D outline (CCW triangles face the outline's +normal unless flipped)
+    cap(outline, place, flip){
+      const { vertices, triangles } = triangulate(outline);
+      let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+      for (const [x, y] of vertices){ x0 = Math.min(x0, x); y0 = Math.min(y0, y); x1 = Math.max(x1, x); y1 = Math.max(y1, y); }
+      const base = uv.length / 2;
+      for (const p of vertices) m.vertex(place(p), (p[0] - x0) / ((x1 - x0) || 1), (p[1] - y0) / ((y1 - y0) || 1));
+      for (const [a, b, c] of triangles) flip ? m.tri(base + a, base + c, base + b) : m.tri(base + a, base + b, base + c);
+    },
+    finish(meta, seams){
+      return _geometryOut(new Float32Array(pos), new Float32Array(uv), idx, meta, seams.filter(([a, b]) => same(a, b)));
+    },
+  };
+  return m;
+}
+
 // ──────────────────────────────────────────────────────────────────────────────
 // 2D pipeline (legacy demos support)
 // ──────────────────────────────────────────────────────────────────────────────
@@ -960,6 +1245,9 @@ export function makeParametric(spec={}){
   return { kind:'param2d', x, y, steps: Math.floor(steps), close, color, stroke, lineWidth };
 }
 
+// Items that carry frame(i) (Curve#toParam2D) can also lay `text` (one character
+// every `glyphEvery` steps) or a custom `glyph(ctx, frame, i)` along the curve,
+// each turned to the local tangent.
 export function render(items=[], opts={}){
   const canvas = opts.canvas || document.querySelector('canvas') || (()=>{ const c = document.createElement('canvas'); document.body.appendChild(c); return c; })();
   const ctx = canvas.getContext('2d');
@@ -996,9 +1284,34 @@ export function render(items=[], opts={}){
       ctx.fillStyle = typeof fillFlag === 'string' ? fillFlag : (opts.fillStyle || '#000');
       ctx.fill(p);
     }
+
+    if (typeof it.frame === 'function' && (it.text || typeof it.glyph === 'function')) _drawAlong(ctx, it, opts);
   }
 }
 
+function _drawAlong(ctx, it, opts){
+  const every = Math.max(1, (it.glyphEvery|0) || 1);
+  const chars = it.text ? Array.from(String(it.text)) : null;
+  ctx.save();
+  if (chars){
+    ctx.font = it.font ?? opts.font ?? '16px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = it.textColor ?? it.stroke ?? opts.stroke ?? '#000';
+  }
+  for (let i = 0, k = 0; i < it.steps; i += every, k++){
+    if (chars && k >= chars.length) break;
+    const f = it.frame(i);
+    ctx.save();
+    ctx.translate(f.point[0], f.point[1]);
+    ctx.rotate(Math.atan2(f.tangent[1], f.tangent[0]));
+    if (chars) ctx.fillText(chars[k], 0, 0);
+    else it.glyph(ctx, f, i);
+    ctx.restore();
+  }
+  ctx.restore();
+}
+
 // Example 3D surface
 export const surfaces = {
   torus({R=1.15, r=0.44} = {}){
@@ -1015,11 +1328,6 @@ export const surfaces = {
 // ──────────────────────────────────────────────────────────────────────────────
 // Compat object-arg API + minimal SVG path generators
 // ──────────────────────────────────────────────────────────────────────────────
-function _pointsRegularPolygon(n, r, phase=-Math.PI/2){
-  const out=[]; const nn=Math.max(3, n|0);
-  for(let i=0;i<nn;i++){ const a=phase + TAU*(i/nn); out.push({x:r*Math.cos(a), y:r*Math.sin(a)}); }
-  return out;
-}
 function _mt(x,y){ return `M ${x} ${y}`; }
 function _lt(x,y){ return `L ${x} ${y}`; }
 function _cz(){ return 'Z'; }
@@ -1033,13 +1341,13 @@ function _ellipsePath({rx=60, ry=40}={}){ return `M ${-rx} 0 a ${rx} ${ry} 0 1 0
 function _trapezoidPath({top=70, bottom=110, height=80}={}){ const t=top/2, b=bottom/2, h=height/2; return [_mt(-t,-h),_lt(t,-h),_lt(b,h),_lt(-b,h),_cz()].join(' '); }
 
 export const FunebraShapesCompat = {
-  polygonX: (p)=>_pointsRegularPolygon((p&&p.sides)||5, (p&&p.r)||60),
+  polygonX: (p)=>curves.polygon({ sides:(p&&p.sides)||5, r:(p&&p.r)||60 }).vertices.map(([x,y])=>({x, y})),
   polygonY: (p)=>_regularPolygonPath({sides:(p&&p.sides)||5, r:(p&&p.r)||60}),
 
-  circleX:  (p)=>{ const r=(p&&p.r)||50, N=(p&&p.samples)||96; const out=[]; for(let i=0;i<N;i++){const a=TAU*(i/N); out.push({x:r*Math.cos(a), y:r*Math.sin(a)});} return out; },
+  circleX:  (p)=>Curve.circle({ r:(p&&p.r)||50 }).sample((p&&p.samples)||96).map(([x,y])=>({x, y})),
   circleY:  (p)=>_circlePath({ r:(p&&p.r)||50 }),
 
-  ovalX:    (p)=>{ const rx=(p&&p.rx)||60, ry=(p&&p.ry)||40, N=(p&&p.samples)||96; const out=[]; for(let i=0;i<N;i++){const a=TAU*(i/N); out.push({x:rx*Math.cos(a), y:ry*Math.sin(a)});} return out; },
+  ovalX:    (p)=>Curve.ellipse({ rx:(p&&p.rx)||60, ry:(p&&p.ry)||40 }).sample((p&&p.samples)||96).map(([x,y])=>({x, y})),
   ovalY:    (p)=>_ellipsePath({ rx:(p&&p.rx)||60, ry:(p&&p.ry)||40 }),
 
   ringX:    (p)=>{ const rO=(p&&p.rOuter)||60, rI=(p&&p.rInner)||40, N=(p&&p.samples)||128; const out=[]; for(let i=0;i<N;i++){const a=TAU*(i/N); out.push({x:rO*Math.cos(a), y:rO*Math.sin(a)});} for(let i=N;i>=0;i--){const a=TAU*(i/N); out.push({x:rI*Math.cos(a), y:rI*Math.sin(a)});} return out; },
@@ -1262,6 +1570,7 @@ const Funebra = {
 
   // 3D pipeline
   makeParametric3D, surfaces, build3D, toThreeGeometry,
+  makeSweep, makeTube, makeLathe,
 
   // Numeric 2D
   id, pointX, pointY, zero,Point, Polyline,
@@ -1306,12 +1615,15 @@ const Funebra = {
   bezierQuadX, bezierQuadY,
   bezierCubicX, bezierCubicY,
   polyBezierX, polyBezierY, polyBezierToSVGPath,
-  resampleEven,
+  resampleEven, evenX, evenY,
 
   // Waves & utils
   squareWave, wave, waveX, waveY,
   curwaveX, curwaveY,
 
+  // Curve-first API
+  Curve, curves, curve,
+
   // Compat namespace
   FunebraShapesCompat,
   // rotate